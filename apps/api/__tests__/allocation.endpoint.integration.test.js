@@ -0,0 +1,659 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+  isValidAllocationTransition,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpRequestJson(port, method, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+async function seedResponse() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_ALLOC_HTTP', 'HTTP Allocation Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_ALLOC', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_ALLOC', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_ALLOC', 'QIG');
+
+  const responseRow = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_ALLOC_1',
+    scriptUrl: null,
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  return { deploymentId, qigRow, responseRow };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for allocation tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+// Helper: take a marker through standardisation to LIVE_APPROVED on a QIG
+async function approveMarkerForLiveMarking(markerUserId, qigId) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(markerUserId, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+}
+
+// Helper: fail the first statement matching pattern that is sent on a
+// client from pool.connect(), i.e. inside a transaction.
+function injectClientFailure(pattern) {
+  const connect = pool.connect.bind(pool);
+  let failed = false;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (!failed && pattern.test(text)) {
+          failed = true;
+          return Promise.reject(new Error('Injected failure'));
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+async function getAuditEvents(eventType) {
+  const res = await pool.query(
+    `SELECT event_type, payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+    [eventType],
+  );
+  return res.rows;
+}
+
+describe('isValidAllocationTransition', () => {
+  test('accepts the documented transitions', () => {
+    expect(isValidAllocationTransition('READY', 'IN_MARKING')).toBe(true);
+    expect(isValidAllocationTransition('IN_MARKING', 'COMPLETED')).toBe(true);
+    expect(isValidAllocationTransition('IN_MARKING', 'READY')).toBe(true);
+    expect(isValidAllocationTransition('SUSPENDED', 'READY')).toBe(true);
+    expect(isValidAllocationTransition('COMPLETED', 'LOCKED')).toBe(true);
+  });
+
+  test('rejects invalid transitions', () => {
+    expect(isValidAllocationTransition('LOCKED', 'READY')).toBe(false);
+    expect(isValidAllocationTransition('LOCKED', 'IN_MARKING')).toBe(false);
+    expect(isValidAllocationTransition('COMPLETED', 'READY')).toBe(false);
+    expect(isValidAllocationTransition('COMPLETED', 'IN_MARKING')).toBe(false);
+    expect(isValidAllocationTransition('READY', 'COMPLETED')).toBe(false);
+  });
+});
+
+describe('Allocation HTTP endpoints', () => {
+  let server;
+  let port;
+
+  const adminHeaders = {
+    'x-user-external-id': 'alloc-admin',
+    'x-user-display-name': 'alloc-admin',
+  };
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM config_artifacts`);
+    await pool.query(`DELETE FROM config_versions`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('POST /allocation/responses/:id requires authentication', async () => {
+    const res = await httpRequestJson(port, 'POST', '/allocation/responses/1', {});
+
+    expect(res.statusCode).toBe(401);
+    expect(res.json).toEqual({
+      error: 'unauthenticated',
+      permission: 'allocation.manage',
+    });
+  });
+
+  test('GET /allocation/:id returns 403 without allocation.view', async () => {
+    const res = await httpRequestJson(port, 'GET', '/allocation/1', undefined, {
+      'x-user-external-id': 'no-alloc-view',
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.json).toEqual({
+      error: 'forbidden',
+      permission: 'allocation.view',
+    });
+  });
+
+  test('walks an allocation through its lifecycle and rejects moves out of LOCKED', async () => {
+    const { responseRow, qigRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', [
+      'allocation.manage',
+      'allocation.view',
+    ]);
+    const marker = await createUser('alloc-marker', 'Alloc Marker');
+    await approveMarkerForLiveMarking(marker.id, qigRow.id);
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      { markerExternalId: 'alloc-marker' },
+      adminHeaders,
+    );
+
+    expect(createRes.statusCode).toBe(201);
+    expect(createRes.json.allocation).toMatchObject({
+      responseId: responseRow.id,
+      markerUserId: marker.id,
+      state: 'READY',
+    });
+    const allocationId = createRes.json.allocation.id;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['IN_MARKING', 'COMPLETED', 'LOCKED']) {
+      // eslint-disable-next-line no-await-in-loop
+      const stepRes = await httpRequestJson(
+        port,
+        'POST',
+        `/allocation/${allocationId}/transition`,
+        { toState },
+        adminHeaders,
+      );
+      expect(stepRes.statusCode).toBe(200);
+      expect(stepRes.json.allocation.state).toBe(toState);
+    }
+
+    const rejectedRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'READY', reasonCode: 'ADMIN_OVERRIDE' },
+      adminHeaders,
+    );
+
+    expect(rejectedRes.statusCode).toBe(409);
+    expect(rejectedRes.json).toEqual({
+      error: 'invalid_allocation_transition',
+      fromState: 'LOCKED',
+      toState: 'READY',
+    });
+
+    const getRes = await httpRequestJson(
+      port,
+      'GET',
+      `/allocation/${allocationId}`,
+      undefined,
+      adminHeaders,
+    );
+    expect(getRes.statusCode).toBe(200);
+    expect(getRes.json.allocation.state).toBe('LOCKED');
+
+    const events = await getAuditEvents('ALLOCATION_TRANSITIONED');
+    expect(events.map((e) => e.payload.meta.result)).toEqual([
+      'SUCCESS',
+      'SUCCESS',
+      'SUCCESS',
+      'REJECTED',
+    ]);
+    const rejected = events[3].payload.meta;
+    expect(rejected).toMatchObject({
+      allocationId,
+      responseId: responseRow.id,
+      candidateId: 'C_ALLOC_1',
+      markerId: marker.id,
+      fromState: 'LOCKED',
+      toState: 'READY',
+      reasonCode: 'ADMIN_OVERRIDE',
+      errorCode: 'INVALID_ALLOCATION_TRANSITION',
+      deploymentCode: 'D_ALLOC_HTTP',
+    });
+    expect(events[3].payload.actor.externalId).toBe('alloc-admin');
+
+    const created = await getAuditEvents('ALLOCATION_CREATED');
+    expect(created).toHaveLength(1);
+  });
+
+  test('rejects COMPLETED -> READY and READY -> COMPLETED', async () => {
+    const { responseRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', ['allocation.manage']);
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      {},
+      adminHeaders,
+    );
+    const allocationId = createRes.json.allocation.id;
+
+    const skipRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'COMPLETED' },
+      adminHeaders,
+    );
+    expect(skipRes.statusCode).toBe(409);
+
+    await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'IN_MARKING' },
+      adminHeaders,
+    );
+    await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'COMPLETED' },
+      adminHeaders,
+    );
+
+    const backRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'READY', reasonCode: 'REOPEN' },
+      adminHeaders,
+    );
+    expect(backRes.statusCode).toBe(409);
+    expect(backRes.json.fromState).toBe('COMPLETED');
+
+    const unknownRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'NOT_A_STATE' },
+      adminHeaders,
+    );
+    expect(unknownRes.statusCode).toBe(400);
+    expect(unknownRes.json.error).toBe('invalid_allocation_state');
+  });
+
+  test('release requires a reasonCode and writes ALLOCATION_RELEASED events', async () => {
+    const { responseRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', ['allocation.manage']);
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      {},
+      adminHeaders,
+    );
+    const allocationId = createRes.json.allocation.id;
+
+    await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'IN_MARKING' },
+      adminHeaders,
+    );
+
+    const noReasonRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'READY' },
+      adminHeaders,
+    );
+    expect(noReasonRes.statusCode).toBe(400);
+    expect(noReasonRes.json.error).toBe('reason_code_required');
+
+    const releaseRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'READY', reasonCode: 'MARKER_OVERLOAD' },
+      adminHeaders,
+    );
+    expect(releaseRes.statusCode).toBe(200);
+    expect(releaseRes.json.allocation).toMatchObject({
+      state: 'READY',
+      reasonCode: 'MARKER_OVERLOAD',
+    });
+
+    const events = await getAuditEvents('ALLOCATION_RELEASED');
+    expect(events.map((e) => e.payload.meta.result)).toEqual([
+      'REJECTED',
+      'SUCCESS',
+    ]);
+    expect(events[0].payload.meta.errorCode).toBe('REASON_CODE_REQUIRED');
+    expect(events[1].payload.meta.reasonCode).toBe('MARKER_OVERLOAD');
+  });
+
+  test('a transition whose audit event fails is not applied', async () => {
+    const { responseRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', [
+      'allocation.manage',
+      'allocation.view',
+    ]);
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      {},
+      adminHeaders,
+    );
+    const allocationId = createRes.json.allocation.id;
+
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const connectSpy = injectClientFailure(/INSERT INTO\s+audit_events/i);
+    let failedRes;
+    try {
+      failedRes = await httpRequestJson(
+        port,
+        'POST',
+        `/allocation/${allocationId}/transition`,
+        { toState: 'SUSPENDED', reasonCode: 'CENTRE_QUERY' },
+        adminHeaders,
+      );
+    } finally {
+      connectSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+    expect(failedRes.statusCode).toBe(500);
+
+    const getRes = await httpRequestJson(
+      port,
+      'GET',
+      `/allocation/${allocationId}`,
+      undefined,
+      adminHeaders,
+    );
+    expect(getRes.json.allocation.state).toBe('READY');
+    expect(await getAuditEvents('ALLOCATION_TRANSITIONED')).toEqual([]);
+
+    const retryRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'SUSPENDED', reasonCode: 'CENTRE_QUERY' },
+      adminHeaders,
+    );
+    expect(retryRes.statusCode).toBe(200);
+    const events = await getAuditEvents('ALLOCATION_TRANSITIONED');
+    expect(events.map((e) => e.payload.meta.result)).toEqual(['SUCCESS']);
+  });
+
+  test('reassign moves a READY allocation to another marker with audit', async () => {
+    const { responseRow, qigRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', [
+      'allocation.manage',
+      'allocation.view',
+    ]);
+    const first = await createUser('alloc-marker-1', 'Marker 1');
+    const second = await createUser('alloc-marker-2', 'Marker 2');
+    await approveMarkerForLiveMarking(first.id, qigRow.id);
+    await approveMarkerForLiveMarking(second.id, qigRow.id);
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      { markerExternalId: 'alloc-marker-1' },
+      adminHeaders,
+    );
+    const allocationId = createRes.json.allocation.id;
+
+    const reassignRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/reassign`,
+      { markerExternalId: 'alloc-marker-2', reasonCode: 'MARKER_UNAVAILABLE' },
+      adminHeaders,
+    );
+    expect(reassignRes.statusCode).toBe(200);
+    expect(reassignRes.json.allocation.markerUserId).toBe(second.id);
+
+    const listRes = await httpRequestJson(
+      port,
+      'GET',
+      `/allocation/responses/${responseRow.id}`,
+      undefined,
+      adminHeaders,
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.allocations).toHaveLength(1);
+
+    const events = await getAuditEvents('ALLOCATION_REASSIGNED');
+    expect(events).toHaveLength(1);
+    expect(events[0].payload.meta).toMatchObject({
+      result: 'SUCCESS',
+      markerId: second.id,
+      previousMarkerId: first.id,
+      reasonCode: 'MARKER_UNAVAILABLE',
+    });
+  });
+
+  test('only LIVE_APPROVED markers can be given or start live work', async () => {
+    const { responseRow, qigRow } = await seedResponse();
+    await seedUserWithPermissions('alloc-admin', [
+      'allocation.manage',
+      'allocation.view',
+    ]);
+    const approved = await createUser('alloc-approved', 'Approved Marker');
+    await createUser('alloc-trainee', 'Trainee Marker');
+    await approveMarkerForLiveMarking(approved.id, qigRow.id);
+
+    const notEligible = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      { markerExternalId: 'alloc-trainee' },
+      adminHeaders,
+    );
+    expect(notEligible.statusCode).toBe(409);
+    expect(notEligible.json).toEqual({ error: 'marker_not_eligible' });
+
+    const createRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/responses/${responseRow.id}`,
+      { markerExternalId: 'alloc-approved' },
+      adminHeaders,
+    );
+    expect(createRes.statusCode).toBe(201);
+    const allocationId = createRes.json.allocation.id;
+
+    const reassignRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/reassign`,
+      { markerExternalId: 'alloc-trainee', reasonCode: 'MARKER_UNAVAILABLE' },
+      adminHeaders,
+    );
+    expect(reassignRes.statusCode).toBe(409);
+    expect(reassignRes.json.error).toBe('marker_not_eligible');
+
+    // Suspended after assignment: the allocation cannot start.
+    await transitionMarkerEligibility(approved.id, qigRow.id, 'SUSPENDED', {
+      reasonCode: 'QUALITY_CONCERN',
+    });
+    const startRes = await httpRequestJson(
+      port,
+      'POST',
+      `/allocation/${allocationId}/transition`,
+      { toState: 'IN_MARKING' },
+      adminHeaders,
+    );
+    expect(startRes.statusCode).toBe(409);
+    expect(startRes.json).toEqual({
+      error: 'marker_not_eligible',
+      fromState: 'READY',
+      toState: 'IN_MARKING',
+    });
+
+    const transitions = await getAuditEvents('ALLOCATION_TRANSITIONED');
+    expect(transitions[transitions.length - 1].payload.meta).toMatchObject({
+      result: 'REJECTED',
+      errorCode: 'MARKER_NOT_ELIGIBLE',
+      markerId: approved.id,
+    });
+    const reassigns = await getAuditEvents('ALLOCATION_REASSIGNED');
+    expect(reassigns[0].payload.meta).toMatchObject({
+      result: 'REJECTED',
+      errorCode: 'MARKER_NOT_ELIGIBLE',
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  writeAuditEvent,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for audit chain tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+// Helper: write n chained events and return their ids in order.
+async function writeChainedEvents(n) {
+  // eslint-disable-next-line no-plusplus
+  for (let i = 1; i <= n; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await writeAuditEvent('MARKING_SUBMITTED', {
+      meta: { responseId: i, deploymentCode: 'D_CHAIN', marks: { Q1: i, Q2: 0.5 } },
+      actor: { id: 1, externalId: 'm1', displayName: 'Marker' },
+    });
+  }
+  const { rows } = await pool.query(
+    `SELECT id, hash FROM ${AUDIT_TABLE_NAME} ORDER BY id ASC`,
+  );
+  return rows;
+}
+
+function runVerifyCli() {
+  return spawnSync(
+    process.execPath,
+    [path.join(__dirname, '..', 'scripts', 'verify-audit-chain.js')],
+    { env: process.env, encoding: 'utf8', timeout: 20000 },
+  );
+}
+
+describe('Audit hash chain', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureIdentityTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  async function verify() {
+    const res = await httpGetJson(port, '/audit/verify', headersFor('auditor'));
+    expect(res.statusCode).toBe(200);
+    return res.json;
+  }
+
+  test('an untouched chain verifies, including concurrent writes', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    await writeChainedEvents(3);
+    await Promise.all(
+      Array.from({ length: 8 }, (_, i) =>
+        writeAuditEvent('HELLO_AUDIT_EVENT', { meta: { n: i } }),
+      ),
+    );
+
+    const { rows } = await pool.query(
+      `SELECT id, prev_hash, hash FROM ${AUDIT_TABLE_NAME} ORDER BY id ASC`,
+    );
+    expect(rows[0].prev_hash).toBeNull();
+    rows.slice(1).forEach((row, i) => {
+      expect(row.prev_hash).toBe(rows[i].hash);
+    });
+
+    // The auditor's own permission check is not audited, so the head is
+    // the last event written above.
+    const report = await verify();
+    expect(report).toEqual({
+      valid: true,
+      checkedCount: rows.length,
+      legacyCount: 0,
+      headEventId: rows[rows.length - 1].id,
+      headHash: rows[rows.length - 1].hash,
+      firstBrokenLink: null,
+    });
+
+    const cli = runVerifyCli();
+    expect(cli.status).toBe(0);
+    expect(cli.stdout).toContain('Audit chain intact.');
+  });
+
+  test('reports the first edited event', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const rows = await writeChainedEvents(4);
+
+    await pool.query(
+      `
+        UPDATE ${AUDIT_TABLE_NAME}
+        SET payload = jsonb_set(payload, '{meta,marks,Q1}', '9')
+        WHERE id = $1
+      `,
+      [rows[1].id],
+    );
+
+    const report = await verify();
+    expect(report).toMatchObject({
+      valid: false,
+      checkedCount: 1,
+      headEventId: rows[0].id,
+      firstBrokenLink: {
+        eventId: rows[1].id,
+        eventType: 'MARKING_SUBMITTED',
+        reason: 'HASH_MISMATCH',
+        actual: rows[1].hash,
+      },
+    });
+
+    const cli = runVerifyCli();
+    expect(cli.status).toBe(1);
+    expect(cli.stdout).toContain(
+      `Audit chain broken at event ${rows[1].id} (MARKING_SUBMITTED): HASH_MISMATCH`,
+    );
+  });
+
+  test('reports the event after a deleted one', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const rows = await writeChainedEvents(4);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME} WHERE id = $1`, [
+      rows[1].id,
+    ]);
+
+    const report = await verify();
+    expect(report.valid).toBe(false);
+    expect(report.firstBrokenLink).toMatchObject({
+      eventId: rows[2].id,
+      reason: 'PREV_HASH_MISMATCH',
+      expected: rows[0].hash,
+      actual: rows[1].hash,
+    });
+  });
+
+  test('events from before the chain are counted but unchained events after it break it', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    await pool.query(
+      `INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload) VALUES ('LEGACY', '{}')`,
+    );
+    await writeChainedEvents(2);
+
+    const intact = await verify();
+    expect(intact).toMatchObject({
+      valid: true,
+      checkedCount: 2,
+      legacyCount: 1,
+    });
+
+    const { rows } = await pool.query(
+      `INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload) VALUES ('FORGED', '{}') RETURNING id`,
+    );
+    const broken = await verify();
+    expect(broken.firstBrokenLink).toMatchObject({
+      eventId: rows[0].id,
+      eventType: 'FORGED',
+      reason: 'MISSING_HASH',
+    });
+  });
+
+  test('requires audit.view', async () => {
+    await seedUserWithPermissions('no_audit', ['marking.view']);
+
+    const res = await httpGetJson(port, '/audit/verify', headersFor('no_audit'));
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,331 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  PERMISSION_DENIED_EVENT_TYPE,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for audit query tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+// Helper: insert an audit event with a fixed created_at.
+async function insertAuditEvent(eventType, payload, createdAt) {
+  const { rows } = await pool.query(
+    `
+      INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload, created_at)
+      VALUES ($1, $2::jsonb, $3)
+      RETURNING id
+    `,
+    [eventType, payload, createdAt],
+  );
+  return rows[0].id;
+}
+
+function actor(externalId) {
+  return { id: 1, externalId, displayName: externalId };
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('GET /audit/events', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureIdentityTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  async function seedEvents() {
+    const ids = {};
+    ids.draft = await insertAuditEvent(
+      'MARKING_DRAFT_SAVED',
+      { meta: { deploymentCode: 'D_AQ', responseId: 11 }, actor: actor('m1') },
+      '2026-03-01T09:00:00Z',
+    );
+    ids.submit = await insertAuditEvent(
+      'MARKING_SUBMITTED',
+      { meta: { deploymentCode: 'D_AQ', responseId: 11 }, actor: actor('m1') },
+      '2026-03-01T10:00:00Z',
+    );
+    ids.otherResponse = await insertAuditEvent(
+      'MARKING_SUBMITTED',
+      { meta: { deploymentCode: 'D_AQ', responseId: 12 }, actor: actor('m2') },
+      '2026-03-01T11:00:00Z',
+    );
+    ids.review = await insertAuditEvent(
+      'MARK_REVIEWED',
+      { meta: { deploymentCode: 'D_AQ', responseId: 11 }, actor: actor('tl1') },
+      '2026-03-02T09:00:00Z',
+    );
+    ids.otherDeployment = await insertAuditEvent(
+      'MARKING_SUBMITTED',
+      { meta: { deploymentCode: 'D_OTHER', responseId: 11 }, actor: actor('m1') },
+      '2026-03-02T10:00:00Z',
+    );
+    return ids;
+  }
+
+  test('filters on the payload and pages with a cursor', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const ids = await seedEvents();
+
+    const script = await httpGetJson(
+      port,
+      '/audit/events?deploymentCode=D_AQ&responseId=11',
+      headersFor('auditor'),
+    );
+    expect(script.statusCode).toBe(200);
+    expect(script.json.events.map((e) => e.id)).toEqual([
+      ids.draft,
+      ids.submit,
+      ids.review,
+    ]);
+    expect(script.json.events[2]).toMatchObject({
+      eventType: 'MARK_REVIEWED',
+      payload: { meta: { responseId: 11 }, actor: { externalId: 'tl1' } },
+    });
+    expect(script.json.nextCursor).toBeNull();
+
+    const byActor = await httpGetJson(
+      port,
+      '/audit/events?actorExternalId=m1&eventType=MARKING_SUBMITTED',
+      headersFor('auditor'),
+    );
+    expect(byActor.json.events.map((e) => e.id)).toEqual([
+      ids.submit,
+      ids.otherDeployment,
+    ]);
+
+    const inRange = await httpGetJson(
+      port,
+      `/audit/events?deploymentCode=D_AQ&from=${encodeURIComponent(
+        '2026-03-01T10:00:00Z',
+      )}&to=${encodeURIComponent('2026-03-02T09:00:00Z')}`,
+      headersFor('auditor'),
+    );
+    expect(inRange.json.events.map((e) => e.id)).toEqual([
+      ids.submit,
+      ids.otherResponse,
+    ]);
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = cursor
+        ? `limit=2&cursor=${encodeURIComponent(cursor)}`
+        : 'limit=2';
+      // eslint-disable-next-line no-await-in-loop
+      const page = await httpGetJson(
+        port,
+        `/audit/events?deploymentCode=D_AQ&${query}`,
+        headersFor('auditor'),
+      );
+      expect(page.statusCode).toBe(200);
+      expect(page.json.events.length).toBeLessThanOrEqual(2);
+      seen.push(...page.json.events.map((e) => e.id));
+      cursor = page.json.nextCursor;
+      pages += 1;
+    } while (cursor);
+    expect(pages).toBe(2);
+    expect(seen).toEqual([
+      ids.draft,
+      ids.submit,
+      ids.otherResponse,
+      ids.review,
+    ]);
+  });
+
+  test('actorExternalId also matches the subject of denied requests', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    await seedUserWithPermissions('no_audit', ['marking.view']);
+    const ids = await seedEvents();
+
+    const denied = await httpGetJson(port, '/audit/events', headersFor('no_audit'));
+    expect(denied.statusCode).toBe(403);
+
+    const byUser = await httpGetJson(
+      port,
+      '/audit/events?actorExternalId=no_audit',
+      headersFor('auditor'),
+    );
+    expect(byUser.statusCode).toBe(200);
+    expect(byUser.json.events).toHaveLength(1);
+    expect(byUser.json.events[0]).toMatchObject({
+      eventType: PERMISSION_DENIED_EVENT_TYPE,
+      payload: {
+        meta: { permission: 'audit.view' },
+        subject: { externalId: 'no_audit' },
+      },
+    });
+
+    const byMarker = await httpGetJson(
+      port,
+      '/audit/events?actorExternalId=m1',
+      headersFor('auditor'),
+    );
+    expect(byMarker.json.events.map((e) => e.id)).toEqual([
+      ids.draft,
+      ids.submit,
+      ids.otherDeployment,
+    ]);
+  });
+
+  test('rejects invalid paging and time filters', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+
+    const badCursor = await httpGetJson(
+      port,
+      '/audit/events?cursor=not-a-cursor',
+      headersFor('auditor'),
+    );
+    expect(badCursor.statusCode).toBe(400);
+    expect(badCursor.json).toEqual({ error: 'invalid_cursor' });
+
+    const badLimit = await httpGetJson(
+      port,
+      '/audit/events?limit=500',
+      headersFor('auditor'),
+    );
+    expect(badLimit.statusCode).toBe(400);
+    expect(badLimit.json).toEqual({ error: 'invalid_limit' });
+
+    const badFrom = await httpGetJson(
+      port,
+      '/audit/events?from=yesterday',
+      headersFor('auditor'),
+    );
+    expect(badFrom.statusCode).toBe(400);
+    expect(badFrom.json).toEqual({ error: 'invalid_time_range' });
+
+    const backwards = await httpGetJson(
+      port,
+      '/audit/events?from=2026-03-02T00:00:00Z&to=2026-03-01T00:00:00Z',
+      headersFor('auditor'),
+    );
+    expect(backwards.statusCode).toBe(400);
+    expect(backwards.json).toEqual({ error: 'invalid_time_range' });
+  });
+
+  test('requires audit.view', async () => {
+    await seedUserWithPermissions('no_audit', ['marking.view']);
+
+    const res = await httpGetJson(port, '/audit/events', headersFor('no_audit'));
+    expect(res.statusCode).toBe(403);
+
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1`,
+      [PERMISSION_DENIED_EVENT_TYPE],
+    );
+    expect(rows).toHaveLength(1);
+  });
+});
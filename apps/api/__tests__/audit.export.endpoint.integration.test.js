@@ -0,0 +1,422 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+} = require('../src/assessment');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  AUDIT_EXPORTED_EVENT_TYPE,
+  writeAuditEvent,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for audit export tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+// Helper: a deployment with two series of one QIG each.
+async function seedSeries() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_EXP', 'Export Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const qigs = {};
+  // eslint-disable-next-line no-restricted-syntax
+  for (const seriesCode of ['S_JUNE', 'S_NOV']) {
+    // eslint-disable-next-line no-await-in-loop
+    const seriesRow = await createSeries(deploymentId, seriesCode, seriesCode);
+    // eslint-disable-next-line no-await-in-loop
+    const paperRow = await createPaper(seriesRow.id, `P_${seriesCode}`, 'Paper');
+    // eslint-disable-next-line no-await-in-loop
+    qigs[seriesCode] = await createQig(paperRow.id, `Q_${seriesCode}`, 'QIG');
+  }
+  return qigs;
+}
+
+function markingEvent(qigId, responseId, extraMeta) {
+  return {
+    meta: { deploymentCode: 'D_EXP', qigId, responseId, ...extraMeta },
+    actor: { id: 1, externalId: 'm1', displayName: 'Marker, One' },
+  };
+}
+
+function runExportCli(args) {
+  return spawnSync(
+    process.execPath,
+    [path.join(__dirname, '..', 'scripts', 'export-audit-events.js'), ...args],
+    { env: process.env, encoding: 'utf8', timeout: 20000 },
+  );
+}
+
+describe('GET /audit/export', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIdentityTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('exports a series as CSV with flattened, stable columns', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const qigs = await seedSeries();
+    const june = qigs.S_JUNE.id;
+    const nov = qigs.S_NOV.id;
+
+    await writeAuditEvent('MARKING_SUBMITTED', markingEvent(june, 11, { marks: { Q1: 2 } }));
+    await writeAuditEvent('MARKING_SUBMITTED', markingEvent(nov, 21));
+    await writeAuditEvent('MARK_REVIEWED', markingEvent(june, 11, { outcome: 'AGREE', note: 'Line one\nsaid "fine"' }));
+    await writeAuditEvent('HELLO_AUDIT_EVENT', { meta: { version: '0.1.0' } });
+
+    const res = await httpGetJson(
+      port,
+      '/audit/export?format=csv&deploymentCode=D_EXP&seriesCode=S_JUNE',
+      headersFor('auditor'),
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe(
+      'attachment; filename="audit-events.csv"',
+    );
+
+    const { rows } = await pool.query(
+      `SELECT id, created_at, prev_hash, hash FROM ${AUDIT_TABLE_NAME} ORDER BY id ASC`,
+    );
+    const chainCells = (row) =>
+      [row.created_at.toISOString(), row.prev_hash, row.hash].join(',');
+
+    expect(res.body.split('\r\n')).toEqual([
+      'id,event_type,created_at,prev_hash,hash,actor.id,actor.externalId,actor.displayName,subject.id,subject.externalId,subject.displayName,meta.deploymentCode,meta.marks,meta.note,meta.outcome,meta.qigId,meta.responseId',
+      `${rows[0].id},MARKING_SUBMITTED,${chainCells(rows[0])},1,m1,"Marker, One",,,,D_EXP,"{""Q1"":2}",,,${june},11`,
+      `${rows[2].id},MARK_REVIEWED,${chainCells(rows[2])},1,m1,"Marker, One",,,,D_EXP,,"Line one\nsaid ""fine""",AGREE,${june},11`,
+      '',
+    ]);
+
+    // The export itself is audited, after the events it covered.
+    const exported = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1`,
+      [AUDIT_EXPORTED_EVENT_TYPE],
+    );
+    expect(exported.rows).toHaveLength(1);
+    expect(exported.rows[0].payload).toMatchObject({
+      meta: {
+        format: 'csv',
+        deploymentCode: 'D_EXP',
+        seriesCode: 'S_JUNE',
+        eventCount: 2,
+        throughEventId: rows[3].id,
+      },
+      actor: { externalId: 'auditor' },
+    });
+  });
+
+  test('streams large deployment-wide exports as NDJSON, page by page', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const qigs = await seedSeries();
+
+    const total = 450;
+    // eslint-disable-next-line no-plusplus
+    for (let i = 0; i < total; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await writeAuditEvent(
+        'MARKING_SUBMITTED',
+        markingEvent(qigs.S_NOV.id, i),
+      );
+    }
+
+    const res = await httpGetJson(
+      port,
+      '/audit/export?deploymentCode=D_EXP',
+      headersFor('auditor'),
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson');
+
+    const lines = res.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(total);
+    expect(lines.map((line) => line['meta.responseId'])).toEqual(
+      Array.from({ length: total }, (_, i) => i),
+    );
+    expect(Object.keys(lines[0])).toEqual([
+      'id',
+      'event_type',
+      'created_at',
+      'prev_hash',
+      'hash',
+      'actor.id',
+      'actor.externalId',
+      'actor.displayName',
+      'subject.id',
+      'subject.externalId',
+      'subject.displayName',
+      'meta.deploymentCode',
+      'meta.qigId',
+      'meta.responseId',
+    ]);
+  });
+
+  test('a series export keeps the series-level events of its deployment', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    const qigs = await seedSeries();
+
+    await writeAuditEvent('CONFIG_ACTIVATED', {
+      meta: { deploymentCode: 'D_EXP', versionNumber: 2 },
+      actor: { id: 1, externalId: 'cfg', displayName: 'Config' },
+    });
+    await writeAuditEvent('MARKING_SUBMITTED', markingEvent(qigs.S_NOV.id, 21));
+    await writeAuditEvent('MARKER_ELIGIBILITY_CHANGED', markingEvent(qigs.S_JUNE.id, null));
+    await writeAuditEvent('AUDIT_EXPORTED', {
+      meta: { deploymentCode: 'D_EXP', seriesCode: 'S_JUNE' },
+    });
+    await writeAuditEvent('AUDIT_EXPORTED', {
+      meta: { deploymentCode: 'D_EXP', seriesCode: 'S_NOV' },
+    });
+    await writeAuditEvent('CONFIG_ACTIVATED', {
+      meta: { deploymentCode: 'D_OTHER', versionNumber: 1 },
+    });
+    await writeAuditEvent('PERMISSION_DENIED', {
+      meta: { deploymentCode: 'D_EXP', reason: 'permission_missing' },
+      subject: { id: 5, externalId: 'm2', displayName: 'Marker Two' },
+    });
+
+    const res = await httpGetJson(
+      port,
+      '/audit/export?deploymentCode=D_EXP&seriesCode=S_JUNE',
+      headersFor('auditor'),
+    );
+    expect(res.statusCode).toBe(200);
+
+    const lines = res.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(
+      lines.map((line) => [line.event_type, line['meta.seriesCode']]),
+    ).toEqual([
+      ['CONFIG_ACTIVATED', null],
+      ['MARKER_ELIGIBILITY_CHANGED', null],
+      ['AUDIT_EXPORTED', 'S_JUNE'],
+      ['PERMISSION_DENIED', null],
+    ]);
+    expect(lines[3]).toMatchObject({
+      'actor.externalId': null,
+      'subject.id': 5,
+      'subject.externalId': 'm2',
+      'subject.displayName': 'Marker Two',
+    });
+  });
+
+  test('rejects bad formats and unknown series before streaming', async () => {
+    await seedUserWithPermissions('auditor', ['audit.view']);
+    await seedUserWithPermissions('no_audit', ['marking.view']);
+    await seedSeries();
+
+    const badFormat = await httpGetJson(
+      port,
+      '/audit/export?format=xml',
+      headersFor('auditor'),
+    );
+    expect(badFormat.statusCode).toBe(400);
+    expect(badFormat.json).toEqual({ error: 'invalid_format' });
+
+    const noDeployment = await httpGetJson(
+      port,
+      '/audit/export?seriesCode=S_JUNE',
+      headersFor('auditor'),
+    );
+    expect(noDeployment.statusCode).toBe(400);
+    expect(noDeployment.json).toEqual({ error: 'deployment_required' });
+
+    const unknownSeries = await httpGetJson(
+      port,
+      '/audit/export?deploymentCode=D_EXP&seriesCode=S_NOPE',
+      headersFor('auditor'),
+    );
+    expect(unknownSeries.statusCode).toBe(404);
+    expect(unknownSeries.json).toEqual({ error: 'series_not_found' });
+
+    const badRange = await httpGetJson(
+      port,
+      '/audit/export?from=soon',
+      headersFor('auditor'),
+    );
+    expect(badRange.statusCode).toBe(400);
+    expect(badRange.json).toEqual({ error: 'invalid_time_range' });
+
+    const forbidden = await httpGetJson(
+      port,
+      '/audit/export',
+      headersFor('no_audit'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  test('the CLI writes the same export to a file', async () => {
+    const qigs = await seedSeries();
+    await writeAuditEvent('MARKING_SUBMITTED', markingEvent(qigs.S_JUNE.id, 11));
+    await writeAuditEvent('MARKING_SUBMITTED', markingEvent(qigs.S_NOV.id, 21));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-export-'));
+    const out = path.join(dir, 'june.ndjson');
+    const cli = runExportCli([
+      '--deployment',
+      'D_EXP',
+      '--series',
+      'S_JUNE',
+      '--out',
+      out,
+    ]);
+    expect(cli.status).toBe(0);
+    expect(cli.stderr).toContain('Exported 1 audit event(s)');
+
+    const lines = fs.readFileSync(out, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      event_type: 'MARKING_SUBMITTED',
+      'actor.externalId': 'm1',
+      'meta.qigId': qigs.S_JUNE.id,
+      'meta.responseId': 11,
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const bad = runExportCli(['--format', 'xml']);
+    expect(bad.status).toBe(2);
+  });
+});
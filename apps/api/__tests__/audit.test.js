@@ -1,18 +1,31 @@
 jest.mock('../src/db', () => {
   const queryMock = jest.fn();
+  const clientQueryMock = jest.fn();
+  const client = {
+    query: clientQueryMock,
+    release: jest.fn(),
+  };
   return {
     pool: {
       query: queryMock,
+      connect: jest.fn(async () => client),
     },
     checkDbHealth: jest.fn(),
     endPool: jest.fn(),
     __queryMock: queryMock,
+    __clientQueryMock: clientQueryMock,
   };
 });
 
+jest.mock('../src/migrations', () => ({
+  ensureSchema: jest.fn(async () => ({ applied: [] })),
+}));
+
 const db = require('../src/db');
+const { ensureSchema } = require('../src/migrations');
 const {
   HELLO_AUDIT_EVENT_TYPE,
+  computeAuditEventHash,
   writeAuditEvent,
   getLatestAuditEventByType,
 } = require('../src/audit');
@@ -20,29 +33,81 @@ const {
 describe('audit module', () => {
   beforeEach(() => {
     db.__queryMock.mockReset();
+    db.__clientQueryMock.mockReset();
   });
 
-  test('writeAuditEvent ensures table and inserts event', async () => {
-    db.__queryMock
-      .mockResolvedValueOnce({ rows: [] }) // CREATE TABLE
-      .mockResolvedValueOnce({ rows: [] }); // INSERT
+  test('writeAuditEvent ensures the schema and appends a chained event', async () => {
+    const createdAt = new Date('2026-01-01T00:00:00.000Z');
+    db.__clientQueryMock
+      .mockResolvedValueOnce({ rows: [] }) // BEGIN
+      .mockResolvedValueOnce({ rows: [] }) // advisory lock
+      .mockResolvedValueOnce({ rows: [{ now: createdAt, prev_hash: 'abc' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // INSERT
+      .mockResolvedValueOnce({ rows: [] }); // COMMIT
 
     const payload = { meta: { version: '0.1.0' } };
 
     await writeAuditEvent(HELLO_AUDIT_EVENT_TYPE, payload);
 
-    expect(db.__queryMock).toHaveBeenCalledTimes(2);
+    expect(ensureSchema).toHaveBeenCalled();
+    expect(db.__queryMock).not.toHaveBeenCalled();
 
-    const [createSql] = db.__queryMock.mock.calls[0];
-    expect(createSql).toMatch(/CREATE TABLE IF NOT EXISTS\s+audit_events/i);
+    expect(db.__clientQueryMock).toHaveBeenCalledTimes(5);
+    expect(db.__clientQueryMock.mock.calls[0][0]).toBe('BEGIN');
+    expect(db.__clientQueryMock.mock.calls[1][0]).toMatch(/pg_advisory_xact_lock/);
 
-    const [insertSql, insertParams] = db.__queryMock.mock.calls[1];
+    const [insertSql, insertParams] = db.__clientQueryMock.mock.calls[3];
     expect(insertSql).toMatch(/INSERT INTO\s+audit_events/i);
     expect(insertParams[0]).toBe(HELLO_AUDIT_EVENT_TYPE);
-    expect(insertParams[1]).toEqual(payload);
+    expect(JSON.parse(insertParams[1])).toEqual(payload);
+    expect(insertParams[2]).toBe(createdAt);
+    expect(insertParams[3]).toBe('abc');
+    expect(insertParams[4]).toBe(
+      computeAuditEventHash({
+        prevHash: 'abc',
+        eventType: HELLO_AUDIT_EVENT_TYPE,
+        payload,
+        createdAt,
+      }),
+    );
+
+    expect(db.__clientQueryMock.mock.calls[4][0]).toBe('COMMIT');
   });
 
-  test('getLatestAuditEventByType ensures table and returns latest row', async () => {
+  test('computeAuditEventHash ignores key order and covers every field', () => {
+    const base = {
+      prevHash: 'abc',
+      eventType: 'MARKING_SUBMITTED',
+      payload: { meta: { responseId: 1, deploymentCode: 'D1' }, actor: null },
+      createdAt: '2026-01-01T00:00:00.000Z',
+    };
+    const hash = computeAuditEventHash(base);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(
+      computeAuditEventHash({
+        ...base,
+        payload: { actor: null, meta: { deploymentCode: 'D1', responseId: 1 } },
+        createdAt: new Date(base.createdAt),
+      }),
+    ).toBe(hash);
+
+    expect(computeAuditEventHash({ ...base, prevHash: null })).not.toBe(hash);
+    expect(
+      computeAuditEventHash({ ...base, eventType: 'MARKING_DRAFT_SAVED' }),
+    ).not.toBe(hash);
+    expect(
+      computeAuditEventHash({
+        ...base,
+        payload: { meta: { responseId: 2, deploymentCode: 'D1' }, actor: null },
+      }),
+    ).not.toBe(hash);
+    expect(
+      computeAuditEventHash({ ...base, createdAt: '2026-01-01T00:00:00.001Z' }),
+    ).not.toBe(hash);
+  });
+
+  test('getLatestAuditEventByType runs no DDL and returns latest row', async () => {
     const fakeRow = {
       id: 1,
       event_type: HELLO_AUDIT_EVENT_TYPE,
@@ -50,18 +115,13 @@ describe('audit module', () => {
       created_at: new Date().toISOString(),
     };
 
-    db.__queryMock
-      .mockResolvedValueOnce({ rows: [] }) // CREATE TABLE
-      .mockResolvedValueOnce({ rows: [fakeRow] }); // SELECT
+    db.__queryMock.mockResolvedValueOnce({ rows: [fakeRow] }); // SELECT
 
     const result = await getLatestAuditEventByType(HELLO_AUDIT_EVENT_TYPE);
 
-    expect(db.__queryMock).toHaveBeenCalledTimes(2);
-
-    const [createSql] = db.__queryMock.mock.calls[0];
-    expect(createSql).toMatch(/CREATE TABLE IF NOT EXISTS\s+audit_events/i);
+    expect(db.__queryMock).toHaveBeenCalledTimes(1);
 
-    const [selectSql, selectParams] = db.__queryMock.mock.calls[1];
+    const [selectSql, selectParams] = db.__queryMock.mock.calls[0];
     expect(selectSql).toMatch(/SELECT\s+id,\s*event_type,\s*payload,\s*created_at\s+FROM\s+audit_events/i);
     expect(selectParams[0]).toBe(HELLO_AUDIT_EVENT_TYPE);
 
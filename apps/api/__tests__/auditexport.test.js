@@ -0,0 +1,100 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const {
+  AUDIT_EXPORT_BASE_COLUMNS,
+  flattenAuditEvent,
+  toCsvLine,
+} = require('../src/auditexport');
+
+const COLUMNS = [...AUDIT_EXPORT_BASE_COLUMNS, 'meta.marks', 'meta.responseId'];
+
+describe('flattenAuditEvent', () => {
+  test('flattens actor and meta into the export columns, in order', () => {
+    const record = flattenAuditEvent(
+      {
+        id: 7,
+        event_type: 'MARKING_SUBMITTED',
+        created_at: new Date('2026-03-01T09:00:00.000Z'),
+        prev_hash: 'a',
+        hash: 'b',
+        payload: {
+          meta: { responseId: 11, marks: { Q1: 2 }, ignored: undefined },
+          actor: { id: 3, externalId: 'm1', displayName: 'Marker One' },
+        },
+      },
+      COLUMNS,
+    );
+
+    expect(Object.keys(record)).toEqual(COLUMNS);
+    expect(record).toEqual({
+      id: 7,
+      event_type: 'MARKING_SUBMITTED',
+      created_at: '2026-03-01T09:00:00.000Z',
+      prev_hash: 'a',
+      hash: 'b',
+      'actor.id': 3,
+      'actor.externalId': 'm1',
+      'actor.displayName': 'Marker One',
+      'subject.id': null,
+      'subject.externalId': null,
+      'subject.displayName': null,
+      'meta.marks': { Q1: 2 },
+      'meta.responseId': 11,
+    });
+  });
+
+  test('fills columns the event does not have with null', () => {
+    const record = flattenAuditEvent(
+      {
+        id: 8,
+        event_type: 'HELLO_AUDIT_EVENT',
+        created_at: '2026-03-01T09:00:00.000Z',
+        prev_hash: null,
+        hash: null,
+        payload: { meta: {}, actor: null },
+      },
+      COLUMNS,
+    );
+
+    expect(record['actor.externalId']).toBeNull();
+    expect(record['meta.responseId']).toBeNull();
+  });
+
+  test('flattens the subject of a denied request', () => {
+    const record = flattenAuditEvent(
+      {
+        id: 9,
+        event_type: 'PERMISSION_DENIED',
+        created_at: '2026-03-01T09:00:00.000Z',
+        prev_hash: null,
+        hash: null,
+        payload: {
+          meta: { reason: 'missing_permission' },
+          subject: { id: 4, externalId: 'u1', displayName: 'User One' },
+        },
+      },
+      COLUMNS,
+    );
+
+    expect(record).toMatchObject({
+      'actor.externalId': null,
+      'subject.id': 4,
+      'subject.externalId': 'u1',
+      'subject.displayName': 'User One',
+    });
+  });
+});
+
+describe('toCsvLine', () => {
+  test('quotes cells that need it and encodes objects as JSON', () => {
+    expect(
+      toCsvLine([1, 'plain', 'a,b', 'say "hi"', 'two\nlines', null, { Q1: 2 }, true]),
+    ).toBe('1,plain,"a,b","say ""hi""","two\nlines",,"{""Q1"":2}",true\r\n');
+  });
+});
@@ -0,0 +1,774 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const { ensureMarkingTables } = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+  getAllocationById,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  EXCEPTION_RAISED_EVENT_TYPE,
+  EXCEPTION_TRANSITIONED_EVENT_TYPE,
+  EXCEPTION_RESOLVED_EVENT_TYPE,
+  PERMISSION_DENIED_EVENT_TYPE,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+const {
+  ensureExceptionTables,
+  EXCEPTION_CASES_TABLE_NAME,
+} = require('../src/exceptions');
+
+jest.setTimeout(30000);
+
+
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG and `count` responses
+async function seedQigWithResponses(count) {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_EXC', 'Exception Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_EXC', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_EXC', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_EXC', 'QIG');
+  await createItem(qigRow.id, 'I_EXC_1', 10);
+
+  const responseRows = [];
+  for (let i = 1; i <= count; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const responseRow = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId: `C_EXC_${i}`,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    responseRows.push(responseRow);
+  }
+
+  return { qigRow, responseRows };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for exception tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+// A LIVE_APPROVED marker on the given QIG.
+async function seedMarker(externalId, qigId) {
+  const user = await seedUserWithPermissions(externalId, ['marking.edit']);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(user.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+  return user;
+}
+
+// Make the nth query matching pattern on the next pooled client fail.
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('Exception cases on responses', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureExceptionTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${EXCEPTION_CASES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  async function readAuditMetas(eventType) {
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [eventType],
+    );
+    return rows.map((r) => r.payload.meta);
+  }
+
+  test('raising holds the response until it is returned to the pool', async () => {
+    const { qigRow, responseRows } = await seedQigWithResponses(1);
+    const responseId = responseRows[0].id;
+    await seedMarker('ae1', qigRow.id);
+    await seedUserWithPermissions('exc-admin', [
+      'exceptions.view',
+      'exceptions.manage',
+    ]);
+    await seedUserWithPermissions('exc-lead', [
+      'marking.edit',
+      'supervision.manage',
+    ]);
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(claim.statusCode).toBe(200);
+    const allocationId = claim.json.allocation.id;
+
+    const raised = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES', description: 'Page 3 is blank' },
+      headersFor('ae1'),
+    );
+    expect(raised.statusCode).toBe(201);
+    expect(raised.json.exception).toMatchObject({
+      responseId,
+      candidateId: 'C_EXC_1',
+      deploymentCode: 'D_EXC',
+      qigCode: 'Q_EXC',
+      category: 'MISSING_PAGES',
+      state: 'OPEN',
+      description: 'Page 3 is blank',
+      raisedByExternalId: 'ae1',
+      responseState: 'HELD',
+      previousResponseState: 'INGESTED',
+      heldAllocationIds: [allocationId],
+    });
+    const exceptionId = raised.json.exception.id;
+
+    const suspended = await getAllocationById(allocationId);
+    expect(suspended.state).toBe('SUSPENDED');
+    expect(suspended.reason_code).toBe('EXCEPTION_RAISED');
+
+    const draft = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/draft`,
+      { marks: { I_EXC_1: 3 } },
+      headersFor('ae1'),
+    );
+    expect(draft.statusCode).toBe(409);
+    expect(draft.json).toEqual({ error: 'response_held' });
+
+    const duplicate = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'TECHNICAL_ISSUE' },
+      headersFor('exc-lead'),
+    );
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.json).toEqual({
+      error: 'exception_already_open',
+      exceptionId,
+    });
+
+    const emptyPool = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(emptyPool.statusCode).toBe(404);
+
+    // Admin queue: markers cannot see it, filters narrow it.
+    const markerQueue = await httpGetJson(port, '/exceptions', headersFor('ae1'));
+    expect(markerQueue.statusCode).toBe(403);
+
+    const queue = await httpGetJson(port, '/exceptions', headersFor('exc-admin'));
+    expect(queue.statusCode).toBe(200);
+    expect(queue.json.exceptions.map((e) => e.id)).toEqual([exceptionId]);
+
+    const filtered = await httpGetJson(
+      port,
+      '/exceptions?category=SUSPECTED_MALPRACTICE&qigCode=Q_EXC',
+      headersFor('exc-admin'),
+    );
+    expect(filtered.statusCode).toBe(200);
+    expect(filtered.json.exceptions).toEqual([]);
+
+    const inReview = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/transition`,
+      { toState: 'IN_REVIEW', reasonCode: 'TRIAGED' },
+      headersFor('exc-admin'),
+    );
+    expect(inReview.statusCode).toBe(200);
+    expect(inReview.json.exception).toMatchObject({
+      state: 'IN_REVIEW',
+      reasonCode: 'TRIAGED',
+    });
+
+    const backToOpen = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/transition`,
+      { toState: 'OPEN' },
+      headersFor('exc-admin'),
+    );
+    expect(backToOpen.statusCode).toBe(409);
+    expect(backToOpen.json).toEqual({
+      error: 'invalid_transition',
+      fromState: 'IN_REVIEW',
+      toState: 'OPEN',
+    });
+
+    const resolvedByTransition = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/transition`,
+      { toState: 'RESOLVED' },
+      headersFor('exc-admin'),
+    );
+    expect(resolvedByTransition.statusCode).toBe(400);
+    expect(resolvedByTransition.json).toEqual({ error: 'resolution_required' });
+
+    const resolved = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/resolve`,
+      { resolution: 'RETURN_TO_POOL', note: 'Missing page rescanned' },
+      headersFor('exc-admin'),
+    );
+    expect(resolved.statusCode).toBe(200);
+    expect(resolved.json.exception).toMatchObject({
+      state: 'RESOLVED',
+      resolution: 'RETURN_TO_POOL',
+      resolutionNote: 'Missing page rescanned',
+      responseState: 'INGESTED',
+    });
+
+    const released = await getAllocationById(allocationId);
+    expect(released.state).toBe('READY');
+    expect(released.marker_user_id).toBeNull();
+
+    const openQueue = await httpGetJson(port, '/exceptions', headersFor('exc-admin'));
+    expect(openQueue.json.exceptions).toEqual([]);
+    const resolvedQueue = await httpGetJson(
+      port,
+      '/exceptions?state=RESOLVED',
+      headersFor('exc-admin'),
+    );
+    expect(resolvedQueue.json.exceptions.map((e) => e.id)).toEqual([exceptionId]);
+
+    const reclaim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(reclaim.statusCode).toBe(200);
+    expect(reclaim.json.response.id).toBe(responseId);
+
+    const raisedMetas = await readAuditMetas(EXCEPTION_RAISED_EVENT_TYPE);
+    expect(raisedMetas).toEqual([
+      expect.objectContaining({
+        exceptionId,
+        category: 'MISSING_PAGES',
+        responseId,
+        heldAllocationIds: [allocationId],
+      }),
+    ]);
+    const transitionMetas = await readAuditMetas(EXCEPTION_TRANSITIONED_EVENT_TYPE);
+    expect(transitionMetas.map((m) => [m.toState, m.result])).toEqual([
+      ['IN_REVIEW', 'SUCCESS'],
+      ['OPEN', 'REJECTED'],
+      ['RESOLVED', 'REJECTED'],
+    ]);
+    const resolvedMetas = await readAuditMetas(EXCEPTION_RESOLVED_EVENT_TYPE);
+    expect(resolvedMetas).toEqual([
+      expect.objectContaining({
+        exceptionId,
+        resolution: 'RETURN_TO_POOL',
+        releasedAllocationIds: [allocationId],
+      }),
+    ]);
+  });
+
+  test('closing a response keeps it out of marking', async () => {
+    const { qigRow, responseRows } = await seedQigWithResponses(1);
+    const responseId = responseRows[0].id;
+    await seedMarker('ae1', qigRow.id);
+    await seedUserWithPermissions('exc-admin', [
+      'exceptions.view',
+      'exceptions.manage',
+    ]);
+    // A supervisor raises on a Response nobody has claimed.
+    await seedUserWithPermissions('exc-lead', [
+      'marking.edit',
+      'supervision.manage',
+    ]);
+
+    const badCategory = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'SMUDGED' },
+      headersFor('exc-lead'),
+    );
+    expect(badCategory.statusCode).toBe(400);
+    expect(badCategory.json).toEqual({ error: 'invalid_category' });
+
+    const raised = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'SUSPECTED_MALPRACTICE' },
+      headersFor('exc-lead'),
+    );
+    expect(raised.statusCode).toBe(201);
+    expect(raised.json.exception.heldAllocationIds).toEqual([]);
+    const exceptionId = raised.json.exception.id;
+
+    const escalated = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/transition`,
+      { toState: 'ESCALATED' },
+      headersFor('exc-admin'),
+    );
+    expect(escalated.statusCode).toBe(200);
+
+    const closed = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/resolve`,
+      { resolution: 'CLOSE' },
+      headersFor('exc-admin'),
+    );
+    expect(closed.statusCode).toBe(200);
+    expect(closed.json.exception).toMatchObject({
+      state: 'RESOLVED',
+      resolution: 'CLOSE',
+      responseState: 'CLOSED',
+    });
+
+    const again = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/resolve`,
+      { resolution: 'RETURN_TO_POOL' },
+      headersFor('exc-admin'),
+    );
+    expect(again.statusCode).toBe(409);
+    expect(again.json.error).toBe('invalid_transition');
+
+    const reraise = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'TECHNICAL_ISSUE' },
+      headersFor('exc-lead'),
+    );
+    expect(reraise.statusCode).toBe(409);
+    expect(reraise.json).toEqual({ error: 'response_closed' });
+
+    const draft = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/draft`,
+      { marks: { I_EXC_1: 3 } },
+      headersFor('ae1'),
+    );
+    expect(draft.statusCode).toBe(409);
+    expect(draft.json).toEqual({ error: 'response_closed' });
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(claim.statusCode).toBe(404);
+
+    const detail = await httpGetJson(
+      port,
+      `/exceptions/${exceptionId}`,
+      headersFor('exc-admin'),
+    );
+    expect(detail.statusCode).toBe(200);
+    expect(detail.json.exception.id).toBe(exceptionId);
+
+    const missing = await httpGetJson(port, '/exceptions/999999', headersFor('exc-admin'));
+    expect(missing.statusCode).toBe(404);
+    expect(missing.json).toEqual({ error: 'exception_not_found' });
+  });
+
+  test('only the allocated marker or a supervisor can raise', async () => {
+    const { qigRow, responseRows } = await seedQigWithResponses(1);
+    const responseId = responseRows[0].id;
+    await seedMarker('ae1', qigRow.id);
+    await seedMarker('ae2', qigRow.id);
+    await seedUserWithPermissions('exc-lead', [
+      'marking.edit',
+      'supervision.manage',
+    ]);
+
+    const unclaimed = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES' },
+      headersFor('ae1'),
+    );
+    expect(unclaimed.statusCode).toBe(403);
+    expect(unclaimed.json).toEqual({
+      error: 'forbidden',
+      reason: 'response_not_allocated',
+    });
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(claim.statusCode).toBe(200);
+
+    const otherMarker = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES' },
+      headersFor('ae2'),
+    );
+    expect(otherMarker.statusCode).toBe(403);
+    expect(otherMarker.json.reason).toBe('response_not_allocated');
+
+    const submit = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/submit`,
+      { marks: { I_EXC_1: 3 } },
+      headersFor('ae1'),
+    );
+    expect(submit.statusCode).toBe(200);
+
+    const afterSubmit = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES' },
+      headersFor('ae1'),
+    );
+    expect(afterSubmit.statusCode).toBe(403);
+    expect(afterSubmit.json.reason).toBe('response_not_allocated');
+
+    const missing = await httpPostJson(
+      port,
+      '/marking/responses/999999/exceptions',
+      { category: 'MISSING_PAGES' },
+      headersFor('ae1'),
+    );
+    expect(missing.statusCode).toBe(404);
+    expect(missing.json).toEqual({ error: 'response_not_found' });
+
+    const supervisor = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES' },
+      headersFor('exc-lead'),
+    );
+    expect(supervisor.statusCode).toBe(201);
+    expect(supervisor.json.exception.heldAllocationIds).toEqual([]);
+
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [PERMISSION_DENIED_EVENT_TYPE],
+    );
+    expect(rows.map((r) => [r.payload.subject.externalId, r.payload.meta.reason])).toEqual([
+      ['ae1', 'response_not_allocated'],
+      ['ae2', 'response_not_allocated'],
+      ['ae1', 'response_not_allocated'],
+    ]);
+  });
+
+  test('a raise or resolve whose audit event fails changes nothing', async () => {
+    const { qigRow, responseRows } = await seedQigWithResponses(1);
+    const responseId = responseRows[0].id;
+    await seedMarker('ae1', qigRow.id);
+    await seedUserWithPermissions('exc-admin', [
+      'exceptions.view',
+      'exceptions.manage',
+    ]);
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_EXC/next',
+      {},
+      headersFor('ae1'),
+    );
+    expect(claim.statusCode).toBe(200);
+    const allocationId = claim.json.allocation.id;
+
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The suspension is audited first, EXCEPTION_RAISED second.
+    let connectSpy = injectClientFailure(/INSERT INTO audit_events/, 2);
+    try {
+      const failedRaise = await httpPostJson(
+        port,
+        `/marking/responses/${responseId}/exceptions`,
+        { category: 'MISSING_PAGES' },
+        headersFor('ae1'),
+      );
+      expect(failedRaise.statusCode).toBe(500);
+    } finally {
+      connectSpy.mockRestore();
+    }
+
+    const caseCount = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM ${EXCEPTION_CASES_TABLE_NAME}`,
+    );
+    expect(caseCount.rows[0].n).toBe(0);
+    const responseState = await pool.query(
+      `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+      [responseId],
+    );
+    expect(responseState.rows[0].state).toBe('INGESTED');
+    expect((await getAllocationById(allocationId)).state).toBe('IN_MARKING');
+
+    const raised = await httpPostJson(
+      port,
+      `/marking/responses/${responseId}/exceptions`,
+      { category: 'MISSING_PAGES' },
+      headersFor('ae1'),
+    );
+    expect(raised.statusCode).toBe(201);
+    const exceptionId = raised.json.exception.id;
+
+    // The release is audited first, EXCEPTION_RESOLVED second.
+    connectSpy = injectClientFailure(/INSERT INTO audit_events/, 2);
+    try {
+      const failedResolve = await httpPostJson(
+        port,
+        `/exceptions/${exceptionId}/resolve`,
+        { resolution: 'RETURN_TO_POOL' },
+        headersFor('exc-admin'),
+      );
+      expect(failedResolve.statusCode).toBe(500);
+    } finally {
+      connectSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+
+    const detail = await httpGetJson(
+      port,
+      `/exceptions/${exceptionId}`,
+      headersFor('exc-admin'),
+    );
+    expect(detail.json.exception).toMatchObject({
+      state: 'OPEN',
+      responseState: 'HELD',
+    });
+    expect((await getAllocationById(allocationId)).state).toBe('SUSPENDED');
+
+    const resolved = await httpPostJson(
+      port,
+      `/exceptions/${exceptionId}/resolve`,
+      { resolution: 'RETURN_TO_POOL' },
+      headersFor('exc-admin'),
+    );
+    expect(resolved.statusCode).toBe(200);
+    expect((await getAllocationById(allocationId)).state).toBe('READY');
+  });
+});
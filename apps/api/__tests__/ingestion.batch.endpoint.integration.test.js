@@ -0,0 +1,696 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  SCRIPTS_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+  getLatestAuditEventByType,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+const MANIFEST = {
+  schemaVersion: 1,
+  booklets: [{ id: 'MAIN' }],
+  pages: [
+    {
+      bookletId: 'MAIN',
+      pageNumber: 1,
+      width: 2480,
+      height: 3508,
+      checksum: `sha256:${'0'.repeat(64)}`,
+    },
+  ],
+  itemPages: { Q1a: [{ bookletId: 'MAIN', pageNumber: 1 }] },
+};
+
+function httpRequest(port, method, pathname, headers = {}, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method,
+        headers: {
+          ...(body ? { 'Content-Length': body.length } : {}),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          let json = null;
+          try {
+            json = raw.length ? JSON.parse(raw.toString('utf8')) : null;
+          } catch (_err) {
+            // binary body, leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one series / paper and two QIGs
+async function seedAssessmentTree(deploymentCode) {
+  await ensureConfigTables();
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    [deploymentCode, `Batch ${deploymentCode}`],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S1', 'Series 1');
+  const paperRow = await createPaper(seriesRow.id, 'P1', 'Paper 1');
+  const qig1 = await createQig(paperRow.id, 'Q1', 'QIG 1');
+  const qig2 = await createQig(paperRow.id, 'Q2', 'QIG 2');
+
+  return { deploymentId, seriesRow, paperRow, qig1, qig2 };
+}
+
+// Helper: create a user with the given permissions
+async function seedUserWithPermissions(externalId, displayName, permissionKeys) {
+  await ensureIdentityTables();
+
+  const user = await createUser(externalId, displayName);
+  const role = await createRole(
+    `BATCH_${externalId}`,
+    `Batch ingestion test role for ${externalId}`,
+  );
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for batch tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+async function countResponses() {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM ${RESPONSES_TABLE_NAME}`,
+  );
+  return rows[0].count;
+}
+
+// Make the nth query matching pattern on the next pooled client fail.
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+describe('POST /ingestion/:deploymentCode/responses:batch', () => {
+  let server;
+  let port;
+
+  const headers = {
+    'x-user-external-id': 'batch-admin',
+    'x-user-display-name': 'Batch Admin',
+  };
+
+  function postBatch(deploymentCode, body, contentType, query = '') {
+    return httpRequest(
+      port,
+      'POST',
+      `/ingestion/${deploymentCode}/responses:batch${query}`,
+      { ...headers, 'Content-Type': contentType },
+      Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)),
+    );
+  }
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${SCRIPTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('batch-admin', 'Batch Admin', [
+      'ingestion.view',
+      'ingestion.manage',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('dry run reports per-row actions without writing, then the batch commits', async () => {
+    const { qig1 } = await seedAssessmentTree('D_BATCH');
+    const existing = await upsertResponse({
+      qigId: qig1.id,
+      candidateId: 'C2',
+      scriptUrl: 'https://example.test/old.pdf',
+      manifest: null,
+      state: 'INGESTED',
+    });
+
+    const rows = [
+      {
+        series: 'S1',
+        paper: 'P1',
+        qig: 'Q1',
+        candidateId: 'C1',
+        scriptUrl: 'https://example.test/c1.pdf',
+        manifest: MANIFEST,
+      },
+      {
+        series: 'S1',
+        paper: 'P1',
+        qig: 'Q1',
+        candidateId: 'C2',
+        scriptUrl: 'https://example.test/c2.pdf',
+      },
+      { series: 'S1', paper: 'P1', qig: 'Q2', candidateId: 'C1' },
+    ];
+
+    const dryRun = await postBatch(
+      'D_BATCH',
+      rows,
+      'application/json',
+      '?dryRun=true',
+    );
+    expect(dryRun.statusCode).toBe(200);
+    expect(dryRun.json).toMatchObject({
+      deploymentCode: 'D_BATCH',
+      dryRun: true,
+      committed: false,
+      summary: { total: 3, ok: 3, errors: 0, created: 2, updated: 1 },
+    });
+    expect(dryRun.json.rows.map((r) => [r.row, r.status, r.action])).toEqual([
+      [1, 'ok', 'create'],
+      [2, 'ok', 'update'],
+      [3, 'ok', 'create'],
+    ]);
+    expect(await countResponses()).toBe(1);
+
+    const applied = await postBatch('D_BATCH', rows, 'application/json');
+    expect(applied.statusCode).toBe(200);
+    expect(applied.json.committed).toBe(true);
+    expect(applied.json.rows[1].responseId).toBe(existing.id);
+    expect(await countResponses()).toBe(3);
+
+    const { rows: stored } = await pool.query(
+      `
+        SELECT candidate_id, qig_id, script_url, manifest, state, script_id
+        FROM ${RESPONSES_TABLE_NAME}
+        ORDER BY qig_id, candidate_id
+      `,
+    );
+    expect(stored[0]).toMatchObject({
+      candidate_id: 'C1',
+      script_url: 'https://example.test/c1.pdf',
+      manifest: MANIFEST,
+      state: 'INGESTED',
+    });
+    // Re-ingestion refreshes the source fields but keeps the state.
+    expect(stored[1]).toMatchObject({
+      candidate_id: 'C2',
+      script_url: 'https://example.test/c2.pdf',
+      state: 'INGESTED',
+    });
+    // Both QIG responses of candidate C1 share one Script.
+    expect(stored[2].candidate_id).toBe('C1');
+    expect(stored[2].script_id).toBe(stored[0].script_id);
+
+    const audit = await getLatestAuditEventByType(
+      RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+    );
+    expect(audit.payload.meta).toMatchObject({
+      deploymentCode: 'D_BATCH',
+      total: 3,
+      created: 2,
+      updated: 1,
+    });
+    expect(audit.payload.actor.externalId).toBe('batch-admin');
+  });
+
+  test('re-ingestion skips responses that marking has moved on', async () => {
+    const { qig1 } = await seedAssessmentTree('D_BATCH');
+    const seeded = {};
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [candidateId, state] of [
+      ['C1', 'INGESTED'],
+      ['C2', 'LOCKED'],
+      ['C3', 'HELD'],
+    ]) {
+      // eslint-disable-next-line no-await-in-loop
+      seeded[candidateId] = await upsertResponse({
+        qigId: qig1.id,
+        candidateId,
+        scriptUrl: 'https://example.test/old.pdf',
+        manifest: null,
+        state,
+      });
+    }
+
+    const rows = ['C1', 'C2', 'C3'].map((candidateId) => ({
+      series: 'S1',
+      paper: 'P1',
+      qig: 'Q1',
+      candidateId,
+      scriptUrl: `https://example.test/${candidateId}.pdf`,
+      manifest: MANIFEST,
+    }));
+
+    const dryRun = await postBatch(
+      'D_BATCH',
+      rows,
+      'application/json',
+      '?dryRun=true',
+    );
+    expect(dryRun.statusCode).toBe(200);
+    expect(dryRun.json.summary).toEqual({
+      total: 3,
+      ok: 3,
+      errors: 0,
+      created: 0,
+      updated: 1,
+      skipped: 2,
+    });
+    expect(
+      dryRun.json.rows.map((r) => [r.candidateId, r.action, r.reason]),
+    ).toEqual([
+      ['C1', 'update', undefined],
+      ['C2', 'skip', 'response_in_marking'],
+      ['C3', 'skip', 'response_in_marking'],
+    ]);
+
+    const applied = await postBatch('D_BATCH', rows, 'application/json');
+    expect(applied.statusCode).toBe(200);
+    expect(applied.json.committed).toBe(true);
+    expect(applied.json.rows[1]).toMatchObject({
+      status: 'ok',
+      action: 'skip',
+      responseId: seeded.C2.id,
+      reason: 'response_in_marking',
+    });
+
+    const { rows: stored } = await pool.query(
+      `
+        SELECT candidate_id, script_url, manifest, state, script_id
+        FROM ${RESPONSES_TABLE_NAME}
+        ORDER BY candidate_id
+      `,
+    );
+    expect(stored[0]).toMatchObject({
+      candidate_id: 'C1',
+      script_url: 'https://example.test/C1.pdf',
+      manifest: MANIFEST,
+      state: 'INGESTED',
+    });
+    ['C2', 'C3'].forEach((candidateId, index) => {
+      expect(stored[index + 1]).toEqual({
+        candidate_id: candidateId,
+        script_url: 'https://example.test/old.pdf',
+        manifest: null,
+        state: seeded[candidateId].state,
+        script_id: seeded[candidateId].script_id,
+      });
+    });
+
+    const audit = await getLatestAuditEventByType(
+      RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+    );
+    expect(audit.payload.meta).toMatchObject({
+      total: 3,
+      created: 0,
+      updated: 1,
+      skipped: 2,
+    });
+  });
+
+  test('the batch audit event is written in the batch transaction', async () => {
+    await seedAssessmentTree('D_BATCH');
+    const rows = [{ series: 'S1', paper: 'P1', qig: 'Q1', candidateId: 'C1' }];
+
+    const spy = injectClientFailure(/INSERT INTO audit_events/);
+    let failed;
+    try {
+      failed = await postBatch('D_BATCH', rows, 'application/json');
+    } finally {
+      spy.mockRestore();
+    }
+    expect(failed.statusCode).toBe(500);
+    expect(await countResponses()).toBe(0);
+    expect(
+      await getLatestAuditEventByType(RESPONSES_BATCH_INGESTED_EVENT_TYPE),
+    ).toBeNull();
+
+    const applied = await postBatch('D_BATCH', rows, 'application/json');
+    expect(applied.statusCode).toBe(200);
+    expect(await countResponses()).toBe(1);
+  });
+
+  test('accepts a CSV upload with quoted JSON manifests', async () => {
+    await seedAssessmentTree('D_BATCH');
+
+    const csv = [
+      'series,paper,qig,candidateId,scriptUrl,manifest',
+      `S1,P1,Q1,C1,https://example.test/c1.pdf,"${JSON.stringify(MANIFEST).replace(/"/g, '""')}"`,
+      'S1,P1,Q2,C1,,',
+      '',
+    ].join('\r\n');
+
+    const res = await postBatch('D_BATCH', csv, 'text/csv; charset=utf-8');
+    expect(res.statusCode).toBe(200);
+    expect(res.json.summary).toMatchObject({ total: 2, created: 2 });
+
+    const { rows: stored } = await pool.query(
+      `
+        SELECT candidate_id, script_url, manifest
+        FROM ${RESPONSES_TABLE_NAME}
+        ORDER BY qig_id
+      `,
+    );
+    expect(stored).toEqual([
+      {
+        candidate_id: 'C1',
+        script_url: 'https://example.test/c1.pdf',
+        manifest: MANIFEST,
+      },
+      { candidate_id: 'C1', script_url: null, manifest: null },
+    ]);
+
+    const badCsv = await postBatch(
+      'D_BATCH',
+      'series,paper,candidateId\nS1,P1,C1\n',
+      'text/csv',
+    );
+    expect(badCsv.statusCode).toBe(400);
+    expect(badCsv.json.error).toBe('invalid_csv');
+  });
+
+  test('rejects the whole batch when any row is invalid', async () => {
+    await seedAssessmentTree('D_BATCH');
+
+    const res = await postBatch(
+      'D_BATCH',
+      [
+        { series: 'S1', paper: 'P1', qig: 'Q1', candidateId: 'C1' },
+        { series: 'S1', paper: 'P1', qig: 'Q9', candidateId: 'C2' },
+        { series: 'S9', paper: 'P1', qig: 'Q1', candidateId: 'C3' },
+        { series: 'S1', paper: 'P1', qig: 'Q1' },
+        { series: 'S1', paper: 'P1', qig: 'Q2', candidateId: 'C4', manifest: '{' },
+        {
+          series: 'S1',
+          paper: 'P1',
+          qig: 'Q2',
+          candidateId: 'C5',
+          manifest: { ...MANIFEST, booklets: [] },
+        },
+        { series: 'S1', paper: 'P1', qig: 'Q1', candidateId: 'C1' },
+      ],
+      'application/json',
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(res.json.error).toBe('invalid_rows');
+    expect(res.json.committed).toBe(false);
+    expect(
+      res.json.rows.map((r) => [r.row, r.status, r.error || null]),
+    ).toEqual([
+      [1, 'ok', null],
+      [2, 'error', 'qig_not_found'],
+      [3, 'error', 'series_not_found'],
+      [4, 'error', 'missing_field'],
+      [5, 'error', 'invalid_manifest'],
+      [6, 'error', 'invalid_manifest'],
+      [7, 'error', 'duplicate_row'],
+    ]);
+    expect(res.json.rows[3].field).toBe('candidateId');
+    expect(res.json.rows[4].manifestErrors).toEqual([
+      { path: '$', message: 'is not valid JSON' },
+    ]);
+    expect(res.json.rows[5].manifestErrors).toEqual([
+      { path: '$.booklets', message: 'must be a non-empty array' },
+      {
+        path: '$.pages[0].bookletId',
+        message: 'references unknown booklet "MAIN"',
+      },
+      {
+        path: '$.itemPages.Q1a[0]',
+        message: 'references unknown page 1 of booklet "MAIN"',
+      },
+    ]);
+    expect(await countResponses()).toBe(0);
+  });
+
+  test('validates the deployment, payload and permission', async () => {
+    await seedAssessmentTree('D_BATCH');
+
+    const missingDeployment = await postBatch(
+      'D_UNKNOWN',
+      [{ series: 'S1', paper: 'P1', qig: 'Q1', candidateId: 'C1' }],
+      'application/json',
+    );
+    expect(missingDeployment.statusCode).toBe(404);
+    expect(missingDeployment.json).toEqual({ error: 'deployment_not_found' });
+
+    const notArray = await postBatch(
+      'D_BATCH',
+      { series: 'S1' },
+      'application/json',
+    );
+    expect(notArray.statusCode).toBe(400);
+    expect(notArray.json).toEqual({ error: 'invalid_payload' });
+
+    await seedUserWithPermissions('batch-viewer', 'Batch Viewer', [
+      'ingestion.view',
+    ]);
+    const forbidden = await httpRequest(
+      port,
+      'POST',
+      '/ingestion/D_BATCH/responses:batch',
+      {
+        'x-user-external-id': 'batch-viewer',
+        'x-user-display-name': 'Batch Viewer',
+        'Content-Type': 'application/json',
+      },
+      Buffer.from('[]'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+  });
+  test('reports stored manifests that do not match the schema', async () => {
+    const { qig1, qig2 } = await seedAssessmentTree('D_BATCH');
+    const valid = await upsertResponse({
+      qigId: qig1.id,
+      candidateId: 'C1',
+      manifest: MANIFEST,
+      state: 'INGESTED',
+    });
+    const missing = await upsertResponse({
+      qigId: qig2.id,
+      candidateId: 'C1',
+      manifest: null,
+      state: 'INGESTED',
+    });
+    // Rows written before manifests were validated.
+    const { rows: legacy } = await pool.query(
+      `
+        INSERT INTO ${RESPONSES_TABLE_NAME} (qig_id, candidate_id, manifest, state)
+        VALUES ($1, 'C2', $2, 'INGESTED')
+        RETURNING id
+      `,
+      [qig1.id, { pages: [1, 2] }],
+    );
+
+    const res = await httpRequest(
+      port,
+      'GET',
+      '/ingestion/D_BATCH/manifest-report',
+      headers,
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.json.currentSchemaVersion).toBe(1);
+    expect(res.json.summary).toEqual({
+      total: 3,
+      valid: 1,
+      invalid: 1,
+      missing: 1,
+    });
+    expect(
+      res.json.responses.map((r) => [r.responseId, r.status]),
+    ).toEqual([
+      [valid.id, 'valid'],
+      [missing.id, 'missing'],
+      [legacy[0].id, 'invalid'],
+    ]);
+    expect(res.json.responses[2]).toMatchObject({
+      qigCode: 'Q1',
+      candidateId: 'C2',
+      errors: [{ path: '$.schemaVersion', message: 'is required' }],
+    });
+
+    const invalidOnly = await httpRequest(
+      port,
+      'GET',
+      '/ingestion/D_BATCH/manifest-report?qigCode=Q1&status=invalid',
+      headers,
+    );
+    expect(invalidOnly.statusCode).toBe(200);
+    expect(invalidOnly.json.summary.total).toBe(2);
+    expect(invalidOnly.json.responses.map((r) => r.responseId)).toEqual([
+      legacy[0].id,
+    ]);
+
+    await expect(
+      upsertResponse({
+        qigId: qig2.id,
+        candidateId: 'C3',
+        manifest: { schemaVersion: 1, booklets: [{ id: 'MAIN' }], pages: [] },
+      }),
+    ).rejects.toMatchObject({
+      code: 'INVALID_MANIFEST',
+      errors: [{ path: '$.pages', message: 'must be a non-empty array' }],
+    });
+
+    const badStatus = await httpRequest(
+      port,
+      'GET',
+      '/ingestion/D_BATCH/manifest-report?status=broken',
+      headers,
+    );
+    expect(badStatus.statusCode).toBe(400);
+
+    const unknown = await httpRequest(
+      port,
+      'GET',
+      '/ingestion/D_UNKNOWN/manifest-report',
+      headers,
+    );
+    expect(unknown.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  SCRIPTS_TABLE_NAME,
+  BOOKLETS_TABLE_NAME,
+  PAGE_IMAGES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+function httpRequest(port, method, pathname, headers = {}, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method,
+        headers: {
+          ...(body ? { 'Content-Length': body.length } : {}),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          let json = null;
+          try {
+            json = raw.length ? JSON.parse(raw.toString('utf8')) : null;
+          } catch (_err) {
+            // binary body, leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+// Helper: seed a deployment + QIG + response (and therefore a Script)
+async function seedResponseWithScript(deploymentCode) {
+  await ensureConfigTables();
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    [deploymentCode, `Pages ${deploymentCode}`],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_PAGES', 'Series Pages');
+  const paperRow = await createPaper(seriesRow.id, 'P_PAGES', 'Paper Pages');
+  const qigRow = await createQig(paperRow.id, 'Q_PAGES', 'QIG Pages');
+
+  return upsertResponse({
+    qigId: qigRow.id,
+    candidateId: `C_${deploymentCode}`,
+    scriptUrl: null,
+    manifest: null,
+    state: 'INGESTED',
+  });
+}
+
+// Helper: create a user with the given permissions
+async function seedUserWithPermissions(externalId, displayName, permissionKeys) {
+  await ensureIdentityTables();
+
+  const user = await createUser(externalId, displayName);
+  const role = await createRole(
+    `PAGES_${externalId}`,
+    `Page image test role for ${externalId}`,
+  );
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for page tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+describe('Booklets, page images and page streaming', () => {
+  let server;
+  let port;
+  let blobRoot;
+
+  const headers = {
+    'x-user-external-id': 'pages-admin',
+    'x-user-display-name': 'Pages Admin',
+  };
+
+  // 1 KiB of deterministic "image" bytes
+  const pageBytes = Buffer.from(
+    Array.from({ length: 1024 }, (_v, i) => i % 256),
+  );
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    blobRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'paritymark-pages-'));
+    process.env.BLOB_STORE_ROOT = blobRoot;
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${PAGE_IMAGES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${BOOKLETS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${SCRIPTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('pages-admin', 'Pages Admin', [
+      'ingestion.view',
+      'ingestion.manage',
+      'assessment.view',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+    fs.rmSync(blobRoot, { recursive: true, force: true });
+  });
+
+  async function uploadPage(scriptId, bookletCode, pageNumber, contentType, body) {
+    return httpRequest(
+      port,
+      'POST',
+      `/ingestion/scripts/${scriptId}/booklets/${bookletCode}/pages/${pageNumber}`,
+      { ...headers, 'Content-Type': contentType },
+      body,
+    );
+  }
+
+  test('uploads page images into booklets of a script and lists them', async () => {
+    const responseRow = await seedResponseWithScript('D_PAGES');
+    const scriptId = responseRow.script_id;
+
+    const first = await uploadPage(scriptId, 'MAIN', 1, 'image/png', pageBytes);
+    expect(first.statusCode).toBe(201);
+    expect(first.json.page).toMatchObject({
+      scriptId,
+      bookletCode: 'MAIN',
+      pageNumber: 1,
+      contentType: 'image/png',
+      byteSize: 1024,
+    });
+
+    const second = await uploadPage(
+      scriptId,
+      'EXTRA',
+      1,
+      'image/jpeg',
+      Buffer.from('jpeg-bytes'),
+    );
+    expect(second.statusCode).toBe(201);
+
+    const unsupported = await uploadPage(
+      scriptId,
+      'MAIN',
+      2,
+      'text/plain',
+      Buffer.from('nope'),
+    );
+    expect(unsupported.statusCode).toBe(415);
+    expect(unsupported.json).toEqual({ error: 'unsupported_media_type' });
+
+    const missingScript = await uploadPage(999999, 'MAIN', 1, 'image/png', pageBytes);
+    expect(missingScript.statusCode).toBe(404);
+    expect(missingScript.json).toEqual({ error: 'script_not_found' });
+
+    const scriptRes = await httpRequest(
+      port,
+      'GET',
+      `/ingestion/scripts/${scriptId}`,
+      headers,
+    );
+    expect(scriptRes.statusCode).toBe(200);
+    expect(
+      scriptRes.json.pages.map((p) => [p.bookletCode, p.pageNumber]),
+    ).toEqual([
+      ['MAIN', 1],
+      ['EXTRA', 1],
+    ]);
+
+    const mediaRes = await httpRequest(
+      port,
+      'GET',
+      `/responses/${responseRow.id}/media`,
+      headers,
+    );
+    expect(mediaRes.statusCode).toBe(200);
+    expect(mediaRes.json.response.scriptId).toBe(scriptId);
+    expect(mediaRes.json.pages).toHaveLength(2);
+    expect(mediaRes.json.pages[0].url).toBe(
+      `/responses/${responseRow.id}/pages/${first.json.page.id}`,
+    );
+  });
+
+  test('streams page images with content type and byte range support', async () => {
+    const responseRow = await seedResponseWithScript('D_PAGES');
+    const upload = await uploadPage(
+      responseRow.script_id,
+      'MAIN',
+      1,
+      'image/png',
+      pageBytes,
+    );
+    const pageUrl = `/responses/${responseRow.id}/pages/${upload.json.page.id}`;
+
+    const full = await httpRequest(port, 'GET', pageUrl, headers);
+    expect(full.statusCode).toBe(200);
+    expect(full.headers['content-type']).toBe('image/png');
+    expect(full.headers['accept-ranges']).toBe('bytes');
+    expect(full.headers['content-length']).toBe('1024');
+    expect(full.body.equals(pageBytes)).toBe(true);
+
+    const partial = await httpRequest(port, 'GET', pageUrl, {
+      ...headers,
+      Range: 'bytes=100-199',
+    });
+    expect(partial.statusCode).toBe(206);
+    expect(partial.headers['content-range']).toBe('bytes 100-199/1024');
+    expect(partial.headers['content-length']).toBe('100');
+    expect(partial.body.equals(pageBytes.subarray(100, 200))).toBe(true);
+
+    const suffix = await httpRequest(port, 'GET', pageUrl, {
+      ...headers,
+      Range: 'bytes=-24',
+    });
+    expect(suffix.statusCode).toBe(206);
+    expect(suffix.headers['content-range']).toBe('bytes 1000-1023/1024');
+    expect(suffix.body.equals(pageBytes.subarray(1000))).toBe(true);
+
+    const openEnded = await httpRequest(port, 'GET', pageUrl, {
+      ...headers,
+      Range: 'bytes=1020-',
+    });
+    expect(openEnded.statusCode).toBe(206);
+    expect(openEnded.body.equals(pageBytes.subarray(1020))).toBe(true);
+
+    const unsatisfiable = await httpRequest(port, 'GET', pageUrl, {
+      ...headers,
+      Range: 'bytes=5000-6000',
+    });
+    expect(unsatisfiable.statusCode).toBe(416);
+    expect(unsatisfiable.headers['content-range']).toBe('bytes */1024');
+  });
+
+  test('pages of another script are not reachable through a response', async () => {
+    const responseRow = await seedResponseWithScript('D_PAGES');
+    const otherResponse = await seedResponseWithScript('D_PAGES_OTHER');
+    const otherUpload = await uploadPage(
+      otherResponse.script_id,
+      'MAIN',
+      1,
+      'image/png',
+      pageBytes,
+    );
+
+    const res = await httpRequest(
+      port,
+      'GET',
+      `/responses/${responseRow.id}/pages/${otherUpload.json.page.id}`,
+      headers,
+    );
+    expect(res.statusCode).toBe(404);
+    expect(res.json).toEqual({ error: 'page_not_found' });
+  });
+});
@@ -0,0 +1,455 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  SCRIPTS_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureAllocationTables,
+  createAllocation,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  SCRIPT_TRANSITIONED_EVENT_TYPE,
+  ALLOCATION_CREATED_EVENT_TYPE,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment + paper with two QIGs and one candidate's
+// responses in both
+async function seedScriptResponses() {
+  await ensureConfigTables();
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_SCRIPT', 'Script Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_SCRIPT', 'Series Script');
+  const paperRow = await createPaper(seriesRow.id, 'P_SCRIPT', 'Paper Script');
+  const qigOne = await createQig(paperRow.id, 'Q_SCRIPT_1', 'QIG Script 1');
+  const qigTwo = await createQig(paperRow.id, 'Q_SCRIPT_2', 'QIG Script 2');
+  await createItem(qigOne.id, 'I_S1', 10);
+
+  const responseOne = await upsertResponse({
+    qigId: qigOne.id,
+    candidateId: 'C_SCRIPT_1',
+    scriptUrl: 's3://bucket/C_SCRIPT_1.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+  const responseTwo = await upsertResponse({
+    qigId: qigTwo.id,
+    candidateId: 'C_SCRIPT_1',
+    scriptUrl: 's3://bucket/C_SCRIPT_1.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  return { paperRow, responseOne, responseTwo };
+}
+
+// Helper: create a user with the given permissions
+async function seedUserWithPermissions(externalId, displayName, permissionKeys) {
+  await ensureIdentityTables();
+
+  const user = await createUser(externalId, displayName);
+  const role = await createRole(
+    `SCRIPT_${externalId}`,
+    `Script test role for ${externalId}`,
+  );
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for script tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+async function getScriptAuditEvents() {
+  const result = await pool.query(
+    `
+      SELECT payload
+      FROM ${AUDIT_TABLE_NAME}
+      WHERE event_type = $1
+      ORDER BY id ASC
+    `,
+    [SCRIPT_TRANSITIONED_EVENT_TYPE],
+  );
+  return result.rows.map((r) => r.payload);
+}
+
+describe('Script entity and state machine', () => {
+  let server;
+  let port;
+
+  const adminHeaders = {
+    'x-user-external-id': 'script-admin',
+    'x-user-display-name': 'Script Admin',
+  };
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${SCRIPTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('script-admin', 'Script Admin', [
+      'ingestion.view',
+      'ingestion.manage',
+    ]);
+    await seedUserWithPermissions('script-viewer', 'Script Viewer', [
+      'ingestion.view',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('responses for the same candidate and paper share one INGESTING script', async () => {
+    const { paperRow, responseOne, responseTwo } = await seedScriptResponses();
+
+    expect(responseOne.script_id).toBeTruthy();
+    expect(responseTwo.script_id).toBe(responseOne.script_id);
+
+    const res = await httpGetJson(
+      port,
+      `/ingestion/scripts/${responseOne.script_id}`,
+      adminHeaders,
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.json.script).toMatchObject({
+      id: responseOne.script_id,
+      componentId: paperRow.id,
+      candidateId: 'C_SCRIPT_1',
+      state: 'INGESTING',
+    });
+    expect(res.json.responses.map((r) => r.id)).toEqual([
+      responseOne.id,
+      responseTwo.id,
+    ]);
+
+    const missingRes = await httpGetJson(
+      port,
+      '/ingestion/scripts/999999',
+      adminHeaders,
+    );
+    expect(missingRes.statusCode).toBe(404);
+    expect(missingRes.json).toEqual({ error: 'script_not_found' });
+  });
+
+  test('valid transitions move the script through its lifecycle and are audited', async () => {
+    const { responseOne } = await seedScriptResponses();
+    const scriptId = responseOne.script_id;
+
+    const steps = [
+      { toState: 'ASSEMBLED' },
+      { toState: 'QC_PASSED' },
+      { toState: 'READY_FOR_ALLOCATION' },
+      { toState: 'IN_MARKING' },
+      { toState: 'SUSPENDED', reasonCode: 'INVESTIGATION' },
+      { toState: 'READY_FOR_ALLOCATION' },
+      { toState: 'IN_MARKING' },
+      { toState: 'COMPLETED' },
+      { toState: 'LOCKED', reasonCode: 'RESULTS_FINAL' },
+    ];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const step of steps) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await httpPostJson(
+        port,
+        `/ingestion/scripts/${scriptId}/transition`,
+        step,
+        adminHeaders,
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res.json.script.state).toBe(step.toState);
+    }
+
+    const events = await getScriptAuditEvents();
+    expect(events).toHaveLength(steps.length);
+    expect(events[4].meta).toMatchObject({
+      scriptId,
+      candidateId: 'C_SCRIPT_1',
+      fromState: 'IN_MARKING',
+      toState: 'SUSPENDED',
+      result: 'SUCCESS',
+      reasonCode: 'INVESTIGATION',
+      errorCode: null,
+    });
+    expect(events[4].meta.componentId).toBeTruthy();
+    expect(events[4].actor.externalId).toBe('script-admin');
+  });
+
+  test('invalid transitions are rejected with REJECTED audit events', async () => {
+    const { responseOne } = await seedScriptResponses();
+    const scriptId = responseOne.script_id;
+
+    const skipRes = await httpPostJson(
+      port,
+      `/ingestion/scripts/${scriptId}/transition`,
+      { toState: 'IN_MARKING' },
+      adminHeaders,
+    );
+    expect(skipRes.statusCode).toBe(409);
+    expect(skipRes.json).toEqual({
+      error: 'invalid_state_transition',
+      fromState: 'INGESTING',
+      toState: 'IN_MARKING',
+    });
+
+    const unknownRes = await httpPostJson(
+      port,
+      `/ingestion/scripts/${scriptId}/transition`,
+      { toState: 'NOT_A_STATE' },
+      adminHeaders,
+    );
+    expect(unknownRes.statusCode).toBe(400);
+    expect(unknownRes.json.error).toBe('invalid_script_state');
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['ASSEMBLED', 'QC_PASSED', 'READY_FOR_ALLOCATION']) {
+      // eslint-disable-next-line no-await-in-loop
+      await httpPostJson(
+        port,
+        `/ingestion/scripts/${scriptId}/transition`,
+        { toState },
+        adminHeaders,
+      );
+    }
+
+    const noReasonRes = await httpPostJson(
+      port,
+      `/ingestion/scripts/${scriptId}/transition`,
+      { toState: 'SUSPENDED' },
+      adminHeaders,
+    );
+    expect(noReasonRes.statusCode).toBe(400);
+    expect(noReasonRes.json).toEqual({
+      error: 'reason_code_required',
+      fromState: 'READY_FOR_ALLOCATION',
+      toState: 'SUSPENDED',
+    });
+
+    const events = await getScriptAuditEvents();
+    const rejected = events.filter((e) => e.meta.result === 'REJECTED');
+    expect(rejected.map((e) => e.meta.errorCode)).toEqual([
+      'INVALID_STATE_TRANSITION',
+      'INVALID_SCRIPT_STATE',
+      'REASON_CODE_REQUIRED',
+    ]);
+    expect(rejected[0].meta).toMatchObject({
+      scriptId,
+      fromState: 'INGESTING',
+      toState: 'IN_MARKING',
+    });
+
+    const forbiddenRes = await httpPostJson(
+      port,
+      `/ingestion/scripts/${scriptId}/transition`,
+      { toState: 'IN_MARKING' },
+      {
+        'x-user-external-id': 'script-viewer',
+        'x-user-display-name': 'Script Viewer',
+      },
+    );
+    expect(forbiddenRes.statusCode).toBe(403);
+  });
+
+  test('allocation audit events carry the scriptId', async () => {
+    const { responseOne } = await seedScriptResponses();
+
+    await createAllocation(responseOne.id, null, null);
+
+    const result = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1`,
+      [ALLOCATION_CREATED_EVENT_TYPE],
+    );
+    expect(result.rows).toHaveLength(1);
+    expect(result.rows[0].payload.meta.scriptId).toBe(responseOne.script_id);
+  });
+});
@@ -0,0 +1,86 @@
+const { validateManifest } = require('../src/manifest');
+
+const CHECKSUM = `sha256:${'a'.repeat(64)}`;
+
+function buildManifest(overrides = {}) {
+  return {
+    schemaVersion: 1,
+    booklets: [{ id: 'MAIN' }, { id: 'EXTRA' }],
+    pages: [
+      { bookletId: 'MAIN', pageNumber: 1, width: 2480, height: 3508, checksum: CHECKSUM },
+      { bookletId: 'MAIN', pageNumber: 2, width: 2480, height: 3508, checksum: CHECKSUM },
+      { bookletId: 'EXTRA', pageNumber: 1, width: 2480, height: 3508, checksum: CHECKSUM },
+    ],
+    itemPages: {
+      Q1a: [{ bookletId: 'MAIN', pageNumber: 1 }],
+      Q1b: [
+        { bookletId: 'MAIN', pageNumber: 2 },
+        { bookletId: 'EXTRA', pageNumber: 1 },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+describe('validateManifest', () => {
+  test('accepts a well-formed version 1 manifest', () => {
+    expect(validateManifest(buildManifest())).toEqual({
+      valid: true,
+      schemaVersion: 1,
+      errors: [],
+    });
+  });
+
+  test('rejects non-objects and missing or unsupported schema versions', () => {
+    expect(validateManifest([1, 2]).errors).toEqual([
+      { path: '$', message: 'must be an object' },
+    ]);
+    expect(validateManifest({ pages: [] }).errors).toEqual([
+      { path: '$.schemaVersion', message: 'is required' },
+    ]);
+    expect(validateManifest(buildManifest({ schemaVersion: 7 })).errors).toEqual([
+      { path: '$.schemaVersion', message: 'must be one of: 1' },
+    ]);
+  });
+
+  test('reports every malformed field with its path', () => {
+    const manifest = buildManifest({
+      booklets: [{ id: 'MAIN' }, { id: 'MAIN' }],
+      pages: [
+        { bookletId: 'MAIN', pageNumber: 1, width: 2480, height: 0, checksum: CHECKSUM },
+        { bookletId: 'MAIN', pageNumber: 1, width: 2480, height: 3508, checksum: 'md5:abc' },
+        { bookletId: 'LOOSE', pageNumber: 1.5, width: '2480', height: 3508, checksum: CHECKSUM },
+      ],
+      itemPages: {
+        Q1a: [{ bookletId: 'MAIN', pageNumber: 9 }],
+        'Q 2': [],
+      },
+      extra: true,
+    });
+
+    const result = validateManifest(manifest);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: '$.extra', message: 'is not an allowed property' },
+      { path: '$.booklets[1].id', message: 'duplicates booklet id "MAIN"' },
+      { path: '$.pages[0].height', message: 'must be a positive integer (pixels)' },
+      {
+        path: '$.pages[1].pageNumber',
+        message: 'duplicates page 1 of booklet "MAIN"',
+      },
+      {
+        path: '$.pages[1].checksum',
+        message: 'must be "sha256:" followed by 64 lowercase hex characters',
+      },
+      { path: '$.pages[2].bookletId', message: 'references unknown booklet "LOOSE"' },
+      { path: '$.pages[2].pageNumber', message: 'must be a positive integer' },
+      { path: '$.pages[2].width', message: 'must be a positive integer (pixels)' },
+      {
+        path: '$.itemPages.Q1a[0]',
+        message: 'references unknown page 9 of booklet "MAIN"',
+      },
+      { path: '$.itemPages["Q 2"]', message: 'must be a non-empty array' },
+    ]);
+  });
+});
@@ -0,0 +1,524 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+  createDraftConfigVersionForDeploymentCode,
+  upsertConfigArtifact,
+  activateConfigVersionForDeploymentCode,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  PAGE_IMAGES_TABLE_NAME,
+  upsertResponse,
+  upsertBooklet,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  RESPONSE_MARKS_TABLE_NAME,
+  RESPONSE_ANNOTATIONS_TABLE_NAME,
+  MARKING_ANNOTATION_UPDATED_EVENT_TYPE,
+} = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG, one response and two pages on
+// its script. With a markScheme, it is activated as the deployment's
+// mark_scheme config artifact.
+async function seedAnnotatableResponse(markScheme) {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_ANN', 'Annotation Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_ANN', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_ANN', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_ANN', 'QIG');
+  await createItem(qigRow.id, 'I_ANN_1', 10);
+
+  const responseRow = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_ANN_1',
+    scriptUrl: null,
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  const booklet = await upsertBooklet(responseRow.script_id, 'MAIN');
+  const pageIds = [];
+  for (let pageNumber = 1; pageNumber <= 2; pageNumber += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ${PAGE_IMAGES_TABLE_NAME} (
+          booklet_id, script_id, page_number, blob_key, content_type, byte_size
+        )
+        VALUES ($1, $2, $3, $4, 'image/png', 1)
+        RETURNING id
+      `,
+      [booklet.id, responseRow.script_id, pageNumber, `test/${pageNumber}`],
+    );
+    pageIds.push(rows[0].id);
+  }
+
+  if (markScheme) {
+    const { configVersion } = await createDraftConfigVersionForDeploymentCode(
+      'D_ANN',
+      'test',
+    );
+    await upsertConfigArtifact(configVersion.id, 'mark_scheme', markScheme);
+    await activateConfigVersionForDeploymentCode(
+      'D_ANN',
+      configVersion.version_number,
+    );
+  }
+
+  return { qigRow, responseRow, pageIds };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for annotation tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+// A LIVE_APPROVED marker on the given QIG.
+async function seedMarker(externalId, qigId) {
+  const user = await seedUserWithPermissions(externalId, [
+    'marking.view',
+    'marking.edit',
+  ]);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(user.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('Annotations on responses', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSE_ANNOTATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('markers manage their own annotations, validated against the mark scheme', async () => {
+    const { qigRow, responseRow, pageIds } = await seedAnnotatableResponse({
+      annotationTypes: ['TICK', 'CROSS', 'SEEN'],
+    });
+    const annotationsPath = `/marking/responses/${responseRow.id}/annotations`;
+    await seedMarker('ae1', qigRow.id);
+    await seedMarker('ae2', qigRow.id);
+
+    const empty = await httpGetJson(port, annotationsPath, headersFor('ae1'));
+    expect(empty.statusCode).toBe(200);
+    expect(empty.json).toEqual({
+      responseId: responseRow.id,
+      annotationTypes: ['TICK', 'CROSS', 'SEEN'],
+      annotations: [],
+    });
+
+    const created = await httpPostJson(
+      port,
+      annotationsPath,
+      {
+        pageImageId: pageIds[0],
+        itemCode: 'I_ANN_1',
+        annotationType: 'TICK',
+        shape: 'POINT',
+        coordinates: { x: 0.2, y: 0.3 },
+      },
+      headersFor('ae1'),
+    );
+    expect(created.statusCode).toBe(201);
+    expect(created.json.annotation).toMatchObject({
+      responseId: responseRow.id,
+      scriptId: responseRow.script_id,
+      candidateId: 'C_ANN_1',
+      pageImageId: pageIds[0],
+      itemCode: 'I_ANN_1',
+      annotationType: 'TICK',
+      shape: 'POINT',
+      coordinates: { x: 0.2, y: 0.3 },
+      text: null,
+      locked: false,
+    });
+    const annotationId = created.json.annotation.id;
+
+    const seen = await httpPostJson(
+      port,
+      annotationsPath,
+      {
+        pageImageId: pageIds[1],
+        annotationType: 'SEEN',
+        shape: 'RECT',
+        coordinates: { x: 0, y: 0, width: 1, height: 0.5 },
+        text: 'Continued on next page',
+      },
+      headersFor('ae1'),
+    );
+    expect(seen.statusCode).toBe(201);
+
+    const invalid = await httpPostJson(
+      port,
+      annotationsPath,
+      {
+        pageImageId: 999999,
+        annotationType: 'COMMENT',
+        shape: 'POINT',
+        coordinates: { x: 0.2, y: 0.3 },
+      },
+      headersFor('ae1'),
+    );
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.json).toEqual({
+      error: 'invalid_annotation',
+      fieldErrors: [
+        { field: 'pageImageId', error: 'page_not_in_script' },
+        { field: 'annotationType', error: 'type_not_allowed' },
+      ],
+    });
+
+    // Annotations belong to their marker.
+    const otherList = await httpGetJson(port, annotationsPath, headersFor('ae2'));
+    expect(otherList.json.annotations).toEqual([]);
+    const otherUpdate = await httpPostJson(
+      port,
+      `${annotationsPath}/${annotationId}`,
+      {
+        pageImageId: pageIds[0],
+        annotationType: 'CROSS',
+        shape: 'POINT',
+        coordinates: { x: 0.5, y: 0.5 },
+      },
+      headersFor('ae2'),
+    );
+    expect(otherUpdate.statusCode).toBe(404);
+    expect(otherUpdate.json).toEqual({ error: 'annotation_not_found' });
+
+    const updated = await httpPostJson(
+      port,
+      `${annotationsPath}/${annotationId}`,
+      {
+        pageImageId: pageIds[0],
+        itemCode: 'I_ANN_1',
+        annotationType: 'CROSS',
+        shape: 'POINT',
+        coordinates: { x: 0.5, y: 0.5 },
+      },
+      headersFor('ae1'),
+    );
+    expect(updated.statusCode).toBe(200);
+    expect(updated.json.annotation).toMatchObject({
+      id: annotationId,
+      annotationType: 'CROSS',
+      coordinates: { x: 0.5, y: 0.5 },
+    });
+
+    const deleted = await httpPostJson(
+      port,
+      `${annotationsPath}/${seen.json.annotation.id}/delete`,
+      {},
+      headersFor('ae1'),
+    );
+    expect(deleted.statusCode).toBe(200);
+    expect(deleted.json.annotation.id).toBe(seen.json.annotation.id);
+
+    const list = await httpGetJson(port, annotationsPath, headersFor('ae1'));
+    expect(list.json.annotations.map((a) => [a.id, a.annotationType])).toEqual([
+      [annotationId, 'CROSS'],
+    ]);
+
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [MARKING_ANNOTATION_UPDATED_EVENT_TYPE],
+    );
+    expect(rows.map((r) => r.payload.meta.operation)).toEqual([
+      'ANNOTATION_CREATED',
+      'ANNOTATION_CREATED',
+      'ANNOTATION_UPDATED',
+      'ANNOTATION_DELETED',
+    ]);
+  });
+
+  test('annotations lock with the submitted mark', async () => {
+    const { qigRow, responseRow, pageIds } = await seedAnnotatableResponse(null);
+    const annotationsPath = `/marking/responses/${responseRow.id}/annotations`;
+    await seedMarker('ae1', qigRow.id);
+
+    // Without a mark_scheme artifact the default annotation types apply.
+    const defaults = await httpGetJson(port, annotationsPath, headersFor('ae1'));
+    expect(defaults.json.annotationTypes).toEqual(['TICK', 'CROSS', 'COMMENT']);
+
+    const created = await httpPostJson(
+      port,
+      annotationsPath,
+      {
+        pageImageId: pageIds[0],
+        annotationType: 'COMMENT',
+        shape: 'POINT',
+        coordinates: { x: 0.1, y: 0.9 },
+        text: 'Method mark only',
+      },
+      headersFor('ae1'),
+    );
+    expect(created.statusCode).toBe(201);
+    const annotationId = created.json.annotation.id;
+
+    const submitted = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_ANN_1: 4 } },
+      headersFor('ae1'),
+    );
+    expect(submitted.statusCode).toBe(200);
+
+    const list = await httpGetJson(port, annotationsPath, headersFor('ae1'));
+    expect(list.json.annotations).toEqual([
+      expect.objectContaining({
+        id: annotationId,
+        locked: true,
+        responseMarkId: submitted.json.mark.id,
+      }),
+    ]);
+
+    const update = await httpPostJson(
+      port,
+      `${annotationsPath}/${annotationId}`,
+      {
+        pageImageId: pageIds[0],
+        annotationType: 'TICK',
+        shape: 'POINT',
+        coordinates: { x: 0.1, y: 0.9 },
+      },
+      headersFor('ae1'),
+    );
+    expect(update.statusCode).toBe(409);
+    expect(update.json).toEqual({ error: 'annotation_locked' });
+
+    const remove = await httpPostJson(
+      port,
+      `${annotationsPath}/${annotationId}/delete`,
+      {},
+      headersFor('ae1'),
+    );
+    expect(remove.statusCode).toBe(409);
+    expect(remove.json).toEqual({ error: 'annotation_locked' });
+
+    const create = await httpPostJson(
+      port,
+      annotationsPath,
+      {
+        pageImageId: pageIds[1],
+        annotationType: 'TICK',
+        shape: 'POINT',
+        coordinates: { x: 0.5, y: 0.5 },
+      },
+      headersFor('ae1'),
+    );
+    expect(create.statusCode).toBe(409);
+    expect(create.json).toEqual({ error: 'response_locked', reason: 'LOCKED' });
+  });
+});
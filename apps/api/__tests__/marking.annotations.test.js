@@ -0,0 +1,93 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const { validateAnnotation } = require('../src/marking');
+
+const CONTEXT = {
+  allowedTypes: ['TICK', 'COMMENT'],
+  items: [{ id: 1, code: 'Q1a', max_mark: 4 }],
+  pageImageIds: [10, 11],
+};
+
+describe('validateAnnotation', () => {
+  test('accepts a point or a rectangle inside the page', () => {
+    expect(
+      validateAnnotation(
+        {
+          pageImageId: 10,
+          itemCode: 'Q1a',
+          annotationType: 'TICK',
+          shape: 'POINT',
+          coordinates: { x: 0.5, y: 0 },
+        },
+        CONTEXT,
+      ),
+    ).toEqual({ errors: [] });
+
+    expect(
+      validateAnnotation(
+        {
+          pageImageId: 11,
+          annotationType: 'COMMENT',
+          shape: 'RECT',
+          coordinates: { x: 0.25, y: 0.5, width: 0.75, height: 0.5 },
+          text: 'Good working',
+        },
+        CONTEXT,
+      ),
+    ).toEqual({ errors: [] });
+  });
+
+  test('reports each invalid field', () => {
+    const result = validateAnnotation(
+      {
+        pageImageId: 99,
+        itemCode: 'Q9',
+        annotationType: 'CROSS',
+        shape: 'RECT',
+        coordinates: { x: 0.5, y: 0.5, width: 0.75, height: 0.1 },
+        text: 42,
+      },
+      CONTEXT,
+    );
+
+    expect(result.errors).toEqual([
+      { field: 'pageImageId', error: 'page_not_in_script' },
+      { field: 'itemCode', error: 'unknown_item' },
+      { field: 'annotationType', error: 'type_not_allowed' },
+      { field: 'coordinates', error: 'invalid_coordinates' },
+      { field: 'text', error: 'not_a_string' },
+    ]);
+  });
+
+  test('rejects unknown shapes and coordinates off the page', () => {
+    expect(
+      validateAnnotation(
+        {
+          pageImageId: 10,
+          annotationType: 'TICK',
+          shape: 'CIRCLE',
+          coordinates: { x: 0.5, y: 0.5 },
+        },
+        CONTEXT,
+      ).errors,
+    ).toEqual([{ field: 'shape', error: 'unknown_shape' }]);
+
+    expect(
+      validateAnnotation(
+        {
+          pageImageId: 10,
+          annotationType: 'TICK',
+          shape: 'POINT',
+          coordinates: { x: -0.1, y: 1.2 },
+        },
+        CONTEXT,
+      ).errors,
+    ).toEqual([{ field: 'coordinates', error: 'invalid_coordinates' }]);
+  });
+});
@@ -0,0 +1,519 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  getUserByExternalId,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  RESPONSE_MARKS_TABLE_NAME,
+  RESPONSE_ADJUDICATIONS_TABLE_NAME,
+  MARKING_ADJUDICATION_FLAGGED_EVENT_TYPE,
+} = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: take markers through standardisation to LIVE_APPROVED on a QIG
+async function approveMarkersForLiveMarking(externalIds, qigId) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const externalId of externalIds) {
+    // eslint-disable-next-line no-await-in-loop
+    const marker = await getUserByExternalId(externalId);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+      // eslint-disable-next-line no-await-in-loop
+      await transitionMarkerEligibility(marker.id, qigId, toState, {
+        reasonCode: 'TEST_SETUP',
+      });
+    }
+  }
+}
+
+// Helper: seed a deployment + assessment tree with two responses
+async function seedDoubleMarkingQig() {
+  await ensureConfigTables();
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_DOUBLE', 'Double Marking Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_DOUBLE', 'Series Double');
+  const paperRow = await createPaper(seriesRow.id, 'P_DOUBLE', 'Paper Double');
+  const qigRow = await createQig(paperRow.id, 'Q_DOUBLE', 'QIG Double');
+  await createItem(qigRow.id, 'I_D1', 20);
+
+  const firstResponse = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_DOUBLE_1',
+    scriptUrl: 's3://bucket/C_DOUBLE_1.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+  const secondResponse = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_DOUBLE_2',
+    scriptUrl: 's3://bucket/C_DOUBLE_2.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  await approveMarkersForLiveMarking(['double-m1', 'double-m2'], qigRow.id);
+
+  return { qigRow, firstResponse, secondResponse };
+}
+
+// Helper: create a user with the given permissions (permissions are shared
+// between users, so reuse existing keys)
+async function seedUserWithPermissions(externalId, displayName, permissionKeys) {
+  await ensureIdentityTables();
+
+  const user = await createUser(externalId, displayName);
+  const role = await createRole(
+    `DOUBLE_${externalId}`,
+    `Double marking test role for ${externalId}`,
+  );
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(
+        key,
+        `Generated for double marking tests (${key})`,
+      );
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+const SETTINGS_PATH =
+  '/assessment/D_DOUBLE/series/S_DOUBLE/papers/P_DOUBLE/qigs/Q_DOUBLE/marking-settings';
+
+describe('Double marking with discrepancy detection', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSE_ADJUDICATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('double-admin', 'Double Admin', [
+      'assessment.edit',
+      'marking.adjudicate',
+    ]);
+    await seedUserWithPermissions('double-m1', 'Marker One', [
+      'marking.edit',
+      'marking.view',
+    ]);
+    await seedUserWithPermissions('double-m2', 'Marker Two', [
+      'marking.edit',
+      'marking.view',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('marking settings endpoint validates and stores per-QIG settings', async () => {
+    await seedDoubleMarkingQig();
+
+    const invalidRes = await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { requiredMarks: 0 },
+      headersFor('double-admin'),
+    );
+    expect(invalidRes.statusCode).toBe(400);
+    expect(invalidRes.json).toEqual({ error: 'invalid_payload' });
+
+    const forbiddenRes = await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { requiredMarks: 2 },
+      headersFor('double-m1'),
+    );
+    expect(forbiddenRes.statusCode).toBe(403);
+
+    const okRes = await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { requiredMarks: 2, markTolerance: 3 },
+      headersFor('double-admin'),
+    );
+    expect(okRes.statusCode).toBe(200);
+    expect(okRes.json.qig).toMatchObject({
+      code: 'Q_DOUBLE',
+      requiredMarks: 2,
+      markTolerance: 3,
+    });
+
+    const partialRes = await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { markTolerance: 1 },
+      headersFor('double-admin'),
+    );
+    expect(partialRes.statusCode).toBe(200);
+    expect(partialRes.json.qig).toMatchObject({
+      requiredMarks: 2,
+      markTolerance: 1,
+    });
+  });
+
+  test('response locks only after the required number of independent marks', async () => {
+    const { firstResponse } = await seedDoubleMarkingQig();
+    await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { requiredMarks: 2, markTolerance: 3 },
+      headersFor('double-admin'),
+    );
+
+    // Both markers are offered the same response from the live pool.
+    const m1Next = await httpPostJson(
+      port,
+      '/marking/qigs/Q_DOUBLE/next',
+      {},
+      headersFor('double-m1'),
+    );
+    const m2Next = await httpPostJson(
+      port,
+      '/marking/qigs/Q_DOUBLE/next',
+      {},
+      headersFor('double-m2'),
+    );
+    expect(m1Next.statusCode).toBe(200);
+    expect(m2Next.statusCode).toBe(200);
+    expect(m1Next.json.response.id).toBe(firstResponse.id);
+    expect(m2Next.json.response.id).toBe(firstResponse.id);
+
+    const firstSubmit = await httpPostJson(
+      port,
+      `/marking/responses/${firstResponse.id}/submit`,
+      { marks: { I_D1: 10 } },
+      headersFor('double-m1'),
+    );
+    expect(firstSubmit.statusCode).toBe(200);
+
+    let responseState = await pool.query(
+      `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+      [firstResponse.id],
+    );
+    expect(responseState.rows[0].state).toBe('INGESTED');
+
+    // The first marker's submission is final.
+    const resubmit = await httpPostJson(
+      port,
+      `/marking/responses/${firstResponse.id}/draft`,
+      { marks: { I_D1: 11 } },
+      headersFor('double-m1'),
+    );
+    expect(resubmit.statusCode).toBe(409);
+    expect(resubmit.json).toEqual({ error: 'mark_already_submitted' });
+
+    // The first marker is never offered the same response twice.
+    const m1Again = await httpPostJson(
+      port,
+      '/marking/qigs/Q_DOUBLE/next',
+      {},
+      headersFor('double-m1'),
+    );
+    expect(m1Again.statusCode).toBe(200);
+    expect(m1Again.json.response.id).not.toBe(firstResponse.id);
+
+    const secondSubmit = await httpPostJson(
+      port,
+      `/marking/responses/${firstResponse.id}/submit`,
+      { marks: { I_D1: 12 } },
+      headersFor('double-m2'),
+    );
+    expect(secondSubmit.statusCode).toBe(200);
+
+    responseState = await pool.query(
+      `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+      [firstResponse.id],
+    );
+    expect(responseState.rows[0].state).toBe('LOCKED');
+
+    // Within tolerance: nothing flagged.
+    const listRes = await httpGetJson(
+      port,
+      '/marking/adjudications',
+      headersFor('double-admin'),
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.adjudications).toEqual([]);
+  });
+
+  test('totals outside the tolerance flag the response for adjudication', async () => {
+    const { firstResponse } = await seedDoubleMarkingQig();
+    await httpPostJson(
+      port,
+      SETTINGS_PATH,
+      { requiredMarks: 2, markTolerance: 2 },
+      headersFor('double-admin'),
+    );
+
+    await httpPostJson(
+      port,
+      `/marking/responses/${firstResponse.id}/submit`,
+      { marks: { I_D1: 5 } },
+      headersFor('double-m1'),
+    );
+    await httpPostJson(
+      port,
+      `/marking/responses/${firstResponse.id}/submit`,
+      { marks: { I_D1: 9 } },
+      headersFor('double-m2'),
+    );
+
+    const forbiddenRes = await httpGetJson(
+      port,
+      '/marking/adjudications',
+      headersFor('double-m1'),
+    );
+    expect(forbiddenRes.statusCode).toBe(403);
+
+    const listRes = await httpGetJson(
+      port,
+      '/marking/adjudications?deploymentCode=D_DOUBLE&qigCode=Q_DOUBLE',
+      headersFor('double-admin'),
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.adjudications).toHaveLength(1);
+    const [flag] = listRes.json.adjudications;
+    expect(flag).toMatchObject({
+      responseId: firstResponse.id,
+      candidateId: 'C_DOUBLE_1',
+      deploymentCode: 'D_DOUBLE',
+      qigCode: 'Q_DOUBLE',
+      state: 'FLAGGED',
+      requiredMarks: 2,
+      markTolerance: 2,
+      minTotal: 5,
+      maxTotal: 9,
+    });
+    expect(flag.totals.map((t) => t.totalMark)).toEqual([5, 9]);
+
+    const otherQigRes = await httpGetJson(
+      port,
+      '/marking/adjudications?qigCode=Q_OTHER',
+      headersFor('double-admin'),
+    );
+    expect(otherQigRes.json.adjudications).toEqual([]);
+
+    const auditRows = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1`,
+      [MARKING_ADJUDICATION_FLAGGED_EVENT_TYPE],
+    );
+    expect(auditRows.rows).toHaveLength(1);
+    expect(auditRows.rows[0].payload.meta).toMatchObject({
+      responseId: firstResponse.id,
+      minTotal: 5,
+      maxTotal: 9,
+      markTolerance: 2,
+      operation: 'ADJUDICATION_FLAGGED',
+    });
+  });
+});
@@ -51,6 +51,8 @@ const {
   AUDIT_TABLE_NAME,
 } = require('../src/audit');
 
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
 jest.setTimeout(30000);
 
 function httpGetJson(port, pathname, headers = {}) {
@@ -91,9 +93,11 @@ function httpGetJson(port, pathname, headers = {}) {
   });
 }
 
+// A string body is sent as-is, e.g. to send malformed JSON.
 function httpPostJson(port, pathname, body, headers = {}) {
   return new Promise((resolve, reject) => {
-    const payload = JSON.stringify(body || {});
+    const payload =
+      typeof body === 'string' ? body : JSON.stringify(body || {});
     const req = http.request(
       {
         hostname: '127.0.0.1',
@@ -221,6 +225,17 @@ async function seedMarkerUserWithPermissions(
   return user;
 }
 
+// Helper: take a marker through standardisation to LIVE_APPROVED on a QIG
+async function approveMarkerForLiveMarking(markerUserId, qigId) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(markerUserId, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+}
+
 describe('Marking HTTP endpoints with RBAC', () => {
   let server;
   let port;
@@ -370,6 +385,23 @@ describe('Marking HTTP endpoints with RBAC', () => {
     expect(res.json).toEqual({
       error: 'response_not_found',
     });
+
+    // The missing Response is reported before the body is parsed.
+    // eslint-disable-next-line no-restricted-syntax
+    for (const action of ['draft', 'submit']) {
+      // eslint-disable-next-line no-await-in-loop
+      const malformed = await httpPostJson(
+        port,
+        `/marking/responses/9999/${action}`,
+        '{"marks":',
+        {
+          'x-user-external-id': 'marking-editor-404',
+          'x-user-display-name': 'Marking Editor 404',
+        },
+      );
+      expect(malformed.statusCode).toBe(404);
+      expect(malformed.json).toEqual({ error: 'response_not_found' });
+    }
   });
 
   test('GET /marking/responses/:id returns 404 when no mark exists for authorised user', async () => {
@@ -397,13 +429,14 @@ describe('Marking HTTP endpoints with RBAC', () => {
   });
 
   test('Marking endpoints allow draft, fetch and submit then lock the response', async () => {
-    const { responseRow } = await seedResponseForMarking();
+    const { responseRow, qigRow } = await seedResponseForMarking();
 
-    await seedMarkerUserWithPermissions(
+    const marker = await seedMarkerUserWithPermissions(
       'marker-1',
       'Marker One',
       ['marking.edit', 'marking.view'],
     );
+    await approveMarkerForLiveMarking(marker.id, qigRow.id);
 
     const headers = {
       'x-user-external-id': 'marker-1',
@@ -440,14 +473,15 @@ describe('Marking HTTP endpoints with RBAC', () => {
     const submitRes = await httpPostJson(
       port,
       `/marking/responses/${responseRow.id}/submit`,
-      { marks: { I1: 12 } },
+      { marks: { I_MARK_1: 12 } },
       headers,
     );
 
     expect(submitRes.statusCode).toBe(200);
     expect(submitRes.json).toBeTruthy();
     expect(submitRes.json.mark.state).toBe('SUBMITTED');
-    expect(submitRes.json.mark.payload).toMatchObject({ I1: 12 });
+    expect(submitRes.json.mark.payload).toMatchObject({ I_MARK_1: 12 });
+    expect(submitRes.json.mark.totalMark).toBe(12);
 
     // 4) Fetch submitted marks
     const getSubmittedRes = await httpGetJson(
@@ -459,7 +493,7 @@ describe('Marking HTTP endpoints with RBAC', () => {
     expect(getSubmittedRes.statusCode).toBe(200);
     expect(getSubmittedRes.json).toBeTruthy();
     expect(getSubmittedRes.json.mark.state).toBe('SUBMITTED');
-    expect(getSubmittedRes.json.mark.payload).toMatchObject({ I1: 12 });
+    expect(getSubmittedRes.json.mark.payload).toMatchObject({ I_MARK_1: 12 });
 
     // 5) Attempt to overwrite after lock should return 409
     const lockedDraftRes = await httpPostJson(
@@ -484,6 +518,258 @@ describe('Marking HTTP endpoints with RBAC', () => {
 
     expect(getAfterLockRes.statusCode).toBe(200);
     expect(getAfterLockRes.json.mark.state).toBe('SUBMITTED');
-    expect(getAfterLockRes.json.mark.payload).toMatchObject({ I1: 12 });
+    expect(getAfterLockRes.json.mark.payload).toMatchObject({ I_MARK_1: 12 });
+  });
+
+  test('AE scoped to another QIG cannot draft, submit, view or fetch media for a response', async () => {
+    const { responseRow } = await seedResponseForMarking();
+
+    const user = await seedMarkerUserWithPermissions(
+      'marker-out-of-scope',
+      'Marker Out Of Scope',
+      ['marking.edit', 'marking.view', 'assessment.view'],
+    );
+    const aeRole = await createRole(
+      'AE_D_MARK_HTTP_Q_OTHER',
+      'AE for D_MARK_HTTP Q_OTHER',
+    );
+    await assignRoleToUser(user.id, aeRole.id);
+
+    const headers = {
+      'x-user-external-id': 'marker-out-of-scope',
+      'x-user-display-name': 'Marker Out Of Scope',
+    };
+    const forbidden = { error: 'forbidden', reason: 'qig_out_of_scope' };
+
+    const draftRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I1: 10 } },
+      headers,
+    );
+    expect(draftRes.statusCode).toBe(403);
+    expect(draftRes.json).toEqual(forbidden);
+
+    const submitRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I1: 10 } },
+      headers,
+    );
+    expect(submitRes.statusCode).toBe(403);
+    expect(submitRes.json).toEqual(forbidden);
+
+    const getRes = await httpGetJson(
+      port,
+      `/marking/responses/${responseRow.id}`,
+      headers,
+    );
+    expect(getRes.statusCode).toBe(403);
+    expect(getRes.json).toEqual(forbidden);
+
+    const mediaRes = await httpGetJson(
+      port,
+      `/responses/${responseRow.id}/media`,
+      headers,
+    );
+    expect(mediaRes.statusCode).toBe(403);
+    expect(mediaRes.json).toEqual(forbidden);
+
+    const marks = await pool.query(
+      `SELECT id FROM ${RESPONSE_MARKS_TABLE_NAME} WHERE response_id = $1`,
+      [responseRow.id],
+    );
+    expect(marks.rows).toHaveLength(0);
+
+    const denied = await pool.query(
+      `
+        SELECT payload
+        FROM ${AUDIT_TABLE_NAME}
+        WHERE event_type = 'PERMISSION_DENIED'
+        ORDER BY id ASC
+      `,
+    );
+    expect(denied.rows).toHaveLength(4);
+    denied.rows.forEach((row) => {
+      expect(row.payload.meta).toMatchObject({
+        reason: 'qig_out_of_scope',
+        deploymentCode: 'D_MARK_HTTP',
+        qigCode: 'Q_MARK_1',
+        responseId: responseRow.id,
+      });
+      expect(row.payload.subject.externalId).toBe('marker-out-of-scope');
+    });
+  });
+
+  test('AE scoped to the response QIG can mark it', async () => {
+    const { responseRow, qigRow } = await seedResponseForMarking();
+
+    const user = await seedMarkerUserWithPermissions(
+      'marker-in-scope',
+      'Marker In Scope',
+      ['marking.edit'],
+    );
+    const aeRole = await createRole(
+      'AE_D_MARK_HTTP_Q_MARK_1',
+      'AE for D_MARK_HTTP Q_MARK_1',
+    );
+    await assignRoleToUser(user.id, aeRole.id);
+    await approveMarkerForLiveMarking(user.id, qigRow.id);
+
+    const draftRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I1: 10 } },
+      {
+        'x-user-external-id': 'marker-in-scope',
+        'x-user-display-name': 'Marker In Scope',
+      },
+    );
+    expect(draftRes.statusCode).toBe(200);
+    expect(draftRes.json.mark.state).toBe('DRAFT');
+  });
+
+  test('POST /marking/responses/:id/submit rejects marks that do not match the QIG items', async () => {
+    const { responseRow, qigRow } = await seedResponseForMarking();
+    await createItem(qigRow.id, 'I_MARK_2', 5);
+
+    const marker = await seedMarkerUserWithPermissions(
+      'marker-invalid',
+      'Marker Invalid',
+      ['marking.edit'],
+    );
+    await approveMarkerForLiveMarking(marker.id, qigRow.id);
+
+    const headers = {
+      'x-user-external-id': 'marker-invalid',
+      'x-user-display-name': 'Marker Invalid',
+    };
+
+    const invalidRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_MARK_1: 21, I_UNKNOWN: 1 } },
+      headers,
+    );
+
+    expect(invalidRes.statusCode).toBe(400);
+    expect(invalidRes.json.error).toBe('invalid_marks');
+    expect(invalidRes.json.itemErrors).toEqual(
+      expect.arrayContaining([
+        { itemCode: 'I_UNKNOWN', error: 'unknown_item' },
+        { itemCode: 'I_MARK_1', error: 'exceeds_max_mark', maxMark: 20 },
+        { itemCode: 'I_MARK_2', error: 'missing_item', maxMark: 5 },
+      ]),
+    );
+    expect(invalidRes.json.itemErrors).toHaveLength(3);
+
+    const negativeRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_MARK_1: -1, I_MARK_2: 2.5 } },
+      headers,
+    );
+    expect(negativeRes.statusCode).toBe(400);
+    expect(negativeRes.json.itemErrors).toEqual([
+      { itemCode: 'I_MARK_1', error: 'negative_mark', maxMark: 20 },
+      { itemCode: 'I_MARK_2', error: 'not_an_integer', maxMark: 5 },
+    ]);
+
+    // Nothing was stored and the response is still open.
+    const stored = await pool.query(
+      `SELECT id FROM ${RESPONSE_MARKS_TABLE_NAME} WHERE response_id = $1`,
+      [responseRow.id],
+    );
+    expect(stored.rows).toHaveLength(0);
+
+    const validRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_MARK_1: 20, I_MARK_2: 3 } },
+      headers,
+    );
+    expect(validRes.statusCode).toBe(200);
+    expect(validRes.json.mark.totalMark).toBe(23);
+
+    const totalRow = await pool.query(
+      `SELECT total_mark FROM ${RESPONSE_MARKS_TABLE_NAME} WHERE response_id = $1`,
+      [responseRow.id],
+    );
+    expect(totalRow.rows[0].total_mark).toBe(23);
+  });
+
+  test('GET /marking/responses/:id/history returns every draft save and submission in order', async () => {
+    const { responseRow, qigRow } = await seedResponseForMarking();
+
+    const marker = await seedMarkerUserWithPermissions(
+      'marker-history',
+      'Marker History',
+      ['marking.edit', 'marking.view'],
+    );
+    await approveMarkerForLiveMarking(marker.id, qigRow.id);
+
+    const headers = {
+      'x-user-external-id': 'marker-history',
+      'x-user-display-name': 'Marker History',
+    };
+
+    await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_MARK_1: 4 } },
+      headers,
+    );
+    await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_MARK_1: 7 } },
+      headers,
+    );
+    const submitRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_MARK_1: 9 } },
+      headers,
+    );
+    expect(submitRes.statusCode).toBe(200);
+
+    // A rejected write after lock does not add a version.
+    const lockedRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_MARK_1: 1 } },
+      headers,
+    );
+    expect(lockedRes.statusCode).toBe(409);
+
+    const historyRes = await httpGetJson(
+      port,
+      `/marking/responses/${responseRow.id}/history`,
+      headers,
+    );
+
+    expect(historyRes.statusCode).toBe(200);
+    expect(historyRes.json.responseId).toBe(responseRow.id);
+    const { history } = historyRes.json;
+    expect(history).toHaveLength(3);
+    expect(history.map((v) => v.sequence)).toEqual([1, 2, 3]);
+    expect(history.map((v) => v.state)).toEqual([
+      'DRAFT',
+      'DRAFT',
+      'SUBMITTED',
+    ]);
+    expect(history.map((v) => v.payload.I_MARK_1)).toEqual([4, 7, 9]);
+    expect(history[0].totalMark).toBeNull();
+    expect(history[2].totalMark).toBe(9);
+    expect(new Set(history.map((v) => v.markId)).size).toBe(1);
+    expect(history[2].markId).toBe(submitRes.json.mark.id);
+
+    const missingRes = await httpGetJson(
+      port,
+      '/marking/responses/999999/history',
+      headers,
+    );
+    expect(missingRes.statusCode).toBe(404);
+    expect(missingRes.json).toEqual({ error: 'response_not_found' });
   });
 });
@@ -0,0 +1,408 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const { ensureMarkingTables } = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+  getAllocationById,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with two QIGs and N responses in the first QIG.
+async function seedLivePool(responseCount) {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_NEXT', 'Next Response Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_NEXT', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_NEXT', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_NEXT_1', 'QIG 1');
+  const otherQigRow = await createQig(paperRow.id, 'Q_NEXT_2', 'QIG 2');
+  await createItem(qigRow.id, 'I_NEXT_1', 10);
+
+  const responses = [];
+  for (let i = 1; i <= responseCount; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const row = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId: `C_NEXT_${i}`,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    responses.push(row);
+  }
+
+  return { qigRow, otherQigRow, responses };
+}
+
+async function seedMarker(externalId, extraRoleKeys = []) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`MARKER_${externalId}`, `Marker ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of ['marking.edit', 'marking.view']) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for next tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const roleKey of extraRoleKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    const aeRole = await createRole(roleKey, roleKey);
+    // eslint-disable-next-line no-await-in-loop
+    await assignRoleToUser(user.id, aeRole.id);
+  }
+
+  // Live work is only handed to LIVE_APPROVED markers: approve this one on
+  // every QIG seeded so far.
+  const { rows: qigs } = await pool.query(
+    `SELECT id FROM ${ASSESSMENT_QIGS_TABLE_NAME}`,
+  );
+  // eslint-disable-next-line no-restricted-syntax
+  for (const qig of qigs) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+      // eslint-disable-next-line no-await-in-loop
+      await transitionMarkerEligibility(user.id, qig.id, toState, {
+        reasonCode: 'TEST_SETUP',
+      });
+    }
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('POST /marking/qigs/:qigCode/next', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('requires authentication', async () => {
+    const res = await httpPostJson(port, '/marking/qigs/Q_NEXT_1/next', {});
+
+    expect(res.statusCode).toBe(401);
+    expect(res.json).toEqual({
+      error: 'unauthenticated',
+      permission: 'marking.edit',
+    });
+  });
+
+  test('returns 404 for an unknown QIG', async () => {
+    await seedMarker('next-marker-404');
+
+    const res = await httpPostJson(
+      port,
+      '/marking/qigs/Q_UNKNOWN/next',
+      {},
+      headersFor('next-marker-404'),
+    );
+
+    expect(res.statusCode).toBe(404);
+    expect(res.json).toEqual({ error: 'qig_not_found' });
+  });
+
+  test('hands out distinct responses, resumes in-progress work, and reports an empty pool', async () => {
+    const { responses } = await seedLivePool(2);
+    const markerA = await seedMarker('next-marker-a');
+    await seedMarker('next-marker-b');
+    await seedMarker('next-marker-c');
+
+    const first = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-marker-a'),
+    );
+    expect(first.statusCode).toBe(200);
+    expect(first.json.response.id).toBe(responses[0].id);
+    expect(first.json.allocation).toMatchObject({
+      responseId: responses[0].id,
+      markerUserId: markerA.id,
+      state: 'IN_MARKING',
+    });
+    expect(first.json.resumed).toBe(false);
+
+    const again = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-marker-a'),
+    );
+    expect(again.statusCode).toBe(200);
+    expect(again.json.allocation.id).toBe(first.json.allocation.id);
+    expect(again.json.resumed).toBe(true);
+
+    const second = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-marker-b'),
+    );
+    expect(second.statusCode).toBe(200);
+    expect(second.json.response.id).toBe(responses[1].id);
+
+    const empty = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-marker-c'),
+    );
+    expect(empty.statusCode).toBe(404);
+    expect(empty.json).toEqual({ error: 'no_responses_available' });
+  });
+
+  test('concurrent claims never hand the same response to two markers', async () => {
+    const { responses } = await seedLivePool(3);
+    const markerIds = [];
+    for (let i = 1; i <= 6; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await seedMarker(`next-concurrent-${i}`);
+      markerIds.push(`next-concurrent-${i}`);
+    }
+
+    const results = await Promise.all(
+      markerIds.map((externalId) =>
+        httpPostJson(
+          port,
+          '/marking/qigs/Q_NEXT_1/next',
+          {},
+          headersFor(externalId),
+        ),
+      ),
+    );
+
+    const claimed = results
+      .filter((r) => r.statusCode === 200)
+      .map((r) => r.json.response.id);
+    const empty = results.filter((r) => r.statusCode === 404);
+
+    expect(claimed).toHaveLength(3);
+    expect(new Set(claimed).size).toBe(3);
+    expect(claimed.sort()).toEqual(responses.map((r) => r.id).sort());
+    expect(empty).toHaveLength(3);
+
+    const allocationCount = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM ${ALLOCATIONS_TABLE_NAME}`,
+    );
+    expect(allocationCount.rows[0].count).toBe(3);
+  });
+
+  test('respects AE QIG scoping from AE_<deployment>_<qig> roles', async () => {
+    await seedLivePool(1);
+    await seedMarker('next-ae-q2', ['AE_D_NEXT_Q_NEXT_2']);
+    await seedMarker('next-ae-q1', ['AE_D_NEXT_Q_NEXT_1']);
+
+    const outOfScope = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-ae-q2'),
+    );
+    expect(outOfScope.statusCode).toBe(403);
+    expect(outOfScope.json).toEqual({
+      error: 'forbidden',
+      reason: 'qig_out_of_scope',
+    });
+
+    const inScope = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-ae-q1'),
+    );
+    expect(inScope.statusCode).toBe(200);
+  });
+
+  test('submitting marks completes the claimed allocation', async () => {
+    await seedLivePool(2);
+    await seedMarker('next-submitter');
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-submitter'),
+    );
+    expect(claim.statusCode).toBe(200);
+
+    const submit = await httpPostJson(
+      port,
+      `/marking/responses/${claim.json.response.id}/submit`,
+      { marks: { I_NEXT_1: 5 } },
+      headersFor('next-submitter'),
+    );
+    expect(submit.statusCode).toBe(200);
+
+    const allocation = await getAllocationById(claim.json.allocation.id);
+    expect(allocation.state).toBe('COMPLETED');
+
+    const next = await httpPostJson(
+      port,
+      '/marking/qigs/Q_NEXT_1/next',
+      {},
+      headersFor('next-submitter'),
+    );
+    expect(next.statusCode).toBe(200);
+    expect(next.json.resumed).toBe(false);
+    expect(next.json.response.id).not.toBe(claim.json.response.id);
+  });
+});
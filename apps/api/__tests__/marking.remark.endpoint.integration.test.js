@@ -0,0 +1,456 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  getUserByExternalId,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  RESPONSE_MARKS_TABLE_NAME,
+  RESPONSE_REMARKS_TABLE_NAME,
+  MARKING_REMARK_OPENED_EVENT_TYPE,
+  MARKING_REMARK_COMPLETED_EVENT_TYPE,
+} = require('../src/marking');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+} = require('../src/audit');
+
+const { transitionMarkerEligibility } = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment + assessment tree + response
+// Helper: take markers through standardisation to LIVE_APPROVED on a QIG
+async function approveMarkersForLiveMarking(externalIds, qigId) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const externalId of externalIds) {
+    // eslint-disable-next-line no-await-in-loop
+    const marker = await getUserByExternalId(externalId);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+      // eslint-disable-next-line no-await-in-loop
+      await transitionMarkerEligibility(marker.id, qigId, toState, {
+        reasonCode: 'TEST_SETUP',
+      });
+    }
+  }
+}
+
+async function seedResponseForRemark() {
+  await ensureConfigTables();
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_REMARK', 'Remark Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_REMARK', 'Series Remark');
+  const paperRow = await createPaper(seriesRow.id, 'P_REMARK', 'Paper Remark');
+  const qigRow = await createQig(paperRow.id, 'Q_REMARK', 'QIG Remark');
+  await createItem(qigRow.id, 'I_R1', 10);
+  await createItem(qigRow.id, 'I_R2', 5);
+
+  const responseRow = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_REMARK_1',
+    scriptUrl: 's3://bucket/C_REMARK_1.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  await approveMarkersForLiveMarking(['remark-marker', 'remark-leader'], qigRow.id);
+
+  return { deploymentId, qigRow, responseRow };
+}
+
+// Helper: create a user with the given permissions (permissions are shared
+// between users, so reuse existing keys)
+async function seedUserWithPermissions(externalId, displayName, permissionKeys) {
+  await ensureIdentityTables();
+
+  const user = await createUser(externalId, displayName);
+  const role = await createRole(
+    `REMARK_${externalId}`,
+    `Remark test role for ${externalId}`,
+  );
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for remark tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+describe('Marking remark workflow', () => {
+  let server;
+  let port;
+
+  const markerHeaders = {
+    'x-user-external-id': 'remark-marker',
+    'x-user-display-name': 'Remark Marker',
+  };
+  const leaderHeaders = {
+    'x-user-external-id': 'remark-leader',
+    'x-user-display-name': 'Remark Leader',
+  };
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSE_REMARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('remark-marker', 'Remark Marker', [
+      'marking.edit',
+      'marking.view',
+    ]);
+    await seedUserWithPermissions('remark-leader', 'Remark Leader', [
+      'marking.edit',
+      'marking.view',
+      'marking.remark',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('POST /marking/responses/:id/remark requires marking.remark', async () => {
+    const { responseRow } = await seedResponseForRemark();
+
+    const res = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/remark`,
+      { reasonCode: 'ENQUIRY' },
+      markerHeaders,
+    );
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('remark requires a reason code and a locked response', async () => {
+    const { responseRow } = await seedResponseForRemark();
+
+    const missingReason = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/remark`,
+      {},
+      leaderHeaders,
+    );
+    expect(missingReason.statusCode).toBe(400);
+    expect(missingReason.json).toEqual({ error: 'reason_code_required' });
+
+    const notLocked = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/remark`,
+      { reasonCode: 'ENQUIRY' },
+      leaderHeaders,
+    );
+    expect(notLocked.statusCode).toBe(409);
+    expect(notLocked.json).toEqual({
+      error: 'response_not_locked',
+      state: 'INGESTED',
+    });
+
+    const missingResponse = await httpPostJson(
+      port,
+      '/marking/responses/999999/remark',
+      { reasonCode: 'ENQUIRY' },
+      leaderHeaders,
+    );
+    expect(missingResponse.statusCode).toBe(404);
+    expect(missingResponse.json).toEqual({ error: 'response_not_found' });
+  });
+
+  test('remark reopens a locked response, preserves the original and compares the outcome', async () => {
+    const { responseRow } = await seedResponseForRemark();
+
+    const originalRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_R1: 6, I_R2: 4 } },
+      markerHeaders,
+    );
+    expect(originalRes.statusCode).toBe(200);
+
+    const openRes = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/remark`,
+      { reasonCode: 'ENQUIRY_ABOUT_RESULTS' },
+      leaderHeaders,
+    );
+    expect(openRes.statusCode).toBe(201);
+    const { remark } = openRes.json;
+    expect(remark.state).toBe('OPEN');
+    expect(remark.reasonCode).toBe('ENQUIRY_ABOUT_RESULTS');
+    expect(remark.original.payload).toEqual({ I_R1: 6, I_R2: 4 });
+    expect(remark.original.totalMark).toBe(10);
+    expect(remark.remark).toBeNull();
+
+    // A second remark cannot be opened while one is in progress.
+    const secondOpen = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/remark`,
+      { reasonCode: 'ENQUIRY_ABOUT_RESULTS' },
+      leaderHeaders,
+    );
+    expect(secondOpen.statusCode).toBe(409);
+    expect(secondOpen.json).toEqual({
+      error: 'response_not_locked',
+      state: 'REMARK',
+    });
+
+    const remarkSubmit = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_R1: 8, I_R2: 4 } },
+      leaderHeaders,
+    );
+    expect(remarkSubmit.statusCode).toBe(200);
+    expect(remarkSubmit.json.mark.totalMark).toBe(12);
+
+    // The response is locked again once the remark is submitted.
+    const lockedDraft = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_R1: 1 } },
+      leaderHeaders,
+    );
+    expect(lockedDraft.statusCode).toBe(409);
+
+    // The original marker's record is untouched.
+    const originalMark = await httpGetJson(
+      port,
+      `/marking/responses/${responseRow.id}`,
+      markerHeaders,
+    );
+    expect(originalMark.statusCode).toBe(200);
+    expect(originalMark.json.mark.payload).toEqual({ I_R1: 6, I_R2: 4 });
+    expect(originalMark.json.mark.totalMark).toBe(10);
+
+    const listRes = await httpGetJson(
+      port,
+      `/marking/responses/${responseRow.id}/remarks`,
+      markerHeaders,
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.remarks).toHaveLength(1);
+    const [completed] = listRes.json.remarks;
+    expect(completed.state).toBe('COMPLETED');
+    expect(completed.remark.totalMark).toBe(12);
+    expect(completed.comparison).toEqual({
+      totalDifference: 2,
+      itemDifferences: [
+        { itemCode: 'I_R1', originalMark: 6, remarkMark: 8, difference: 2 },
+      ],
+    });
+
+    const auditRows = await pool.query(
+      `
+        SELECT event_type, payload
+        FROM ${AUDIT_TABLE_NAME}
+        WHERE event_type IN ($1, $2)
+        ORDER BY id ASC
+      `,
+      [MARKING_REMARK_OPENED_EVENT_TYPE, MARKING_REMARK_COMPLETED_EVENT_TYPE],
+    );
+    expect(auditRows.rows.map((r) => r.event_type)).toEqual([
+      MARKING_REMARK_OPENED_EVENT_TYPE,
+      MARKING_REMARK_COMPLETED_EVENT_TYPE,
+    ]);
+    expect(auditRows.rows[0].payload.meta).toMatchObject({
+      responseId: responseRow.id,
+      reasonCode: 'ENQUIRY_ABOUT_RESULTS',
+      originalTotalMark: 10,
+      operation: 'REMARK_OPENED',
+    });
+    expect(auditRows.rows[0].payload.actor.externalId).toBe('remark-leader');
+    expect(auditRows.rows[1].payload.meta).toMatchObject({
+      remarkId: remark.id,
+      originalTotalMark: 10,
+      remarkTotalMark: 12,
+      totalDifference: 2,
+    });
+  });
+});
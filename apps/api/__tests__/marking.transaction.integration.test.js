@@ -0,0 +1,481 @@
+const { pool, endPool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+  updateQigMarkingSettings,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  createUser,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  RESPONSE_MARKS_TABLE_NAME,
+  MARK_RECORD_VERSIONS_TABLE_NAME,
+  RESPONSE_REMARKS_TABLE_NAME,
+  RESPONSE_ADJUDICATIONS_TABLE_NAME,
+  MARKING_LOCKED_EVENT_TYPE,
+  saveDraftMark,
+  submitMark,
+  openRemark,
+} = require('../src/marking');
+
+const { MARK_SCHEME_VERSIONS_TABLE_NAME } = require('../src/markscheme');
+
+const {
+  ALLOCATIONS_TABLE_NAME,
+  claimNextResponseForQigs,
+  getAllocationById,
+} = require('../src/allocation');
+
+const {
+  SEED_RESULTS_TABLE_NAME,
+  transitionMarkerEligibility,
+  getMarkerEligibility,
+  setDefinitiveMarks,
+  addSeedResponse,
+  updateSeedSettings,
+} = require('../src/standardisation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  verifyAuditChain,
+} = require('../src/audit');
+
+jest.setTimeout(30000);
+
+// Helper: fail the occurrence-th statement matching pattern that is sent on
+// a client from pool.connect(), i.e. inside a transaction. pool.query() is
+// left alone (it connects with a callback).
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+// Helper: record every statement sent on a client from pool.connect(), as
+// { text, params }, into the returned list.
+function recordClientQueries() {
+  const connect = pool.connect.bind(pool);
+  const queries = [];
+  const spy = jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        queries.push({
+          text: typeof sql === 'string' ? sql : sql.text,
+          params: params || [],
+        });
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+  return { spy, queries };
+}
+
+// Helper: seed a QIG with one Item, one Response and two markers
+async function seedMarkingQig() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_TX', 'Transactional Marking Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_TX', 'Series TX');
+  const paperRow = await createPaper(seriesRow.id, 'P_TX', 'Paper TX');
+  const qigRow = await createQig(paperRow.id, 'Q_TX', 'QIG TX');
+  await createItem(qigRow.id, 'I_TX1', 10);
+
+  const response = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_TX_1',
+    scriptUrl: 's3://bucket/C_TX_1.pdf',
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  const firstMarker = await createUser('tx-m1', 'TX Marker One');
+  const secondMarker = await createUser('tx-m2', 'TX Marker Two');
+
+  return { qigRow, response, firstMarker, secondMarker };
+}
+
+// Helper: take a marker to LIVE_APPROVED on the QIG
+async function approveMarker(qigId, marker) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(marker.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+}
+
+// Helper: everything marking writes about a Response
+async function snapshotResponse(responseId) {
+  const responseRes = await pool.query(
+    `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+    [responseId],
+  );
+  const marksRes = await pool.query(
+    `SELECT state, total_mark FROM ${RESPONSE_MARKS_TABLE_NAME} WHERE response_id = $1 ORDER BY id`,
+    [responseId],
+  );
+  const versionsRes = await pool.query(
+    `SELECT state FROM ${MARK_RECORD_VERSIONS_TABLE_NAME} WHERE response_id = $1 ORDER BY id`,
+    [responseId],
+  );
+  const remarksRes = await pool.query(
+    `SELECT state FROM ${RESPONSE_REMARKS_TABLE_NAME} WHERE response_id = $1 ORDER BY id`,
+    [responseId],
+  );
+  const auditRes = await pool.query(
+    `
+      SELECT event_type
+      FROM ${AUDIT_TABLE_NAME}
+      WHERE payload->'meta'->>'responseId' = $1
+      ORDER BY id
+    `,
+    [String(responseId)],
+  );
+  return {
+    responseState: responseRes.rows[0].state,
+    marks: marksRes.rows,
+    versions: versionsRes.rows.map((row) => row.state),
+    remarks: remarksRes.rows.map((row) => row.state),
+    auditEvents: auditRes.rows.map((row) => row.event_type),
+  };
+}
+
+describe('Transactional marking writes', () => {
+  let seeded;
+  let connectSpy;
+
+  beforeAll(async () => {
+    process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+    process.env.DB_PORT = process.env.DB_PORT || '5432';
+    process.env.DB_USER = process.env.DB_USER || 'paritymark';
+    process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'paritymark';
+    process.env.DB_NAME = process.env.DB_NAME || 'paritymark';
+
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAuditTable();
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${RESPONSE_ADJUDICATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_REMARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARK_RECORD_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(
+      `TRUNCATE TABLE ${USERS_TABLE_NAME} RESTART IDENTITY CASCADE`,
+    );
+
+    seeded = await seedMarkingQig();
+  });
+
+  afterEach(() => {
+    if (connectSpy) {
+      connectSpy.mockRestore();
+      connectSpy = null;
+    }
+  });
+
+  afterAll(async () => {
+    await endPool();
+  });
+
+  test.each([
+    ['after the mark upsert', /INSERT INTO\s+mark_record_versions/i, 1],
+    ['after the mark version', /UPDATE\s+response_annotations/i, 1],
+    ['after the response lock', /INSERT INTO\s+audit_events/i, 1],
+    ['between the audit events', /INSERT INTO\s+audit_events/i, 2],
+    ['at commit', /^COMMIT$/, 1],
+  ])(
+    'a submission failing %s leaves nothing behind and can be retried',
+    async (_step, pattern, occurrence) => {
+      const { response, firstMarker } = seeded;
+      const before = await snapshotResponse(response.id);
+
+      connectSpy = injectClientFailure(pattern, occurrence);
+      await expect(
+        submitMark(response.id, firstMarker.id, { I_TX1: 7 }),
+      ).rejects.toThrow('Injected failure');
+      connectSpy.mockRestore();
+      connectSpy = null;
+
+      const after = await snapshotResponse(response.id);
+      expect(after).toEqual(before);
+      expect(after.responseState).toBe('INGESTED');
+      expect(after.marks).toEqual([]);
+      expect(after.versions).toEqual([]);
+      expect(after.auditEvents).toEqual([]);
+      expect((await verifyAuditChain()).valid).toBe(true);
+
+      await submitMark(response.id, firstMarker.id, { I_TX1: 7 });
+
+      const retried = await snapshotResponse(response.id);
+      expect(retried.responseState).toBe('LOCKED');
+      expect(retried.marks).toEqual([{ state: 'SUBMITTED', total_mark: 7 }]);
+      expect(retried.versions).toEqual(['SUBMITTED']);
+      expect(retried.auditEvents).toEqual([
+        'MARKING_SUBMITTED',
+        MARKING_LOCKED_EVENT_TYPE,
+      ]);
+      expect((await verifyAuditChain()).valid).toBe(true);
+    },
+  );
+
+  test('a failed submission keeps the earlier draft as it was', async () => {
+    const { response, firstMarker } = seeded;
+    await saveDraftMark(response.id, firstMarker.id, { I_TX1: 3 });
+    const before = await snapshotResponse(response.id);
+
+    connectSpy = injectClientFailure(/UPDATE\s+responses\s+SET state = 'LOCKED'/i);
+    await expect(
+      submitMark(response.id, firstMarker.id, { I_TX1: 7 }),
+    ).rejects.toThrow('Injected failure');
+
+    const after = await snapshotResponse(response.id);
+    expect(after).toEqual(before);
+    expect(after.marks).toEqual([{ state: 'DRAFT', total_mark: null }]);
+    expect(after.auditEvents).toEqual(['MARKING_DRAFT_SAVED']);
+  });
+
+  test('a draft whose audit event fails is not saved', async () => {
+    const { response, firstMarker } = seeded;
+
+    connectSpy = injectClientFailure(/INSERT INTO\s+audit_events/i);
+    await expect(
+      saveDraftMark(response.id, firstMarker.id, { I_TX1: 3 }),
+    ).rejects.toThrow('Injected failure');
+
+    const after = await snapshotResponse(response.id);
+    expect(after.marks).toEqual([]);
+    expect(after.versions).toEqual([]);
+    expect(after.auditEvents).toEqual([]);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  test('a remark whose audit event fails is not opened', async () => {
+    const { response, firstMarker, secondMarker } = seeded;
+    await submitMark(response.id, firstMarker.id, { I_TX1: 7 });
+    const before = await snapshotResponse(response.id);
+
+    connectSpy = injectClientFailure(/INSERT INTO\s+audit_events/i);
+    await expect(
+      openRemark(response.id, secondMarker.id, 'CENTRE_REQUEST'),
+    ).rejects.toThrow('Injected failure');
+
+    const after = await snapshotResponse(response.id);
+    expect(after).toEqual(before);
+    expect(after.responseState).toBe('LOCKED');
+    expect(after.remarks).toEqual([]);
+  });
+
+  test('concurrent submissions lock the response exactly once', async () => {
+    const { qigRow, response, firstMarker, secondMarker } = seeded;
+    await updateQigMarkingSettings(qigRow.id, {
+      requiredMarks: 2,
+      markTolerance: 10,
+    });
+
+    await Promise.all([
+      submitMark(response.id, firstMarker.id, { I_TX1: 6 }),
+      submitMark(response.id, secondMarker.id, { I_TX1: 7 }),
+    ]);
+
+    const after = await snapshotResponse(response.id);
+    expect(after.responseState).toBe('LOCKED');
+    expect(after.marks).toHaveLength(2);
+    expect(
+      after.auditEvents.filter((type) => type === MARKING_LOCKED_EVENT_TYPE),
+    ).toHaveLength(1);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  test.each([
+    ['at the allocation update', /UPDATE\s+allocations/i],
+    ['at the allocation audit event', /INSERT INTO\s+audit_events/i],
+  ])(
+    'a submission failing %s leaves the allocation IN_MARKING',
+    async (_step, pattern) => {
+      const { qigRow, response, firstMarker } = seeded;
+      await approveMarker(qigRow.id, firstMarker);
+      const { allocation } = await claimNextResponseForQigs(
+        [qigRow.id],
+        firstMarker.id,
+        null,
+      );
+      const before = await snapshotResponse(response.id);
+
+      connectSpy = injectClientFailure(pattern);
+      await expect(
+        submitMark(response.id, firstMarker.id, { I_TX1: 7 }),
+      ).rejects.toThrow('Injected failure');
+      connectSpy.mockRestore();
+      connectSpy = null;
+
+      expect(await snapshotResponse(response.id)).toEqual(before);
+      expect((await getAllocationById(allocation.id)).state).toBe('IN_MARKING');
+
+      await submitMark(response.id, firstMarker.id, { I_TX1: 7 });
+
+      expect((await getAllocationById(allocation.id)).state).toBe('COMPLETED');
+      const retried = await snapshotResponse(response.id);
+      expect(retried.responseState).toBe('LOCKED');
+      expect(retried.auditEvents.slice(before.auditEvents.length)).toEqual([
+        'ALLOCATION_TRANSITIONED',
+        'MARKING_SUBMITTED',
+        MARKING_LOCKED_EVENT_TYPE,
+      ]);
+      // The submitted Response is not handed back to the marker.
+      expect(
+        await claimNextResponseForQigs([qigRow.id], firstMarker.id, null),
+      ).toBeNull();
+      expect((await verifyAuditChain()).valid).toBe(true);
+    },
+  );
+
+  test.each([
+    ['at the seed result', /INSERT INTO\s+seed_results/i],
+    ['at the eligibility action', /INSERT INTO\s+marker_eligibility/i],
+  ])(
+    'a seed submission failing %s records neither the mark nor its result',
+    async (_step, pattern) => {
+      const { qigRow, response, firstMarker } = seeded;
+      await approveMarker(qigRow.id, firstMarker);
+      await setDefinitiveMarks(qigRow.id, response.id, { I_TX1: 5 });
+      await addSeedResponse(qigRow.id, response.id);
+      await updateSeedSettings(qigRow.id, {
+        failureLimit: 1,
+        failureAction: 'SUSPEND',
+      });
+      const before = await snapshotResponse(response.id);
+
+      connectSpy = injectClientFailure(pattern);
+      await expect(
+        submitMark(response.id, firstMarker.id, { I_TX1: 7 }),
+      ).rejects.toThrow('Injected failure');
+      connectSpy.mockRestore();
+      connectSpy = null;
+
+      const seedResults = async () =>
+        (
+          await pool.query(
+            `SELECT action_taken FROM ${SEED_RESULTS_TABLE_NAME} WHERE response_id = $1`,
+            [response.id],
+          )
+        ).rows;
+      expect(await snapshotResponse(response.id)).toEqual(before);
+      expect(await seedResults()).toEqual([]);
+      expect(
+        (await getMarkerEligibility(firstMarker.id, qigRow.id)).state,
+      ).toBe('LIVE_APPROVED');
+
+      await submitMark(response.id, firstMarker.id, { I_TX1: 7 });
+
+      expect(await seedResults()).toEqual([{ action_taken: 'SUSPEND' }]);
+      expect(
+        (await getMarkerEligibility(firstMarker.id, qigRow.id)).state,
+      ).toBe('SUSPENDED');
+      expect((await verifyAuditChain()).valid).toBe(true);
+    },
+  );
+
+  test('a seed submission takes the eligibility lock before any audit event', async () => {
+    const { qigRow, response, firstMarker } = seeded;
+    await approveMarker(qigRow.id, firstMarker);
+    await claimNextResponseForQigs([qigRow.id], firstMarker.id, null);
+    await setDefinitiveMarks(qigRow.id, response.id, { I_TX1: 5 });
+    await addSeedResponse(qigRow.id, response.id);
+
+    const recorded = recordClientQueries();
+    connectSpy = recorded.spy;
+    await submitMark(response.id, firstMarker.id, { I_TX1: 5 });
+    connectSpy.mockRestore();
+    connectSpy = null;
+
+    const isAdvisoryLock = (q, namespace) =>
+      /pg_advisory_xact_lock/.test(q.text) && q.params[0] === namespace;
+    const eligibilityLock = recorded.queries.findIndex((q) =>
+      isAdvisoryLock(q, 4601),
+    );
+    // The audit chain lock, taken by the first audit event.
+    const firstAuditLock = recorded.queries.findIndex((q) =>
+      isAdvisoryLock(q, 4001),
+    );
+    const allocationLock = recorded.queries.findIndex((q) =>
+      /FROM\s+allocations[\s\S]*FOR UPDATE/i.test(q.text),
+    );
+    expect(eligibilityLock).toBeGreaterThanOrEqual(0);
+    expect(allocationLock).toBeGreaterThan(eligibilityLock);
+    expect(firstAuditLock).toBeGreaterThan(allocationLock);
+  });
+});
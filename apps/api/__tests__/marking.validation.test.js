@@ -0,0 +1,79 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const {
+  validateMarksAgainstItems,
+  compareRemarkOutcome,
+} = require('../src/marking');
+
+const ITEMS = [
+  { code: 'Q1a', max_mark: 4 },
+  { code: 'Q1b', max_mark: 6 },
+];
+
+describe('validateMarksAgainstItems', () => {
+  test('returns the total when every item is marked within range', () => {
+    const result = validateMarksAgainstItems({ Q1a: 4, Q1b: 0 }, ITEMS);
+
+    expect(result).toEqual({ errors: [], total: 4 });
+  });
+
+  test('reports unknown, missing, negative, fractional and over-max marks per item', () => {
+    const result = validateMarksAgainstItems(
+      { Q1a: 7, Q9: 1 },
+      ITEMS,
+    );
+
+    expect(result.total).toBeNull();
+    expect(result.errors).toEqual([
+      { itemCode: 'Q9', error: 'unknown_item' },
+      { itemCode: 'Q1a', error: 'exceeds_max_mark', maxMark: 4 },
+      { itemCode: 'Q1b', error: 'missing_item', maxMark: 6 },
+    ]);
+
+    expect(
+      validateMarksAgainstItems({ Q1a: -1, Q1b: 1.5 }, ITEMS).errors,
+    ).toEqual([
+      { itemCode: 'Q1a', error: 'negative_mark', maxMark: 4 },
+      { itemCode: 'Q1b', error: 'not_an_integer', maxMark: 6 },
+    ]);
+  });
+
+  test('rejects non-numeric values', () => {
+    const result = validateMarksAgainstItems({ Q1a: '3', Q1b: null }, ITEMS);
+
+    expect(result.errors.map((e) => e.error)).toEqual([
+      'not_an_integer',
+      'not_an_integer',
+    ]);
+  });
+});
+
+describe('compareRemarkOutcome', () => {
+  test('compares sub-part marks by value', () => {
+    const result = compareRemarkOutcome({
+      state: 'COMPLETED',
+      original_payload: { Q1a: 2, Q1b: { i: 2, ii: 3 }, Q1c: { i: 1, ii: 1 } },
+      remark_payload: { Q1a: 2, Q1b: { i: 2, ii: 3 }, Q1c: { i: 2, ii: 0 } },
+      original_total_mark: 9,
+      remark_total_mark: 9,
+    });
+
+    expect(result).toEqual({
+      totalDifference: 0,
+      itemDifferences: [
+        {
+          itemCode: 'Q1c',
+          originalMark: { i: 1, ii: 1 },
+          remarkMark: { i: 2, ii: 0 },
+          difference: 0,
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,780 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+  createDraftConfigVersionForDeploymentCode,
+  upsertConfigArtifact,
+  activateConfigVersionForDeploymentCode,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  RESPONSE_MARKS_TABLE_NAME,
+  MARK_RECORD_VERSIONS_TABLE_NAME,
+} = require('../src/marking');
+
+const { MARK_SCHEME_VERSIONS_TABLE_NAME } = require('../src/markscheme');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  MARK_SCHEME_VERSION_CREATED_EVENT_TYPE,
+} = require('../src/audit');
+
+const {
+  transitionMarkerEligibility,
+  setDefinitiveMarks,
+  DEFINITIVE_MARKS_TABLE_NAME,
+} = require('../src/standardisation');
+
+const {
+  getMarkWithReview,
+  recordMarkReview,
+  MARK_REVIEWS_TABLE_NAME,
+} = require('../src/review');
+
+jest.setTimeout(30000);
+
+
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG of three Items and two responses.
+async function seedQigWithResponses() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_MS', 'Mark Scheme Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_MS', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_MS', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_MS', 'QIG');
+  await createItem(qigRow.id, 'I_MS_1', 4);
+  await createItem(qigRow.id, 'I_MS_2', 6);
+  await createItem(qigRow.id, 'I_MS_3', 2);
+
+  const responses = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidateId of ['C_MS_1', 'C_MS_2']) {
+    // eslint-disable-next-line no-await-in-loop
+    const responseRow = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    responses.push(responseRow);
+  }
+
+  return { qigRow, responses };
+}
+
+// Helper: activate (as ms_config, through the API) a new config version
+// whose mark_scheme artifact sets the given item settings on Q_MS.
+async function activateMarkScheme(port, items) {
+  const { configVersion } = await createDraftConfigVersionForDeploymentCode(
+    'D_MS',
+    'test',
+  );
+  await upsertConfigArtifact(configVersion.id, 'mark_scheme', {
+    qigs: { Q_MS: { items } },
+  });
+  const activated = await httpPostJson(
+    port,
+    `/config/D_MS/versions/${configVersion.version_number}/activate`,
+    {},
+    headersFor('ms_config'),
+  );
+  expect(activated.statusCode).toBe(200);
+  return configVersion;
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for mark scheme tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+// A LIVE_APPROVED marker on the given QIG.
+async function seedMarker(externalId, qigId) {
+  const user = await seedUserWithPermissions(externalId, [
+    'marking.view',
+    'marking.edit',
+  ]);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL', 'LIVE_APPROVED']) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(user.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+  return user;
+}
+
+// Make the nth query matching pattern on the next pooled client fail.
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('Versioned mark schemes', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${MARK_REVIEWS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEFINITIVE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARK_RECORD_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  async function auditMetasFor(eventType) {
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [eventType],
+    );
+    return rows.map((r) => r.payload.meta);
+  }
+
+  test('marks are validated against and stamped with the current scheme version', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await seedUserWithPermissions('ms_config', ['config.activate']);
+    await activateMarkScheme(port, {
+      I_MS_1: { allowedValues: [0, 2, 4] },
+      I_MS_2: {
+        subParts: [
+          { code: 'a', maxMark: 3 },
+          { code: 'b', maxMark: 3 },
+        ],
+      },
+      I_MS_3: { markType: 'BOOLEAN' },
+    });
+    await seedMarker('ms1', qigRow.id);
+    await seedUserWithPermissions('ms_admin', ['assessment.view']);
+
+    const schemePath = '/mark-schemes/D_MS/qigs/Q_MS';
+    const first = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(first.statusCode).toBe(200);
+    expect(first.json.current).toMatchObject({
+      qigId: qigRow.id,
+      versionNumber: 4,
+      configVersionNumber: 1,
+    });
+    expect(first.json.current.definition.items).toEqual([
+      {
+        code: 'I_MS_1',
+        maxMark: 4,
+        markType: 'INTEGER',
+        allowedValues: [0, 2, 4],
+        subParts: null,
+      },
+      {
+        code: 'I_MS_2',
+        maxMark: 6,
+        markType: 'INTEGER',
+        allowedValues: null,
+        subParts: [
+          { code: 'a', maxMark: 3 },
+          { code: 'b', maxMark: 3 },
+        ],
+      },
+      {
+        code: 'I_MS_3',
+        maxMark: 2,
+        markType: 'BOOLEAN',
+        allowedValues: null,
+        subParts: null,
+      },
+    ]);
+    const v1Id = first.json.current.id;
+
+    const invalid = await httpPostJson(
+      port,
+      `/marking/responses/${responses[0].id}/submit`,
+      { marks: { I_MS_1: 3, I_MS_2: { a: 2 }, I_MS_3: 1 } },
+      headersFor('ms1'),
+    );
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.json).toEqual({
+      error: 'invalid_marks',
+      itemErrors: [
+        {
+          itemCode: 'I_MS_1',
+          error: 'not_allowed_value',
+          maxMark: 4,
+          allowedValues: [0, 2, 4],
+        },
+        {
+          itemCode: 'I_MS_2',
+          subPartCode: 'b',
+          error: 'missing_sub_part',
+          maxMark: 3,
+        },
+        { itemCode: 'I_MS_3', error: 'not_allowed_value', maxMark: 2 },
+      ],
+    });
+
+    const submitted = await httpPostJson(
+      port,
+      `/marking/responses/${responses[0].id}/submit`,
+      { marks: { I_MS_1: 2, I_MS_2: { a: 2, b: 3 }, I_MS_3: 2 } },
+      headersFor('ms1'),
+    );
+    expect(submitted.statusCode).toBe(200);
+    expect(submitted.json.mark).toMatchObject({
+      state: 'SUBMITTED',
+      totalMark: 9,
+      markSchemeVersionId: v1Id,
+    });
+
+    const draft = await httpPostJson(
+      port,
+      `/marking/responses/${responses[1].id}/draft`,
+      { marks: { I_MS_1: 4 } },
+      headersFor('ms1'),
+    );
+    expect(draft.statusCode).toBe(200);
+    expect(draft.json.mark.markSchemeVersionId).toBe(v1Id);
+
+    const history = await httpGetJson(
+      port,
+      `/marking/responses/${responses[0].id}/history`,
+      headersFor('ms1'),
+    );
+    expect(history.statusCode).toBe(200);
+    expect(JSON.stringify(history.json)).toContain(
+      `"markSchemeVersionId":${v1Id}`,
+    );
+
+    // An unchanged scheme does not create a new version.
+    const again = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(again.json.current.id).toBe(v1Id);
+    expect(again.json.versions).toHaveLength(4);
+
+    // Mid-session change: I_MS_1 now only allows 0 or 4.
+    await activateMarkScheme(port, {
+      I_MS_1: { allowedValues: [0, 4] },
+      I_MS_2: {
+        subParts: [
+          { code: 'a', maxMark: 3 },
+          { code: 'b', maxMark: 3 },
+        ],
+      },
+      I_MS_3: { markType: 'BOOLEAN' },
+    });
+
+    const revalidation = await httpGetJson(
+      port,
+      `${schemePath}/revalidation`,
+      headersFor('ms_admin'),
+    );
+    expect(revalidation.statusCode).toBe(200);
+    expect(revalidation.json.current).toMatchObject({
+      versionNumber: 5,
+      configVersionNumber: 2,
+    });
+    expect(revalidation.json.marks).toEqual([
+      expect.objectContaining({
+        responseId: responses[0].id,
+        state: 'SUBMITTED',
+        totalMark: 9,
+        markSchemeVersionId: v1Id,
+        markSchemeVersionNumber: 4,
+        valid: false,
+        itemErrors: [
+          {
+            itemCode: 'I_MS_1',
+            error: 'not_allowed_value',
+            maxMark: 4,
+            allowedValues: [0, 4],
+          },
+        ],
+        revalidatedTotalMark: null,
+      }),
+      expect.objectContaining({
+        responseId: responses[1].id,
+        state: 'DRAFT',
+        markSchemeVersionNumber: 4,
+        valid: false,
+      }),
+    ]);
+
+    const versions = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(versions.json.versions.map((v) => v.versionNumber)).toEqual([5, 4, 3, 2, 1]);
+
+    const metas = await auditMetasFor(MARK_SCHEME_VERSION_CREATED_EVENT_TYPE);
+    expect(metas).toHaveLength(5);
+    expect(metas[4]).toMatchObject({
+      versionNumber: 5,
+      previousVersionNumber: 4,
+      configVersionNumber: 2,
+      qigId: qigRow.id,
+      qigCode: 'Q_MS',
+      deploymentCode: 'D_MS',
+    });
+
+    // Saving under the new scheme stamps the new version and drops the
+    // mark from the revalidation list.
+    const redraft = await httpPostJson(
+      port,
+      `/marking/responses/${responses[1].id}/submit`,
+      { marks: { I_MS_1: 4, I_MS_2: { a: 0, b: 0 }, I_MS_3: 0 } },
+      headersFor('ms1'),
+    );
+    expect(redraft.statusCode).toBe(200);
+    expect(redraft.json.mark.markSchemeVersionId).toBe(
+      revalidation.json.current.id,
+    );
+
+    const after = await httpGetJson(
+      port,
+      `${schemePath}/revalidation`,
+      headersFor('ms_admin'),
+    );
+    expect(after.json.marks.map((m) => m.responseId)).toEqual([
+      responses[0].id,
+    ]);
+  });
+
+  test('versions are recorded with the item and config writes, never on reads', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await seedMarker('ms1', qigRow.id);
+    await seedUserWithPermissions('ms_admin', [
+      'assessment.view',
+      'assessment.edit',
+    ]);
+
+    // Each Item added records a version, without a config yet.
+    const schemePath = '/mark-schemes/D_MS/qigs/Q_MS';
+    const seeded = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(seeded.statusCode).toBe(200);
+    expect(seeded.json.current).toMatchObject({
+      versionNumber: 3,
+      configVersionId: null,
+    });
+    expect(seeded.json.versions.map((v) => v.versionNumber)).toEqual([3, 2, 1]);
+
+    // Activating through the module records the version in its own
+    // transaction; a failure there leaves the old config active.
+    const { configVersion } = await createDraftConfigVersionForDeploymentCode(
+      'D_MS',
+      'test',
+    );
+    await upsertConfigArtifact(configVersion.id, 'mark_scheme', {
+      qigs: { Q_MS: { items: { I_MS_3: { markType: 'BOOLEAN' } } } },
+    });
+
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const connectSpy = injectClientFailure(/INSERT INTO\s+mark_scheme_versions/i);
+    try {
+      await expect(
+        activateConfigVersionForDeploymentCode('D_MS', configVersion.version_number),
+      ).rejects.toThrow('Injected failure');
+    } finally {
+      connectSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+    const { rows: statuses } = await pool.query(
+      `SELECT status FROM ${CONFIG_VERSIONS_TABLE_NAME} WHERE id = $1`,
+      [configVersion.id],
+    );
+    expect(statuses[0].status).not.toBe('ACTIVE');
+
+    await activateConfigVersionForDeploymentCode(
+      'D_MS',
+      configVersion.version_number,
+    );
+
+    const activated = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(activated.json.current).toMatchObject({
+      versionNumber: 4,
+      configVersionNumber: 1,
+    });
+
+    // Reads and saves record nothing.
+    const again = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(again.json.versions).toHaveLength(4);
+    const draft = await httpPostJson(
+      port,
+      `/marking/responses/${responses[0].id}/draft`,
+      { marks: { I_MS_1: 4 } },
+      headersFor('ms1'),
+    );
+    expect(draft.statusCode).toBe(200);
+    expect(draft.json.mark.markSchemeVersionId).toBe(activated.json.current.id);
+
+    const item = await httpPostJson(
+      port,
+      '/assessment/D_MS/series/S_MS/papers/P_MS/qigs/Q_MS/items',
+      { code: 'I_MS_4', maxMark: 5 },
+      headersFor('ms_admin'),
+    );
+    expect(item.statusCode).toBe(201);
+
+    const added = await httpGetJson(port, schemePath, headersFor('ms_admin'));
+    expect(added.json.current.versionNumber).toBe(5);
+    expect(added.json.current.definition.items.map((i) => i.code)).toEqual([
+      'I_MS_1',
+      'I_MS_2',
+      'I_MS_3',
+      'I_MS_4',
+    ]);
+    expect(added.json.versions).toHaveLength(5);
+
+    const { rows } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [MARK_SCHEME_VERSION_CREATED_EVENT_TYPE],
+    );
+    expect(
+      rows.map((r) => [
+        r.payload.meta.versionNumber,
+        r.payload.actor ? r.payload.actor.externalId : null,
+      ]),
+    ).toEqual([
+      [1, null],
+      [2, null],
+      [3, null],
+      [4, null],
+      [5, 'ms_admin'],
+    ]);
+  });
+
+  test('marks are not saved on a QIG without a scheme version', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await seedMarker('ms1', qigRow.id);
+    await seedUserWithPermissions('ms_admin', ['assessment.view']);
+    await pool.query(
+      `DELETE FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME} WHERE qig_id = $1`,
+      [qigRow.id],
+    );
+
+    const scheme = await httpGetJson(
+      port,
+      '/mark-schemes/D_MS/qigs/Q_MS',
+      headersFor('ms_admin'),
+    );
+    expect(scheme.json.current).toBeNull();
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const action of ['draft', 'submit']) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await httpPostJson(
+        port,
+        `/marking/responses/${responses[0].id}/${action}`,
+        { marks: { I_MS_1: 4, I_MS_2: 6, I_MS_3: 2 } },
+        headersFor('ms1'),
+      );
+      expect(res.statusCode).toBe(409);
+      expect(res.json).toEqual({ error: 'mark_scheme_missing' });
+    }
+
+    const revalidation = await httpGetJson(
+      port,
+      '/mark-schemes/D_MS/qigs/Q_MS/revalidation',
+      headersFor('ms_admin'),
+    );
+    expect(revalidation.statusCode).toBe(404);
+    expect(revalidation.json).toEqual({ error: 'mark_scheme_not_found' });
+  });
+
+  test('review and definitive marks are validated against the current scheme version', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await seedUserWithPermissions('ms_config', ['config.activate']);
+    await activateMarkScheme(port, {
+      I_MS_1: { allowedValues: [0, 2, 4] },
+      I_MS_2: {
+        subParts: [
+          { code: 'a', maxMark: 3 },
+          { code: 'b', maxMark: 3 },
+        ],
+      },
+    });
+    await seedMarker('ms1', qigRow.id);
+
+    const submitted = await httpPostJson(
+      port,
+      `/marking/responses/${responses[0].id}/submit`,
+      { marks: { I_MS_1: 2, I_MS_2: { a: 2, b: 3 }, I_MS_3: 2 } },
+      headersFor('ms1'),
+    );
+    expect(submitted.statusCode).toBe(200);
+    const markRow = await getMarkWithReview(submitted.json.mark.id);
+
+    // Both would pass the legacy max_mark check.
+    const offScheme = { I_MS_1: 3, I_MS_2: 5, I_MS_3: 2 };
+    const offSchemeErrors = [
+      {
+        itemCode: 'I_MS_1',
+        error: 'not_allowed_value',
+        maxMark: 4,
+        allowedValues: [0, 2, 4],
+      },
+      { itemCode: 'I_MS_2', error: 'sub_parts_required', maxMark: 6 },
+    ];
+    await expect(
+      recordMarkReview(markRow, { outcome: 'ADJUST', marks: offScheme }),
+    ).rejects.toMatchObject({
+      code: 'INVALID_MARKS',
+      itemErrors: offSchemeErrors,
+    });
+    await expect(
+      setDefinitiveMarks(qigRow.id, responses[1].id, offScheme),
+    ).rejects.toMatchObject({
+      code: 'INVALID_MARKS',
+      itemErrors: offSchemeErrors,
+    });
+
+    const onScheme = { I_MS_1: 4, I_MS_2: { a: 3, b: 1 }, I_MS_3: 2 };
+    const review = await recordMarkReview(markRow, {
+      outcome: 'ADJUST',
+      marks: onScheme,
+    });
+    expect(review.total_mark).toBe(10);
+    const definitive = await setDefinitiveMarks(
+      qigRow.id,
+      responses[1].id,
+      onScheme,
+    );
+    expect(definitive.total_mark).toBe(10);
+
+    await pool.query(
+      `DELETE FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME} WHERE qig_id = $1`,
+      [qigRow.id],
+    );
+    await expect(
+      setDefinitiveMarks(qigRow.id, responses[1].id, onScheme),
+    ).rejects.toMatchObject({ code: 'MARK_SCHEME_MISSING' });
+  });
+
+  test('unknown QIGs and callers without assessment.view are rejected', async () => {
+    await seedQigWithResponses();
+    await seedUserWithPermissions('ms_admin', ['assessment.view']);
+    await seedUserWithPermissions('ms_none', []);
+
+    const missing = await httpGetJson(
+      port,
+      '/mark-schemes/D_MS/qigs/Q_NOPE',
+      headersFor('ms_admin'),
+    );
+    expect(missing.statusCode).toBe(404);
+    expect(missing.json).toEqual({ error: 'qig_not_found' });
+
+    const forbidden = await httpGetJson(
+      port,
+      '/mark-schemes/D_MS/qigs/Q_MS/revalidation',
+      headersFor('ms_none'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const {
+  buildMarkSchemeDefinition,
+  validateMarksAgainstScheme,
+} = require('../src/markscheme');
+
+const ITEMS = [
+  { code: 'Q1a', max_mark: 4 },
+  { code: 'Q1b', max_mark: 6 },
+  { code: 'Q1c', max_mark: 2 },
+];
+
+const MARK_SCHEME = {
+  annotationTypes: ['TICK'],
+  qigs: {
+    QIG1: {
+      items: {
+        Q1a: { allowedValues: [0, 2, 4] },
+        Q1b: {
+          subParts: [
+            { code: 'i', maxMark: 3 },
+            { code: 'ii', maxMark: 3 },
+          ],
+        },
+        Q1c: { markType: 'BOOLEAN' },
+        Q9: { markType: 'BOOLEAN' },
+      },
+    },
+  },
+};
+
+describe('buildMarkSchemeDefinition', () => {
+  test('defaults every item to an integer mark up to its max', () => {
+    expect(buildMarkSchemeDefinition(null, 'QIG1', ITEMS.slice(0, 1))).toEqual({
+      annotationTypes: ['TICK', 'CROSS', 'COMMENT'],
+      items: [
+        {
+          code: 'Q1a',
+          maxMark: 4,
+          markType: 'INTEGER',
+          allowedValues: null,
+          subParts: null,
+        },
+      ],
+    });
+  });
+
+  test('applies the QIG item settings and ignores codes that are not items', () => {
+    expect(buildMarkSchemeDefinition(MARK_SCHEME, 'QIG1', ITEMS)).toEqual({
+      annotationTypes: ['TICK'],
+      items: [
+        {
+          code: 'Q1a',
+          maxMark: 4,
+          markType: 'INTEGER',
+          allowedValues: [0, 2, 4],
+          subParts: null,
+        },
+        {
+          code: 'Q1b',
+          maxMark: 6,
+          markType: 'INTEGER',
+          allowedValues: null,
+          subParts: [
+            { code: 'i', maxMark: 3 },
+            { code: 'ii', maxMark: 3 },
+          ],
+        },
+        {
+          code: 'Q1c',
+          maxMark: 2,
+          markType: 'BOOLEAN',
+          allowedValues: null,
+          subParts: null,
+        },
+      ],
+    });
+  });
+});
+
+describe('validateMarksAgainstScheme', () => {
+  const definition = buildMarkSchemeDefinition(MARK_SCHEME, 'QIG1', ITEMS);
+
+  test('totals allowed values, sub-parts and boolean marks', () => {
+    expect(
+      validateMarksAgainstScheme(
+        { Q1a: 2, Q1b: { i: 3, ii: 1 }, Q1c: 2 },
+        definition,
+      ),
+    ).toEqual({ errors: [], total: 8 });
+  });
+
+  test('reports values outside the scheme per item and sub-part', () => {
+    const result = validateMarksAgainstScheme(
+      { Q1a: 3, Q1b: { i: 4, iii: 1 }, Q1c: 1 },
+      definition,
+    );
+
+    expect(result.total).toBeNull();
+    expect(result.errors).toEqual([
+      {
+        itemCode: 'Q1a',
+        error: 'not_allowed_value',
+        maxMark: 4,
+        allowedValues: [0, 2, 4],
+      },
+      { itemCode: 'Q1b', subPartCode: 'iii', error: 'unknown_sub_part' },
+      {
+        itemCode: 'Q1b',
+        subPartCode: 'i',
+        error: 'exceeds_max_mark',
+        maxMark: 3,
+      },
+      {
+        itemCode: 'Q1b',
+        subPartCode: 'ii',
+        error: 'missing_sub_part',
+        maxMark: 3,
+      },
+      { itemCode: 'Q1c', error: 'not_allowed_value', maxMark: 2 },
+    ]);
+  });
+
+  test('requires sub-part marks where the item has sub-parts', () => {
+    expect(
+      validateMarksAgainstScheme({ Q1a: 0, Q1b: 6, Q1c: 0 }, definition).errors,
+    ).toEqual([{ itemCode: 'Q1b', error: 'sub_parts_required', maxMark: 6 }]);
+  });
+});
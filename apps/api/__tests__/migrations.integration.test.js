@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { pool: adminPool, endPool: endAdminPool } = require('../src/db');
+
+jest.setTimeout(60000);
+
+// Migrations run against a scratch database so they start from an empty
+// schema; the shared test database is only used to create and drop it.
+const SCRATCH_DB_NAME = 'paritymark_migrations_test';
+
+function loadScratchModules() {
+  const previous = process.env.DB_NAME;
+  process.env.DB_NAME = SCRATCH_DB_NAME;
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      db: require('../src/db'),
+      migrations: require('../src/migrations'),
+      migrateCli: require('../scripts/migrate'),
+    };
+  });
+  process.env.DB_NAME = previous;
+  return modules;
+}
+
+async function recreateScratchDatabase() {
+  await adminPool.query(`DROP DATABASE IF EXISTS ${SCRATCH_DB_NAME}`);
+  await adminPool.query(`CREATE DATABASE ${SCRATCH_DB_NAME}`);
+}
+
+// Helper: copy the real migrations into a temporary directory so a test
+// can edit or add files.
+function copyMigrationsDir(migrationsDir) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paritymark-migrations-'));
+  fs.readdirSync(migrationsDir).forEach((filename) => {
+    fs.copyFileSync(path.join(migrationsDir, filename), path.join(dir, filename));
+  });
+  return dir;
+}
+
+describe('Database migrations', () => {
+  let scratch;
+  const tmpDirs = [];
+
+  function tmpMigrationsDir() {
+    const dir = copyMigrationsDir(scratch.migrations.MIGRATIONS_DIR);
+    tmpDirs.push(dir);
+    return dir;
+  }
+
+  async function tableExists(name) {
+    const res = await scratch.db.pool.query(
+      'SELECT to_regclass($1) IS NOT NULL AS present',
+      [name],
+    );
+    return res.rows[0].present;
+  }
+
+  beforeEach(async () => {
+    if (scratch) {
+      await scratch.db.endPool();
+    }
+    await recreateScratchDatabase();
+    scratch = loadScratchModules();
+  });
+
+  afterAll(async () => {
+    if (scratch) {
+      await scratch.db.endPool();
+    }
+    tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+    await adminPool.query(`DROP DATABASE IF EXISTS ${SCRATCH_DB_NAME}`);
+    await endAdminPool();
+  });
+
+  test('status on an empty database lists every migration as pending without DDL', async () => {
+    const { getMigrationStatus, loadMigrations } = scratch.migrations;
+
+    const status = await getMigrationStatus();
+
+    expect(status.migrations).toHaveLength(loadMigrations().length);
+    expect(status.migrations[0]).toMatchObject({
+      version: '0001',
+      name: 'audit_events',
+      state: 'PENDING',
+      appliedAt: null,
+    });
+    expect(
+      status.migrations.every((migration) => migration.state === 'PENDING'),
+    ).toBe(true);
+    expect(status.unknown).toEqual([]);
+    expect(await tableExists('schema_migrations')).toBe(false);
+  });
+
+  test('migrate applies every migration once and records its checksum', async () => {
+    const { migrate, loadMigrations, getMigrationStatus } = scratch.migrations;
+    const files = loadMigrations();
+
+    const first = await migrate();
+    expect(first.applied.map((migration) => migration.version)).toEqual(
+      files.map((migration) => migration.version),
+    );
+
+    const rows = await scratch.db.pool.query(
+      'SELECT version, name, checksum FROM schema_migrations ORDER BY version',
+    );
+    expect(rows.rows).toEqual(
+      files.map(({ version, name, checksum }) => ({ version, name, checksum })),
+    );
+    expect(await tableExists('audit_events')).toBe(true);
+    expect(await tableExists('responses')).toBe(true);
+    expect(await tableExists('exception_cases')).toBe(true);
+
+    const second = await migrate();
+    expect(second.applied).toEqual([]);
+
+    const status = await getMigrationStatus();
+    expect(
+      status.migrations.every((migration) => migration.state === 'APPLIED'),
+    ).toBe(true);
+  });
+
+  test('migrate bootstraps a database whose tables were created before migrations', async () => {
+    const { migrate, getMigrationStatus } = scratch.migrations;
+
+    // A database set up by an older release already has some tables but
+    // no schema_migrations records.
+    await scratch.db.pool.query(`
+      CREATE TABLE audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await scratch.db.pool.query(
+      `INSERT INTO audit_events (event_type, payload) VALUES ('LEGACY', '{}')`,
+    );
+
+    const { applied } = await migrate();
+    expect(applied.length).toBeGreaterThan(0);
+
+    const legacy = await scratch.db.pool.query(
+      'SELECT event_type, prev_hash, hash FROM audit_events',
+    );
+    expect(legacy.rows).toEqual([
+      { event_type: 'LEGACY', prev_hash: null, hash: null },
+    ]);
+
+    const status = await getMigrationStatus();
+    expect(
+      status.migrations.every((migration) => migration.state === 'APPLIED'),
+    ).toBe(true);
+  });
+
+  test('an applied migration that was edited is reported and blocks migrate', async () => {
+    const { migrate, getMigrationStatus } = scratch.migrations;
+    const dir = tmpMigrationsDir();
+    await migrate({ dir });
+
+    fs.appendFileSync(
+      path.join(dir, '0001_audit_events.sql'),
+      '\n-- edited after it was applied\n',
+    );
+    fs.writeFileSync(
+      path.join(dir, '9999_new_table.sql'),
+      'CREATE TABLE migration_probe (id INT);\n',
+    );
+
+    await expect(migrate({ dir })).rejects.toMatchObject({
+      code: 'MIGRATION_CHECKSUM_MISMATCH',
+      version: '0001',
+    });
+    expect(await tableExists('migration_probe')).toBe(false);
+
+    const status = await getMigrationStatus({ dir });
+    expect(status.migrations[0].state).toBe('CHANGED');
+    expect(status.migrations[status.migrations.length - 1].state).toBe(
+      'PENDING',
+    );
+  });
+
+  test('a failing migration rolls back every migration of the run', async () => {
+    const { migrate, getMigrationStatus } = scratch.migrations;
+    const dir = tmpMigrationsDir();
+    fs.writeFileSync(
+      path.join(dir, '9999_broken.sql'),
+      'CREATE TABLE migration_probe (id INT);\nSELECT * FROM no_such_table;\n',
+    );
+
+    await expect(migrate({ dir })).rejects.toMatchObject({
+      migration: '9999_broken.sql',
+    });
+
+    expect(await tableExists('schema_migrations')).toBe(false);
+    expect(await tableExists('audit_events')).toBe(false);
+    expect(await tableExists('migration_probe')).toBe(false);
+
+    const status = await getMigrationStatus({ dir });
+    expect(
+      status.migrations.every((migration) => migration.state === 'PENDING'),
+    ).toBe(true);
+  });
+
+  test('concurrent runners apply each migration exactly once', async () => {
+    const { migrate, loadMigrations } = scratch.migrations;
+
+    const results = await Promise.all([migrate(), migrate(), migrate()]);
+
+    const appliedVersions = results.flatMap((result) =>
+      result.applied.map((migration) => migration.version),
+    );
+    expect(appliedVersions.sort()).toEqual(
+      loadMigrations().map((migration) => migration.version),
+    );
+  });
+
+  test('a misnamed migration file is rejected', async () => {
+    const { loadMigrations } = scratch.migrations;
+    const dir = tmpMigrationsDir();
+    fs.writeFileSync(path.join(dir, 'add-table.sql'), 'SELECT 1;\n');
+
+    expect(() => loadMigrations(dir)).toThrow(
+      expect.objectContaining({
+        code: 'INVALID_MIGRATION_FILENAME',
+        filename: 'add-table.sql',
+      }),
+    );
+  });
+
+  test('the migrate CLI status exits 1 until up has applied the pending migrations', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(await scratch.migrateCli.main(['status'])).toBe(1);
+
+      // main() ends the pool it used, so each run loads fresh modules.
+      scratch = loadScratchModules();
+      expect(await scratch.migrateCli.main(['--', 'up'])).toBe(0);
+
+      scratch = loadScratchModules();
+      expect(await scratch.migrateCli.main(['status', '--json'])).toBe(0);
+      const printed = JSON.parse(
+        logSpy.mock.calls[logSpy.mock.calls.length - 1][0],
+      );
+      expect(
+        printed.migrations.every((migration) => migration.state === 'APPLIED'),
+      ).toBe(true);
+
+      scratch = loadScratchModules();
+      expect(await scratch.migrateCli.main(['sideways'])).toBe(2);
+      expect(errorSpy).toHaveBeenCalled();
+    } finally {
+      logSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,586 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  saveDraftMark,
+  submitMark,
+  RESPONSE_MARKS_TABLE_NAME,
+} = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  MARK_REVIEWED_EVENT_TYPE,
+} = require('../src/audit');
+
+const { ensureStandardisationTables } = require('../src/standardisation');
+
+const {
+  ensureTeamTables,
+  TEAMS_TABLE_NAME,
+  TEAM_MEMBERS_TABLE_NAME,
+  createTeam,
+  addTeamMember,
+} = require('../src/teams');
+
+const {
+  ensureReviewTables,
+  REVIEW_SAMPLE_RATES_TABLE_NAME,
+  MARK_REVIEWS_TABLE_NAME,
+} = require('../src/review');
+
+jest.setTimeout(30000);
+
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG and `count` responses
+async function seedQigWithResponses(count) {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_REV', 'Review Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_REV', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_REV', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_REV', 'QIG');
+  await createItem(qigRow.id, 'I_REV_1', 10);
+
+  const responseRows = [];
+  for (let i = 1; i <= count; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const responseRow = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId: `C_REV_${i}`,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    responseRows.push(responseRow);
+  }
+
+  return { qigRow, responseRows };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for review tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+// Make the nth query matching pattern on the next pooled client fail.
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+describe('Supervisor review of submitted marks', () => {
+  let server;
+  let port;
+
+  const reviewPath = '/review/D_REV/qigs/Q_REV';
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureStandardisationTables();
+    await ensureTeamTables();
+    await ensureReviewTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${MARK_REVIEWS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${REVIEW_SAMPLE_RATES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${TEAM_MEMBERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${TEAMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  // TL1 is led by `tl` with `ae1` as its only member; `ae2` is in no team.
+  async function seedTeamWithSubmissions() {
+    const { qigRow, responseRows } = await seedQigWithResponses(5);
+    const tl = await seedUserWithPermissions('tl', ['review.view', 'review.manage']);
+    await seedUserWithPermissions('no-team', ['review.view', 'review.manage']);
+    const ae1 = await seedUserWithPermissions('ae1', ['marking.view', 'marking.edit']);
+    const ae2 = await seedUserWithPermissions('ae2', ['marking.edit']);
+
+    const team = await createTeam(qigRow.id, {
+      code: 'TL1',
+      name: 'Team 1',
+      leaderUserId: tl.id,
+    });
+    await addTeamMember(team, ae1.id);
+
+    const ae1Marks = [];
+    for (let i = 0; i < 4; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      ae1Marks.push(await submitMark(responseRows[i].id, ae1.id, { I_REV_1: i + 1 }));
+    }
+    const ae1Draft = await saveDraftMark(responseRows[4].id, ae1.id, { I_REV_1: 2 });
+    const ae2Mark = await submitMark(responseRows[4].id, ae2.id, { I_REV_1: 5 });
+
+    return { ae1Marks, ae1Draft, ae2Mark };
+  }
+
+  test('samples submissions at the configured rate per marker', async () => {
+    const { ae1Marks } = await seedTeamWithSubmissions();
+
+    const sampling = await httpGetJson(port, `${reviewPath}/sampling`, headersFor('tl'));
+    expect(sampling.statusCode).toBe(200);
+    expect(sampling.json.defaultSampleRatePercent).toBe(10);
+    expect(sampling.json.markers).toEqual([
+      expect.objectContaining({
+        markerExternalId: 'ae1',
+        sampleRatePercent: 10,
+        isDefault: true,
+      }),
+    ]);
+
+    // Four submissions at the default 10% rate: none sampled yet.
+    const emptyQueue = await httpGetJson(port, `${reviewPath}/queue`, headersFor('tl'));
+    expect(emptyQueue.statusCode).toBe(200);
+    expect(emptyQueue.json.marks).toEqual([]);
+
+    const setRate = await httpPostJson(
+      port,
+      `${reviewPath}/sampling/ae1`,
+      { sampleRatePercent: 50 },
+      headersFor('tl'),
+    );
+    expect(setRate.statusCode).toBe(200);
+    expect(setRate.json.sampling).toMatchObject({
+      markerExternalId: 'ae1',
+      sampleRatePercent: 50,
+      isDefault: false,
+    });
+
+    const queue = await httpGetJson(port, `${reviewPath}/queue`, headersFor('tl'));
+    expect(queue.json.marks.map((m) => m.id)).toEqual([ae1Marks[1].id, ae1Marks[3].id]);
+    expect(queue.json.marks[0]).toMatchObject({
+      markerExternalId: 'ae1',
+      candidateId: 'C_REV_2',
+      payload: { I_REV_1: 2 },
+      totalMark: 2,
+      review: null,
+      finalMark: { source: 'SUBMISSION', payload: { I_REV_1: 2 }, totalMark: 2 },
+    });
+
+    const invalidRate = await httpPostJson(
+      port,
+      `${reviewPath}/sampling/ae1`,
+      { sampleRatePercent: 150 },
+      headersFor('tl'),
+    );
+    expect(invalidRate.statusCode).toBe(400);
+    expect(invalidRate.json).toEqual({ error: 'invalid_sample_rate' });
+
+    const outsideTeam = await httpPostJson(
+      port,
+      `${reviewPath}/sampling/ae2`,
+      { sampleRatePercent: 50 },
+      headersFor('tl'),
+    );
+    expect(outsideTeam.statusCode).toBe(403);
+    expect(outsideTeam.json).toEqual({ error: 'forbidden', reason: 'marker_not_in_team' });
+
+    const noTeam = await httpGetJson(port, `${reviewPath}/queue`, headersFor('no-team'));
+    expect(noTeam.statusCode).toBe(403);
+    expect(noTeam.json).toEqual({ error: 'forbidden', reason: 'not_team_leader' });
+  });
+
+  test('records review outcomes and takes the final mark from adjustments', async () => {
+    const { ae1Marks, ae1Draft, ae2Mark } = await seedTeamWithSubmissions();
+
+    const adjust = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[1].id}`,
+      { outcome: 'ADJUST', marks: { I_REV_1: 7 }, comment: 'Credit missed' },
+      headersFor('tl'),
+    );
+    expect(adjust.statusCode).toBe(201);
+    expect(adjust.json.mark).toMatchObject({
+      id: ae1Marks[1].id,
+      payload: { I_REV_1: 7 },
+      totalMark: 7,
+      review: {
+        outcome: 'ADJUST',
+        marks: { I_REV_1: 7 },
+        totalMark: 7,
+        originalMarks: { I_REV_1: 2 },
+        originalTotalMark: 2,
+        comment: 'Credit missed',
+      },
+      finalMark: { source: 'REVIEW', payload: { I_REV_1: 7 }, totalMark: 7 },
+    });
+
+    // The adjustment is the mark the marking endpoints now read, with the
+    // submission kept in its history.
+    const markerView = await httpGetJson(
+      port,
+      `/marking/responses/${ae1Marks[1].response_id}`,
+      headersFor('ae1'),
+    );
+    expect(markerView.statusCode).toBe(200);
+    expect(markerView.json.mark).toMatchObject({
+      id: ae1Marks[1].id,
+      state: 'SUBMITTED',
+      payload: { I_REV_1: 7 },
+      totalMark: 7,
+    });
+    const history = await httpGetJson(
+      port,
+      `/marking/responses/${ae1Marks[1].response_id}/history`,
+      headersFor('ae1'),
+    );
+    expect(history.json.history.map((v) => [v.sequence, v.totalMark])).toEqual([
+      [1, 2],
+      [2, 7],
+    ]);
+
+    const again = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[1].id}`,
+      { outcome: 'AGREE', marks: { I_REV_1: 2 } },
+      headersFor('tl'),
+    );
+    expect(again.statusCode).toBe(409);
+    expect(again.json).toEqual({ error: 'already_reviewed' });
+
+    const badOutcome = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[3].id}`,
+      { outcome: 'MAYBE', marks: { I_REV_1: 4 } },
+      headersFor('tl'),
+    );
+    expect(badOutcome.statusCode).toBe(400);
+    expect(badOutcome.json).toEqual({ error: 'invalid_outcome' });
+
+    const badMarks = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[3].id}`,
+      { outcome: 'AGREE', marks: { I_REV_1: 11 } },
+      headersFor('tl'),
+    );
+    expect(badMarks.statusCode).toBe(400);
+    expect(badMarks.json.error).toBe('invalid_marks');
+
+    const agree = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[3].id}`,
+      { outcome: 'AGREE', marks: { I_REV_1: 4 } },
+      headersFor('tl'),
+    );
+    expect(agree.statusCode).toBe(201);
+    expect(agree.json.mark.finalMark).toEqual({
+      source: 'SUBMISSION',
+      payload: { I_REV_1: 4 },
+      totalMark: 4,
+    });
+
+    // Leaders may also review submissions outside the sample.
+    const refer = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[0].id}`,
+      { outcome: 'REFER', marks: { I_REV_1: 3 } },
+      headersFor('tl'),
+    );
+    expect(refer.statusCode).toBe(201);
+    expect(refer.json.mark.finalMark.source).toBe('SUBMISSION');
+
+    const fetched = await httpGetJson(port, `/review/marks/${ae1Marks[1].id}`, headersFor('tl'));
+    expect(fetched.statusCode).toBe(200);
+    expect(fetched.json.mark.finalMark.totalMark).toBe(7);
+
+    const reviews = await httpGetJson(port, `${reviewPath}/reviews`, headersFor('tl'));
+    expect(reviews.json.marks.map((m) => [m.id, m.review.outcome])).toEqual([
+      [ae1Marks[0].id, 'REFER'],
+      [ae1Marks[1].id, 'ADJUST'],
+      [ae1Marks[3].id, 'AGREE'],
+    ]);
+
+    const draft = await httpPostJson(
+      port,
+      `/review/marks/${ae1Draft.id}`,
+      { outcome: 'AGREE', marks: { I_REV_1: 2 } },
+      headersFor('tl'),
+    );
+    expect(draft.statusCode).toBe(409);
+    expect(draft.json).toEqual({ error: 'mark_not_submitted' });
+
+    const otherMarker = await httpGetJson(port, `/review/marks/${ae2Mark.id}`, headersFor('tl'));
+    expect(otherMarker.statusCode).toBe(403);
+    expect(otherMarker.json).toEqual({ error: 'forbidden', reason: 'marker_not_in_team' });
+
+    const missing = await httpGetJson(port, '/review/marks/999999', headersFor('tl'));
+    expect(missing.statusCode).toBe(404);
+    expect(missing.json).toEqual({ error: 'mark_not_found' });
+
+    const forbidden = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[2].id}`,
+      { outcome: 'AGREE', marks: { I_REV_1: 3 } },
+      headersFor('ae1'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+
+    const { rows: audit } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [MARK_REVIEWED_EVENT_TYPE],
+    );
+    expect(audit).toHaveLength(3);
+    expect(audit[0].payload.meta).toMatchObject({
+      responseMarkId: ae1Marks[1].id,
+      outcome: 'ADJUST',
+      originalTotalMark: 2,
+      reviewTotalMark: 7,
+      finalTotalMark: 7,
+      qigCode: 'Q_REV',
+      deploymentCode: 'D_REV',
+    });
+  });
+
+  test('a review, its adjustment and its audit event commit together', async () => {
+    const { ae1Marks } = await seedTeamWithSubmissions();
+
+    const spy = injectClientFailure(/INSERT INTO audit_events/);
+    let failed;
+    try {
+      failed = await httpPostJson(
+        port,
+        `/review/marks/${ae1Marks[1].id}`,
+        { outcome: 'ADJUST', marks: { I_REV_1: 7 } },
+        headersFor('tl'),
+      );
+    } finally {
+      spy.mockRestore();
+    }
+    expect(failed.statusCode).toBe(500);
+
+    const { rows: reviews } = await pool.query(
+      `SELECT id FROM ${MARK_REVIEWS_TABLE_NAME}`,
+    );
+    expect(reviews).toHaveLength(0);
+    const { rows: marks } = await pool.query(
+      `SELECT payload, total_mark FROM ${RESPONSE_MARKS_TABLE_NAME} WHERE id = $1`,
+      [ae1Marks[1].id],
+    );
+    expect(marks[0]).toEqual({ payload: { I_REV_1: 2 }, total_mark: 2 });
+
+    const adjust = await httpPostJson(
+      port,
+      `/review/marks/${ae1Marks[1].id}`,
+      { outcome: 'ADJUST', marks: { I_REV_1: 7 } },
+      headersFor('tl'),
+    );
+    expect(adjust.statusCode).toBe(201);
+    expect(adjust.json.mark.totalMark).toBe(7);
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const { isSubmissionSampled, resolveFinalMark } = require('../src/review');
+
+function sampledNumbers(count, rate) {
+  const sampled = [];
+  for (let n = 1; n <= count; n += 1) {
+    if (isSubmissionSampled(n, rate)) {
+      sampled.push(n);
+    }
+  }
+  return sampled;
+}
+
+describe('isSubmissionSampled', () => {
+  test('samples every nth submission for whole-number intervals', () => {
+    expect(sampledNumbers(30, 10)).toEqual([10, 20, 30]);
+    expect(sampledNumbers(12, 25)).toEqual([4, 8, 12]);
+    expect(sampledNumbers(4, 50)).toEqual([2, 4]);
+  });
+
+  test('tracks the rate exactly for uneven intervals', () => {
+    expect(sampledNumbers(100, 30)).toHaveLength(30);
+    expect(sampledNumbers(10, 30)).toEqual([4, 7, 10]);
+  });
+
+  test('samples nothing at 0% and everything at 100%', () => {
+    expect(sampledNumbers(20, 0)).toEqual([]);
+    expect(sampledNumbers(5, 100)).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('resolveFinalMark', () => {
+  const mark = { payload: { Q1: 4 }, total_mark: 4 };
+
+  test('uses the review marks when the outcome is ADJUST', () => {
+    expect(
+      resolveFinalMark(mark, { outcome: 'ADJUST', payload: { Q1: 6 }, total_mark: 6 }),
+    ).toEqual({ source: 'REVIEW', payload: { Q1: 6 }, totalMark: 6 });
+  });
+
+  test('keeps the submission otherwise', () => {
+    const submission = { source: 'SUBMISSION', payload: { Q1: 4 }, totalMark: 4 };
+    expect(resolveFinalMark(mark, null)).toEqual(submission);
+    expect(
+      resolveFinalMark(mark, { outcome: 'AGREE', payload: { Q1: 4 }, total_mark: 4 }),
+    ).toEqual(submission);
+    expect(
+      resolveFinalMark(mark, { outcome: 'REFER', payload: { Q1: 9 }, total_mark: 9 }),
+    ).toEqual(submission);
+  });
+});
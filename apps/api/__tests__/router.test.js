@@ -0,0 +1,239 @@
+jest.mock('../src/authz', () => ({
+  authorizeRequest: jest.fn(),
+  getOrCreateUserForRequest: jest.fn(),
+}));
+
+const { Readable } = require('stream');
+const {
+  authorizeRequest,
+  getOrCreateUserForRequest,
+} = require('../src/authz');
+const {
+  createRouter,
+  jsonBody,
+  rawBody,
+  integerParam,
+  sendJson,
+} = require('../src/router');
+
+function fakeRequest(method, url, body) {
+  const req = Readable.from(body === undefined ? [] : [Buffer.from(body)]);
+  req.method = method;
+  req.url = url;
+  req.headers = {};
+  return req;
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    writableEnded: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+      this.headersSent = true;
+      this.writableEnded = true;
+    },
+  };
+}
+
+async function dispatch(router, method, url, body) {
+  const res = fakeResponse();
+  await router.handle(fakeRequest(method, url, body), res);
+  return {
+    status: res.statusCode,
+    headers: res.headers,
+    json: res.body ? JSON.parse(res.body) : undefined,
+    raw: res.body,
+  };
+}
+
+describe('router', () => {
+  beforeEach(() => {
+    authorizeRequest.mockReset();
+    getOrCreateUserForRequest.mockReset();
+  });
+
+  test('matches the first route by method and path and decodes params', async () => {
+    const router = createRouter();
+    router.get('/things/:code', {}, (ctx) =>
+      sendJson(ctx.res, 200, { code: ctx.params.code, q: ctx.query.get('q') }),
+    );
+    router.get('/things/:code', {}, (ctx) => sendJson(ctx.res, 500, {}));
+
+    const res = await dispatch(router, 'GET', '/things/a%20b/?q=1');
+    expect(res.status).toBe(200);
+    expect(res.json).toEqual({ code: 'a b', q: '1' });
+
+    const missing = await dispatch(router, 'POST', '/things/a');
+    expect(missing.status).toBe(404);
+    expect(missing.raw).toBeUndefined();
+  });
+
+  test('rejects typed params in declaration order before auth', async () => {
+    const router = createRouter();
+    const handler = jest.fn();
+    router.get(
+      '/a/:first/b/:second',
+      {
+        params: {
+          first: integerParam('invalid_first'),
+          second: integerParam('invalid_second'),
+        },
+        permission: 'thing.view',
+      },
+      handler,
+    );
+
+    const res = await dispatch(router, 'GET', '/a/x/b/y');
+    expect(res.status).toBe(400);
+    expect(res.json).toEqual({ error: 'invalid_first' });
+    expect(authorizeRequest).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('enforces the route permission and passes the user on', async () => {
+    const router = createRouter();
+    router.get(
+      '/things/:id',
+      {
+        params: { id: integerParam('invalid_id') },
+        permission: 'thing.view',
+      },
+      (ctx) => sendJson(ctx.res, 200, { id: ctx.params.id, user: ctx.user.id }),
+    );
+
+    authorizeRequest.mockResolvedValueOnce({ id: 7 });
+    const allowed = await dispatch(router, 'GET', '/things/3');
+    expect(allowed.json).toEqual({ id: 3, user: 7 });
+    expect(authorizeRequest.mock.calls[0][2]).toBe('thing.view');
+
+    // authorizeRequest writes the 401/403 itself when it returns null.
+    authorizeRequest.mockImplementationOnce(async (req, res) => {
+      sendJson(res, 403, { error: 'forbidden' });
+      return null;
+    });
+    const denied = await dispatch(router, 'GET', '/things/3');
+    expect(denied.status).toBe(403);
+  });
+
+  test('authenticate-only routes answer 401 without a user', async () => {
+    const router = createRouter();
+    router.get('/me', { authenticate: true }, (ctx) =>
+      sendJson(ctx.res, 200, {}),
+    );
+    getOrCreateUserForRequest.mockResolvedValueOnce(null);
+
+    const res = await dispatch(router, 'GET', '/me');
+    expect(res.status).toBe(401);
+    expect(res.json).toEqual({ error: 'unauthenticated' });
+  });
+
+  test('parses JSON and raw bodies', async () => {
+    const router = createRouter();
+    router.post('/json', { body: jsonBody }, (ctx) =>
+      sendJson(ctx.res, 200, ctx.body),
+    );
+    router.post('/raw', { body: rawBody(4, 'too_large') }, (ctx) =>
+      sendJson(ctx.res, 200, { length: ctx.body.length }),
+    );
+
+    expect((await dispatch(router, 'POST', '/json', '{"a":1}')).json).toEqual({
+      a: 1,
+    });
+    expect((await dispatch(router, 'POST', '/json')).json).toEqual({});
+
+    const invalid = await dispatch(router, 'POST', '/json', '{');
+    expect(invalid.status).toBe(400);
+    expect(invalid.json).toEqual({ error: 'invalid_json' });
+
+    expect((await dispatch(router, 'POST', '/raw', 'abc')).json).toEqual({
+      length: 3,
+    });
+    const tooLarge = await dispatch(router, 'POST', '/raw', 'abcdef');
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.json).toEqual({ error: 'too_large' });
+  });
+
+  test('runs the guard before reading the body', async () => {
+    const router = createRouter();
+    const handler = jest.fn();
+    router.post(
+      '/things/:id',
+      {
+        params: { id: integerParam('invalid_id') },
+        guard: async (ctx) => {
+          if (ctx.params.id !== 1) {
+            sendJson(ctx.res, 404, { error: 'thing_not_found' });
+            return false;
+          }
+          return true;
+        },
+        body: jsonBody,
+      },
+      (ctx) => {
+        handler();
+        sendJson(ctx.res, 200, ctx.body);
+      },
+    );
+
+    const missing = await dispatch(router, 'POST', '/things/2', '{');
+    expect(missing.status).toBe(404);
+    expect(missing.json).toEqual({ error: 'thing_not_found' });
+    expect(handler).not.toHaveBeenCalled();
+
+    const invalid = await dispatch(router, 'POST', '/things/1', '{');
+    expect(invalid.status).toBe(400);
+    expect(invalid.json).toEqual({ error: 'invalid_json' });
+
+    const found = await dispatch(router, 'POST', '/things/1', '{"a":1}');
+    expect(found.json).toEqual({ a: 1 });
+  });
+
+  test('maps thrown errors through the route error writers, else 500', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const writeThingError = (res, err) => {
+        if (err.code !== 'THING_LOCKED') {
+          return false;
+        }
+        sendJson(res, 409, { error: 'thing_locked' });
+        return true;
+      };
+      const router = createRouter();
+      router.post('/things/:code', { errors: [writeThingError] }, (ctx) => {
+        const err = new Error('boom');
+        err.code = ctx.params.code === 'locked' ? 'THING_LOCKED' : 'OTHER';
+        throw err;
+      });
+
+      const mapped = await dispatch(router, 'POST', '/things/locked');
+      expect(mapped.status).toBe(409);
+      expect(mapped.json).toEqual({ error: 'thing_locked' });
+
+      const unmapped = await dispatch(router, 'POST', '/things/other');
+      expect(unmapped.status).toBe(500);
+      expect(unmapped.json).toEqual({ error: 'internal_error' });
+      expect(errorSpy).toHaveBeenCalledTimes(1);
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('runs router-wide middleware before routing', async () => {
+    const router = createRouter();
+    router.use(async (ctx, next) => {
+      ctx.res.setHeader('X-Seen', 'yes');
+      return next();
+    });
+
+    const res = await dispatch(router, 'GET', '/nowhere');
+    expect(res.status).toBe(404);
+    expect(res.headers['x-seen']).toBe('yes');
+  });
+});
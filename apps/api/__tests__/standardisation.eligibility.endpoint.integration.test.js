@@ -0,0 +1,491 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const { ensureMarkingTables } = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+} = require('../src/audit');
+
+const {
+  ensureStandardisationTables,
+  MARKER_ELIGIBILITY_TABLE_NAME,
+} = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG and a response to mark
+async function seedQigWithResponse() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_STD', 'Standardisation Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_STD', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_STD', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_STD', 'QIG');
+  await createItem(qigRow.id, 'I_STD_1', 10);
+
+  const responseRow = await upsertResponse({
+    qigId: qigRow.id,
+    candidateId: 'C_STD_1',
+    scriptUrl: null,
+    manifest: null,
+    state: 'INGESTED',
+  });
+
+  return { qigRow, responseRow };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for standardisation tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('Marker eligibility and live marking gating', () => {
+  let server;
+  let port;
+
+  const transitionPath = (markerExternalId) =>
+    `/standardisation/D_STD/qigs/Q_STD/eligibility/${markerExternalId}/transition`;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureStandardisationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${MARKER_ELIGIBILITY_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('std-leader', [
+      'standardisation.view',
+      'standardisation.manage',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('moves a marker through eligibility states with actor and reason', async () => {
+    await seedQigWithResponse();
+    const marker = await seedUserWithPermissions('std-marker', ['marking.edit']);
+
+    const skipAhead = await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'LIVE_APPROVED', reasonCode: 'SHORTCUT' },
+      headersFor('std-leader'),
+    );
+    expect(skipAhead.statusCode).toBe(409);
+    expect(skipAhead.json).toEqual({
+      error: 'invalid_state_transition',
+      fromState: null,
+      toState: 'LIVE_APPROVED',
+    });
+
+    const noReason = await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'PRACTICE' },
+      headersFor('std-leader'),
+    );
+    expect(noReason.statusCode).toBe(400);
+    expect(noReason.json.error).toBe('reason_code_required');
+
+    const unknownState = await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'EXPERT', reasonCode: 'X' },
+      headersFor('std-leader'),
+    );
+    expect(unknownState.statusCode).toBe(400);
+    expect(unknownState.json.error).toBe('invalid_eligibility_state');
+
+    const steps = [
+      ['PRACTICE', 'ENROLLED'],
+      ['STANDARDISATION', 'PRACTICE_COMPLETE'],
+      ['AWAITING_APPROVAL', 'STANDARDISATION_PASSED'],
+      ['LIVE_APPROVED', 'TL_APPROVED'],
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [toState, reasonCode] of steps) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await httpPostJson(
+        port,
+        transitionPath('std-marker'),
+        { toState, reasonCode },
+        headersFor('std-leader'),
+      );
+      expect(res.statusCode).toBe(200);
+      expect(res.json.eligibility).toMatchObject({
+        markerUserId: marker.id,
+        markerExternalId: 'std-marker',
+        state: toState,
+        reasonCode,
+      });
+    }
+
+    const listRes = await httpGetJson(
+      port,
+      '/standardisation/D_STD/qigs/Q_STD/eligibility',
+      headersFor('std-leader'),
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.eligibility).toHaveLength(1);
+    expect(listRes.json.eligibility[0]).toMatchObject({
+      markerExternalId: 'std-marker',
+      state: 'LIVE_APPROVED',
+      reasonCode: 'TL_APPROVED',
+    });
+
+    const { rows: events } = await pool.query(
+      `
+        SELECT payload
+        FROM ${AUDIT_TABLE_NAME}
+        WHERE event_type = $1
+        ORDER BY id ASC
+      `,
+      [MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE],
+    );
+    expect(events.map((e) => e.payload.meta.result)).toEqual([
+      'REJECTED',
+      'REJECTED',
+      'REJECTED',
+      'SUCCESS',
+      'SUCCESS',
+      'SUCCESS',
+      'SUCCESS',
+    ]);
+    expect(events[0].payload.meta).toMatchObject({
+      markerId: marker.id,
+      qigCode: 'Q_STD',
+      deploymentCode: 'D_STD',
+      fromState: null,
+      toState: 'LIVE_APPROVED',
+      errorCode: 'INVALID_STATE_TRANSITION',
+    });
+    expect(events[6].payload).toMatchObject({
+      meta: {
+        fromState: 'AWAITING_APPROVAL',
+        toState: 'LIVE_APPROVED',
+        reasonCode: 'TL_APPROVED',
+      },
+      actor: { externalId: 'std-leader' },
+    });
+  });
+
+  test('live marking refuses markers until they are LIVE_APPROVED', async () => {
+    const { responseRow } = await seedQigWithResponse();
+    await seedUserWithPermissions('std-marker', ['marking.edit', 'marking.view']);
+
+    const claimBefore = await httpPostJson(
+      port,
+      '/marking/qigs/Q_STD/next',
+      {},
+      headersFor('std-marker'),
+    );
+    expect(claimBefore.statusCode).toBe(403);
+    expect(claimBefore.json).toEqual({
+      error: 'forbidden',
+      reason: 'marker_not_eligible',
+    });
+
+    const draftBefore = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_STD_1: 5 } },
+      headersFor('std-marker'),
+    );
+    expect(draftBefore.statusCode).toBe(403);
+    expect(draftBefore.json.reason).toBe('marker_not_eligible');
+
+    const submitBefore = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_STD_1: 5 } },
+      headersFor('std-marker'),
+    );
+    expect(submitBefore.statusCode).toBe(403);
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const toState of ['STANDARDISATION', 'AWAITING_APPROVAL']) {
+      // eslint-disable-next-line no-await-in-loop
+      await httpPostJson(
+        port,
+        transitionPath('std-marker'),
+        { toState, reasonCode: 'PROGRESS' },
+        headersFor('std-leader'),
+      );
+    }
+
+    const awaitingApproval = await httpPostJson(
+      port,
+      '/marking/qigs/Q_STD/next',
+      {},
+      headersFor('std-marker'),
+    );
+    expect(awaitingApproval.statusCode).toBe(403);
+
+    await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'LIVE_APPROVED', reasonCode: 'TL_APPROVED' },
+      headersFor('std-leader'),
+    );
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_STD/next',
+      {},
+      headersFor('std-marker'),
+    );
+    expect(claim.statusCode).toBe(200);
+    expect(claim.json.response.id).toBe(responseRow.id);
+
+    const draft = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/draft`,
+      { marks: { I_STD_1: 5 } },
+      headersFor('std-marker'),
+    );
+    expect(draft.statusCode).toBe(200);
+
+    const suspend = await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'SUSPENDED', reasonCode: 'QUALITY_CONCERN' },
+      headersFor('std-leader'),
+    );
+    expect(suspend.statusCode).toBe(200);
+
+    const submitSuspended = await httpPostJson(
+      port,
+      `/marking/responses/${responseRow.id}/submit`,
+      { marks: { I_STD_1: 5 } },
+      headersFor('std-marker'),
+    );
+    expect(submitSuspended.statusCode).toBe(403);
+    expect(submitSuspended.json.reason).toBe('marker_not_eligible');
+  });
+
+  test('eligibility endpoints require standardisation permissions and known targets', async () => {
+    await seedQigWithResponse();
+    await seedUserWithPermissions('std-marker', ['marking.edit']);
+
+    const forbidden = await httpPostJson(
+      port,
+      transitionPath('std-marker'),
+      { toState: 'PRACTICE', reasonCode: 'ENROLLED' },
+      headersFor('std-marker'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+
+    const unknownMarker = await httpPostJson(
+      port,
+      transitionPath('nobody'),
+      { toState: 'PRACTICE', reasonCode: 'ENROLLED' },
+      headersFor('std-leader'),
+    );
+    expect(unknownMarker.statusCode).toBe(404);
+    expect(unknownMarker.json).toEqual({ error: 'marker_not_found' });
+
+    const unknownQig = await httpGetJson(
+      port,
+      '/standardisation/D_STD/qigs/Q_NOPE/eligibility',
+      headersFor('std-leader'),
+    );
+    expect(unknownQig.statusCode).toBe(404);
+    expect(unknownQig.json).toEqual({ error: 'qig_not_found' });
+  });
+});
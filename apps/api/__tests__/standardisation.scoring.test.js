@@ -0,0 +1,101 @@
+jest.mock('../src/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+  checkDbHealth: jest.fn(),
+  endPool: jest.fn(),
+}));
+
+const { compareWithDefinitiveMarks } = require('../src/standardisation');
+
+const DEFINITIVE = { Q1a: 3, Q1b: 5 };
+
+describe('compareWithDefinitiveMarks', () => {
+  test('matches exactly with zero tolerances', () => {
+    const result = compareWithDefinitiveMarks(
+      { Q1a: 3, Q1b: 5 },
+      DEFINITIVE,
+      { itemTolerance: 0, totalTolerance: 0 },
+    );
+
+    expect(result).toEqual({
+      totalMark: 8,
+      definitiveTotal: 8,
+      totalDeviation: 0,
+      withinTolerance: true,
+      items: [
+        { itemCode: 'Q1a', mark: 3, definitiveMark: 3, deviation: 0, withinTolerance: true },
+        { itemCode: 'Q1b', mark: 5, definitiveMark: 5, deviation: 0, withinTolerance: true },
+      ],
+    });
+  });
+
+  test('reports signed per-item deviations against the item tolerance', () => {
+    const result = compareWithDefinitiveMarks(
+      { Q1a: 4, Q1b: 2 },
+      DEFINITIVE,
+      { itemTolerance: 1, totalTolerance: 5 },
+    );
+
+    expect(result.items.map((i) => [i.deviation, i.withinTolerance])).toEqual([
+      [1, true],
+      [-3, false],
+    ]);
+    expect(result.totalDeviation).toBe(-2);
+    expect(result.withinTolerance).toBe(false);
+  });
+
+  test('fails on the total even when every item is within tolerance', () => {
+    const result = compareWithDefinitiveMarks(
+      { Q1a: 4, Q1b: 6 },
+      DEFINITIVE,
+      { itemTolerance: 1, totalTolerance: 1 },
+    );
+
+    expect(result.items.every((i) => i.withinTolerance)).toBe(true);
+    expect(result.totalDeviation).toBe(2);
+    expect(result.withinTolerance).toBe(false);
+  });
+
+  test('treats unmarked items as outside tolerance', () => {
+    const result = compareWithDefinitiveMarks(
+      { Q1a: 3 },
+      DEFINITIVE,
+      { itemTolerance: 10, totalTolerance: 10 },
+    );
+
+    expect(result.items[1]).toEqual({
+      itemCode: 'Q1b',
+      mark: null,
+      definitiveMark: 5,
+      deviation: null,
+      withinTolerance: false,
+    });
+    expect(result.withinTolerance).toBe(false);
+  });
+
+  test('compares sub-part marks by their values', () => {
+    const result = compareWithDefinitiveMarks(
+      { Q1a: 3, Q1b: { i: 2, ii: 2 } },
+      { Q1a: 3, Q1b: { i: 3, ii: 2 } },
+      { itemTolerance: 1, totalTolerance: 1 },
+    );
+
+    expect(result).toEqual({
+      totalMark: 7,
+      definitiveTotal: 8,
+      totalDeviation: -1,
+      withinTolerance: true,
+      items: [
+        { itemCode: 'Q1a', mark: 3, definitiveMark: 3, deviation: 0, withinTolerance: true },
+        {
+          itemCode: 'Q1b',
+          mark: { i: 2, ii: 2 },
+          definitiveMark: { i: 3, ii: 2 },
+          deviation: -1,
+          withinTolerance: true,
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,697 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  getUserByExternalId,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const { ensureMarkingTables } = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+  claimNextResponseForQigs,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+  SEED_RESULT_RECORDED_EVENT_TYPE,
+  SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE,
+} = require('../src/audit');
+
+const {
+  ensureStandardisationTables,
+  MARKER_ELIGIBILITY_TABLE_NAME,
+  DEFINITIVE_MARKS_TABLE_NAME,
+  SEED_SETTINGS_TABLE_NAME,
+  SEED_RESULTS_TABLE_NAME,
+  transitionMarkerEligibility,
+  getMarkerEligibility,
+  getSeedForResponse,
+  recordSeedResult,
+} = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a QIG with one item, three seed candidates and four live responses
+async function seedQigWithResponses() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_SEED', 'Seed Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_SEED', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_SEED', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_SEED', 'QIG');
+  await createItem(qigRow.id, 'I1', 10);
+
+  const responses = {};
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidateId of [
+    'SEED_1',
+    'SEED_2',
+    'SEED_3',
+    'LIVE_1',
+    'LIVE_2',
+    'LIVE_3',
+    'LIVE_4',
+  ]) {
+    // eslint-disable-next-line no-await-in-loop
+    responses[candidateId] = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+  }
+
+  return { qigRow, responses };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for standardisation tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+async function moveMarkerTo(externalId, qigId, states) {
+  const marker = await getUserByExternalId(externalId);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of states) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(marker.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+}
+
+// Helper: fail the occurrence-th statement matching pattern that is sent on
+// a client from pool.connect(), i.e. inside a transaction.
+function injectClientFailure(pattern, occurrence = 1) {
+  const connect = pool.connect.bind(pool);
+  let seen = 0;
+  return jest.spyOn(pool, 'connect').mockImplementation(async (...args) => {
+    if (args.length > 0) {
+      return connect(...args);
+    }
+    const client = await connect();
+    return {
+      query: (sql, params) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+        if (pattern.test(text)) {
+          seen += 1;
+          if (seen === occurrence) {
+            return Promise.reject(new Error('Injected failure'));
+          }
+        }
+        return client.query(sql, params);
+      },
+      release: (err) => client.release(err),
+    };
+  });
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+const BASE = '/standardisation/D_SEED/qigs/Q_SEED';
+
+describe('Seed responses and marker monitoring', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureStandardisationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${SEED_SETTINGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEFINITIVE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARKER_ELIGIBILITY_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('seed-leader', [
+      'standardisation.view',
+      'standardisation.manage',
+    ]);
+    await seedUserWithPermissions('seed-marker', ['marking.edit', 'marking.view']);
+    await seedUserWithPermissions('seed-marker-2', [
+      'marking.edit',
+      'marking.view',
+    ]);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  function leaderPost(path, body) {
+    return httpPostJson(port, `${BASE}${path}`, body, headersFor('seed-leader'));
+  }
+
+  // Give SEED_1..3 a definitive mark of 5 and register them as seeds.
+  async function registerSeeds(responses) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const code of ['SEED_1', 'SEED_2', 'SEED_3']) {
+      // eslint-disable-next-line no-await-in-loop
+      await leaderPost(`/responses/${responses[code].id}/definitive-marks`, {
+        marks: { I1: 5 },
+      });
+      // eslint-disable-next-line no-await-in-loop
+      await leaderPost('/seeds', { responseId: responses[code].id });
+    }
+  }
+
+  async function claimAndSubmit(externalId, mark) {
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_SEED/next',
+      {},
+      headersFor(externalId),
+    );
+    expect(claim.statusCode).toBe(200);
+    const submit = await httpPostJson(
+      port,
+      `/marking/responses/${claim.json.response.id}/submit`,
+      { marks: { I1: mark } },
+      headersFor(externalId),
+    );
+    expect(submit.statusCode).toBe(200);
+    return claim.json.response;
+  }
+
+  test('leaders register seeds with definitive marks and configure seeding', async () => {
+    const { responses } = await seedQigWithResponses();
+
+    const noDefinitive = await leaderPost('/seeds', {
+      responseId: responses.SEED_1.id,
+    });
+    expect(noDefinitive.statusCode).toBe(409);
+    expect(noDefinitive.json).toEqual({
+      error: 'definitive_marks_missing',
+      responseIds: [responses.SEED_1.id],
+    });
+
+    await leaderPost(`/responses/${responses.SEED_1.id}/definitive-marks`, {
+      marks: { I1: 5 },
+    });
+    const added = await leaderPost('/seeds', {
+      responseId: responses.SEED_1.id,
+    });
+    expect(added.statusCode).toBe(201);
+    expect(added.json.seed).toMatchObject({
+      responseId: responses.SEED_1.id,
+      candidateId: 'SEED_1',
+    });
+
+    const duplicate = await leaderPost('/seeds', {
+      responseId: responses.SEED_1.id,
+    });
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.json).toEqual({ error: 'seed_already_exists' });
+
+    const badRate = await leaderPost('/seed-settings', { seedRatePercent: 150 });
+    expect(badRate.statusCode).toBe(400);
+    expect(badRate.json).toEqual({ error: 'invalid_payload' });
+
+    const badAction = await leaderPost('/seed-settings', {
+      failureAction: 'EMAIL',
+    });
+    expect(badAction.statusCode).toBe(400);
+    expect(badAction.json).toEqual({ error: 'invalid_failure_action' });
+
+    const settings = await leaderPost('/seed-settings', {
+      seedRatePercent: 10,
+      failureAction: 'RESTANDARDISE',
+    });
+    expect(settings.statusCode).toBe(200);
+    expect(settings.json.settings).toEqual({
+      seedRatePercent: 10,
+      failureLimit: 3,
+      failureAction: 'RESTANDARDISE',
+    });
+
+    const list = await httpGetJson(port, `${BASE}/seeds`, headersFor('seed-leader'));
+    expect(list.statusCode).toBe(200);
+    expect(list.json.settings.seedRatePercent).toBe(10);
+    expect(list.json.seeds.map((s) => s.candidateId)).toEqual(['SEED_1']);
+
+    const forbidden = await httpPostJson(
+      port,
+      `${BASE}/seeds`,
+      { responseId: responses.SEED_2.id },
+      headersFor('seed-marker'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  test('seeds are served in place of live work and never lock', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await registerSeeds(responses);
+    await moveMarkerTo('seed-marker', qigRow.id, [
+      'STANDARDISATION',
+      'AWAITING_APPROVAL',
+      'LIVE_APPROVED',
+    ]);
+    await moveMarkerTo('seed-marker-2', qigRow.id, [
+      'STANDARDISATION',
+      'AWAITING_APPROVAL',
+      'LIVE_APPROVED',
+    ]);
+
+    // Rate 0 (the default): seeds stay out of the live pool.
+    const live = await claimAndSubmit('seed-marker', 5);
+    expect(live.id).toBe(responses.LIVE_1.id);
+
+    await leaderPost('/seed-settings', { seedRatePercent: 100 });
+
+    const seed = await claimAndSubmit('seed-marker', 5);
+    expect(seed.id).toBe(responses.SEED_1.id);
+    expect(Object.keys(seed).sort()).toEqual(Object.keys(live).sort());
+
+    // The seed did not lock, so another marker is served it too.
+    const otherSeed = await claimAndSubmit('seed-marker-2', 5);
+    expect(otherSeed.id).toBe(responses.SEED_1.id);
+
+    await claimAndSubmit('seed-marker', 5);
+    await claimAndSubmit('seed-marker', 5);
+    // Every seed has been seen; live work resumes.
+    const afterSeeds = await claimAndSubmit('seed-marker', 5);
+    expect(afterSeeds.id).toBe(responses.LIVE_2.id);
+
+    const results = await httpGetJson(
+      port,
+      `${BASE}/seed-results?markerExternalId=seed-marker`,
+      headersFor('seed-leader'),
+    );
+    expect(results.statusCode).toBe(200);
+    expect(results.json.results).toHaveLength(3);
+    expect(results.json.results.every((r) => r.withinTolerance)).toBe(true);
+  });
+
+  test('held, closed and locked seeds are not served', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await registerSeeds(responses);
+    await leaderPost('/seed-settings', { seedRatePercent: 100 });
+    await moveMarkerTo('seed-marker', qigRow.id, [
+      'STANDARDISATION',
+      'AWAITING_APPROVAL',
+      'LIVE_APPROVED',
+    ]);
+    await pool.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = 'HELD' WHERE id = $1`,
+      [responses.SEED_1.id],
+    );
+    await pool.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = 'CLOSED' WHERE id = $1`,
+      [responses.SEED_2.id],
+    );
+
+    const seed = await claimAndSubmit('seed-marker', 5);
+    expect(seed.id).toBe(responses.SEED_3.id);
+
+    await pool.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = 'LOCKED' WHERE id = ANY($1::int[])`,
+      [[responses.SEED_1.id, responses.SEED_2.id]],
+    );
+    const live = await claimAndSubmit('seed-marker', 5);
+    expect(live.id).toBe(responses.LIVE_1.id);
+  });
+
+  test('a multi-QIG claim uses the seed rate of the QIG it serves', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await registerSeeds(responses);
+    // Q_SEED keeps the default rate of 0 and has no live work left.
+    await pool.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = 'CLOSED' WHERE candidate_id LIKE 'LIVE_%'`,
+    );
+
+    const otherQig = await createQig(qigRow.paper_id, 'Q_SEED_B', 'QIG B');
+    await createItem(otherQig.id, 'I1', 10);
+    const otherSeed = await upsertResponse({
+      qigId: otherQig.id,
+      candidateId: 'B_SEED',
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    await upsertResponse({
+      qigId: otherQig.id,
+      candidateId: 'B_LIVE',
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    const otherBase = '/standardisation/D_SEED/qigs/Q_SEED_B';
+    await httpPostJson(
+      port,
+      `${otherBase}/responses/${otherSeed.id}/definitive-marks`,
+      { marks: { I1: 5 } },
+      headersFor('seed-leader'),
+    );
+    await httpPostJson(
+      port,
+      `${otherBase}/seeds`,
+      { responseId: otherSeed.id },
+      headersFor('seed-leader'),
+    );
+    const settings = await httpPostJson(
+      port,
+      `${otherBase}/seed-settings`,
+      { seedRatePercent: 100 },
+      headersFor('seed-leader'),
+    );
+    expect(settings.statusCode).toBe(200);
+
+    const marker = await getUserByExternalId('seed-marker');
+    const { allocation } = await claimNextResponseForQigs(
+      [qigRow.id, otherQig.id],
+      marker.id,
+      null,
+    );
+    expect(allocation.response_id).toBe(otherSeed.id);
+  });
+
+  test('consecutive out-of-tolerance seeds trigger the configured action', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await registerSeeds(responses);
+    await leaderPost('/seed-settings', {
+      seedRatePercent: 100,
+      failureLimit: 2,
+      failureAction: 'SUSPEND',
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for (const externalId of ['seed-marker', 'seed-marker-2']) {
+      // eslint-disable-next-line no-await-in-loop
+      await moveMarkerTo(externalId, qigRow.id, [
+        'STANDARDISATION',
+        'AWAITING_APPROVAL',
+        'LIVE_APPROVED',
+      ]);
+    }
+
+    // A seed within tolerance in between resets the run.
+    await claimAndSubmit('seed-marker-2', 7);
+    await claimAndSubmit('seed-marker-2', 5);
+    await claimAndSubmit('seed-marker-2', 7);
+    const stillLive = await httpPostJson(
+      port,
+      '/marking/qigs/Q_SEED/next',
+      {},
+      headersFor('seed-marker-2'),
+    );
+    expect(stillLive.statusCode).toBe(200);
+
+    await claimAndSubmit('seed-marker', 6);
+    await claimAndSubmit('seed-marker', 4);
+
+    const suspended = await httpPostJson(
+      port,
+      '/marking/qigs/Q_SEED/next',
+      {},
+      headersFor('seed-marker'),
+    );
+    expect(suspended.statusCode).toBe(403);
+    expect(suspended.json).toEqual({
+      error: 'forbidden',
+      reason: 'marker_not_eligible',
+    });
+
+    const results = await httpGetJson(
+      port,
+      `${BASE}/seed-results?markerExternalId=seed-marker`,
+      headersFor('seed-leader'),
+    );
+    expect(results.json.results).toHaveLength(2);
+    expect(results.json.results[0]).toMatchObject({
+      responseId: responses.SEED_2.id,
+      withinTolerance: false,
+      actionTaken: 'SUSPEND',
+      comparison: { totalDeviation: -1 },
+    });
+    expect(results.json.results[1].actionTaken).toBeNull();
+
+    const { rows: recorded } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [SEED_RESULT_RECORDED_EVENT_TYPE],
+    );
+    expect(recorded).toHaveLength(5);
+
+    const { rows: thresholds } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1`,
+      [SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE],
+    );
+    expect(thresholds).toHaveLength(1);
+    expect(thresholds[0].payload.meta).toMatchObject({
+      qigCode: 'Q_SEED',
+      consecutiveFailures: 2,
+      failureLimit: 2,
+      action: 'SUSPEND',
+      fromState: 'LIVE_APPROVED',
+      toState: 'SUSPENDED',
+    });
+
+    const { rows: eligibilityEvents } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id DESC LIMIT 1`,
+      [MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE],
+    );
+    expect(eligibilityEvents[0].payload.meta).toMatchObject({
+      toState: 'SUSPENDED',
+      reasonCode: 'SEED_FAILURES',
+    });
+  });
+
+  test.each([
+    ['the seed result', 1],
+    ['the eligibility change', 2],
+    ['the threshold event', 3],
+  ])(
+    'a seed result whose audit of %s fails records nothing',
+    async (_step, occurrence) => {
+      const { qigRow, responses } = await seedQigWithResponses();
+      await registerSeeds(responses);
+      await leaderPost('/seed-settings', {
+        failureLimit: 1,
+        failureAction: 'SUSPEND',
+      });
+      await moveMarkerTo('seed-marker', qigRow.id, [
+        'STANDARDISATION',
+        'AWAITING_APPROVAL',
+        'LIVE_APPROVED',
+      ]);
+      const marker = await getUserByExternalId('seed-marker');
+      const seed = await getSeedForResponse(responses.SEED_1.id);
+
+      const connectSpy = injectClientFailure(
+        /INSERT INTO\s+audit_events/i,
+        occurrence,
+      );
+      try {
+        await expect(
+          recordSeedResult(seed, marker.id, { I1: 7 }),
+        ).rejects.toThrow('Injected failure');
+      } finally {
+        connectSpy.mockRestore();
+      }
+
+      const { rows: stored } = await pool.query(
+        `SELECT id FROM ${SEED_RESULTS_TABLE_NAME} WHERE marker_user_id = $1`,
+        [marker.id],
+      );
+      expect(stored).toEqual([]);
+      expect((await getMarkerEligibility(marker.id, qigRow.id)).state).toBe(
+        'LIVE_APPROVED',
+      );
+
+      // The threshold is evaluated again on the retry.
+      const retried = await recordSeedResult(seed, marker.id, { I1: 7 });
+      expect(retried.action).toEqual({
+        action: 'SUSPEND',
+        fromState: 'LIVE_APPROVED',
+        toState: 'SUSPENDED',
+      });
+      expect((await getMarkerEligibility(marker.id, qigRow.id)).state).toBe(
+        'SUSPENDED',
+      );
+    },
+  );
+});
@@ -0,0 +1,689 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  getUserByExternalId,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const { ensureMarkingTables } = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+  STANDARDISATION_SET_CREATED_EVENT_TYPE,
+  STANDARDISATION_EVALUATED_EVENT_TYPE,
+} = require('../src/audit');
+
+const {
+  ensureStandardisationTables,
+  MARKER_ELIGIBILITY_TABLE_NAME,
+  STANDARDISATION_SETS_TABLE_NAME,
+  STANDARDISATION_TOLERANCES_TABLE_NAME,
+  DEFINITIVE_MARKS_TABLE_NAME,
+  transitionMarkerEligibility,
+} = require('../src/standardisation');
+
+jest.setTimeout(30000);
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a QIG with two items, three set responses and one live response
+async function seedQigWithResponses() {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_SET', 'Standardisation Sets Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_SET', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_SET', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_SET', 'QIG');
+  await createItem(qigRow.id, 'I1', 5);
+  await createItem(qigRow.id, 'I2', 5);
+
+  const responses = {};
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidateId of ['C_PRACTICE', 'C_STD_1', 'C_STD_2', 'C_LIVE']) {
+    // eslint-disable-next-line no-await-in-loop
+    responses[candidateId] = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+  }
+
+  return { qigRow, responses };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for standardisation tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+async function moveMarkerTo(externalId, qigId, states) {
+  const marker = await getUserByExternalId(externalId);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const toState of states) {
+    // eslint-disable-next-line no-await-in-loop
+    await transitionMarkerEligibility(marker.id, qigId, toState, {
+      reasonCode: 'TEST_SETUP',
+    });
+  }
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+const BASE = '/standardisation/D_SET/qigs/Q_SET';
+
+describe('Practice and standardisation sets', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureStandardisationTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${STANDARDISATION_SETS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEFINITIVE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${STANDARDISATION_TOLERANCES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARKER_ELIGIBILITY_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('set-leader', [
+      'standardisation.view',
+      'standardisation.manage',
+    ]);
+    await seedUserWithPermissions('set-marker', ['marking.edit', 'marking.view']);
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  async function createSet(code, kind, responseIds) {
+    return httpPostJson(
+      port,
+      `${BASE}/sets`,
+      { code, name: `${code} set`, kind, responseIds },
+      headersFor('set-leader'),
+    );
+  }
+
+  async function setDefinitive(responseId, marks) {
+    return httpPostJson(
+      port,
+      `${BASE}/responses/${responseId}/definitive-marks`,
+      { marks },
+      headersFor('set-leader'),
+    );
+  }
+
+  async function submitSetMarks(externalId, setCode, responseId, marks) {
+    return httpPostJson(
+      port,
+      `${BASE}/sets/${setCode}/responses/${responseId}/marks`,
+      { marks },
+      headersFor(externalId),
+    );
+  }
+
+  test('leaders configure tolerances, sets and definitive marks per QIG', async () => {
+    const { responses } = await seedQigWithResponses();
+
+    const badTolerance = await httpPostJson(
+      port,
+      `${BASE}/tolerances`,
+      { itemTolerance: -1 },
+      headersFor('set-leader'),
+    );
+    expect(badTolerance.statusCode).toBe(400);
+    expect(badTolerance.json).toEqual({ error: 'invalid_payload' });
+
+    const tolerance = await httpPostJson(
+      port,
+      `${BASE}/tolerances`,
+      { itemTolerance: 1, totalTolerance: 2 },
+      headersFor('set-leader'),
+    );
+    expect(tolerance.statusCode).toBe(200);
+    expect(tolerance.json.tolerances).toEqual({
+      itemTolerance: 1,
+      totalTolerance: 2,
+    });
+
+    const created = await createSet('STD1', 'STANDARDISATION', [
+      responses.C_STD_2.id,
+      responses.C_STD_1.id,
+    ]);
+    expect(created.statusCode).toBe(201);
+    expect(created.json.set).toMatchObject({
+      code: 'STD1',
+      kind: 'STANDARDISATION',
+      responseIds: [responses.C_STD_2.id, responses.C_STD_1.id],
+    });
+
+    const duplicate = await createSet('STD1', 'PRACTICE', [
+      responses.C_PRACTICE.id,
+    ]);
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.json).toEqual({ error: 'set_already_exists' });
+
+    const badKind = await createSet('X', 'MOCK', [responses.C_PRACTICE.id]);
+    expect(badKind.statusCode).toBe(400);
+    expect(badKind.json).toEqual({ error: 'invalid_set_kind' });
+
+    const unknownResponse = await createSet('X', 'PRACTICE', [
+      responses.C_PRACTICE.id,
+      999999,
+    ]);
+    expect(unknownResponse.statusCode).toBe(400);
+    expect(unknownResponse.json).toEqual({
+      error: 'response_not_in_qig',
+      responseIds: [999999],
+    });
+
+    const invalidMarks = await setDefinitive(responses.C_STD_1.id, { I1: 9 });
+    expect(invalidMarks.statusCode).toBe(400);
+    expect(invalidMarks.json.error).toBe('invalid_marks');
+    expect(invalidMarks.json.itemErrors).toEqual([
+      { itemCode: 'I1', error: 'exceeds_max_mark', maxMark: 5 },
+      { itemCode: 'I2', error: 'missing_item', maxMark: 5 },
+    ]);
+
+    const definitive = await setDefinitive(responses.C_STD_1.id, {
+      I1: 3,
+      I2: 4,
+    });
+    expect(definitive.statusCode).toBe(200);
+    expect(definitive.json.definitiveMarks).toMatchObject({
+      responseId: responses.C_STD_1.id,
+      marks: { I1: 3, I2: 4 },
+      totalMark: 7,
+    });
+
+    const listRes = await httpGetJson(
+      port,
+      `${BASE}/sets`,
+      headersFor('set-leader'),
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.json.tolerances).toEqual({
+      itemTolerance: 1,
+      totalTolerance: 2,
+    });
+    expect(listRes.json.sets.map((s) => s.code)).toEqual(['STD1']);
+
+    const markerCannotManage = await httpPostJson(
+      port,
+      `${BASE}/sets`,
+      {
+        code: 'M',
+        name: 'M',
+        kind: 'PRACTICE',
+        responseIds: [responses.C_PRACTICE.id],
+      },
+      headersFor('set-marker'),
+    );
+    expect(markerCannotManage.statusCode).toBe(403);
+
+    const { rows: audits } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [STANDARDISATION_SET_CREATED_EVENT_TYPE],
+    );
+    expect(audits).toHaveLength(1);
+    expect(audits[0].payload).toMatchObject({
+      meta: { setCode: 'STD1', kind: 'STANDARDISATION', qigCode: 'Q_SET' },
+      actor: { externalId: 'set-leader' },
+    });
+  });
+
+  test('practice sets reveal definitive marks once the marker submits', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await createSet('PRAC', 'PRACTICE', [responses.C_PRACTICE.id]);
+    await createSet('STD1', 'STANDARDISATION', [responses.C_STD_1.id]);
+    await setDefinitive(responses.C_PRACTICE.id, { I1: 2, I2: 5 });
+
+    const notEnrolled = await submitSetMarks(
+      'set-marker',
+      'PRAC',
+      responses.C_PRACTICE.id,
+      { I1: 2, I2: 3 },
+    );
+    expect(notEnrolled.statusCode).toBe(403);
+    expect(notEnrolled.json).toEqual({
+      error: 'forbidden',
+      reason: 'marker_not_eligible',
+    });
+
+    await moveMarkerTo('set-marker', qigRow.id, ['PRACTICE']);
+
+    const notInSet = await submitSetMarks(
+      'set-marker',
+      'PRAC',
+      responses.C_STD_1.id,
+      { I1: 2, I2: 3 },
+    );
+    expect(notInSet.statusCode).toBe(404);
+    expect(notInSet.json).toEqual({ error: 'response_not_in_set' });
+
+    const submitted = await submitSetMarks(
+      'set-marker',
+      'PRAC',
+      responses.C_PRACTICE.id,
+      { I1: 2, I2: 3 },
+    );
+    expect(submitted.statusCode).toBe(201);
+    expect(submitted.json.mark).toMatchObject({
+      responseId: responses.C_PRACTICE.id,
+      marks: { I1: 2, I2: 3 },
+      totalMark: 5,
+    });
+    expect(submitted.json.definitiveMarks).toMatchObject({
+      marks: { I1: 2, I2: 5 },
+      totalMark: 7,
+    });
+    expect(submitted.json.comparison).toMatchObject({
+      totalDeviation: -2,
+      withinTolerance: false,
+      items: [
+        { itemCode: 'I1', deviation: 0, withinTolerance: true },
+        { itemCode: 'I2', deviation: -2, withinTolerance: false },
+      ],
+    });
+
+    const again = await submitSetMarks(
+      'set-marker',
+      'PRAC',
+      responses.C_PRACTICE.id,
+      { I1: 2, I2: 5 },
+    );
+    expect(again.statusCode).toBe(409);
+    expect(again.json).toEqual({ error: 'mark_already_submitted' });
+
+    const standardisationTooEarly = await submitSetMarks(
+      'set-marker',
+      'STD1',
+      responses.C_STD_1.id,
+      { I1: 2, I2: 5 },
+    );
+    expect(standardisationTooEarly.statusCode).toBe(403);
+
+    await moveMarkerTo('set-marker', qigRow.id, ['STANDARDISATION']);
+
+    const standardisation = await submitSetMarks(
+      'set-marker',
+      'STD1',
+      responses.C_STD_1.id,
+      { I1: 2, I2: 5 },
+    );
+    expect(standardisation.statusCode).toBe(201);
+    expect(standardisation.json.definitiveMarks).toBeNull();
+    expect(standardisation.json.comparison).toBeNull();
+  });
+
+  test('evaluation scores standardisation marks and feeds eligibility', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await seedUserWithPermissions('set-marker-2', ['marking.edit']);
+
+    await httpPostJson(
+      port,
+      `${BASE}/tolerances`,
+      { itemTolerance: 1, totalTolerance: 1 },
+      headersFor('set-leader'),
+    );
+    await createSet('PRAC', 'PRACTICE', [responses.C_PRACTICE.id]);
+    await createSet('STD1', 'STANDARDISATION', [
+      responses.C_STD_1.id,
+      responses.C_STD_2.id,
+    ]);
+    await setDefinitive(responses.C_STD_1.id, { I1: 3, I2: 4 });
+
+    const practiceEvaluation = await httpPostJson(
+      port,
+      `${BASE}/sets/PRAC/evaluations/set-marker`,
+      {},
+      headersFor('set-leader'),
+    );
+    expect(practiceEvaluation.statusCode).toBe(409);
+    expect(practiceEvaluation.json).toEqual({ error: 'set_not_evaluable' });
+
+    const missingDefinitive = await httpPostJson(
+      port,
+      `${BASE}/sets/STD1/evaluations/set-marker`,
+      {},
+      headersFor('set-leader'),
+    );
+    expect(missingDefinitive.statusCode).toBe(409);
+    expect(missingDefinitive.json).toEqual({
+      error: 'definitive_marks_missing',
+      responseIds: [responses.C_STD_2.id],
+    });
+
+    await setDefinitive(responses.C_STD_2.id, { I1: 2, I2: 2 });
+
+    await moveMarkerTo('set-marker', qigRow.id, ['STANDARDISATION']);
+    await moveMarkerTo('set-marker-2', qigRow.id, ['STANDARDISATION']);
+
+    // set-marker: every item within 1, but the second total is 2 out.
+    await submitSetMarks('set-marker', 'STD1', responses.C_STD_1.id, {
+      I1: 4,
+      I2: 4,
+    });
+    await submitSetMarks('set-marker', 'STD1', responses.C_STD_2.id, {
+      I1: 3,
+      I2: 3,
+    });
+
+    const failed = await httpPostJson(
+      port,
+      `${BASE}/sets/STD1/evaluations/set-marker`,
+      {},
+      headersFor('set-leader'),
+    );
+    expect(failed.statusCode).toBe(200);
+    expect(failed.json.evaluation).toMatchObject({
+      setCode: 'STD1',
+      markerExternalId: 'set-marker',
+      passed: false,
+      itemTolerance: 1,
+      totalTolerance: 1,
+      eligibility: {
+        fromState: 'STANDARDISATION',
+        state: 'PRACTICE',
+        changed: true,
+      },
+    });
+    expect(failed.json.evaluation.responses).toMatchObject([
+      {
+        responseId: responses.C_STD_1.id,
+        submitted: true,
+        totalDeviation: 1,
+        withinTolerance: true,
+      },
+      {
+        responseId: responses.C_STD_2.id,
+        submitted: true,
+        totalDeviation: 2,
+        withinTolerance: false,
+        items: [
+          { itemCode: 'I1', mark: 3, definitiveMark: 2, deviation: 1 },
+          { itemCode: 'I2', mark: 3, definitiveMark: 2, deviation: 1 },
+        ],
+      },
+    ]);
+
+    // set-marker-2 has only submitted one response so far.
+    await submitSetMarks('set-marker-2', 'STD1', responses.C_STD_1.id, {
+      I1: 3,
+      I2: 4,
+    });
+    const incomplete = await httpPostJson(
+      port,
+      `${BASE}/sets/STD1/evaluations/set-marker-2`,
+      {},
+      headersFor('set-leader'),
+    );
+    expect(incomplete.json.evaluation.passed).toBe(false);
+    expect(incomplete.json.evaluation.responses[1]).toEqual({
+      responseId: responses.C_STD_2.id,
+      candidateId: 'C_STD_2',
+      submitted: false,
+      withinTolerance: false,
+    });
+
+    // A failed evaluation sent the marker back to PRACTICE; re-enter
+    // STANDARDISATION and finish the set.
+    await moveMarkerTo('set-marker-2', qigRow.id, ['STANDARDISATION']);
+    await submitSetMarks('set-marker-2', 'STD1', responses.C_STD_2.id, {
+      I1: 2,
+      I2: 1,
+    });
+    const passed = await httpPostJson(
+      port,
+      `${BASE}/sets/STD1/evaluations/set-marker-2`,
+      {},
+      headersFor('set-leader'),
+    );
+    expect(passed.statusCode).toBe(200);
+    expect(passed.json.evaluation).toMatchObject({
+      passed: true,
+      eligibility: {
+        fromState: 'STANDARDISATION',
+        state: 'AWAITING_APPROVAL',
+        changed: true,
+      },
+    });
+
+    const { rows: eligibilityEvents } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE],
+    );
+    const reasons = eligibilityEvents.map((e) => e.payload.meta.reasonCode);
+    expect(reasons).toContain('STANDARDISATION_FAILED');
+    expect(eligibilityEvents[eligibilityEvents.length - 1].payload).toMatchObject({
+      meta: {
+        fromState: 'STANDARDISATION',
+        toState: 'AWAITING_APPROVAL',
+        reasonCode: 'STANDARDISATION_PASSED',
+      },
+      actor: { externalId: 'set-leader' },
+    });
+
+    const { rows: evaluationEvents } = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [STANDARDISATION_EVALUATED_EVENT_TYPE],
+    );
+    expect(evaluationEvents.map((e) => e.payload.meta.passed)).toEqual([
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  test('set responses are kept out of the live marking pool', async () => {
+    const { qigRow, responses } = await seedQigWithResponses();
+    await createSet('PRAC', 'PRACTICE', [responses.C_PRACTICE.id]);
+    await createSet('STD1', 'STANDARDISATION', [
+      responses.C_STD_1.id,
+      responses.C_STD_2.id,
+    ]);
+    await moveMarkerTo('set-marker', qigRow.id, [
+      'STANDARDISATION',
+      'AWAITING_APPROVAL',
+      'LIVE_APPROVED',
+    ]);
+
+    const claim = await httpPostJson(
+      port,
+      '/marking/qigs/Q_SET/next',
+      {},
+      headersFor('set-marker'),
+    );
+    expect(claim.statusCode).toBe(200);
+    expect(claim.json.response.id).toBe(responses.C_LIVE.id);
+  });
+});
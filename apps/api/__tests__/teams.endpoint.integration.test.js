@@ -0,0 +1,587 @@
+const http = require('http');
+const { createServer } = require('../src/server');
+const { pool } = require('../src/db');
+
+const {
+  ensureConfigTables,
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('../src/config');
+
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  createSeries,
+  createPaper,
+  createQig,
+  createItem,
+} = require('../src/assessment');
+
+const {
+  ensureIngestionTables,
+  RESPONSES_TABLE_NAME,
+  upsertResponse,
+} = require('../src/ingestion');
+
+const {
+  ensureIdentityTables,
+  USERS_TABLE_NAME,
+  ROLES_TABLE_NAME,
+  PERMISSIONS_TABLE_NAME,
+  USER_ROLES_TABLE_NAME,
+  ROLE_PERMISSIONS_TABLE_NAME,
+  createUser,
+  createRole,
+  createPermission,
+  getPermissionByKey,
+  assignRoleToUser,
+  assignPermissionToRole,
+} = require('../src/identity');
+
+const {
+  ensureMarkingTables,
+  saveDraftMark,
+  RESPONSE_MARKS_TABLE_NAME,
+} = require('../src/marking');
+
+const {
+  ensureAllocationTables,
+  createAllocation,
+  ALLOCATIONS_TABLE_NAME,
+} = require('../src/allocation');
+
+const {
+  ensureAuditTable,
+  AUDIT_TABLE_NAME,
+  TEAM_UPDATED_EVENT_TYPE,
+} = require('../src/audit');
+
+const {
+  ensureStandardisationTables,
+  MARKER_ELIGIBILITY_TABLE_NAME,
+} = require('../src/standardisation');
+
+const {
+  ensureTeamTables,
+  TEAMS_TABLE_NAME,
+  TEAM_MEMBERS_TABLE_NAME,
+} = require('../src/teams');
+
+jest.setTimeout(30000);
+
+
+function httpGetJson(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = body ? JSON.parse(body) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function httpPostJson(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body || {});
+    const req = http.request(
+      {
+        hostname: '127.0.0.1',
+        port,
+        path: pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let json = null;
+          try {
+            json = raw ? JSON.parse(raw) : null;
+          } catch (_err) {
+            // leave json = null
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: raw,
+            json,
+          });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Helper: seed a deployment with one QIG and `count` responses
+async function seedQigWithResponses(count) {
+  const deploymentResult = await pool.query(
+    `
+      INSERT INTO ${DEPLOYMENTS_TABLE_NAME} (code, name)
+      VALUES ($1, $2)
+      RETURNING id
+    `,
+    ['D_TEAM', 'Teams Test'],
+  );
+  const deploymentId = deploymentResult.rows[0].id;
+
+  const seriesRow = await createSeries(deploymentId, 'S_TEAM', 'Series');
+  const paperRow = await createPaper(seriesRow.id, 'P_TEAM', 'Paper');
+  const qigRow = await createQig(paperRow.id, 'Q_TEAM', 'QIG');
+  await createItem(qigRow.id, 'I_TEAM_1', 10);
+
+  const responseRows = [];
+  for (let i = 1; i <= count; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const responseRow = await upsertResponse({
+      qigId: qigRow.id,
+      candidateId: `C_TEAM_${i}`,
+      scriptUrl: null,
+      manifest: null,
+      state: 'INGESTED',
+    });
+    responseRows.push(responseRow);
+  }
+
+  return { qigRow, responseRows };
+}
+
+async function seedUserWithPermissions(externalId, permissionKeys) {
+  const user = await createUser(externalId, externalId);
+  const role = await createRole(`ROLE_${externalId}`, `Role ${externalId}`);
+  await assignRoleToUser(user.id, role.id);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of permissionKeys) {
+    // eslint-disable-next-line no-await-in-loop
+    let perm = await getPermissionByKey(key);
+    if (!perm) {
+      // eslint-disable-next-line no-await-in-loop
+      perm = await createPermission(key, `Generated for team tests (${key})`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await assignPermissionToRole(role.id, perm.id);
+  }
+
+  return user;
+}
+
+function headersFor(externalId) {
+  return {
+    'x-user-external-id': externalId,
+    'x-user-display-name': externalId,
+  };
+}
+
+describe('Team hierarchy and supervision scopes', () => {
+  let server;
+  let port;
+
+  const teamsPath = '/teams/D_TEAM/qigs/Q_TEAM';
+  const supervisionPath = '/supervision/D_TEAM/qigs/Q_TEAM';
+
+  // PE1 (led by pe) -> TL1 (led by tl1: ae1, ae2), TL2 (led by tl2: ae3)
+  async function buildHierarchy() {
+    const steps = [
+      [teamsPath, { code: 'PE1', name: 'PE team', leaderExternalId: 'pe' }],
+      [teamsPath, { code: 'TL1', name: 'Team 1', leaderExternalId: 'tl1', parentTeamCode: 'PE1' }],
+      [teamsPath, { code: 'TL2', name: 'Team 2', leaderExternalId: 'tl2', parentTeamCode: 'PE1' }],
+      [`${teamsPath}/PE1/members`, { userExternalId: 'tl1' }],
+      [`${teamsPath}/PE1/members`, { userExternalId: 'tl2' }],
+      [`${teamsPath}/TL1/members`, { userExternalId: 'ae1' }],
+      [`${teamsPath}/TL1/members`, { userExternalId: 'ae2' }],
+      [`${teamsPath}/TL2/members`, { userExternalId: 'ae3' }],
+    ];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [pathname, body] of steps) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await httpPostJson(port, pathname, body, headersFor('team-admin'));
+      expect([200, 201]).toContain(res.statusCode);
+    }
+  }
+
+  beforeAll(async () => {
+    await ensureConfigTables();
+    await ensureAssessmentTables();
+    await ensureIngestionTables();
+    await ensureIdentityTables();
+    await ensureMarkingTables();
+    await ensureAllocationTables();
+    await ensureStandardisationTables();
+    await ensureTeamTables();
+    await ensureAuditTable();
+
+    server = createServer();
+    await new Promise((resolve) => {
+      const s = server.listen(0, () => {
+        // @ts-ignore
+        port = s.address().port;
+        resolve();
+      });
+    });
+  });
+
+  beforeEach(async () => {
+    await pool.query(`DELETE FROM ${TEAM_MEMBERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${TEAMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${MARKER_ELIGIBILITY_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSE_MARKS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ALLOCATIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${RESPONSES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_ITEMS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_QIGS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_PAPERS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${ASSESSMENT_SERIES_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_ARTIFACTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${CONFIG_VERSIONS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${DEPLOYMENTS_TABLE_NAME}`);
+    await pool.query(`DELETE FROM ${AUDIT_TABLE_NAME}`);
+    await pool.query(`
+      TRUNCATE TABLE
+        ${USER_ROLES_TABLE_NAME},
+        ${ROLE_PERMISSIONS_TABLE_NAME},
+        ${PERMISSIONS_TABLE_NAME},
+        ${ROLES_TABLE_NAME},
+        ${USERS_TABLE_NAME}
+      RESTART IDENTITY CASCADE
+    `);
+
+    await seedUserWithPermissions('team-admin', ['teams.view', 'teams.manage']);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const externalId of ['pe', 'tl1', 'tl2']) {
+      // eslint-disable-next-line no-await-in-loop
+      await seedUserWithPermissions(externalId, [
+        'supervision.view',
+        'supervision.manage',
+      ]);
+    }
+    // eslint-disable-next-line no-restricted-syntax
+    for (const externalId of ['ae1', 'ae2', 'ae3']) {
+      // eslint-disable-next-line no-await-in-loop
+      await seedUserWithPermissions(externalId, ['marking.edit']);
+    }
+  });
+
+  afterAll(async () => {
+    if (server && server.close) {
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  });
+
+  test('builds a PE -> TL -> AE hierarchy and reports it on profiles', async () => {
+    await seedQigWithResponses(0);
+    await buildHierarchy();
+
+    const list = await httpGetJson(port, teamsPath, headersFor('team-admin'));
+    expect(list.statusCode).toBe(200);
+    expect(list.json.teams.map((t) => [t.code, t.level, t.parentTeamCode])).toEqual([
+      ['PE1', 'PE', null],
+      ['TL1', 'TL', 'PE1'],
+      ['TL2', 'TL', 'PE1'],
+    ]);
+    const tl1 = list.json.teams.find((t) => t.code === 'TL1');
+    expect(tl1.leader.externalId).toBe('tl1');
+    expect(tl1.members.map((m) => m.externalId)).toEqual(['ae1', 'ae2']);
+
+    const duplicate = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'TL1', name: 'Again' },
+      headersFor('team-admin'),
+    );
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.json).toEqual({ error: 'team_already_exists' });
+
+    const unknownParent = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'TL3', name: 'Team 3', parentTeamCode: 'NOPE' },
+      headersFor('team-admin'),
+    );
+    expect(unknownParent.statusCode).toBe(404);
+    expect(unknownParent.json).toEqual({ error: 'parent_team_not_found' });
+
+    const tooDeep = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'TL1A', name: 'Sub team', parentTeamCode: 'TL1' },
+      headersFor('team-admin'),
+    );
+    expect(tooDeep.statusCode).toBe(409);
+    expect(tooDeep.json).toEqual({ error: 'team_hierarchy_too_deep' });
+
+    const twice = await httpPostJson(
+      port,
+      `${teamsPath}/TL2/members`,
+      { userExternalId: 'ae1' },
+      headersFor('team-admin'),
+    );
+    expect(twice.statusCode).toBe(409);
+    expect(twice.json).toEqual({ error: 'member_already_assigned', teamCode: 'TL1' });
+
+    const removed = await httpPostJson(
+      port,
+      `${teamsPath}/TL1/members/ae2/remove`,
+      {},
+      headersFor('team-admin'),
+    );
+    expect(removed.statusCode).toBe(200);
+    expect(removed.json.team.members.map((m) => m.externalId)).toEqual(['ae1']);
+
+    const removedAgain = await httpPostJson(
+      port,
+      `${teamsPath}/TL1/members/ae2/remove`,
+      {},
+      headersFor('team-admin'),
+    );
+    expect(removedAgain.statusCode).toBe(404);
+    expect(removedAgain.json).toEqual({ error: 'member_not_found' });
+
+    const newLeader = await httpPostJson(
+      port,
+      `${teamsPath}/TL2/leader`,
+      { leaderExternalId: 'ae2' },
+      headersFor('team-admin'),
+    );
+    expect(newLeader.statusCode).toBe(200);
+    expect(newLeader.json.team.leader.externalId).toBe('ae2');
+
+    const profile = await httpGetJson(port, '/me/profile', headersFor('tl1'));
+    expect(profile.statusCode).toBe(200);
+    expect(
+      profile.json.profile.assignmentContext.teamMembership.map((m) => ({
+        teamCode: m.teamCode,
+        level: m.level,
+        role: m.role,
+        leaderExternalId: m.leaderExternalId,
+        qigCode: m.qigCode,
+        deploymentCode: m.deploymentCode,
+      })),
+    ).toEqual([
+      {
+        teamCode: 'PE1',
+        level: 'PE',
+        role: 'MEMBER',
+        leaderExternalId: 'pe',
+        qigCode: 'Q_TEAM',
+        deploymentCode: 'D_TEAM',
+      },
+      {
+        teamCode: 'TL1',
+        level: 'TL',
+        role: 'LEADER',
+        leaderExternalId: 'tl1',
+        qigCode: 'Q_TEAM',
+        deploymentCode: 'D_TEAM',
+      },
+    ]);
+
+    const audit = await pool.query(
+      `SELECT payload FROM ${AUDIT_TABLE_NAME} WHERE event_type = $1 ORDER BY id ASC`,
+      [TEAM_UPDATED_EVENT_TYPE],
+    );
+    expect(audit.rows.map((r) => r.payload.meta.operation)).toEqual([
+      'CREATE',
+      'CREATE',
+      'CREATE',
+      'ADD_MEMBER',
+      'ADD_MEMBER',
+      'ADD_MEMBER',
+      'ADD_MEMBER',
+      'ADD_MEMBER',
+      'REMOVE_MEMBER',
+      'SET_LEADER',
+    ]);
+    expect(audit.rows[9].payload.meta).toMatchObject({
+      teamCode: 'TL2',
+      qigCode: 'Q_TEAM',
+      deploymentCode: 'D_TEAM',
+    });
+  });
+
+  test("scopes a leader's marks and allocations to their own team", async () => {
+    const { qigRow, responseRows } = await seedQigWithResponses(3);
+    await buildHierarchy();
+
+    const users = await pool.query(
+      `SELECT id, external_id FROM ${USERS_TABLE_NAME}`,
+    );
+    const idOf = Object.fromEntries(users.rows.map((r) => [r.external_id, r.id]));
+
+    await saveDraftMark(responseRows[0].id, idOf.ae1, { I_TEAM_1: 4 });
+    await saveDraftMark(responseRows[1].id, idOf.ae3, { I_TEAM_1: 6 });
+    const ae1Allocation = await createAllocation(responseRows[0].id, idOf.ae1, null);
+    const ae3Allocation = await createAllocation(responseRows[1].id, idOf.ae3, null);
+
+    const tl1Marks = await httpGetJson(port, `${supervisionPath}/marks`, headersFor('tl1'));
+    expect(tl1Marks.statusCode).toBe(200);
+    expect(tl1Marks.json.marks).toHaveLength(1);
+    expect(tl1Marks.json.marks[0]).toMatchObject({
+      responseId: responseRows[0].id,
+      markerExternalId: 'ae1',
+      candidateId: 'C_TEAM_1',
+      state: 'DRAFT',
+    });
+
+    // The PE supervises both TL teams through the hierarchy.
+    const peMarks = await httpGetJson(port, `${supervisionPath}/marks`, headersFor('pe'));
+    expect(peMarks.statusCode).toBe(200);
+    expect(peMarks.json.marks.map((m) => m.markerExternalId).sort()).toEqual(['ae1', 'ae3']);
+
+    const tl2Allocations = await httpGetJson(
+      port,
+      `${supervisionPath}/allocations`,
+      headersFor('tl2'),
+    );
+    expect(tl2Allocations.statusCode).toBe(200);
+    expect(tl2Allocations.json.allocations.map((a) => a.id)).toEqual([ae3Allocation.id]);
+    expect(tl2Allocations.json.allocations[0].markerExternalId).toBe('ae3');
+
+    // A user holding the permissions but leading no team sees nothing.
+    await seedUserWithPermissions('no-team', ['supervision.view', 'supervision.manage']);
+    const noTeam = await httpGetJson(port, `${supervisionPath}/marks`, headersFor('no-team'));
+    expect(noTeam.statusCode).toBe(403);
+    expect(noTeam.json).toEqual({ error: 'forbidden', reason: 'not_team_leader' });
+
+    const suspend = await httpPostJson(
+      port,
+      `/supervision/allocations/${ae1Allocation.id}/transition`,
+      { toState: 'SUSPENDED', reasonCode: 'TL_HOLD' },
+      headersFor('tl1'),
+    );
+    expect(suspend.statusCode).toBe(200);
+    expect(suspend.json.allocation.state).toBe('SUSPENDED');
+
+    const otherTeam = await httpPostJson(
+      port,
+      `/supervision/allocations/${ae3Allocation.id}/transition`,
+      { toState: 'SUSPENDED', reasonCode: 'TL_HOLD' },
+      headersFor('tl1'),
+    );
+    expect(otherTeam.statusCode).toBe(403);
+    expect(otherTeam.json).toEqual({ error: 'forbidden', reason: 'allocation_not_in_team' });
+
+    const outOfTeamTarget = await httpPostJson(
+      port,
+      `/supervision/allocations/${ae1Allocation.id}/reassign`,
+      { markerExternalId: 'ae3', reasonCode: 'REBALANCE' },
+      headersFor('tl1'),
+    );
+    expect(outOfTeamTarget.statusCode).toBe(403);
+    expect(outOfTeamTarget.json).toEqual({ error: 'forbidden', reason: 'marker_not_in_team' });
+
+    await pool.query(
+      `
+        INSERT INTO ${MARKER_ELIGIBILITY_TABLE_NAME} (marker_user_id, qig_id, state)
+        VALUES ($1, $2, 'LIVE_APPROVED')
+      `,
+      [idOf.ae2, qigRow.id],
+    );
+    const reassign = await httpPostJson(
+      port,
+      `/supervision/allocations/${ae1Allocation.id}/reassign`,
+      { markerExternalId: 'ae2', reasonCode: 'REBALANCE' },
+      headersFor('tl1'),
+    );
+    expect(reassign.statusCode).toBe(200);
+    expect(reassign.json.allocation).toMatchObject({
+      markerUserId: idOf.ae2,
+      state: 'READY',
+      reasonCode: 'REBALANCE',
+    });
+  });
+
+  test('enforces permissions and reports unknown QIGs and teams', async () => {
+    await seedQigWithResponses(0);
+
+    const forbidden = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'PE1', name: 'PE team' },
+      headersFor('pe'),
+    );
+    expect(forbidden.statusCode).toBe(403);
+
+    const noSupervision = await httpGetJson(
+      port,
+      `${supervisionPath}/marks`,
+      headersFor('ae1'),
+    );
+    expect(noSupervision.statusCode).toBe(403);
+
+    const invalid = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'PE1' },
+      headersFor('team-admin'),
+    );
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.json).toEqual({ error: 'invalid_payload' });
+
+    const unknownQig = await httpGetJson(
+      port,
+      '/teams/D_TEAM/qigs/NOPE',
+      headersFor('team-admin'),
+    );
+    expect(unknownQig.statusCode).toBe(404);
+    expect(unknownQig.json).toEqual({ error: 'qig_not_found' });
+
+    const unknownTeam = await httpPostJson(
+      port,
+      `${teamsPath}/NOPE/members`,
+      { userExternalId: 'ae1' },
+      headersFor('team-admin'),
+    );
+    expect(unknownTeam.statusCode).toBe(404);
+    expect(unknownTeam.json).toEqual({ error: 'team_not_found' });
+
+    const unknownUser = await httpPostJson(
+      port,
+      teamsPath,
+      { code: 'PE1', name: 'PE team', leaderExternalId: 'ghost' },
+      headersFor('team-admin'),
+    );
+    expect(unknownUser.statusCode).toBe(404);
+    expect(unknownUser.json).toEqual({ error: 'user_not_found' });
+  });
+});
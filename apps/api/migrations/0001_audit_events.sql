@@ -0,0 +1,18 @@
+-- Baseline migrations (0001-0012) reproduce the schema that the modules
+-- used to create lazily on every call. They only use IF NOT EXISTS forms,
+-- so they also apply cleanly to a database created by that lazy path and
+-- bring it under schema_migrations.
+
+-- Each event carries hash, a SHA-256 over its content and prev_hash, the
+-- hash of the event before it, so edited or deleted rows break the chain.
+-- Rows written before the chain existed have no hash.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id SERIAL PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  payload JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE audit_events
+  ADD COLUMN IF NOT EXISTS prev_hash TEXT,
+  ADD COLUMN IF NOT EXISTS hash TEXT;
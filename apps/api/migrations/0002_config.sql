@@ -0,0 +1,70 @@
+CREATE TABLE IF NOT EXISTS tenants (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ACTIVE',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS deployments (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  deployment_type TEXT NOT NULL DEFAULT 'LIVE',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS config_versions (
+  id SERIAL PRIMARY KEY,
+  deployment_id INTEGER NOT NULL REFERENCES deployments(id),
+  version_number INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  approved_at TIMESTAMPTZ,
+  activated_at TIMESTAMPTZ,
+  created_by TEXT,
+  UNIQUE (deployment_id, version_number)
+);
+
+CREATE TABLE IF NOT EXISTS config_artifacts (
+  id SERIAL PRIMARY KEY,
+  config_version_id INTEGER NOT NULL REFERENCES config_versions(id) ON DELETE CASCADE,
+  artifact_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (config_version_id, artifact_type)
+);
+
+-- Phase 0 extensions: deployments carry a deployment_type and may be
+-- linked to a tenant.
+ALTER TABLE deployments
+  ADD COLUMN IF NOT EXISTS deployment_type TEXT NOT NULL DEFAULT 'LIVE';
+
+ALTER TABLE deployments
+  ADD COLUMN IF NOT EXISTS tenant_id INTEGER;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'deployments'::regclass
+      AND conname = 'deployments_deployment_type_check'
+  ) THEN
+    ALTER TABLE deployments
+      ADD CONSTRAINT deployments_deployment_type_check
+      CHECK (deployment_type IN ('LIVE', 'PILOT', 'TRAINING', 'SANDBOX', 'ARCHIVED'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'deployments'::regclass
+      AND conname = 'deployments_tenant_id_fkey'
+  ) THEN
+    ALTER TABLE deployments
+      ADD CONSTRAINT deployments_tenant_id_fkey
+      FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+  END IF;
+END
+$$;
@@ -0,0 +1,49 @@
+-- Series -> Paper -> QIG -> Items with unique codes and item max marks.
+CREATE TABLE IF NOT EXISTS assessment_series (
+  id SERIAL PRIMARY KEY,
+  deployment_id INTEGER NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ,
+  UNIQUE (deployment_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS assessment_papers (
+  id SERIAL PRIMARY KEY,
+  series_id INTEGER NOT NULL REFERENCES assessment_series(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ,
+  UNIQUE (series_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS assessment_qigs (
+  id SERIAL PRIMARY KEY,
+  paper_id INTEGER NOT NULL REFERENCES assessment_papers(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ,
+  UNIQUE (paper_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS assessment_items (
+  id SERIAL PRIMARY KEY,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  max_mark INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ,
+  UNIQUE (qig_id, code)
+);
+
+-- Per-QIG multi-marking settings: how many independent submitted marks a
+-- Response needs before it locks, and the largest allowed spread between
+-- their totals before the Response is flagged for adjudication.
+ALTER TABLE assessment_qigs
+  ADD COLUMN IF NOT EXISTS required_marks INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE assessment_qigs
+  ADD COLUMN IF NOT EXISTS mark_tolerance INTEGER NOT NULL DEFAULT 0;
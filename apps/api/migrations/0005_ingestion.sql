@@ -0,0 +1,57 @@
+-- A Script is one Candidate's full submission for a Component (Paper).
+-- It is the traceability root: every Response belongs to one Script.
+CREATE TABLE IF NOT EXISTS scripts (
+  id SERIAL PRIMARY KEY,
+  paper_id INTEGER NOT NULL REFERENCES assessment_papers(id) ON DELETE CASCADE,
+  candidate_id TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'INGESTING',
+  reason_code TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (paper_id, candidate_id)
+);
+
+CREATE TABLE IF NOT EXISTS responses (
+  id SERIAL PRIMARY KEY,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  candidate_id TEXT NOT NULL,
+  script_url TEXT,
+  manifest JSONB,
+  state TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+-- Structural uniqueness invariant: one Response per (qig_id, candidate_id),
+-- even if a caller forgets to go through upsertResponse.
+CREATE UNIQUE INDEX IF NOT EXISTS responses_qig_candidate_unique
+  ON responses (qig_id, candidate_id);
+
+ALTER TABLE responses
+  ADD COLUMN IF NOT EXISTS script_id INTEGER REFERENCES scripts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS responses_script_id_idx
+  ON responses (script_id);
+
+-- Booklets group the pages of a Script (main booklet, additional answer
+-- booklets, ...). PageImages carry script_id directly so every page is
+-- traceable to its Script without going through the Booklet.
+CREATE TABLE IF NOT EXISTS booklets (
+  id SERIAL PRIMARY KEY,
+  script_id INTEGER NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (script_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS page_images (
+  id SERIAL PRIMARY KEY,
+  booklet_id INTEGER NOT NULL REFERENCES booklets(id) ON DELETE CASCADE,
+  script_id INTEGER NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL,
+  blob_key TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  byte_size INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (booklet_id, page_number)
+);
@@ -0,0 +1,11 @@
+-- A MarkSchemeVersion is an immutable snapshot of a QIG's mark scheme,
+-- numbered per QIG, recording the config version it was taken from.
+CREATE TABLE IF NOT EXISTS mark_scheme_versions (
+  id SERIAL PRIMARY KEY,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  config_version_id INTEGER REFERENCES config_versions(id) ON DELETE SET NULL,
+  definition JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (qig_id, version_number)
+);
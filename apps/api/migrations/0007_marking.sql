@@ -0,0 +1,105 @@
+CREATE TABLE IF NOT EXISTS response_marks (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  state TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (response_id, marker_user_id)
+);
+
+-- Computed total of a submitted mark, stored alongside the payload so
+-- downstream reporting never has to re-derive it.
+ALTER TABLE response_marks
+  ADD COLUMN IF NOT EXISTS total_mark INTEGER;
+
+-- Append-only history: one row per draft save / submission, numbered
+-- per mark record. response_marks keeps the current snapshot only.
+CREATE TABLE IF NOT EXISTS mark_record_versions (
+  id SERIAL PRIMARY KEY,
+  response_mark_id INTEGER NOT NULL REFERENCES response_marks(id) ON DELETE CASCADE,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL,
+  state TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  total_mark INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (response_mark_id, sequence)
+);
+
+-- The MarkSchemeVersion each mark record (and each version of it) was
+-- saved under, so marks can be re-validated after a scheme change.
+ALTER TABLE response_marks
+  ADD COLUMN IF NOT EXISTS mark_scheme_version_id INTEGER
+    REFERENCES mark_scheme_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE mark_record_versions
+  ADD COLUMN IF NOT EXISTS mark_scheme_version_id INTEGER
+    REFERENCES mark_scheme_versions(id) ON DELETE SET NULL;
+
+-- One row per remark cycle. The original submission is snapshotted when
+-- the cycle opens and the remark outcome is filled in on the next submit.
+CREATE TABLE IF NOT EXISTS response_remarks (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  requested_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason_code TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'OPEN',
+  original_version_id INTEGER REFERENCES mark_record_versions(id) ON DELETE SET NULL,
+  original_marker_user_id INTEGER,
+  original_payload JSONB,
+  original_total_mark INTEGER,
+  remark_version_id INTEGER REFERENCES mark_record_versions(id) ON DELETE SET NULL,
+  remark_marker_user_id INTEGER,
+  remark_payload JSONB,
+  remark_total_mark INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS response_remarks_open_response_idx
+  ON response_remarks (response_id)
+  WHERE state = 'OPEN';
+
+-- Responses whose independent mark totals differ by more than the QIG's
+-- tolerance. totals holds the submitted marks that were compared.
+CREATE TABLE IF NOT EXISTS response_adjudications (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'FLAGGED',
+  required_marks INTEGER NOT NULL,
+  mark_tolerance INTEGER NOT NULL,
+  min_total INTEGER NOT NULL,
+  max_total INTEGER NOT NULL,
+  totals JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS response_adjudications_flagged_response_idx
+  ON response_adjudications (response_id)
+  WHERE state = 'FLAGGED';
+
+-- A marker's annotations on the PageImages of a Response, optionally tied
+-- to an Item. locked_at / response_mark_id are set when the marker
+-- submits; locked annotations are never changed again.
+CREATE TABLE IF NOT EXISTS response_annotations (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  page_image_id INTEGER NOT NULL REFERENCES page_images(id) ON DELETE CASCADE,
+  item_id INTEGER REFERENCES assessment_items(id) ON DELETE SET NULL,
+  annotation_type TEXT NOT NULL,
+  shape TEXT NOT NULL,
+  coordinates JSONB NOT NULL,
+  text TEXT,
+  response_mark_id INTEGER REFERENCES response_marks(id) ON DELETE SET NULL,
+  locked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS response_annotations_response_marker_idx
+  ON response_annotations (response_id, marker_user_id);
@@ -0,0 +1,14 @@
+-- An Allocation links one Response to (at most) one Marker. marker_user_id
+-- is nullable so that READY allocations can exist before anyone is assigned.
+CREATE TABLE IF NOT EXISTS allocations (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'READY',
+  reason_code TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS allocations_response_idx
+  ON allocations (response_id);
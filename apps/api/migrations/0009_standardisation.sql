@@ -0,0 +1,112 @@
+-- Current eligibility state per (marker, QIG); every change is recorded as
+-- a MARKER_ELIGIBILITY_CHANGED audit event.
+CREATE TABLE IF NOT EXISTS marker_eligibility (
+  id SERIAL PRIMARY KEY,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  state TEXT NOT NULL,
+  reason_code TEXT,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (marker_user_id, qig_id)
+);
+
+-- Largest allowed deviation from the definitive mark, per item and on
+-- the total. A QIG without a row uses zero for both.
+CREATE TABLE IF NOT EXISTS standardisation_tolerances (
+  qig_id INTEGER PRIMARY KEY REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  item_tolerance INTEGER NOT NULL DEFAULT 0,
+  total_tolerance INTEGER NOT NULL DEFAULT 0,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Practice and standardisation sets group Responses of a QIG whose
+-- definitive marks are known; markers' marks on them are kept apart from
+-- live marking in standardisation_marks.
+CREATE TABLE IF NOT EXISTS standardisation_sets (
+  id SERIAL PRIMARY KEY,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (qig_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS standardisation_set_responses (
+  id SERIAL PRIMARY KEY,
+  set_id INTEGER NOT NULL REFERENCES standardisation_sets(id) ON DELETE CASCADE,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  UNIQUE (set_id, response_id)
+);
+
+CREATE TABLE IF NOT EXISTS definitive_marks (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL UNIQUE REFERENCES responses(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  total_mark INTEGER NOT NULL,
+  set_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS standardisation_marks (
+  id SERIAL PRIMARY KEY,
+  set_id INTEGER NOT NULL REFERENCES standardisation_sets(id) ON DELETE CASCADE,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  total_mark INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (set_id, response_id, marker_user_id)
+);
+
+-- One row per evaluation run; result holds the per-response and
+-- per-item deviations that were returned.
+CREATE TABLE IF NOT EXISTS standardisation_evaluations (
+  id SERIAL PRIMARY KEY,
+  set_id INTEGER NOT NULL REFERENCES standardisation_sets(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  passed BOOLEAN NOT NULL,
+  item_tolerance INTEGER NOT NULL,
+  total_tolerance INTEGER NOT NULL,
+  result JSONB NOT NULL,
+  evaluated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Seeds are definitive-marked Responses served to live markers in place
+-- of live work at the QIG's seed rate. The defaults match
+-- DEFAULT_SEED_FAILURE_LIMIT and DEFAULT_SEED_FAILURE_ACTION.
+CREATE TABLE IF NOT EXISTS seed_settings (
+  qig_id INTEGER PRIMARY KEY REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  seed_rate_percent INTEGER NOT NULL DEFAULT 0,
+  failure_limit INTEGER NOT NULL DEFAULT 3,
+  failure_action TEXT NOT NULL DEFAULT 'SUSPEND',
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS seed_responses (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL UNIQUE REFERENCES responses(id) ON DELETE CASCADE,
+  added_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- action_taken is set on the result that reached the failure limit, so
+-- the next run of failures is counted from there.
+CREATE TABLE IF NOT EXISTS seed_results (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  within_tolerance BOOLEAN NOT NULL,
+  result JSONB NOT NULL,
+  action_taken TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- Teams belong to a QIG and are identified by a code unique within it.
+-- A user is a member of at most one team per QIG.
+CREATE TABLE IF NOT EXISTS teams (
+  id SERIAL PRIMARY KEY,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  leader_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  parent_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (qig_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+  id SERIAL PRIMARY KEY,
+  team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (qig_id, user_id)
+);
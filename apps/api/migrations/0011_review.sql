@@ -0,0 +1,28 @@
+-- Per-(QIG, marker) sampling rate; markers without a row use
+-- DEFAULT_REVIEW_SAMPLE_RATE_PERCENT.
+CREATE TABLE IF NOT EXISTS review_sample_rates (
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sample_rate_percent INTEGER NOT NULL,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (qig_id, marker_user_id)
+);
+
+-- At most one review per submitted response_marks row, with the reviewer's
+-- own marks and a snapshot of the submission they reviewed.
+CREATE TABLE IF NOT EXISTS mark_reviews (
+  id SERIAL PRIMARY KEY,
+  response_mark_id INTEGER NOT NULL UNIQUE REFERENCES response_marks(id) ON DELETE CASCADE,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  qig_id INTEGER NOT NULL REFERENCES assessment_qigs(id) ON DELETE CASCADE,
+  marker_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reviewer_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  outcome TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  total_mark INTEGER NOT NULL,
+  original_payload JSONB NOT NULL,
+  original_total_mark INTEGER,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
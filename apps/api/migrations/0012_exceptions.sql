@@ -0,0 +1,25 @@
+-- A Response has at most one unresolved case at a time. The case keeps the
+-- Response state it held before being put on hold and the allocations it
+-- suspended, so that resolution can undo the hold.
+CREATE TABLE IF NOT EXISTS exception_cases (
+  id SERIAL PRIMARY KEY,
+  response_id INTEGER NOT NULL REFERENCES responses(id) ON DELETE CASCADE,
+  script_id INTEGER REFERENCES scripts(id) ON DELETE SET NULL,
+  category TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'OPEN',
+  description TEXT,
+  raised_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  previous_response_state TEXT,
+  held_allocation_ids INTEGER[] NOT NULL DEFAULT '{}',
+  reason_code TEXT,
+  resolution TEXT,
+  resolution_note TEXT,
+  resolved_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS exception_cases_unresolved_response_idx
+  ON exception_cases (response_id)
+  WHERE state <> 'RESOLVED';
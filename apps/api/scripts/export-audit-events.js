@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Export audit events as NDJSON or CSV.
+ *
+ * Usage: node scripts/export-audit-events.js [--format ndjson|csv]
+ *   [--deployment CODE] [--series CODE] [--event-type TYPE] [--actor ID]
+ *   [--response ID] [--from ISO] [--to ISO] [--out FILE]
+ *
+ * Writes to stdout unless --out is given. Reads the DB_* environment
+ * variables like the API. Exits 0 on success and 2 on failure.
+ */
+const fs = require('fs');
+const { endPool } = require('../src/db');
+const { planAuditExport, writeAuditExport } = require('../src/auditexport');
+
+const OPTION_FILTERS = {
+  '--deployment': 'deploymentCode',
+  '--series': 'seriesCode',
+  '--event-type': 'eventType',
+  '--actor': 'actorExternalId',
+  '--response': 'responseId',
+  '--from': 'from',
+  '--to': 'to',
+};
+
+function parseArgs(argv) {
+  const options = { format: 'ndjson', out: null, filters: {} };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    // pnpm passes the "--" separator through to the script.
+    if (arg === '--') {
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    if (arg === '--format') {
+      options.format = value;
+    } else if (arg === '--out') {
+      options.out = value;
+    } else if (OPTION_FILTERS[arg]) {
+      options.filters[OPTION_FILTERS[arg]] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+    i += 1;
+  }
+  return options;
+}
+
+function streamWriter(stream) {
+  return (chunk) =>
+    new Promise((resolve, reject) => {
+      stream.write(chunk, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.end((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+async function main(argv) {
+  let exitCode = 2;
+  try {
+    const options = parseArgs(argv);
+    const plan = await planAuditExport(options.filters, options.format);
+
+    const stream = options.out
+      ? fs.createWriteStream(options.out)
+      : process.stdout;
+    const { eventCount, throughEventId } = await writeAuditExport(
+      plan,
+      streamWriter(stream),
+    );
+    if (options.out) {
+      await closeStream(stream);
+    }
+
+    // eslint-disable-next-line no-console
+    console.error(
+      `Exported ${eventCount} audit event(s) up to event ${throughEventId} as ${plan.format}.`,
+    );
+    exitCode = 0;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to export audit events', err);
+  } finally {
+    await endPool();
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Apply or inspect the database migrations in apps/api/migrations.
+ *
+ * Usage: node scripts/migrate.js [up|status] [--json]
+ *
+ *   up      apply pending migrations (the default)
+ *   status  list each migration as APPLIED, PENDING or CHANGED
+ *
+ * Reads the DB_* environment variables like the API. up exits 0 when the
+ * schema is current; status exits 0 when nothing is pending or changed
+ * and 1 otherwise. Both exit 2 on failure.
+ */
+const { endPool } = require('../src/db');
+const { migrate, getMigrationStatus } = require('../src/migrations');
+
+const COMMANDS = ['up', 'status'];
+
+function print(line) {
+  // eslint-disable-next-line no-console
+  console.log(line);
+}
+
+async function runUp(asJson) {
+  const { applied } = await migrate();
+  if (asJson) {
+    print(JSON.stringify({ applied }, null, 2));
+  } else if (applied.length === 0) {
+    print('Database schema is up to date.');
+  } else {
+    applied.forEach((migration) => {
+      print(`Applied ${migration.version}_${migration.name}`);
+    });
+    print(`Applied ${applied.length} migration(s).`);
+  }
+  return 0;
+}
+
+async function runStatus(asJson) {
+  const status = await getMigrationStatus();
+  if (asJson) {
+    print(JSON.stringify(status, null, 2));
+  } else {
+    status.migrations.forEach((migration) => {
+      const appliedAt = migration.appliedAt
+        ? `  ${new Date(migration.appliedAt).toISOString()}`
+        : '';
+      print(
+        `${migration.state.padEnd(8)} ${migration.version}_${migration.name}${appliedAt}`,
+      );
+    });
+    status.unknown.forEach((migration) => {
+      print(
+        `UNKNOWN  ${migration.version}_${migration.name} (applied, no migration file)`,
+      );
+    });
+  }
+  const current = status.migrations.every(
+    (migration) => migration.state === 'APPLIED',
+  );
+  return current ? 0 : 1;
+}
+
+async function main(argv) {
+  // pnpm passes the "--" separator through to the script.
+  const args = argv.filter((arg) => arg !== '--');
+  const asJson = args.includes('--json');
+  const command = args.find((arg) => !arg.startsWith('--')) || 'up';
+
+  let exitCode = 2;
+  try {
+    if (!COMMANDS.includes(command)) {
+      throw new Error(
+        `Unknown command ${command}; expected one of ${COMMANDS.join(', ')}`,
+      );
+    }
+    exitCode =
+      command === 'status' ? await runStatus(asJson) : await runUp(asJson);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(
+      `Migration ${command} failed${err.migration ? ` in ${err.migration}` : ''}`,
+      err,
+    );
+  } finally {
+    await endPool();
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { main };
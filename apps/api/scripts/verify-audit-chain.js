@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Verify the audit_events hash chain and report the first broken link.
+ *
+ * Usage: node scripts/verify-audit-chain.js [--json]
+ *
+ * Reads the DB_* environment variables like the API. Exits 0 when the
+ * chain is intact, 1 when a link is broken and 2 when verification could
+ * not run.
+ */
+const { endPool } = require('../src/db');
+const { verifyAuditChain } = require('../src/audit');
+
+function printReport(report) {
+  const lines = [
+    `Checked ${report.checkedCount} chained audit event(s)` +
+      (report.legacyCount > 0
+        ? ` after ${report.legacyCount} event(s) written before the chain.`
+        : '.'),
+  ];
+
+  if (report.valid) {
+    lines.push('Audit chain intact.');
+    if (report.headEventId !== null) {
+      lines.push(`Head: event ${report.headEventId}, hash ${report.headHash}`);
+    }
+  } else {
+    const link = report.firstBrokenLink;
+    lines.push(
+      `Audit chain broken at event ${link.eventId} (${link.eventType}): ${link.reason}`,
+    );
+    lines.push(`  expected: ${link.expected}`);
+    lines.push(`  actual:   ${link.actual}`);
+    if (report.headEventId !== null) {
+      lines.push(
+        `Last intact event: ${report.headEventId}, hash ${report.headHash}`,
+      );
+    }
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(lines.join('\n'));
+}
+
+async function main(argv) {
+  const asJson = argv.includes('--json');
+
+  let exitCode = 2;
+  try {
+    const report = await verifyAuditChain();
+    if (asJson) {
+      // eslint-disable-next-line no-console
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    exitCode = report.valid ? 0 : 1;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to verify audit chain', err);
+  } finally {
+    await endPool();
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,952 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const { RESPONSES_TABLE_NAME } = require('./ingestion');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+} = require('./assessment');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const {
+  appendAuditEvent,
+  writeAuditEvent,
+  ALLOCATION_CREATED_EVENT_TYPE,
+  ALLOCATION_TRANSITIONED_EVENT_TYPE,
+  ALLOCATION_RELEASED_EVENT_TYPE,
+  ALLOCATION_REASSIGNED_EVENT_TYPE,
+} = require('./audit');
+const {
+  ensureStandardisationTables,
+  getMarkerEligibilityState,
+  LIVE_APPROVED_ELIGIBILITY_STATE,
+  STANDARDISATION_SET_RESPONSES_TABLE_NAME,
+  SEED_SETTINGS_TABLE_NAME,
+  SEED_RESPONSES_TABLE_NAME,
+} = require('./standardisation');
+
+const ALLOCATIONS_TABLE_NAME = 'allocations';
+
+/**
+ * Allocation states, as defined in spec/state-machines.md.
+ */
+const ALLOCATION_STATES = [
+  'READY',
+  'IN_MARKING',
+  'SUSPENDED',
+  'COMPLETED',
+  'LOCKED',
+];
+
+/**
+ * Valid Allocation transitions: fromState -> allowed toStates.
+ *
+ * Anything not listed here (any move out of LOCKED, COMPLETED -> READY,
+ * READY -> COMPLETED, ...) is rejected with INVALID_ALLOCATION_TRANSITION.
+ */
+const ALLOCATION_TRANSITIONS = {
+  READY: ['IN_MARKING', 'SUSPENDED'],
+  IN_MARKING: ['COMPLETED', 'SUSPENDED', 'READY'],
+  SUSPENDED: ['READY'],
+  COMPLETED: ['LOCKED'],
+  LOCKED: [],
+};
+
+/**
+ * States from which an Allocation may be handed to a different Marker.
+ * In-flight work must be released (IN_MARKING -> READY) first.
+ */
+const REASSIGNABLE_ALLOCATION_STATES = ['READY', 'SUSPENDED'];
+
+/**
+ * Ensure the allocations table exists (see migrations/0008_allocations.sql).
+ *
+ * An Allocation links one Response to (at most) one Marker. marker_user_id
+ * is nullable so that READY allocations can exist before anyone is assigned.
+ */
+async function ensureAllocationTables() {
+  await ensureSchema();
+}
+
+/**
+ * Check whether fromState -> toState is a valid Allocation transition.
+ */
+function isValidAllocationTransition(fromState, toState) {
+  const allowed = ALLOCATION_TRANSITIONS[fromState];
+  return Array.isArray(allowed) && allowed.includes(toState);
+}
+
+/**
+ * Releases (IN_MARKING -> READY) and suspensions must carry a reasonCode.
+ */
+function isReasonCodeRequired(fromState, toState) {
+  if (toState === 'SUSPENDED') {
+    return true;
+  }
+  return fromState === 'IN_MARKING' && toState === 'READY';
+}
+
+/**
+ * Helper: fetch allocation + Response/QIG/deployment context for audit meta.
+ */
+async function getAllocationContext(queryable, allocationId, forUpdate) {
+  const sql = `
+    SELECT
+      a.id,
+      a.response_id,
+      a.marker_user_id,
+      a.state,
+      a.reason_code,
+      a.created_at,
+      a.updated_at,
+      r.candidate_id,
+      r.script_id,
+      r.qig_id,
+      q.code AS qig_code,
+      d.id AS deployment_id,
+      d.code AS deployment_code
+    FROM ${ALLOCATIONS_TABLE_NAME} a
+    JOIN ${RESPONSES_TABLE_NAME} r
+      ON a.response_id = r.id
+    JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+      ON r.qig_id = q.id
+    JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+      ON q.paper_id = p.id
+    JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+      ON p.series_id = s.id
+    JOIN ${DEPLOYMENTS_TABLE_NAME} d
+      ON s.deployment_id = d.id
+    WHERE a.id = $1
+    ${forUpdate ? 'FOR UPDATE OF a' : ''}
+  `;
+
+  const res = await queryable.query(sql, [allocationId]);
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return res.rows[0];
+}
+
+/**
+ * Build the audit payload for an Allocation event.
+ *
+ * Carries the identifiers required by spec/state-machines.md
+ * (allocationId, responseId, scriptId, candidateId, markerId, fromState,
+ * toState, result, reasonCode) plus deployment/QIG context.
+ */
+function buildAllocationAuditPayload(context, details, actor) {
+  return {
+    meta: {
+      allocationId: context.id,
+      responseId: context.response_id,
+      scriptId: context.script_id,
+      candidateId: context.candidate_id,
+      markerId:
+        details.markerId !== undefined
+          ? details.markerId
+          : context.marker_user_id,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      qigId: context.qig_id,
+      qigCode: context.qig_code,
+      fromState: details.fromState,
+      toState: details.toState,
+      result: details.result,
+      reasonCode: details.reasonCode || null,
+      errorCode: details.errorCode || null,
+      operation: details.operation,
+    },
+    actor: actor
+      ? {
+          id: actor.id,
+          externalId: actor.external_id,
+          displayName: actor.display_name,
+        }
+      : null,
+  };
+}
+
+function buildAllocationError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+/**
+ * Run work(client) in one transaction and return its result. Allocation
+ * writes and their SUCCESS audit events go through client, so a change is
+ * never committed without its audit record.
+ */
+async function runAllocationTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fetch a single Allocation by id, or null if none.
+ */
+async function getAllocationById(allocationId) {
+  await ensureAllocationTables();
+
+  const res = await pool.query(
+    `
+      SELECT id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+      FROM ${ALLOCATIONS_TABLE_NAME}
+      WHERE id = $1
+    `,
+    [allocationId],
+  );
+
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return res.rows[0];
+}
+
+/**
+ * Fetch all Allocations for a Response, oldest first.
+ */
+async function getAllocationsForResponse(responseId) {
+  await ensureAllocationTables();
+
+  const res = await pool.query(
+    `
+      SELECT id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+      FROM ${ALLOCATIONS_TABLE_NAME}
+      WHERE response_id = $1
+      ORDER BY id ASC
+    `,
+    [responseId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * List the Allocations on a QIG's Responses held by any of the given
+ * markers, oldest first. Used to scope a team leader's view to their team.
+ */
+async function listAllocationsForMarkers(qigId, markerUserIds) {
+  await ensureAllocationTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        a.id,
+        a.response_id,
+        a.marker_user_id,
+        a.state,
+        a.reason_code,
+        a.created_at,
+        a.updated_at,
+        u.external_id AS marker_external_id
+      FROM ${ALLOCATIONS_TABLE_NAME} a
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON a.response_id = r.id
+      JOIN ${USERS_TABLE_NAME} u
+        ON a.marker_user_id = u.id
+      WHERE r.qig_id = $1
+        AND a.marker_user_id = ANY($2::int[])
+      ORDER BY a.id ASC
+    `,
+    [qigId, markerUserIds],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Create a READY Allocation for a Response, optionally pre-assigned to a
+ * Marker. Writes an ALLOCATION_CREATED audit event.
+ */
+async function createAllocation(responseId, markerUserId, actor) {
+  await ensureAllocationTables();
+
+  return runAllocationTransaction(async (client) => {
+    const insertRes = await client.query(
+      `
+        INSERT INTO ${ALLOCATIONS_TABLE_NAME} (response_id, marker_user_id, state)
+        VALUES ($1, $2, 'READY')
+        RETURNING id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+      `,
+      [responseId, markerUserId || null],
+    );
+    const row = insertRes.rows[0];
+
+    const context = await getAllocationContext(client, row.id, false);
+    if (context) {
+      await appendAuditEvent(
+        ALLOCATION_CREATED_EVENT_TYPE,
+        buildAllocationAuditPayload(
+          context,
+          {
+            fromState: null,
+            toState: 'READY',
+            result: 'SUCCESS',
+            operation: 'CREATE',
+          },
+          actor,
+        ),
+        { client },
+      );
+    }
+
+    return row;
+  });
+}
+
+// The audit event for a transition attempt: ALLOCATION_RELEASED for
+// releases (IN_MARKING -> READY), ALLOCATION_TRANSITIONED otherwise.
+function buildTransitionAuditEvent(outcome, toState, reasonCode, actor) {
+  const { context, fromState, rejection } = outcome;
+  const isRelease = fromState === 'IN_MARKING' && toState === 'READY';
+  return {
+    eventType: isRelease
+      ? ALLOCATION_RELEASED_EVENT_TYPE
+      : ALLOCATION_TRANSITIONED_EVENT_TYPE,
+    payload: buildAllocationAuditPayload(
+      context,
+      {
+        fromState,
+        toState,
+        result: rejection ? 'REJECTED' : 'SUCCESS',
+        reasonCode,
+        errorCode: rejection ? rejection.code : null,
+        operation: isRelease ? 'RELEASE' : 'TRANSITION',
+      },
+      actor,
+    ),
+  };
+}
+
+/**
+ * Check and apply a transition in client's open transaction. A successful
+ * move is written together with its audit event; a rejected one writes
+ * nothing.
+ *
+ * Returns null when the allocation does not exist, otherwise
+ * { context, fromState, updated, rejection }.
+ */
+async function applyAllocationTransition(
+  client,
+  allocationId,
+  toState,
+  { actor, reasonCode },
+) {
+  const context = await getAllocationContext(client, allocationId, true);
+  if (!context) {
+    return null;
+  }
+
+  const fromState = context.state;
+  let rejection = null;
+
+  if (!ALLOCATION_STATES.includes(toState)) {
+    rejection = buildAllocationError(
+      'INVALID_ALLOCATION_STATE',
+      `Unknown allocation state: ${toState}`,
+      { fromState, toState },
+    );
+  } else if (!isValidAllocationTransition(fromState, toState)) {
+    rejection = buildAllocationError(
+      'INVALID_ALLOCATION_TRANSITION',
+      `Invalid allocation transition ${fromState} -> ${toState}`,
+      { fromState, toState },
+    );
+  } else if (isReasonCodeRequired(fromState, toState) && !reasonCode) {
+    rejection = buildAllocationError(
+      'REASON_CODE_REQUIRED',
+      `reasonCode is required for ${fromState} -> ${toState}`,
+      { fromState, toState },
+    );
+  }
+
+  if (
+    !rejection &&
+    toState === 'IN_MARKING' &&
+    context.marker_user_id != null &&
+    (await getMarkerEligibilityState(
+      client,
+      context.marker_user_id,
+      context.qig_id,
+    )) !== LIVE_APPROVED_ELIGIBILITY_STATE
+  ) {
+    rejection = buildAllocationError(
+      'MARKER_NOT_ELIGIBLE',
+      'Marker is not LIVE_APPROVED for this QIG',
+      { fromState, toState },
+    );
+  }
+
+  if (rejection) {
+    return { context, fromState, updated: null, rejection };
+  }
+
+  const updateRes = await client.query(
+    `
+      UPDATE ${ALLOCATIONS_TABLE_NAME}
+      SET state = $2,
+          reason_code = $3,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+    `,
+    [allocationId, toState, reasonCode],
+  );
+  const outcome = {
+    context,
+    fromState,
+    updated: updateRes.rows[0],
+    rejection: null,
+  };
+
+  const { eventType, payload } = buildTransitionAuditEvent(
+    outcome,
+    toState,
+    reasonCode,
+    actor,
+  );
+  await appendAuditEvent(eventType, payload, { client });
+
+  return outcome;
+}
+
+/**
+ * Attempt an Allocation state transition.
+ *
+ * Every attempt writes an audit event with result SUCCESS or REJECTED.
+ * Releases (IN_MARKING -> READY) are recorded as ALLOCATION_RELEASED, all
+ * other transitions as ALLOCATION_TRANSITIONED. A successful move and its
+ * event commit together; a rejected attempt is audited after the rollback.
+ *
+ * Pass { client } to make the move in the caller's open transaction. A
+ * rejection is then thrown without an audit event, as the caller's
+ * transaction rolls back; callers only pass a client for moves they have
+ * already checked.
+ *
+ * Returns null when the allocation does not exist. Otherwise throws an
+ * Error with code:
+ * - INVALID_ALLOCATION_STATE when toState is not a known state.
+ * - INVALID_ALLOCATION_TRANSITION when the move is not allowed.
+ * - REASON_CODE_REQUIRED for releases/suspensions without a reasonCode.
+ * - MARKER_NOT_ELIGIBLE when moving to IN_MARKING for a Marker who is not
+ *   LIVE_APPROVED on the QIG.
+ */
+async function transitionAllocation(allocationId, toState, options = {}) {
+  await ensureAllocationTables();
+  await ensureStandardisationTables();
+
+  const { actor = null, reasonCode = null, client = null } = options;
+
+  if (client) {
+    const outcome = await applyAllocationTransition(
+      client,
+      allocationId,
+      toState,
+      { actor, reasonCode },
+    );
+    if (outcome && outcome.rejection) {
+      throw outcome.rejection;
+    }
+    return outcome ? outcome.updated : null;
+  }
+
+  // A rejected attempt has written nothing, so committing it is harmless.
+  const outcome = await runAllocationTransaction((client) =>
+    applyAllocationTransition(client, allocationId, toState, {
+      actor,
+      reasonCode,
+    }),
+  );
+  if (!outcome) {
+    return null;
+  }
+
+  if (outcome.rejection) {
+    const { eventType, payload } = buildTransitionAuditEvent(
+      outcome,
+      toState,
+      reasonCode,
+      actor,
+    );
+    await writeAuditEvent(eventType, payload);
+    throw outcome.rejection;
+  }
+
+  return outcome.updated;
+}
+
+function buildReassignAuditPayload(outcome, markerUserId, reasonCode, actor) {
+  const { context, rejection } = outcome;
+  const payload = buildAllocationAuditPayload(
+    context,
+    {
+      fromState: context.state,
+      toState: 'READY',
+      result: rejection ? 'REJECTED' : 'SUCCESS',
+      reasonCode,
+      errorCode: rejection ? rejection.code : null,
+      operation: 'REASSIGN',
+      markerId: rejection ? context.marker_user_id : markerUserId,
+    },
+    actor,
+  );
+  payload.meta.previousMarkerId = context.marker_user_id;
+  return payload;
+}
+
+/**
+ * Check and apply a reassignment in client's open transaction, writing a
+ * successful one together with its audit event. Returns null when the
+ * allocation does not exist, otherwise { context, updated, rejection }.
+ */
+async function applyAllocationReassignment(
+  client,
+  allocationId,
+  markerUserId,
+  { actor, reasonCode },
+) {
+  const context = await getAllocationContext(client, allocationId, true);
+  if (!context) {
+    return null;
+  }
+
+  let rejection = null;
+  if (!REASSIGNABLE_ALLOCATION_STATES.includes(context.state)) {
+    rejection = buildAllocationError(
+      'INVALID_ALLOCATION_TRANSITION',
+      `Allocation in state ${context.state} cannot be reassigned`,
+      { fromState: context.state, toState: 'READY' },
+    );
+  } else if (!reasonCode) {
+    rejection = buildAllocationError(
+      'REASON_CODE_REQUIRED',
+      'reasonCode is required for reassignment',
+      { fromState: context.state, toState: 'READY' },
+    );
+  } else if (
+    markerUserId != null &&
+    (await getMarkerEligibilityState(client, markerUserId, context.qig_id)) !==
+      LIVE_APPROVED_ELIGIBILITY_STATE
+  ) {
+    rejection = buildAllocationError(
+      'MARKER_NOT_ELIGIBLE',
+      'Marker is not LIVE_APPROVED for this QIG',
+      { fromState: context.state, toState: 'READY' },
+    );
+  }
+
+  if (rejection) {
+    return { context, updated: null, rejection };
+  }
+
+  const updateRes = await client.query(
+    `
+      UPDATE ${ALLOCATIONS_TABLE_NAME}
+      SET marker_user_id = $2,
+          state = 'READY',
+          reason_code = $3,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+    `,
+    [allocationId, markerUserId, reasonCode],
+  );
+  const outcome = { context, updated: updateRes.rows[0], rejection: null };
+
+  await appendAuditEvent(
+    ALLOCATION_REASSIGNED_EVENT_TYPE,
+    buildReassignAuditPayload(outcome, markerUserId, reasonCode, actor),
+    { client },
+  );
+
+  return outcome;
+}
+
+/**
+ * Hand an Allocation to a different Marker.
+ *
+ * Only READY or SUSPENDED allocations can be reassigned, and a reasonCode
+ * is mandatory, and the new Marker must be LIVE_APPROVED on the QIG
+ * (MARKER_NOT_ELIGIBLE otherwise). The allocation returns to READY for the
+ * new Marker. Every attempt writes an ALLOCATION_REASSIGNED audit event.
+ * Pass { client } to reassign in the caller's open transaction, as for
+ * transitionAllocation. Returns null when the allocation does not exist.
+ */
+async function reassignAllocation(allocationId, markerUserId, options = {}) {
+  await ensureAllocationTables();
+  await ensureStandardisationTables();
+
+  const { actor = null, reasonCode = null, client = null } = options;
+
+  if (client) {
+    const outcome = await applyAllocationReassignment(
+      client,
+      allocationId,
+      markerUserId,
+      { actor, reasonCode },
+    );
+    if (outcome && outcome.rejection) {
+      throw outcome.rejection;
+    }
+    return outcome ? outcome.updated : null;
+  }
+
+  const outcome = await runAllocationTransaction((client) =>
+    applyAllocationReassignment(client, allocationId, markerUserId, {
+      actor,
+      reasonCode,
+    }),
+  );
+  if (!outcome) {
+    return null;
+  }
+
+  if (outcome.rejection) {
+    await writeAuditEvent(
+      ALLOCATION_REASSIGNED_EVENT_TYPE,
+      buildReassignAuditPayload(outcome, markerUserId, reasonCode, actor),
+    );
+    throw outcome.rejection;
+  }
+
+  return outcome.updated;
+}
+
+/**
+ * Advisory lock namespace for live-pool claims. Combined with the QIG id
+ * this serialises claims per QIG, so that the "is this Response still
+ * unallocated?" check and the allocation insert happen atomically.
+ */
+const ALLOCATION_CLAIM_LOCK_NAMESPACE = 4201;
+
+/**
+ * Decide whether a claim is answered with a seed, given the QIG's seed
+ * rate as a percentage of claims.
+ */
+function shouldServeSeed(seedRatePercent) {
+  return seedRatePercent > 0 && Math.random() * 100 < seedRatePercent;
+}
+
+/**
+ * Atomically claim the next unallocated Response from the live pool of the
+ * given QIGs for a Marker.
+ *
+ * A Response is in the live pool when it is not archived, not LOCKED, has
+ * fewer taken Allocations (anything but an unassigned READY one) than its
+ * QIG's required_marks, has never been allocated to this Marker and is not
+ * part of a practice or standardisation set or a seed. While live work
+ * remains, a seed from the same QIG that the Marker has not seen may be
+ * served instead at that QIG's seed rate; seeds are subject to the same
+ * state rules as live work and look exactly like live Responses to the
+ * Marker.
+ * Unassigned READY allocations are taken over; otherwise a new Allocation
+ * is created. The claimed Allocation moves to IN_MARKING.
+ *
+ * If the Marker already holds an IN_MARKING allocation in these QIGs that
+ * has not been finished, that allocation is returned instead, so repeated
+ * calls cannot hoard scripts.
+ *
+ * Returns { allocation, resumed } or null when the pool is empty.
+ */
+async function claimNextResponseForQigs(qigIds, markerUserId, actor) {
+  await ensureAllocationTables();
+  await ensureStandardisationTables();
+
+  if (!Array.isArray(qigIds) || qigIds.length === 0) {
+    return null;
+  }
+
+  const sortedQigIds = [...qigIds].sort((a, b) => a - b);
+  const client = await pool.connect();
+
+  let allocation = null;
+  let resumed = false;
+  let createdNew = false;
+
+  try {
+    await client.query('BEGIN');
+
+    // Take the per-QIG claim locks in a stable order to avoid deadlocks.
+    for (const qigId of sortedQigIds) {
+      // eslint-disable-next-line no-await-in-loop
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [
+        ALLOCATION_CLAIM_LOCK_NAMESPACE,
+        qigId,
+      ]);
+    }
+
+    const inProgressRes = await client.query(
+      `
+        SELECT a.id, a.response_id, a.marker_user_id, a.state, a.reason_code, a.created_at, a.updated_at
+        FROM ${ALLOCATIONS_TABLE_NAME} a
+        JOIN ${RESPONSES_TABLE_NAME} r
+          ON a.response_id = r.id
+        WHERE a.marker_user_id = $1
+          AND a.state = 'IN_MARKING'
+          AND r.qig_id = ANY($2::int[])
+          AND r.archived_at IS NULL
+          AND r.state IS DISTINCT FROM 'LOCKED'
+        ORDER BY a.id ASC
+        LIMIT 1
+      `,
+      [markerUserId, sortedQigIds],
+    );
+
+    if (inProgressRes.rows && inProgressRes.rows.length > 0) {
+      allocation = inProgressRes.rows[0];
+      resumed = true;
+      await client.query('COMMIT');
+    } else {
+      // A Response stays in the pool until it has one taken allocation per
+      // required independent mark, and is never offered to the same marker
+      // twice.
+      const nextRes = await client.query(
+        `
+          SELECT r.id, r.qig_id
+          FROM ${RESPONSES_TABLE_NAME} r
+          JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+            ON r.qig_id = q.id
+          WHERE r.qig_id = ANY($1::int[])
+            AND r.archived_at IS NULL
+            AND r.state IS DISTINCT FROM 'LOCKED'
+            -- Responses held or closed by an ExceptionCase
+            AND r.state IS DISTINCT FROM 'HELD'
+            AND r.state IS DISTINCT FROM 'CLOSED'
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${ALLOCATIONS_TABLE_NAME} a
+              WHERE a.response_id = r.id
+                AND a.marker_user_id = $2
+            )
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${STANDARDISATION_SET_RESPONSES_TABLE_NAME} sr
+              WHERE sr.response_id = r.id
+            )
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${SEED_RESPONSES_TABLE_NAME} sd
+              WHERE sd.response_id = r.id
+            )
+            AND (
+              SELECT COUNT(*)
+              FROM ${ALLOCATIONS_TABLE_NAME} a
+              WHERE a.response_id = r.id
+                AND (a.marker_user_id IS NOT NULL OR a.state <> 'READY')
+            ) < q.required_marks
+          ORDER BY r.id ASC
+          LIMIT 1
+        `,
+        [sortedQigIds, markerUserId],
+      );
+
+      if (!nextRes.rows || nextRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let responseId = nextRes.rows[0].id;
+      const liveQigId = nextRes.rows[0].qig_id;
+
+      // Seeds replace live work of their own QIG at that QIG's seed rate.
+      // They are only served while live work remains, so an empty queue
+      // never gives them away, and each marker sees a seed at most once.
+      const seedRes = await client.query(
+        `
+          SELECT
+            r.id,
+            COALESCE(ss.seed_rate_percent, 0) AS seed_rate_percent
+          FROM ${SEED_RESPONSES_TABLE_NAME} sd
+          JOIN ${RESPONSES_TABLE_NAME} r
+            ON sd.response_id = r.id
+          LEFT JOIN ${SEED_SETTINGS_TABLE_NAME} ss
+            ON ss.qig_id = r.qig_id
+          WHERE r.qig_id = $1
+            AND r.archived_at IS NULL
+            AND r.state IS DISTINCT FROM 'LOCKED'
+            AND r.state IS DISTINCT FROM 'HELD'
+            AND r.state IS DISTINCT FROM 'CLOSED'
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${ALLOCATIONS_TABLE_NAME} a
+              WHERE a.response_id = r.id
+                AND a.marker_user_id = $2
+            )
+          ORDER BY sd.id ASC
+          LIMIT 1
+        `,
+        [liveQigId, markerUserId],
+      );
+      if (
+        seedRes.rows.length > 0 &&
+        shouldServeSeed(seedRes.rows[0].seed_rate_percent)
+      ) {
+        responseId = seedRes.rows[0].id;
+      }
+
+      const takeOverRes = await client.query(
+        `
+          UPDATE ${ALLOCATIONS_TABLE_NAME}
+          SET marker_user_id = $2,
+              state = 'IN_MARKING',
+              updated_at = NOW()
+          WHERE id = (
+            SELECT id
+            FROM ${ALLOCATIONS_TABLE_NAME}
+            WHERE response_id = $1
+              AND marker_user_id IS NULL
+              AND state = 'READY'
+            ORDER BY id ASC
+            LIMIT 1
+          )
+          RETURNING id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+        `,
+        [responseId, markerUserId],
+      );
+
+      if (takeOverRes.rows && takeOverRes.rows.length > 0) {
+        allocation = takeOverRes.rows[0];
+      } else {
+        const insertRes = await client.query(
+          `
+            INSERT INTO ${ALLOCATIONS_TABLE_NAME} (response_id, marker_user_id, state)
+            VALUES ($1, $2, 'IN_MARKING')
+            RETURNING id, response_id, marker_user_id, state, reason_code, created_at, updated_at
+          `,
+          [responseId, markerUserId],
+        );
+        allocation = insertRes.rows[0];
+        createdNew = true;
+      }
+
+      // The claim commits together with its audit events.
+      const context = await getAllocationContext(client, allocation.id, false);
+      if (context) {
+        if (createdNew) {
+          await appendAuditEvent(
+            ALLOCATION_CREATED_EVENT_TYPE,
+            buildAllocationAuditPayload(
+              context,
+              {
+                fromState: null,
+                toState: 'READY',
+                result: 'SUCCESS',
+                operation: 'CLAIM',
+              },
+              actor,
+            ),
+            { client },
+          );
+        }
+        await appendAuditEvent(
+          ALLOCATION_TRANSITIONED_EVENT_TYPE,
+          buildAllocationAuditPayload(
+            context,
+            {
+              fromState: 'READY',
+              toState: 'IN_MARKING',
+              result: 'SUCCESS',
+              operation: 'CLAIM',
+            },
+            actor,
+          ),
+          { client },
+        );
+      }
+
+      await client.query('COMMIT');
+    }
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return { allocation, resumed };
+}
+
+/**
+ * Complete the Marker's IN_MARKING allocation for a Response, if any.
+ * Used when marks are submitted; returns the updated row or null.
+ *
+ * Pass { client } to complete it in the caller's open transaction, so the
+ * allocation and its audit event commit with the submission.
+ */
+async function completeAllocationForMarker(
+  responseId,
+  markerUserId,
+  actor,
+  options = {},
+) {
+  await ensureAllocationTables();
+
+  const complete = async (client) => {
+    const res = await client.query(
+      `
+        SELECT id
+        FROM ${ALLOCATIONS_TABLE_NAME}
+        WHERE response_id = $1
+          AND marker_user_id = $2
+          AND state = 'IN_MARKING'
+        ORDER BY id ASC
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [responseId, markerUserId],
+    );
+
+    if (!res.rows || res.rows.length === 0) {
+      return null;
+    }
+
+    const outcome = await applyAllocationTransition(
+      client,
+      res.rows[0].id,
+      'COMPLETED',
+      { actor, reasonCode: null },
+    );
+    if (outcome.rejection) {
+      throw outcome.rejection;
+    }
+    return outcome.updated;
+  };
+
+  return options.client
+    ? complete(options.client)
+    : runAllocationTransaction(complete);
+}
+
+module.exports = {
+  ALLOCATIONS_TABLE_NAME,
+  ALLOCATION_STATES,
+  ALLOCATION_TRANSITIONS,
+  ensureAllocationTables,
+  isValidAllocationTransition,
+  getAllocationById,
+  getAllocationsForResponse,
+  listAllocationsForMarkers,
+  createAllocation,
+  transitionAllocation,
+  reassignAllocation,
+  claimNextResponseForQigs,
+  completeAllocationForMarker,
+};
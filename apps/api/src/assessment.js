@@ -1,8 +1,6 @@
 const { pool } = require('./db');
-const {
-  DEPLOYMENTS_TABLE_NAME,
-  ensureConfigTables,
-} = require('./config');
+const { ensureSchema } = require('./migrations');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
 
 const ASSESSMENT_SERIES_TABLE_NAME = 'assessment_series';
 const ASSESSMENT_PAPERS_TABLE_NAME = 'assessment_papers';
@@ -10,28 +8,8 @@ const ASSESSMENT_QIGS_TABLE_NAME = 'assessment_qigs';
 const ASSESSMENT_ITEMS_TABLE_NAME = 'assessment_items';
 
 /**
- * Handle known-benign concurrency errors for CREATE TABLE IF NOT EXISTS,
- * mirroring the approach used in config and audit modules.
- */
-function handleConcurrentDdlError(err) {
-  const code = err && err.code;
-  const message = (err && err.message) || '';
-
-  // Duplicate table
-  if (code === '42P07') {
-    return;
-  }
-
-  // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-  if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-    return;
-  }
-
-  throw err;
-}
-
-/**
- * Ensure that the assessment-related tables exist.
+ * Ensure that the assessment-related tables exist (see
+ * migrations/0004_assessment.sql).
  *
  * Tables:
  * - assessment_series: Series per deployment
@@ -43,72 +21,7 @@ function handleConcurrentDdlError(err) {
  * Series -> Paper -> QIG -> Items with unique codes and item max marks.
  */
 async function ensureAssessmentTables() {
-  // Ensure deployments/config tables exist first, so our FK to deployments is valid.
-  await ensureConfigTables();
-
-  const createSeriesSql = `
-    CREATE TABLE IF NOT EXISTS ${ASSESSMENT_SERIES_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      deployment_id INTEGER NOT NULL REFERENCES ${DEPLOYMENTS_TABLE_NAME}(id) ON DELETE CASCADE,
-      code TEXT NOT NULL,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ,
-      UNIQUE (deployment_id, code)
-    )
-  `;
-
-  const createPapersSql = `
-    CREATE TABLE IF NOT EXISTS ${ASSESSMENT_PAPERS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      series_id INTEGER NOT NULL REFERENCES ${ASSESSMENT_SERIES_TABLE_NAME}(id) ON DELETE CASCADE,
-      code TEXT NOT NULL,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ,
-      UNIQUE (series_id, code)
-    )
-  `;
-
-  const createQigsSql = `
-    CREATE TABLE IF NOT EXISTS ${ASSESSMENT_QIGS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      paper_id INTEGER NOT NULL REFERENCES ${ASSESSMENT_PAPERS_TABLE_NAME}(id) ON DELETE CASCADE,
-      code TEXT NOT NULL,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ,
-      UNIQUE (paper_id, code)
-    )
-  `;
-
-  const createItemsSql = `
-    CREATE TABLE IF NOT EXISTS ${ASSESSMENT_ITEMS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      qig_id INTEGER NOT NULL REFERENCES ${ASSESSMENT_QIGS_TABLE_NAME}(id) ON DELETE CASCADE,
-      code TEXT NOT NULL,
-      max_mark INTEGER NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ,
-      UNIQUE (qig_id, code)
-    )
-  `;
-
-  const statements = [
-    createSeriesSql,
-    createPapersSql,
-    createQigsSql,
-    createItemsSql,
-  ];
-
-  for (const sql of statements) {
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      await pool.query(sql);
-    } catch (err) {
-      handleConcurrentDdlError(err);
-    }
-  }
+  await ensureSchema();
 }
 
 /**
@@ -201,7 +114,7 @@ async function getQigByCode(paperId, code) {
   await ensureAssessmentTables();
 
   const selectSql = `
-    SELECT id, paper_id, code, name, created_at, archived_at
+    SELECT id, paper_id, code, name, required_marks, mark_tolerance, created_at, archived_at
     FROM ${ASSESSMENT_QIGS_TABLE_NAME}
     WHERE paper_id = $1 AND code = $2
     LIMIT 1
@@ -210,13 +123,78 @@ async function getQigByCode(paperId, code) {
   return result.rows[0] || null;
 }
 
+/**
+ * Update a QIG's multi-marking settings. Either value may be omitted to keep
+ * the current one. Returns the updated QIG row, or null if it does not exist.
+ */
+async function updateQigMarkingSettings(qigId, { requiredMarks, markTolerance }) {
+  await ensureAssessmentTables();
+
+  const updateSql = `
+    UPDATE ${ASSESSMENT_QIGS_TABLE_NAME}
+    SET
+      required_marks = COALESCE($2, required_marks),
+      mark_tolerance = COALESCE($3, mark_tolerance)
+    WHERE id = $1
+    RETURNING id, paper_id, code, name, required_marks, mark_tolerance, created_at, archived_at
+  `;
+  const result = await pool.query(updateSql, [
+    qigId,
+    requiredMarks == null ? null : requiredMarks,
+    markTolerance == null ? null : markTolerance,
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Fetch every live QIG with the given code across deployments, together
+ * with the owning deployment. QIG codes are only unique per Paper, so
+ * callers that start from a bare code (e.g. marker work pulls) need the
+ * deployment to apply role scoping.
+ */
+async function getQigsWithDeploymentByCode(code) {
+  await ensureAssessmentTables();
+
+  const selectSql = `
+    SELECT
+      q.id,
+      q.paper_id,
+      q.code,
+      q.name,
+      d.id AS deployment_id,
+      d.code AS deployment_code
+    FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+    JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+      ON q.paper_id = p.id
+    JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+      ON p.series_id = s.id
+    JOIN ${DEPLOYMENTS_TABLE_NAME} d
+      ON s.deployment_id = d.id
+    WHERE q.code = $1
+      AND q.archived_at IS NULL
+      AND p.archived_at IS NULL
+      AND s.archived_at IS NULL
+      AND d.archived_at IS NULL
+    ORDER BY q.id ASC
+  `;
+  const result = await pool.query(selectSql, [code]);
+  return result.rows || [];
+}
+
 /**
  * Create an Item within a QIG.
  * maxMark is stored as an integer to support validation per MOD-02.
+ *
+ * The QIG's new MarkSchemeVersion is recorded in the same transaction
+ * (see recordMarkSchemeVersions); options: { actor }.
  */
-async function createItem(qigId, code, maxMark) {
+async function createItem(qigId, code, maxMark, options = {}) {
   await ensureAssessmentTables();
 
+  // Required here because markscheme depends on this module.
+  // eslint-disable-next-line global-require
+  const { recordMarkSchemeVersions } = require('./markscheme');
+
   const insertSql = `
     INSERT INTO ${ASSESSMENT_ITEMS_TABLE_NAME} (
       qig_id, code, max_mark
@@ -224,8 +202,24 @@ async function createItem(qigId, code, maxMark) {
     VALUES ($1, $2, $3)
     RETURNING id, qig_id, code, max_mark, created_at, archived_at
   `;
-  const result = await pool.query(insertSql, [qigId, code, maxMark]);
-  return result.rows[0];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(insertSql, [qigId, code, maxMark]);
+    await recordMarkSchemeVersions(client, [qigId], { actor: options.actor });
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
 /**
@@ -244,6 +238,63 @@ async function getItemByCode(qigId, code) {
   return result.rows[0] || null;
 }
 
+/**
+ * Validate a marks object ({ [itemCode]: mark }) against QIG Items.
+ *
+ * Every Item must be marked exactly once with an integer between 0 and
+ * its max_mark; codes that are not Items of the QIG are rejected.
+ *
+ * Returns { errors, total } where errors is a list of per-item
+ * { itemCode, error, maxMark? } objects and total is the sum of marks
+ * (null when there are errors).
+ */
+function validateMarksAgainstItems(marks, items) {
+  const errors = [];
+  const itemsByCode = new Map();
+  (items || []).forEach((item) => {
+    itemsByCode.set(item.code, item);
+  });
+
+  const markEntries = Object.entries(marks || {});
+
+  markEntries.forEach(([itemCode]) => {
+    if (!itemsByCode.has(itemCode)) {
+      errors.push({ itemCode, error: 'unknown_item' });
+    }
+  });
+
+  let total = 0;
+  itemsByCode.forEach((item, itemCode) => {
+    const maxMark = item.max_mark;
+
+    if (!Object.prototype.hasOwnProperty.call(marks || {}, itemCode)) {
+      errors.push({ itemCode, error: 'missing_item', maxMark });
+      return;
+    }
+
+    const value = marks[itemCode];
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push({ itemCode, error: 'not_an_integer', maxMark });
+      return;
+    }
+    if (value < 0) {
+      errors.push({ itemCode, error: 'negative_mark', maxMark });
+      return;
+    }
+    if (value > maxMark) {
+      errors.push({ itemCode, error: 'exceeds_max_mark', maxMark });
+      return;
+    }
+
+    total += value;
+  });
+
+  return {
+    errors,
+    total: errors.length > 0 ? null : total,
+  };
+}
+
 /**
  * Build a hierarchical assessment tree for a deployment:
  * Series -> Papers -> QIGs -> Items.
@@ -385,7 +436,10 @@ module.exports = {
   getPaperByCode,
   createQig,
   getQigByCode,
+  getQigsWithDeploymentByCode,
+  updateQigMarkingSettings,
   createItem,
   getItemByCode,
+  validateMarksAgainstItems,
   getAssessmentTreeForDeployment,
 };
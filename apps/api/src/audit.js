@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 
 const HELLO_AUDIT_EVENT_TYPE = 'HELLO_AUDIT_EVENT';
 const ROLE_ASSIGNED_EVENT_TYPE = 'ROLE_ASSIGNED';
@@ -7,46 +9,174 @@ const ASSESSMENT_STRUCTURE_UPDATED_EVENT_TYPE = 'ASSESSMENT_STRUCTURE_UPDATED';
 const PERMISSION_DENIED_EVENT_TYPE = 'PERMISSION_DENIED';
 const CONFIG_DRAFT_CREATED_EVENT_TYPE = 'CONFIG_DRAFT_CREATED';
 const CONFIG_ACTIVATED_EVENT_TYPE = 'CONFIG_ACTIVATED';
+const ALLOCATION_CREATED_EVENT_TYPE = 'ALLOCATION_CREATED';
+const ALLOCATION_TRANSITIONED_EVENT_TYPE = 'ALLOCATION_TRANSITIONED';
 const ALLOCATION_RELEASED_EVENT_TYPE = 'ALLOCATION_RELEASED';
 const ALLOCATION_REASSIGNED_EVENT_TYPE = 'ALLOCATION_REASSIGNED';
 const MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE = 'MARKER_ELIGIBILITY_CHANGED';
+const SCRIPT_TRANSITIONED_EVENT_TYPE = 'SCRIPT_TRANSITIONED';
+const RESPONSES_BATCH_INGESTED_EVENT_TYPE = 'RESPONSES_BATCH_INGESTED';
+const STANDARDISATION_TOLERANCES_UPDATED_EVENT_TYPE =
+  'STANDARDISATION_TOLERANCES_UPDATED';
+const STANDARDISATION_SET_CREATED_EVENT_TYPE = 'STANDARDISATION_SET_CREATED';
+const DEFINITIVE_MARKS_SET_EVENT_TYPE = 'DEFINITIVE_MARKS_SET';
+const STANDARDISATION_MARK_SUBMITTED_EVENT_TYPE =
+  'STANDARDISATION_MARK_SUBMITTED';
+const STANDARDISATION_EVALUATED_EVENT_TYPE = 'STANDARDISATION_EVALUATED';
+const SEED_SETTINGS_UPDATED_EVENT_TYPE = 'SEED_SETTINGS_UPDATED';
+const SEED_RESPONSE_ADDED_EVENT_TYPE = 'SEED_RESPONSE_ADDED';
+const SEED_RESULT_RECORDED_EVENT_TYPE = 'SEED_RESULT_RECORDED';
+const SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE =
+  'SEED_FAILURE_THRESHOLD_REACHED';
+const TEAM_UPDATED_EVENT_TYPE = 'TEAM_UPDATED';
+const REVIEW_SAMPLE_RATE_UPDATED_EVENT_TYPE = 'REVIEW_SAMPLE_RATE_UPDATED';
+const MARK_REVIEWED_EVENT_TYPE = 'MARK_REVIEWED';
+const EXCEPTION_RAISED_EVENT_TYPE = 'EXCEPTION_RAISED';
+const EXCEPTION_TRANSITIONED_EVENT_TYPE = 'EXCEPTION_TRANSITIONED';
+const EXCEPTION_RESOLVED_EVENT_TYPE = 'EXCEPTION_RESOLVED';
+const MARK_SCHEME_VERSION_CREATED_EVENT_TYPE = 'MARK_SCHEME_VERSION_CREATED';
+const AUDIT_EXPORTED_EVENT_TYPE = 'AUDIT_EXPORTED';
 
 const AUDIT_TABLE_NAME = 'audit_events';
 
+/**
+ * Advisory lock namespace for audit writes. Appending to the hash chain
+ * reads the latest hash and inserts after it, so writers serialise.
+ */
+const AUDIT_CHAIN_LOCK_NAMESPACE = 4001;
+
+/**
+ * Ensure the audit_events table exists (see migrations/0001_audit_events.sql).
+ *
+ * Each event carries hash, a SHA-256 over its content and prev_hash, the
+ * hash of the event before it, so edited or deleted rows break the chain
+ * (see verifyAuditChain). Rows written before the chain existed have no
+ * hash.
+ */
 async function ensureAuditTable() {
-  const createSql = `
-    CREATE TABLE IF NOT EXISTS ${AUDIT_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      event_type TEXT NOT NULL,
-      payload JSONB,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `;
+  await ensureSchema();
+}
+
+// JSON with object keys sorted at every level, so a payload hashes the
+// same before and after a JSONB round trip.
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an audit event: SHA-256 (hex) over the previous event's hash,
+ * the event type, the canonical JSON payload and created_at.
+ */
+function computeAuditEventHash({ prevHash, eventType, payload, createdAt }) {
+  const content = canonicalJson([
+    prevHash || null,
+    eventType,
+    payload === undefined ? null : payload,
+    new Date(createdAt).toISOString(),
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Insert an audit event at the head of the chain through queryable, which
+ * must be a client inside an open transaction: the chain lock it takes is
+ * held until that transaction ends.
+ */
+async function insertChainedAuditEvent(queryable, eventType, payload) {
+  // Store exactly what is hashed: the JSON form of the payload.
+  const storedPayload =
+    payload === undefined || payload === null
+      ? null
+      : JSON.parse(JSON.stringify(payload));
+
+  await queryable.query('SELECT pg_advisory_xact_lock($1, $2)', [
+    AUDIT_CHAIN_LOCK_NAMESPACE,
+    0,
+  ]);
+
+  // created_at is truncated to milliseconds so it reads back unchanged.
+  const headRes = await queryable.query(
+    `
+      SELECT
+        date_trunc('milliseconds', clock_timestamp()) AS now,
+        (
+          SELECT hash
+          FROM ${AUDIT_TABLE_NAME}
+          ORDER BY id DESC
+          LIMIT 1
+        ) AS prev_hash
+    `,
+  );
+  const { now: createdAt, prev_hash: prevHash } = headRes.rows[0];
+
+  const hash = computeAuditEventHash({
+    prevHash,
+    eventType,
+    payload: storedPayload,
+    createdAt,
+  });
+
+  const insertRes = await queryable.query(
+    `
+      INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload, created_at, prev_hash, hash)
+      VALUES ($1, $2::jsonb, $3, $4, $5)
+      RETURNING id, event_type, payload, created_at, prev_hash, hash
+    `,
+    [
+      eventType,
+      storedPayload === null ? null : JSON.stringify(storedPayload),
+      createdAt,
+      prevHash,
+      hash,
+    ],
+  );
+  return insertRes.rows[0];
+}
+
+/**
+ * Append an audit event to the hash chain and return the inserted row.
+ *
+ * By default the event is written in a transaction of its own. Pass
+ * { client } to write it in the caller's open transaction instead, so it
+ * commits or rolls back with the caller's other writes; the audit table
+ * must already exist, and since the chain stays locked until the caller
+ * commits, audit events should be the caller's last writes.
+ */
+async function appendAuditEvent(eventType, payload, { client } = {}) {
+  if (client) {
+    return insertChainedAuditEvent(client, eventType, payload);
+  }
+
+  await ensureAuditTable();
+
+  const ownClient = await pool.connect();
 
   try {
-    await pool.query(createSql);
-  } catch (err) {
-    const code = err && err.code;
-    const message = (err && err.message) || '';
-
-    // In Postgres, concurrent CREATE TABLE IF NOT EXISTS can still raise:
-    // - 42P07: duplicate-table error due to internal catalog constraints.
-    // - 23505 + pg_type_typname_nsp_index: rare unique_violation in catalog
-    //   when multiple workers create the same table/type at once.
-    //
-    // We treat these specific cases as benign and rethrow everything else.
-
-    // Duplicate table
-    if (code === '42P07') {
-      return;
-    }
+    await ownClient.query('BEGIN');
 
-    // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-    if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-      return;
-    }
+    const row = await insertChainedAuditEvent(ownClient, eventType, payload);
 
+    await ownClient.query('COMMIT');
+
+    return row;
+  } catch (err) {
+    try {
+      await ownClient.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
     throw err;
+  } finally {
+    ownClient.release();
   }
 }
 
@@ -54,13 +184,7 @@ async function ensureAuditTable() {
  * Write an audit event with a JSON-serialisable payload.
  */
 async function writeAuditEvent(eventType, payload) {
-  await ensureAuditTable();
-
-  const insertSql = `
-    INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload)
-    VALUES ($1, $2)
-  `;
-  await pool.query(insertSql, [eventType, payload]);
+  await appendAuditEvent(eventType, payload);
 }
 
 /**
@@ -85,6 +209,336 @@ async function getLatestAuditEventByType(eventType) {
   return result.rows[0];
 }
 
+const DEFAULT_AUDIT_EVENTS_PAGE_SIZE = 50;
+const MAX_AUDIT_EVENTS_PAGE_SIZE = 200;
+
+function buildAuditQueryError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Cursors are opaque to callers: the base64url-encoded id of the last event
+// on the previous page.
+function encodeAuditCursor(eventId) {
+  return Buffer.from(JSON.stringify({ id: eventId })).toString('base64url');
+}
+
+function decodeAuditCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(id) && id > 0) {
+      return id;
+    }
+  } catch (_err) {
+    // fall through
+  }
+  throw buildAuditQueryError('INVALID_CURSOR', 'Audit cursor is not valid');
+}
+
+function parseAuditTimestamp(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw buildAuditQueryError(
+      'INVALID_TIME_RANGE',
+      `Audit time filter is not a timestamp: ${value}`,
+    );
+  }
+  return date;
+}
+
+/**
+ * Build the WHERE conditions for audit event filters, matched against the
+ * JSONB payload:
+ * { eventType, actorExternalId (payload.actor.externalId or
+ * payload.subject.externalId), deploymentCode and responseId
+ * (payload.meta), series, from, to, throughId }.
+ *
+ * series is { deploymentCode, seriesCode, qigIds } and matches the events
+ * about one of qigIds, the deployment's events naming seriesCode, and the
+ * deployment's events that name neither a QIG nor a series (such as config
+ * activations). from is inclusive and to is exclusive, both on created_at;
+ * throughId caps the event id. Throws INVALID_TIME_RANGE for bad
+ * timestamps.
+ */
+function buildAuditEventConditions(filters, params) {
+  const conditions = [];
+
+  if (filters.eventType) {
+    params.push(filters.eventType);
+    conditions.push(`event_type = $${params.length}`);
+  }
+  if (filters.actorExternalId) {
+    // PERMISSION_DENIED events name the denied user as their subject.
+    params.push(String(filters.actorExternalId));
+    conditions.push(
+      `(payload->'actor'->>'externalId' = $${params.length}
+        OR payload->'subject'->>'externalId' = $${params.length})`,
+    );
+  }
+  if (filters.deploymentCode) {
+    params.push(String(filters.deploymentCode));
+    conditions.push(`payload->'meta'->>'deploymentCode' = $${params.length}`);
+  }
+  if (filters.responseId !== undefined && filters.responseId !== null) {
+    params.push(String(filters.responseId));
+    conditions.push(`payload->'meta'->>'responseId' = $${params.length}`);
+  }
+  if (filters.series) {
+    const { deploymentCode, seriesCode, qigIds } = filters.series;
+    params.push(qigIds.map(String));
+    const qigIdsParam = params.length;
+    params.push(String(deploymentCode));
+    const deploymentParam = params.length;
+    params.push(String(seriesCode));
+    const seriesParam = params.length;
+    conditions.push(`(
+      payload->'meta'->>'qigId' = ANY($${qigIdsParam}::text[])
+      OR (
+        payload->'meta'->>'deploymentCode' = $${deploymentParam}
+        AND (
+          payload->'meta'->>'seriesCode' = $${seriesParam}
+          OR (
+            payload->'meta'->>'qigId' IS NULL
+            AND payload->'meta'->>'seriesCode' IS NULL
+          )
+        )
+      )
+    )`);
+  }
+  if (filters.throughId !== undefined && filters.throughId !== null) {
+    params.push(filters.throughId);
+    conditions.push(`id <= $${params.length}`);
+  }
+
+  const from = filters.from ? parseAuditTimestamp(filters.from) : null;
+  const to = filters.to ? parseAuditTimestamp(filters.to) : null;
+  if (from && to && from >= to) {
+    throw buildAuditQueryError(
+      'INVALID_TIME_RANGE',
+      'Audit time range must end after it starts',
+    );
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at < $${params.length}`);
+  }
+
+  return conditions;
+}
+
+/**
+ * List audit events oldest first, one page at a time. Filters are as for
+ * buildAuditEventConditions.
+ *
+ * Options: { cursor, limit }. Returns { events, nextCursor }, where
+ * nextCursor is null on the last page. Invalid input throws an Error with
+ * code INVALID_CURSOR, INVALID_LIMIT or INVALID_TIME_RANGE.
+ */
+async function listAuditEvents(filters = {}, { cursor, limit } = {}) {
+  await ensureAuditTable();
+
+  let pageSize = DEFAULT_AUDIT_EVENTS_PAGE_SIZE;
+  if (limit !== undefined && limit !== null) {
+    pageSize = Number(limit);
+    if (
+      !Number.isInteger(pageSize) ||
+      pageSize < 1 ||
+      pageSize > MAX_AUDIT_EVENTS_PAGE_SIZE
+    ) {
+      throw buildAuditQueryError(
+        'INVALID_LIMIT',
+        `Audit page size must be between 1 and ${MAX_AUDIT_EVENTS_PAGE_SIZE}`,
+      );
+    }
+  }
+
+  const params = [];
+  const conditions = [];
+
+  if (cursor) {
+    params.push(decodeAuditCursor(cursor));
+    conditions.push(`id > $${params.length}`);
+  }
+  conditions.push(...buildAuditEventConditions(filters, params));
+
+  // Fetch one extra row to tell whether there is a next page.
+  params.push(pageSize + 1);
+  const selectSql = `
+    SELECT id, event_type, payload, created_at, prev_hash, hash
+    FROM ${AUDIT_TABLE_NAME}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id ASC
+    LIMIT $${params.length}
+  `;
+
+  const result = await pool.query(selectSql, params);
+  const rows = result.rows || [];
+  const events = rows.slice(0, pageSize);
+  const nextCursor =
+    rows.length > pageSize
+      ? encodeAuditCursor(events[events.length - 1].id)
+      : null;
+
+  return { events, nextCursor };
+}
+
+/**
+ * The distinct keys of payload.meta across the audit events matching the
+ * filters (see buildAuditEventConditions), sorted.
+ */
+async function listAuditMetaKeys(filters = {}) {
+  await ensureAuditTable();
+
+  const params = [];
+  const conditions = buildAuditEventConditions(filters, params);
+  conditions.push(`jsonb_typeof(payload->'meta') = 'object'`);
+
+  const result = await pool.query(
+    `
+      SELECT DISTINCT jsonb_object_keys(payload->'meta') AS key
+      FROM ${AUDIT_TABLE_NAME}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY key ASC
+    `,
+    params,
+  );
+  return (result.rows || []).map((row) => row.key);
+}
+
+/**
+ * Id of the latest audit event, or null when there are none.
+ */
+async function getLatestAuditEventId() {
+  await ensureAuditTable();
+
+  const result = await pool.query(
+    `SELECT MAX(id) AS id FROM ${AUDIT_TABLE_NAME}`,
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+const AUDIT_VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Walk the audit hash chain in id order and report the first broken link.
+ *
+ * Returns { valid, checkedCount, legacyCount, headEventId, headHash,
+ * firstBrokenLink }. firstBrokenLink is null when the chain is intact,
+ * otherwise { eventId, eventType, createdAt, reason, expected, actual }
+ * with reason:
+ * - HASH_MISMATCH: the event was edited after it was written.
+ * - PREV_HASH_MISMATCH: the event does not follow the one before it, so
+ *   events between them were deleted or inserted.
+ * - MISSING_HASH: an unchained event appears after the chain started.
+ *
+ * Unchained events before the first chained one predate the chain and are
+ * only counted (legacyCount). Deleting events from the end of the log
+ * cannot be detected from the log alone; compare headHash with a
+ * previously recorded value for that.
+ */
+async function verifyAuditChain() {
+  await ensureAuditTable();
+
+  let checkedCount = 0;
+  let legacyCount = 0;
+  let previous = null;
+  let chainStarted = false;
+  let lastId = 0;
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const res = await pool.query(
+      `
+        SELECT id, event_type, payload, created_at, prev_hash, hash
+        FROM ${AUDIT_TABLE_NAME}
+        WHERE id > $1
+        ORDER BY id ASC
+        LIMIT $2
+      `,
+      [lastId, AUDIT_VERIFY_BATCH_SIZE],
+    );
+    const rows = res.rows || [];
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      let brokenLink = null;
+
+      if (!row.hash) {
+        if (chainStarted) {
+          brokenLink = {
+            reason: 'MISSING_HASH',
+            expected: null,
+            actual: null,
+          };
+        } else {
+          legacyCount += 1;
+        }
+      } else {
+        const expectedPrevHash = previous ? previous.hash : null;
+        const expectedHash = computeAuditEventHash({
+          prevHash: row.prev_hash,
+          eventType: row.event_type,
+          payload: row.payload,
+          createdAt: row.created_at,
+        });
+
+        if ((row.prev_hash || null) !== (expectedPrevHash || null)) {
+          brokenLink = {
+            reason: 'PREV_HASH_MISMATCH',
+            expected: expectedPrevHash,
+            actual: row.prev_hash,
+          };
+        } else if (row.hash !== expectedHash) {
+          brokenLink = {
+            reason: 'HASH_MISMATCH',
+            expected: expectedHash,
+            actual: row.hash,
+          };
+        }
+        chainStarted = true;
+      }
+
+      if (brokenLink) {
+        return {
+          valid: false,
+          checkedCount,
+          legacyCount,
+          headEventId: previous ? previous.id : null,
+          headHash: previous ? previous.hash : null,
+          firstBrokenLink: {
+            eventId: row.id,
+            eventType: row.event_type,
+            createdAt: row.created_at,
+            ...brokenLink,
+          },
+        };
+      }
+
+      if (row.hash) {
+        checkedCount += 1;
+      }
+      previous = row;
+      lastId = row.id;
+    }
+  }
+
+  return {
+    valid: true,
+    checkedCount,
+    legacyCount,
+    headEventId: previous ? previous.id : null,
+    headHash: previous ? previous.hash : null,
+    firstBrokenLink: null,
+  };
+}
+
 module.exports = {
   HELLO_AUDIT_EVENT_TYPE,
   ROLE_ASSIGNED_EVENT_TYPE,
@@ -93,11 +547,40 @@ module.exports = {
   PERMISSION_DENIED_EVENT_TYPE,
   CONFIG_DRAFT_CREATED_EVENT_TYPE,
   CONFIG_ACTIVATED_EVENT_TYPE,
+  ALLOCATION_CREATED_EVENT_TYPE,
+  ALLOCATION_TRANSITIONED_EVENT_TYPE,
   ALLOCATION_RELEASED_EVENT_TYPE,
   ALLOCATION_REASSIGNED_EVENT_TYPE,
   MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+  SCRIPT_TRANSITIONED_EVENT_TYPE,
+  RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+  STANDARDISATION_TOLERANCES_UPDATED_EVENT_TYPE,
+  STANDARDISATION_SET_CREATED_EVENT_TYPE,
+  DEFINITIVE_MARKS_SET_EVENT_TYPE,
+  STANDARDISATION_MARK_SUBMITTED_EVENT_TYPE,
+  STANDARDISATION_EVALUATED_EVENT_TYPE,
+  SEED_SETTINGS_UPDATED_EVENT_TYPE,
+  SEED_RESPONSE_ADDED_EVENT_TYPE,
+  SEED_RESULT_RECORDED_EVENT_TYPE,
+  SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE,
+  TEAM_UPDATED_EVENT_TYPE,
+  REVIEW_SAMPLE_RATE_UPDATED_EVENT_TYPE,
+  MARK_REVIEWED_EVENT_TYPE,
+  EXCEPTION_RAISED_EVENT_TYPE,
+  EXCEPTION_TRANSITIONED_EVENT_TYPE,
+  EXCEPTION_RESOLVED_EVENT_TYPE,
+  MARK_SCHEME_VERSION_CREATED_EVENT_TYPE,
+  AUDIT_EXPORTED_EVENT_TYPE,
   AUDIT_TABLE_NAME,
+  DEFAULT_AUDIT_EVENTS_PAGE_SIZE,
+  MAX_AUDIT_EVENTS_PAGE_SIZE,
   ensureAuditTable,
+  computeAuditEventHash,
+  appendAuditEvent,
   writeAuditEvent,
   getLatestAuditEventByType,
+  listAuditEvents,
+  listAuditMetaKeys,
+  getLatestAuditEventId,
+  verifyAuditChain,
 };
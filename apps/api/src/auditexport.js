@@ -0,0 +1,263 @@
+const { pool } = require('./db');
+const {
+  ensureAssessmentTables,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_QIGS_TABLE_NAME,
+  getSeriesByCode,
+} = require('./assessment');
+const { getDeploymentByCode } = require('./config');
+const {
+  writeAuditEvent,
+  listAuditEvents,
+  listAuditMetaKeys,
+  getLatestAuditEventId,
+  MAX_AUDIT_EVENTS_PAGE_SIZE,
+  AUDIT_EXPORTED_EVENT_TYPE,
+} = require('./audit');
+
+const AUDIT_EXPORT_FORMATS = ['ndjson', 'csv'];
+
+const AUDIT_EXPORT_CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+};
+
+// Every export starts with these columns, in this order. They are followed
+// by one meta.<key> column per key of payload.meta found in the exported
+// events, sorted by key. subject is the user a PERMISSION_DENIED event is
+// about.
+const AUDIT_EXPORT_BASE_COLUMNS = [
+  'id',
+  'event_type',
+  'created_at',
+  'prev_hash',
+  'hash',
+  'actor.id',
+  'actor.externalId',
+  'actor.displayName',
+  'subject.id',
+  'subject.externalId',
+  'subject.displayName',
+];
+
+function buildAuditExportError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Resolve export filters to audit event filters.
+ *
+ * Accepts the filters of listAuditEvents plus seriesCode, which needs a
+ * deploymentCode and selects the series' events instead of matching on
+ * deploymentCode: those about its QIGs (by payload.meta.qigId), those
+ * naming the series, and the deployment's events that name neither a QIG
+ * nor a series, such as config activations (see the series filter of
+ * buildAuditEventConditions). The export is capped at the latest event
+ * when it starts, so events written while it runs are left out.
+ *
+ * Throws DEPLOYMENT_REQUIRED, DEPLOYMENT_NOT_FOUND or SERIES_NOT_FOUND.
+ */
+async function resolveAuditExportFilters(filters = {}) {
+  const resolved = {
+    eventType: filters.eventType || null,
+    actorExternalId: filters.actorExternalId || null,
+    deploymentCode: filters.deploymentCode || null,
+    responseId: filters.responseId || null,
+    from: filters.from || null,
+    to: filters.to || null,
+  };
+
+  if (filters.seriesCode) {
+    if (!filters.deploymentCode) {
+      throw buildAuditExportError(
+        'DEPLOYMENT_REQUIRED',
+        'A series export needs a deployment code',
+      );
+    }
+
+    const deployment = await getDeploymentByCode(filters.deploymentCode);
+    if (!deployment) {
+      throw buildAuditExportError(
+        'DEPLOYMENT_NOT_FOUND',
+        `Deployment ${filters.deploymentCode} not found`,
+      );
+    }
+    const series = await getSeriesByCode(deployment.id, filters.seriesCode);
+    if (!series) {
+      throw buildAuditExportError(
+        'SERIES_NOT_FOUND',
+        `Series ${filters.seriesCode} not found`,
+      );
+    }
+
+    await ensureAssessmentTables();
+    const qigsRes = await pool.query(
+      `
+        SELECT q.id
+        FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+        JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+          ON q.paper_id = p.id
+        WHERE p.series_id = $1
+      `,
+      [series.id],
+    );
+    resolved.deploymentCode = null;
+    resolved.series = {
+      deploymentCode: deployment.code,
+      seriesCode: series.code,
+      qigIds: qigsRes.rows.map((row) => row.id),
+    };
+  }
+
+  resolved.throughId = (await getLatestAuditEventId()) || 0;
+  return resolved;
+}
+
+/**
+ * Plan an audit export: validate the format and filters and work out the
+ * columns. Returns { format, contentType, columns, filters, requested }.
+ *
+ * Throws INVALID_FORMAT, INVALID_TIME_RANGE or the errors of
+ * resolveAuditExportFilters, before anything has been written.
+ */
+async function planAuditExport(filters = {}, format = 'ndjson') {
+  if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+    throw buildAuditExportError(
+      'INVALID_FORMAT',
+      `Audit export format must be one of ${AUDIT_EXPORT_FORMATS.join(', ')}`,
+    );
+  }
+
+  const resolved = await resolveAuditExportFilters(filters);
+  const metaKeys = await listAuditMetaKeys(resolved);
+
+  return {
+    format,
+    contentType: AUDIT_EXPORT_CONTENT_TYPES[format],
+    columns: [
+      ...AUDIT_EXPORT_BASE_COLUMNS,
+      ...metaKeys.map((key) => `meta.${key}`),
+    ],
+    filters: resolved,
+    requested: filters,
+  };
+}
+
+/**
+ * Flatten an audit event row to an object keyed by the export columns, in
+ * column order. Missing values are null; nested meta values are kept as
+ * they are.
+ */
+function flattenAuditEvent(row, columns) {
+  const payload = row.payload || {};
+  const actor = payload.actor || {};
+  const subject = payload.subject || {};
+  const meta = payload.meta || {};
+
+  const record = {};
+  columns.forEach((column) => {
+    let value;
+    if (column.startsWith('actor.')) {
+      value = actor[column.slice('actor.'.length)];
+    } else if (column.startsWith('subject.')) {
+      value = subject[column.slice('subject.'.length)];
+    } else if (column.startsWith('meta.')) {
+      value = meta[column.slice('meta.'.length)];
+    } else if (column === 'created_at') {
+      value = row.created_at ? new Date(row.created_at).toISOString() : null;
+    } else {
+      value = row[column];
+    }
+    record[column] = value === undefined ? null : value;
+  });
+  return record;
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvCell).join(',')}\r\n`;
+}
+
+/**
+ * Stream a planned export (see planAuditExport) through write(chunk),
+ * which may return a promise to apply backpressure. Events are read a page
+ * at a time, so the export is never held in memory.
+ *
+ * When it completes an AUDIT_EXPORTED event is written for actor (a user
+ * row, or null). Returns { eventCount, throughEventId }.
+ */
+async function writeAuditExport(plan, write, { actor = null } = {}) {
+  const { format, columns, filters } = plan;
+
+  if (format === 'csv') {
+    await write(toCsvLine(columns));
+  }
+
+  let eventCount = 0;
+  let cursor = null;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await listAuditEvents(filters, {
+      cursor,
+      limit: MAX_AUDIT_EVENTS_PAGE_SIZE,
+    });
+
+    const chunk = page.events
+      .map((row) => {
+        const record = flattenAuditEvent(row, columns);
+        return format === 'csv'
+          ? toCsvLine(columns.map((column) => record[column]))
+          : `${JSON.stringify(record)}\n`;
+      })
+      .join('');
+    if (chunk) {
+      // eslint-disable-next-line no-await-in-loop
+      await write(chunk);
+    }
+
+    eventCount += page.events.length;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const { requested } = plan;
+  await writeAuditEvent(AUDIT_EXPORTED_EVENT_TYPE, {
+    meta: {
+      format,
+      deploymentCode: requested.deploymentCode || null,
+      seriesCode: requested.seriesCode || null,
+      filters: requested,
+      eventCount,
+      throughEventId: filters.throughId,
+    },
+    actor: actor
+      ? {
+          id: actor.id,
+          externalId: actor.external_id,
+          displayName: actor.display_name,
+        }
+      : null,
+  });
+
+  return { eventCount, throughEventId: filters.throughId };
+}
+
+module.exports = {
+  AUDIT_EXPORT_FORMATS,
+  AUDIT_EXPORT_CONTENT_TYPES,
+  AUDIT_EXPORT_BASE_COLUMNS,
+  resolveAuditExportFilters,
+  planAuditExport,
+  flattenAuditEvent,
+  toCsvLine,
+  writeAuditExport,
+};
@@ -116,23 +116,15 @@ async function checkPermissionForRequest(req, permissionKey) {
 }
 
 /**
- * Enforce permission at the HTTP layer.
- *
- * This is the contract we will use in later slices to protect endpoints:
- *
- * - On success: returns true and does NOT write to the response.
- * - On failure:
- *   - Writes a 401 (unauthenticated) or 403 (forbidden) JSON response.
- *   - Returns false, signalling the caller to stop further handling.
- *
- * Additionally, we write a PERMISSION_DENIED audit event on failure, with
- * enough context to support supervision/debugging.
+ * Authorize a request at the HTTP layer, as enforcePermission does, but
+ * hand back the caller's user row on success (null on failure) so routes
+ * need not look the user up again.
  */
-async function enforcePermission(req, res, permissionKey) {
+async function authorizeRequest(req, res, permissionKey) {
   const result = await checkPermissionForRequest(req, permissionKey);
 
   if (result.allowed) {
-    return true;
+    return result.user;
   }
 
   const status = result.reason === 'unauthenticated' ? 401 : 403;
@@ -175,12 +167,30 @@ async function enforcePermission(req, res, permissionKey) {
     }),
   );
 
-  return false;
+  return null;
+}
+
+/**
+ * Enforce permission at the HTTP layer.
+ *
+ * This is the contract we will use in later slices to protect endpoints:
+ *
+ * - On success: returns true and does NOT write to the response.
+ * - On failure:
+ *   - Writes a 401 (unauthenticated) or 403 (forbidden) JSON response.
+ *   - Returns false, signalling the caller to stop further handling.
+ *
+ * Additionally, we write a PERMISSION_DENIED audit event on failure, with
+ * enough context to support supervision/debugging.
+ */
+async function enforcePermission(req, res, permissionKey) {
+  return (await authorizeRequest(req, res, permissionKey)) !== null;
 }
 
 module.exports = {
   extractUserFromHeaders,
   getOrCreateUserForRequest,
   checkPermissionForRequest,
+  authorizeRequest,
   enforcePermission,
 };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Pluggable blob storage for binary artefacts (page images).
+ *
+ * A blob store driver is an object with:
+ *
+ *   put(key, buffer)                 -> Promise<{ key, size }>
+ *   stat(key)                        -> Promise<{ size } | null>
+ *   createReadStream(key, { start, end }) -> Readable (end is inclusive)
+ *   remove(key)                      -> Promise<void>
+ *
+ * Keys are slash-separated relative paths chosen by the caller
+ * (e.g. "scripts/1/booklets/2/pages/3"). The active driver is picked by
+ * BLOB_STORE_DRIVER (default "filesystem").
+ */
+
+const DEFAULT_BLOB_STORE_DRIVER = 'filesystem';
+
+function buildBlobStoreError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Filesystem driver: blobs are plain files under rootDir
+ * (BLOB_STORE_ROOT, defaulting to a directory in the OS temp dir).
+ */
+function createFilesystemBlobStore(options = {}) {
+  const rootDir = path.resolve(
+    options.rootDir ||
+      process.env.BLOB_STORE_ROOT ||
+      path.join(os.tmpdir(), 'paritymark-blobs'),
+  );
+
+  function resolveKey(key) {
+    if (typeof key !== 'string' || !key) {
+      throw buildBlobStoreError('INVALID_BLOB_KEY', 'Blob key is required');
+    }
+    const resolved = path.resolve(rootDir, key);
+    if (!resolved.startsWith(`${rootDir}${path.sep}`)) {
+      throw buildBlobStoreError(
+        'INVALID_BLOB_KEY',
+        `Blob key escapes the store root: ${key}`,
+      );
+    }
+    return resolved;
+  }
+
+  return {
+    driver: 'filesystem',
+    rootDir,
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? { size: stats.size } : null;
+      } catch (err) {
+        if (err && err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    createReadStream(key, range = {}) {
+      return fs.createReadStream(resolveKey(key), {
+        start: range.start,
+        end: range.end,
+      });
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (!err || err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+  };
+}
+
+const blobStoreDrivers = {
+  filesystem: createFilesystemBlobStore,
+};
+
+let activeBlobStore = null;
+
+/**
+ * Register (or replace) a blob store driver factory under a name that can
+ * be selected with BLOB_STORE_DRIVER.
+ */
+function registerBlobStoreDriver(name, factory) {
+  blobStoreDrivers[name] = factory;
+}
+
+/**
+ * Return the process-wide blob store, creating it on first use.
+ */
+function getBlobStore() {
+  if (activeBlobStore) {
+    return activeBlobStore;
+  }
+
+  const driverName =
+    process.env.BLOB_STORE_DRIVER || DEFAULT_BLOB_STORE_DRIVER;
+  const factory = blobStoreDrivers[driverName];
+  if (!factory) {
+    throw buildBlobStoreError(
+      'UNKNOWN_BLOB_STORE_DRIVER',
+      `Unknown blob store driver: ${driverName}`,
+    );
+  }
+
+  activeBlobStore = factory();
+  return activeBlobStore;
+}
+
+/**
+ * Replace the process-wide blob store (e.g. with a preconfigured driver
+ * instance). Passing null makes the next getBlobStore() call rebuild it.
+ */
+function setBlobStore(store) {
+  activeBlobStore = store;
+}
+
+module.exports = {
+  DEFAULT_BLOB_STORE_DRIVER,
+  createFilesystemBlobStore,
+  registerBlobStoreDriver,
+  getBlobStore,
+  setBlobStore,
+};
@@ -1,4 +1,5 @@
 const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 
 const TENANTS_TABLE_NAME = 'tenants';
 const DEPLOYMENTS_TABLE_NAME = 'deployments';
@@ -6,141 +7,15 @@ const CONFIG_VERSIONS_TABLE_NAME = 'config_versions';
 const CONFIG_ARTIFACTS_TABLE_NAME = 'config_artifacts';
 
 /**
- * Handle known-benign concurrency errors for CREATE TABLE / ALTER TABLE,
- * mirroring the audit module's behaviour.
- */
-function handleConcurrentDdlError(err) {
-  const code = err && err.code;
-  const message = (err && err.message) || '';
-
-  // Duplicate table
-  if (code === '42P07') {
-    return;
-  }
-
-  // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-  if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-    return;
-  }
-
-  // Duplicate object (e.g. constraint already exists)
-  if (code === '42710') {
-    return;
-  }
-
-  throw err;
-}
-
-/**
- * Ensure that the config-related tables exist.
- * This mirrors the lazy creation approach used in the audit module.
+ * Ensure that the config-related tables exist (see
+ * migrations/0002_config.sql).
  *
- * Phase 0: this also creates the tenants table and ensures deployments
- * can be linked to tenants via tenant_id, but existing behaviour continues
- * to assume a single implicit tenant unless explicitly wired up.
+ * Phase 0: this also covers the tenants table and deployments.tenant_id,
+ * but existing behaviour continues to assume a single implicit tenant
+ * unless explicitly wired up.
  */
 async function ensureConfigTables() {
-  const createTenantsSql = `
-    CREATE TABLE IF NOT EXISTS ${TENANTS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      code TEXT UNIQUE NOT NULL,
-      name TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'ACTIVE',
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ
-    )
-  `;
-
-  const createDeploymentsSql = `
-    CREATE TABLE IF NOT EXISTS ${DEPLOYMENTS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      code TEXT UNIQUE NOT NULL,
-      name TEXT NOT NULL,
-      deployment_type TEXT NOT NULL DEFAULT 'LIVE',
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ
-    )
-  `;
-
-  const createConfigVersionsSql = `
-    CREATE TABLE IF NOT EXISTS ${CONFIG_VERSIONS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      deployment_id INTEGER NOT NULL REFERENCES ${DEPLOYMENTS_TABLE_NAME}(id),
-      version_number INTEGER NOT NULL,
-      status TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      approved_at TIMESTAMPTZ,
-      activated_at TIMESTAMPTZ,
-      created_by TEXT,
-      UNIQUE (deployment_id, version_number)
-    )
-  `;
-
-  const createConfigArtifactsSql = `
-    CREATE TABLE IF NOT EXISTS ${CONFIG_ARTIFACTS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      config_version_id INTEGER NOT NULL REFERENCES ${CONFIG_VERSIONS_TABLE_NAME}(id) ON DELETE CASCADE,
-      artifact_type TEXT NOT NULL,
-      payload JSONB NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (config_version_id, artifact_type)
-    )
-  `;
-
-  const statements = [
-    createTenantsSql,
-    createDeploymentsSql,
-    createConfigVersionsSql,
-    createConfigArtifactsSql,
-  ];
-
-  for (const sql of statements) {
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      await pool.query(sql);
-    } catch (err) {
-      handleConcurrentDdlError(err);
-    }
-  }
-
-  // Phase 0 extensions: add deployment_type & tenant_id columns + FKs / checks
-  const alterDeploymentsAddDeploymentTypeSql = `
-    ALTER TABLE ${DEPLOYMENTS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS deployment_type TEXT NOT NULL DEFAULT 'LIVE'
-  `;
-
-  const alterDeploymentsAddDeploymentTypeCheckSql = `
-    ALTER TABLE ${DEPLOYMENTS_TABLE_NAME}
-    ADD CONSTRAINT deployments_deployment_type_check
-    CHECK (deployment_type IN ('LIVE', 'PILOT', 'TRAINING', 'SANDBOX', 'ARCHIVED'))
-  `;
-
-  const alterDeploymentsAddTenantIdSql = `
-    ALTER TABLE ${DEPLOYMENTS_TABLE_NAME}
-    ADD COLUMN IF NOT EXISTS tenant_id INTEGER
-  `;
-
-  const alterDeploymentsAddTenantFkSql = `
-    ALTER TABLE ${DEPLOYMENTS_TABLE_NAME}
-    ADD CONSTRAINT deployments_tenant_id_fkey
-    FOREIGN KEY (tenant_id) REFERENCES ${TENANTS_TABLE_NAME}(id)
-  `;
-
-  const alterStatements = [
-    alterDeploymentsAddDeploymentTypeSql,
-    alterDeploymentsAddDeploymentTypeCheckSql,
-    alterDeploymentsAddTenantIdSql,
-    alterDeploymentsAddTenantFkSql,
-  ];
-
-  for (const sql of alterStatements) {
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      await pool.query(sql);
-    } catch (err) {
-      handleConcurrentDdlError(err);
-    }
-  }
+  await ensureSchema();
 }
 
 /**
@@ -413,10 +288,15 @@ async function getActiveConfigForDeploymentCode(deploymentCode) {
  *   when the target version does not exist for that deployment.
  * - { deployment, configVersion }
  *   on success, where configVersion reflects the new ACTIVE version.
+ *
+ * The deployment's QIGs whose mark scheme changes with the activation get
+ * a new MarkSchemeVersion in the same transaction (see
+ * recordMarkSchemeVersions); options: { actor }.
  */
 async function activateConfigVersionForDeploymentCode(
   deploymentCode,
   versionNumber,
+  options = {},
 ) {
   await ensureConfigTables();
 
@@ -497,6 +377,15 @@ async function activateConfigVersionForDeploymentCode(
         ? updatedResult.rows[0]
         : null;
 
+    // The newly active mark_scheme artifact takes effect with the
+    // activation: record the QIGs' changed MarkSchemeVersions with it.
+    // Required here because markscheme depends on this module.
+    // eslint-disable-next-line global-require
+    const { recordMarkSchemeVersionsForDeployment } = require('./markscheme');
+    await recordMarkSchemeVersionsForDeployment(client, deployment.id, {
+      actor: options.actor,
+    });
+
     await client.query('COMMIT');
 
     return {
@@ -0,0 +1,604 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const { RESPONSES_TABLE_NAME } = require('./ingestion');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+} = require('./assessment');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const {
+  appendAuditEvent,
+  writeAuditEvent,
+  EXCEPTION_RAISED_EVENT_TYPE,
+  EXCEPTION_TRANSITIONED_EVENT_TYPE,
+  EXCEPTION_RESOLVED_EVENT_TYPE,
+} = require('./audit');
+const {
+  ALLOCATIONS_TABLE_NAME,
+  transitionAllocation,
+  reassignAllocation,
+} = require('./allocation');
+const {
+  HELD_RESPONSE_STATE,
+  CLOSED_RESPONSE_STATE,
+} = require('./marking');
+
+const EXCEPTION_CASES_TABLE_NAME = 'exception_cases';
+
+/**
+ * Kinds of problem a marker can raise against a Response.
+ */
+const EXCEPTION_CATEGORIES = [
+  'MISSING_PAGES',
+  'SUSPECTED_MALPRACTICE',
+  'TECHNICAL_ISSUE',
+];
+
+const EXCEPTION_STATES = ['OPEN', 'IN_REVIEW', 'ESCALATED', 'RESOLVED'];
+
+/**
+ * Valid ExceptionCase transitions: fromState -> allowed toStates.
+ *
+ * RESOLVED is final and is only reached through resolveExceptionCase,
+ * which also decides what happens to the held Response.
+ */
+const EXCEPTION_TRANSITIONS = {
+  OPEN: ['IN_REVIEW', 'ESCALATED', 'RESOLVED'],
+  IN_REVIEW: ['ESCALATED', 'RESOLVED'],
+  ESCALATED: ['IN_REVIEW', 'RESOLVED'],
+  RESOLVED: [],
+};
+
+/**
+ * How a case can be resolved:
+ * - RETURN_TO_POOL restores the Response's previous state and releases the
+ *   held allocations, unassigned, back to READY.
+ * - CLOSE takes the Response out of marking (CLOSED); its held allocations
+ *   stay SUSPENDED.
+ */
+const EXCEPTION_RESOLUTIONS = ['RETURN_TO_POOL', 'CLOSE'];
+
+const EXCEPTION_HOLD_REASON_CODE = 'EXCEPTION_RAISED';
+const EXCEPTION_RELEASE_REASON_CODE = 'EXCEPTION_RESOLVED';
+
+/**
+ * Ensure the exception_cases table exists (see
+ * migrations/0012_exceptions.sql).
+ *
+ * A Response has at most one unresolved case at a time. The case keeps the
+ * Response state it held before being put on hold and the allocations it
+ * suspended, so that resolution can undo the hold.
+ */
+async function ensureExceptionTables() {
+  await ensureSchema();
+}
+
+function buildAuditActor(actor) {
+  return actor
+    ? {
+        id: actor.id,
+        externalId: actor.external_id,
+        displayName: actor.display_name,
+      }
+    : null;
+}
+
+function buildExceptionError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+const EXCEPTION_SELECT_SQL = `
+  SELECT
+    e.*,
+    r.candidate_id,
+    r.state AS response_state,
+    q.id AS qig_id,
+    q.code AS qig_code,
+    d.id AS deployment_id,
+    d.code AS deployment_code,
+    ru.external_id AS raised_by_external_id
+  FROM ${EXCEPTION_CASES_TABLE_NAME} e
+  JOIN ${RESPONSES_TABLE_NAME} r
+    ON e.response_id = r.id
+  JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+    ON r.qig_id = q.id
+  JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+    ON q.paper_id = p.id
+  JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+    ON p.series_id = s.id
+  JOIN ${DEPLOYMENTS_TABLE_NAME} d
+    ON s.deployment_id = d.id
+  LEFT JOIN ${USERS_TABLE_NAME} ru
+    ON e.raised_by_user_id = ru.id
+`;
+
+// Read an ExceptionCase with its context through queryable, so it can be
+// read back inside the transaction that wrote it.
+async function selectExceptionCase(queryable, exceptionId) {
+  const res = await queryable.query(
+    `
+      ${EXCEPTION_SELECT_SQL}
+      WHERE e.id = $1
+    `,
+    [exceptionId],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Fetch an ExceptionCase with its Response, QIG and deployment context,
+ * or null if none.
+ */
+async function getExceptionCase(exceptionId) {
+  await ensureExceptionTables();
+
+  return selectExceptionCase(pool, exceptionId);
+}
+
+/**
+ * List ExceptionCases, oldest first. Without a state filter only
+ * unresolved cases are returned (the admin queue).
+ */
+async function listExceptionCases({
+  state,
+  category,
+  deploymentCode,
+  qigCode,
+} = {}) {
+  await ensureExceptionTables();
+
+  const conditions = [];
+  const params = [];
+  if (state) {
+    params.push(state);
+    conditions.push(`e.state = $${params.length}`);
+  } else {
+    conditions.push(`e.state <> 'RESOLVED'`);
+  }
+  if (category) {
+    params.push(category);
+    conditions.push(`e.category = $${params.length}`);
+  }
+  if (deploymentCode) {
+    params.push(deploymentCode);
+    conditions.push(`d.code = $${params.length}`);
+  }
+  if (qigCode) {
+    params.push(qigCode);
+    conditions.push(`q.code = $${params.length}`);
+  }
+
+  const res = await pool.query(
+    `
+      ${EXCEPTION_SELECT_SQL}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.created_at ASC, e.id ASC
+    `,
+    params,
+  );
+  return res.rows || [];
+}
+
+function buildExceptionAuditMeta(exceptionCase, details) {
+  return {
+    exceptionId: exceptionCase.id,
+    category: exceptionCase.category,
+    responseId: exceptionCase.response_id,
+    scriptId: exceptionCase.script_id,
+    candidateId: exceptionCase.candidate_id,
+    qigId: exceptionCase.qig_id,
+    qigCode: exceptionCase.qig_code,
+    deploymentId: exceptionCase.deployment_id,
+    deploymentCode: exceptionCase.deployment_code,
+    ...details,
+  };
+}
+
+/**
+ * Raise an ExceptionCase against a Response.
+ *
+ * The Response is put on hold (HELD) and every READY or IN_MARKING
+ * allocation on it is SUSPENDED with reasonCode EXCEPTION_RAISED, so it
+ * leaves the live pool and no further marks can be written until the case
+ * is resolved. The hold, the suspensions, the case with its
+ * held_allocation_ids and their audit events (EXCEPTION_RAISED last) are
+ * written in one transaction. Returns the case, or null if the Response
+ * does not exist.
+ *
+ * Throws with code INVALID_EXCEPTION_CATEGORY, RESPONSE_CLOSED or
+ * EXCEPTION_ALREADY_OPEN (carrying exceptionId).
+ */
+async function raiseException(responseId, fields, options = {}) {
+  await ensureExceptionTables();
+
+  const { category, description = null } = fields;
+  const { actor = null } = options;
+
+  if (!EXCEPTION_CATEGORIES.includes(category)) {
+    throw buildExceptionError(
+      'INVALID_EXCEPTION_CATEGORY',
+      `Unknown exception category: ${category}`,
+    );
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const responseRes = await client.query(
+      `
+        SELECT id, script_id, state
+        FROM ${RESPONSES_TABLE_NAME}
+        WHERE id = $1 AND archived_at IS NULL
+        FOR UPDATE
+      `,
+      [responseId],
+    );
+    const response = responseRes.rows[0];
+    if (!response) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (response.state === CLOSED_RESPONSE_STATE) {
+      throw buildExceptionError(
+        'RESPONSE_CLOSED',
+        'Response has been closed by an earlier exception',
+      );
+    }
+
+    const openRes = await client.query(
+      `
+        SELECT id
+        FROM ${EXCEPTION_CASES_TABLE_NAME}
+        WHERE response_id = $1 AND state <> 'RESOLVED'
+      `,
+      [responseId],
+    );
+    if (openRes.rows.length > 0) {
+      throw buildExceptionError(
+        'EXCEPTION_ALREADY_OPEN',
+        'Response already has an unresolved exception',
+        { exceptionId: openRes.rows[0].id },
+      );
+    }
+
+    // Lock every allocation on the Response before the first suspension
+    // takes the audit chain lock.
+    const allocationsRes = await client.query(
+      `
+        SELECT id, state
+        FROM ${ALLOCATIONS_TABLE_NAME}
+        WHERE response_id = $1
+        ORDER BY id ASC
+        FOR UPDATE
+      `,
+      [responseId],
+    );
+
+    // Allocations are suspended (and audited) through the allocation state
+    // machine, in this transaction.
+    const heldAllocationIds = [];
+    for (const allocation of allocationsRes.rows) {
+      if (allocation.state !== 'READY' && allocation.state !== 'IN_MARKING') {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await transitionAllocation(allocation.id, 'SUSPENDED', {
+        actor,
+        reasonCode: EXCEPTION_HOLD_REASON_CODE,
+        client,
+      });
+      heldAllocationIds.push(allocation.id);
+    }
+
+    const insertRes = await client.query(
+      `
+        INSERT INTO ${EXCEPTION_CASES_TABLE_NAME} (
+          response_id,
+          script_id,
+          category,
+          description,
+          raised_by_user_id,
+          previous_response_state,
+          held_allocation_ids
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7::int[])
+        RETURNING id
+      `,
+      [
+        responseId,
+        response.script_id,
+        category,
+        description,
+        actor ? actor.id : null,
+        response.state,
+        heldAllocationIds,
+      ],
+    );
+
+    await client.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = $2 WHERE id = $1`,
+      [responseId, HELD_RESPONSE_STATE],
+    );
+
+    const exceptionCase = await selectExceptionCase(
+      client,
+      insertRes.rows[0].id,
+    );
+
+    await appendAuditEvent(
+      EXCEPTION_RAISED_EVENT_TYPE,
+      {
+        meta: buildExceptionAuditMeta(exceptionCase, {
+          state: exceptionCase.state,
+          previousResponseState: exceptionCase.previous_response_state,
+          heldAllocationIds,
+        }),
+        actor: buildAuditActor(actor),
+      },
+      { client },
+    );
+
+    await client.query('COMMIT');
+
+    return exceptionCase;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move an ExceptionCase to IN_REVIEW or ESCALATED. Every attempt writes
+ * an EXCEPTION_TRANSITIONED audit event with fromState, toState, result
+ * and reasonCode (plus errorCode when rejected).
+ *
+ * Returns the case, or null if it does not exist. Rejections throw with
+ * code INVALID_EXCEPTION_STATE, RESOLUTION_REQUIRED (use
+ * resolveExceptionCase to reach RESOLVED) or INVALID_EXCEPTION_TRANSITION,
+ * carrying fromState / toState.
+ */
+async function transitionExceptionCase(exceptionId, toState, options = {}) {
+  await ensureExceptionTables();
+
+  const { actor = null, reasonCode = null } = options;
+
+  const exceptionCase = await getExceptionCase(exceptionId);
+  if (!exceptionCase) {
+    return null;
+  }
+
+  const fromState = exceptionCase.state;
+  let rejection = null;
+  let updated = null;
+
+  if (!EXCEPTION_STATES.includes(toState)) {
+    rejection = buildExceptionError(
+      'INVALID_EXCEPTION_STATE',
+      `Unknown exception state: ${toState}`,
+    );
+  } else if (toState === 'RESOLVED') {
+    rejection = buildExceptionError(
+      'RESOLUTION_REQUIRED',
+      'Exceptions are resolved with a resolution, not a transition',
+    );
+  } else {
+    const allowed = (EXCEPTION_TRANSITIONS[fromState] || []).includes(toState);
+    let updateCount = 0;
+    if (allowed) {
+      // Guard on the state we read so a concurrent change is rejected.
+      const updateRes = await pool.query(
+        `
+          UPDATE ${EXCEPTION_CASES_TABLE_NAME}
+          SET state = $3,
+              reason_code = $4,
+              updated_at = NOW()
+          WHERE id = $1 AND state = $2
+        `,
+        [exceptionId, fromState, toState, reasonCode],
+      );
+      updateCount = updateRes.rowCount;
+    }
+    if (updateCount === 0) {
+      rejection = buildExceptionError(
+        'INVALID_EXCEPTION_TRANSITION',
+        `Invalid exception transition ${fromState} -> ${toState}`,
+      );
+    } else {
+      updated = await getExceptionCase(exceptionId);
+    }
+  }
+
+  if (rejection) {
+    rejection.fromState = fromState;
+    rejection.toState = toState;
+  }
+
+  await writeAuditEvent(EXCEPTION_TRANSITIONED_EVENT_TYPE, {
+    meta: buildExceptionAuditMeta(exceptionCase, {
+      fromState,
+      toState,
+      result: rejection ? 'REJECTED' : 'SUCCESS',
+      reasonCode,
+      ...(rejection ? { errorCode: rejection.code } : {}),
+    }),
+    actor: buildAuditActor(actor),
+  });
+
+  if (rejection) {
+    throw rejection;
+  }
+  return updated;
+}
+
+/**
+ * Resolve an unresolved ExceptionCase with one of EXCEPTION_RESOLUTIONS.
+ *
+ * RETURN_TO_POOL puts the Response back in the state it had before the
+ * hold and releases the allocations the case suspended (still SUSPENDED)
+ * to READY without a marker, reasonCode EXCEPTION_RESOLVED. CLOSE moves
+ * the Response to CLOSED. The resolution, the Response state, the released
+ * allocations and their audit events (EXCEPTION_RESOLVED last) are written
+ * in one transaction. Returns the case, or null if it does not exist.
+ *
+ * Throws with code INVALID_RESOLUTION or INVALID_EXCEPTION_TRANSITION
+ * (already resolved).
+ */
+async function resolveExceptionCase(exceptionId, fields, options = {}) {
+  await ensureExceptionTables();
+
+  const { resolution, note = null } = fields;
+  const { actor = null } = options;
+
+  if (!EXCEPTION_RESOLUTIONS.includes(resolution)) {
+    throw buildExceptionError(
+      'INVALID_RESOLUTION',
+      `Unknown exception resolution: ${resolution}`,
+    );
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const caseRes = await client.query(
+      `
+        SELECT *
+        FROM ${EXCEPTION_CASES_TABLE_NAME}
+        WHERE id = $1
+        FOR UPDATE
+      `,
+      [exceptionId],
+    );
+    const exceptionCase = caseRes.rows[0];
+    if (!exceptionCase) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (exceptionCase.state === 'RESOLVED') {
+      throw buildExceptionError(
+        'INVALID_EXCEPTION_TRANSITION',
+        'Exception is already resolved',
+        { fromState: 'RESOLVED', toState: 'RESOLVED' },
+      );
+    }
+
+    // Lock the Response and then its held allocations, in the order
+    // raiseException takes them.
+    await client.query(
+      `SELECT id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1 FOR UPDATE`,
+      [exceptionCase.response_id],
+    );
+    const heldRes = await client.query(
+      `
+        SELECT id, state
+        FROM ${ALLOCATIONS_TABLE_NAME}
+        WHERE id = ANY($1::int[])
+        ORDER BY id ASC
+        FOR UPDATE
+      `,
+      [exceptionCase.held_allocation_ids],
+    );
+
+    await client.query(
+      `
+        UPDATE ${EXCEPTION_CASES_TABLE_NAME}
+        SET state = 'RESOLVED',
+            resolution = $2,
+            resolution_note = $3,
+            resolved_by_user_id = $4,
+            resolved_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+      `,
+      [exceptionId, resolution, note, actor ? actor.id : null],
+    );
+
+    await client.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = $2 WHERE id = $1`,
+      [
+        exceptionCase.response_id,
+        resolution === 'CLOSE'
+          ? CLOSED_RESPONSE_STATE
+          : exceptionCase.previous_response_state,
+      ],
+    );
+
+    const releasedAllocationIds = [];
+    if (resolution === 'RETURN_TO_POOL') {
+      for (const allocation of heldRes.rows) {
+        if (allocation.state !== 'SUSPENDED') {
+          // eslint-disable-next-line no-continue
+          continue;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await reassignAllocation(allocation.id, null, {
+          actor,
+          reasonCode: EXCEPTION_RELEASE_REASON_CODE,
+          client,
+        });
+        releasedAllocationIds.push(allocation.id);
+      }
+    }
+
+    const resolved = await selectExceptionCase(client, exceptionId);
+
+    await appendAuditEvent(
+      EXCEPTION_RESOLVED_EVENT_TYPE,
+      {
+        meta: buildExceptionAuditMeta(resolved, {
+          fromState: exceptionCase.state,
+          toState: 'RESOLVED',
+          resolution,
+          responseState: resolved.response_state,
+          releasedAllocationIds,
+        }),
+        actor: buildAuditActor(actor),
+      },
+      { client },
+    );
+
+    await client.query('COMMIT');
+
+    return resolved;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  EXCEPTION_CASES_TABLE_NAME,
+  EXCEPTION_CATEGORIES,
+  EXCEPTION_STATES,
+  EXCEPTION_TRANSITIONS,
+  EXCEPTION_RESOLUTIONS,
+  ensureExceptionTables,
+  getExceptionCase,
+  listExceptionCases,
+  raiseException,
+  transitionExceptionCase,
+  resolveExceptionCase,
+};
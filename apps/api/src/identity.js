@@ -1,4 +1,5 @@
 const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 
 const USERS_TABLE_NAME = 'users';
 const ROLES_TABLE_NAME = 'roles';
@@ -7,96 +8,11 @@ const USER_ROLES_TABLE_NAME = 'user_roles';
 const ROLE_PERMISSIONS_TABLE_NAME = 'role_permissions';
 
 /**
- * Handle known-benign concurrency errors for CREATE TABLE IF NOT EXISTS,
- * mirroring the config/audit modules' behaviour.
- */
-function handleConcurrentDdlError(err) {
-  const code = err && err.code;
-  const message = (err && err.message) || '';
-
-  // Duplicate table
-  if (code === '42P07') {
-    return;
-  }
-
-  // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-  if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-    return;
-  }
-
-  throw err;
-}
-
-/**
- * Ensure that the identity-related tables exist.
- * This mirrors the lazy creation approach used in the audit and config modules.
+ * Ensure that the identity-related tables exist (see
+ * migrations/0003_identity.sql).
  */
 async function ensureIdentityTables() {
-  const createUsersSql = `
-    CREATE TABLE IF NOT EXISTS ${USERS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      external_id TEXT UNIQUE,
-      display_name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ
-    )
-  `;
-
-  const createRolesSql = `
-    CREATE TABLE IF NOT EXISTS ${ROLES_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      key TEXT UNIQUE NOT NULL,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ
-    )
-  `;
-
-  const createPermissionsSql = `
-    CREATE TABLE IF NOT EXISTS ${PERMISSIONS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      key TEXT UNIQUE NOT NULL,
-      description TEXT,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `;
-
-  const createUserRolesSql = `
-    CREATE TABLE IF NOT EXISTS ${USER_ROLES_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL REFERENCES ${USERS_TABLE_NAME}(id) ON DELETE CASCADE,
-      role_id INTEGER NOT NULL REFERENCES ${ROLES_TABLE_NAME}(id) ON DELETE CASCADE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (user_id, role_id)
-    )
-  `;
-
-  const createRolePermissionsSql = `
-    CREATE TABLE IF NOT EXISTS ${ROLE_PERMISSIONS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      role_id INTEGER NOT NULL REFERENCES ${ROLES_TABLE_NAME}(id) ON DELETE CASCADE,
-      permission_id INTEGER NOT NULL REFERENCES ${PERMISSIONS_TABLE_NAME}(id) ON DELETE CASCADE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (role_id, permission_id)
-    )
-  `;
-
-  const statements = [
-    createUsersSql,
-    createRolesSql,
-    createPermissionsSql,
-    createUserRolesSql,
-    createRolePermissionsSql,
-  ];
-
-  for (const sql of statements) {
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      await pool.query(sql);
-    } catch (err) {
-      handleConcurrentDdlError(err);
-    }
-  }
+  await ensureSchema();
 }
 
 /**
@@ -359,6 +275,74 @@ const CORE_PERMISSIONS = [
     key: 'assessment.manage',
     description: 'Manage assessment setup and workflow',
   },
+  {
+    key: 'allocation.view',
+    description: 'View allocations of responses to markers',
+  },
+  {
+    key: 'allocation.manage',
+    description: 'Create, transition and reassign allocations',
+  },
+  {
+    key: 'ingestion.view',
+    description: 'View ingested scripts and responses',
+  },
+  {
+    key: 'ingestion.manage',
+    description: 'Ingest scripts and move them through their lifecycle',
+  },
+  {
+    key: 'marking.remark',
+    description: 'Reopen locked responses for remarking',
+  },
+  {
+    key: 'marking.adjudicate',
+    description: 'View responses flagged for adjudication',
+  },
+  {
+    key: 'standardisation.view',
+    description: 'View marker eligibility and standardisation progress',
+  },
+  {
+    key: 'standardisation.manage',
+    description: 'Move markers through eligibility and approve them for live marking',
+  },
+  {
+    key: 'teams.view',
+    description: 'View QIG teams, their leaders and members',
+  },
+  {
+    key: 'teams.manage',
+    description: 'Create teams and assign their leaders and members',
+  },
+  {
+    key: 'supervision.view',
+    description: "View the marks and allocations of the caller's own team",
+  },
+  {
+    key: 'supervision.manage',
+    description: "Transition and reassign the allocations of the caller's own team",
+  },
+  {
+    key: 'review.view',
+    description: "View sampled submissions and supervisor reviews of the caller's own team",
+  },
+  {
+    key: 'review.manage',
+    description: "Review the caller's own team's submissions and set their sampling rates",
+  },
+  {
+    key: 'exceptions.view',
+    description: 'View the exception case queue and individual cases',
+  },
+  {
+    key: 'exceptions.manage',
+    description: 'Move exception cases through review and resolve them',
+  },
+  {
+    key: 'audit.view',
+    description: 'Query the audit event log',
+  },
 ];
 
 /**
@@ -371,8 +355,36 @@ const CORE_ROLE_PERMISSIONS = {
     'config.activate',
     'assessment.view',
     'assessment.manage',
+    'allocation.view',
+    'allocation.manage',
+    'ingestion.view',
+    'ingestion.manage',
+    'marking.remark',
+    'marking.adjudicate',
+    'standardisation.view',
+    'standardisation.manage',
+    'teams.view',
+    'teams.manage',
+    'exceptions.view',
+    'exceptions.manage',
+    'audit.view',
+  ],
+  'assessment-admin': [
+    'config.view',
+    'assessment.view',
+    'assessment.manage',
+    'allocation.view',
+    'allocation.manage',
+    'ingestion.view',
+    'ingestion.manage',
+    'marking.adjudicate',
+    'standardisation.view',
+    'standardisation.manage',
+    'teams.view',
+    'teams.manage',
+    'exceptions.view',
+    'exceptions.manage',
   ],
-  'assessment-admin': ['config.view', 'assessment.view', 'assessment.manage'],
 };
 
 /**
@@ -1,5 +1,6 @@
 const { createServer } = require('./server');
 const { checkDbHealth } = require('./db');
+const { ensureSchema } = require('./migrations');
 
 const PORT = process.env.PORT || 4000;
 
@@ -13,6 +14,20 @@ async function main() {
     // Do not exit for local dev; we log and continue.
   }
 
+  try {
+    // Apply pending migrations before serving, so requests never run DDL.
+    const { applied } = await ensureSchema();
+    if (applied.length > 0) {
+      // eslint-disable-next-line no-console
+      console.log(`Applied ${applied.length} database migration(s)`);
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Database migration failed on startup', { error: err });
+    process.exitCode = 1;
+    return;
+  }
+
   const server = createServer();
 
   server.listen(PORT, () => {
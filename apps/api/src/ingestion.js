@@ -1,79 +1,409 @@
 const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 const {
-  ensureAssessmentTables,
+  getSeriesByCode,
+  getPaperByCode,
+  getQigByCode,
   ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
 } = require('./assessment');
+const { DEPLOYMENTS_TABLE_NAME, getDeploymentByCode } = require('./config');
+const {
+  appendAuditEvent,
+  writeAuditEvent,
+  SCRIPT_TRANSITIONED_EVENT_TYPE,
+  RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+} = require('./audit');
+const { getBlobStore } = require('./blobstore');
+const {
+  validateManifest,
+  CURRENT_MANIFEST_SCHEMA_VERSION,
+} = require('./manifest');
 
 const RESPONSES_TABLE_NAME = 'responses';
+const SCRIPTS_TABLE_NAME = 'scripts';
+const BOOKLETS_TABLE_NAME = 'booklets';
+const PAGE_IMAGES_TABLE_NAME = 'page_images';
 
 /**
- * Handle known-benign concurrency errors for DDL, mirroring the
- * config/audit/identity modules' behaviour.
+ * Content types accepted for PageImages.
  */
-function handleConcurrentDdlError(err) {
-  const code = err && err.code;
-  const message = (err && err.message) || '';
+const PAGE_IMAGE_CONTENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/tiff',
+  'image/webp',
+];
 
-  // Duplicate table or index
-  if (code === '42P07') {
-    return;
-  }
+/**
+ * Script states, as defined in spec/state-machines.md.
+ */
+const SCRIPT_STATES = [
+  'INGESTING',
+  'ASSEMBLED',
+  'QC_PASSED',
+  'READY_FOR_ALLOCATION',
+  'IN_MARKING',
+  'SUSPENDED',
+  'COMPLETED',
+  'LOCKED',
+];
 
-  // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-  if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-    return;
-  }
+/**
+ * Valid Script transitions: fromState -> allowed toStates.
+ *
+ * Anything not listed here (any move out of LOCKED, COMPLETED -> IN_MARKING,
+ * stage-skipping jumps such as INGESTING -> IN_MARKING, ...) is rejected
+ * with INVALID_STATE_TRANSITION.
+ */
+const SCRIPT_TRANSITIONS = {
+  INGESTING: ['ASSEMBLED'],
+  ASSEMBLED: ['QC_PASSED'],
+  QC_PASSED: ['READY_FOR_ALLOCATION'],
+  READY_FOR_ALLOCATION: ['IN_MARKING', 'SUSPENDED'],
+  IN_MARKING: ['COMPLETED', 'SUSPENDED'],
+  SUSPENDED: ['READY_FOR_ALLOCATION'],
+  COMPLETED: ['LOCKED'],
+  LOCKED: [],
+};
 
-  throw err;
-}
+/**
+ * Target states that require a reasonCode.
+ */
+const SCRIPT_REASON_REQUIRED_STATES = ['SUSPENDED', 'LOCKED'];
 
 /**
- * Ensure that the ingestion / Response-related tables exist and
- * enforce the Responses uniqueness invariant:
+ * Ensure that the ingestion / Response-related tables exist (see
+ * migrations/0005_ingestion.sql), including the Responses uniqueness
+ * invariant:
  *
  *   ONE Response per (qig_id, candidate_id)
  *
- * We enforce this structurally via a UNIQUE INDEX, so that accidental
+ * This is enforced structurally via a UNIQUE INDEX, so that accidental
  * duplicate inserts are impossible even if a caller forgets to go
  * through upsertResponse.
  */
 async function ensureIngestionTables() {
-  await ensureAssessmentTables();
-
-  const createResponsesSql = `
-    CREATE TABLE IF NOT EXISTS ${RESPONSES_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      qig_id INTEGER NOT NULL REFERENCES ${ASSESSMENT_QIGS_TABLE_NAME}(id) ON DELETE CASCADE,
-      candidate_id TEXT NOT NULL,
-      script_url TEXT,
-      manifest JSONB,
-      state TEXT,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      archived_at TIMESTAMPTZ
-    )
+  await ensureSchema();
+}
+
+/**
+ * Get or create a Booklet by (script_id, code).
+ */
+async function upsertBooklet(scriptId, code) {
+  await ensureIngestionTables();
+
+  const sql = `
+    INSERT INTO ${BOOKLETS_TABLE_NAME} (script_id, code)
+    VALUES ($1, $2)
+    ON CONFLICT (script_id, code)
+    DO UPDATE SET code = EXCLUDED.code
+    RETURNING *;
   `;
 
-  try {
-    await pool.query(createResponsesSql);
-  } catch (err) {
-    handleConcurrentDdlError(err);
+  const { rows } = await pool.query(sql, [scriptId, code]);
+  return rows[0];
+}
+
+/**
+ * Store a page image in the blob store and record it as a PageImage of the
+ * Booklet. Re-uploading the same page number replaces the image.
+ *
+ * Throws with code UNSUPPORTED_CONTENT_TYPE or EMPTY_PAGE_IMAGE.
+ */
+async function storePageImage(booklet, pageNumber, contentType, data) {
+  await ensureIngestionTables();
+
+  if (!PAGE_IMAGE_CONTENT_TYPES.includes(contentType)) {
+    const err = new Error(`Unsupported page image content type: ${contentType}`);
+    err.code = 'UNSUPPORTED_CONTENT_TYPE';
+    throw err;
   }
+  if (!data || data.length === 0) {
+    const err = new Error('Page image is empty');
+    err.code = 'EMPTY_PAGE_IMAGE';
+    throw err;
+  }
+
+  const blobKey = `scripts/${booklet.script_id}/booklets/${booklet.id}/pages/${pageNumber}`;
+  await getBlobStore().put(blobKey, data);
 
-  // Structural uniqueness invariant:
-  //   - One Response per (qig_id, candidate_id).
-  //
-  // We use a UNIQUE INDEX rather than a named constraint so that this
-  // is idempotent across Postgres versions.
-  const createUniqueIndexSql = `
-    CREATE UNIQUE INDEX IF NOT EXISTS ${RESPONSES_TABLE_NAME}_qig_candidate_unique
-      ON ${RESPONSES_TABLE_NAME} (qig_id, candidate_id)
+  const sql = `
+    INSERT INTO ${PAGE_IMAGES_TABLE_NAME} (
+      booklet_id,
+      script_id,
+      page_number,
+      blob_key,
+      content_type,
+      byte_size
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (booklet_id, page_number)
+    DO UPDATE SET
+      blob_key     = EXCLUDED.blob_key,
+      content_type = EXCLUDED.content_type,
+      byte_size    = EXCLUDED.byte_size
+    RETURNING *;
   `;
 
+  const { rows } = await pool.query(sql, [
+    booklet.id,
+    booklet.script_id,
+    pageNumber,
+    blobKey,
+    contentType,
+    data.length,
+  ]);
+  return rows[0];
+}
+
+/**
+ * Fetch all PageImages of a Script with their Booklet code, in booklet
+ * then page order.
+ */
+async function getPageImagesForScript(scriptId) {
+  await ensureIngestionTables();
+
+  const { rows } = await pool.query(
+    `
+      SELECT pi.*, b.code AS booklet_code
+      FROM ${PAGE_IMAGES_TABLE_NAME} pi
+      JOIN ${BOOKLETS_TABLE_NAME} b
+        ON pi.booklet_id = b.id
+      WHERE pi.script_id = $1
+      ORDER BY b.id ASC, pi.page_number ASC
+    `,
+    [scriptId],
+  );
+  return rows;
+}
+
+/**
+ * Fetch a single PageImage (with its Booklet code) by id.
+ */
+async function getPageImageById(pageImageId) {
+  await ensureIngestionTables();
+
+  const { rows } = await pool.query(
+    `
+      SELECT pi.*, b.code AS booklet_code
+      FROM ${PAGE_IMAGES_TABLE_NAME} pi
+      JOIN ${BOOKLETS_TABLE_NAME} b
+        ON pi.booklet_id = b.id
+      WHERE pi.id = $1
+    `,
+    [pageImageId],
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get or create the Script for (paper_id, candidate_id). New Scripts start
+ * in INGESTING.
+ */
+async function upsertScript(paperId, candidateId) {
+  await ensureIngestionTables();
+
+  const sql = `
+    INSERT INTO ${SCRIPTS_TABLE_NAME} (paper_id, candidate_id)
+    VALUES ($1, $2)
+    ON CONFLICT (paper_id, candidate_id)
+    DO UPDATE SET candidate_id = EXCLUDED.candidate_id
+    RETURNING *;
+  `;
+
+  const { rows } = await pool.query(sql, [paperId, candidateId]);
+  return rows[0];
+}
+
+/**
+ * Fetch a single Script by id.
+ */
+async function getScriptById(scriptId) {
+  await ensureIngestionTables();
+
+  const { rows } = await pool.query(
+    `SELECT * FROM ${SCRIPTS_TABLE_NAME} WHERE id = $1`,
+    [scriptId],
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Fetch all Responses belonging to a Script.
+ */
+async function getResponsesForScript(scriptId) {
+  await ensureIngestionTables();
+
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM ${RESPONSES_TABLE_NAME}
+      WHERE script_id = $1
+      ORDER BY id ASC
+    `,
+    [scriptId],
+  );
+  return rows;
+}
+
+function isValidScriptTransition(fromState, toState) {
+  const allowed = SCRIPT_TRANSITIONS[fromState];
+  return Array.isArray(allowed) && allowed.includes(toState);
+}
+
+/**
+ * Load a Script with its Component (Paper) and deployment context.
+ * When forUpdate is set the Script row is locked for the transaction.
+ */
+async function getScriptContext(queryable, scriptId, forUpdate) {
+  const sql = `
+    SELECT
+      sc.id,
+      sc.paper_id,
+      sc.candidate_id,
+      sc.state,
+      sc.reason_code,
+      p.code AS paper_code,
+      d.id AS deployment_id,
+      d.code AS deployment_code
+    FROM ${SCRIPTS_TABLE_NAME} sc
+    JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+      ON sc.paper_id = p.id
+    JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+      ON p.series_id = s.id
+    JOIN ${DEPLOYMENTS_TABLE_NAME} d
+      ON s.deployment_id = d.id
+    WHERE sc.id = $1
+    ${forUpdate ? 'FOR UPDATE OF sc' : ''}
+  `;
+
+  const res = await queryable.query(sql, [scriptId]);
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return res.rows[0];
+}
+
+function buildScriptError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+/**
+ * Move a Script to a new state.
+ *
+ * Validates the transition against SCRIPT_TRANSITIONS and requires a
+ * reasonCode for SUSPENDED and LOCKED. Every attempt, successful or not,
+ * writes a SCRIPT_TRANSITIONED audit event carrying scriptId, candidateId,
+ * componentId, fromState, toState, result and reasonCode (plus errorCode
+ * when rejected).
+ *
+ * Returns the updated Script, or null if it does not exist. Rejections throw
+ * with code INVALID_SCRIPT_STATE, INVALID_STATE_TRANSITION or
+ * REASON_CODE_REQUIRED, carrying fromState / toState.
+ */
+async function transitionScript(scriptId, toState, options = {}) {
+  await ensureIngestionTables();
+
+  const { actor = null, reasonCode = null } = options;
+
+  const client = await pool.connect();
+  let context;
+  let fromState;
+  let updated;
+  let rejection = null;
+
   try {
-    await pool.query(createUniqueIndexSql);
+    await client.query('BEGIN');
+
+    context = await getScriptContext(client, scriptId, true);
+    if (!context) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    fromState = context.state;
+
+    if (!SCRIPT_STATES.includes(toState)) {
+      rejection = buildScriptError(
+        'INVALID_SCRIPT_STATE',
+        `Unknown script state: ${toState}`,
+        { fromState, toState },
+      );
+    } else if (!isValidScriptTransition(fromState, toState)) {
+      rejection = buildScriptError(
+        'INVALID_STATE_TRANSITION',
+        `Invalid script transition ${fromState} -> ${toState}`,
+        { fromState, toState },
+      );
+    } else if (SCRIPT_REASON_REQUIRED_STATES.includes(toState) && !reasonCode) {
+      rejection = buildScriptError(
+        'REASON_CODE_REQUIRED',
+        `reasonCode is required for ${fromState} -> ${toState}`,
+        { fromState, toState },
+      );
+    }
+
+    if (rejection) {
+      await client.query('ROLLBACK');
+    } else {
+      const updateRes = await client.query(
+        `
+          UPDATE ${SCRIPTS_TABLE_NAME}
+          SET state = $2,
+              reason_code = $3,
+              updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `,
+        [scriptId, toState, reasonCode],
+      );
+      updated = updateRes.rows[0];
+      await client.query('COMMIT');
+    }
   } catch (err) {
-    handleConcurrentDdlError(err);
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await writeAuditEvent(SCRIPT_TRANSITIONED_EVENT_TYPE, {
+    meta: {
+      scriptId: context.id,
+      candidateId: context.candidate_id,
+      componentId: context.paper_id,
+      componentCode: context.paper_code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      fromState,
+      toState,
+      result: rejection ? 'REJECTED' : 'SUCCESS',
+      reasonCode: reasonCode || null,
+      errorCode: rejection ? rejection.code : null,
+    },
+    actor: actor
+      ? {
+          id: actor.id,
+          externalId: actor.external_id,
+          displayName: actor.display_name,
+        }
+      : null,
+  });
+
+  if (rejection) {
+    throw rejection;
   }
+
+  return updated;
 }
 
 /**
@@ -83,7 +413,12 @@ async function ensureIngestionTables() {
  * backwards compatible with any existing callers:
  *
  *   upsertResponse(qigId, candidateId, scriptUrl, manifest, state)
- *   upsertResponse({ qigId, candidateId, scriptUrl, manifest, state })
+ *   upsertResponse({ qigId, candidateId, scriptUrl, manifest, state, scriptId })
+ *
+ * The Response is linked to its Script; when scriptId is not given the
+ * Script for (QIG's paper, candidate) is created or reused. A non-null
+ * manifest must satisfy the manifest schema (src/manifest.js); otherwise an
+ * INVALID_MANIFEST error carrying the path-level `errors` is thrown.
  */
 async function upsertResponse(
   qigIdOrOpts,
@@ -118,22 +453,52 @@ async function upsertResponse(
     throw new Error('upsertResponse: candidateId is required');
   }
 
+  if (manifestJson != null) {
+    const { errors } = validateManifest(manifestJson);
+    if (errors.length > 0) {
+      const err = new Error(
+        `upsertResponse: invalid manifest (${errors
+          .map((e) => `${e.path} ${e.message}`)
+          .join('; ')})`,
+      );
+      err.code = 'INVALID_MANIFEST';
+      err.errors = errors;
+      throw err;
+    }
+  }
+
   await ensureIngestionTables();
 
+  // Every Response belongs to the Script of its Candidate on the QIG's
+  // Component (Paper); create that Script on first sight.
+  let scriptId = opts.scriptId || null;
+  if (!scriptId) {
+    const qigRes = await pool.query(
+      `SELECT paper_id FROM ${ASSESSMENT_QIGS_TABLE_NAME} WHERE id = $1`,
+      [qigId],
+    );
+    if (qigRes.rows && qigRes.rows.length > 0) {
+      const script = await upsertScript(qigRes.rows[0].paper_id, candidate);
+      scriptId = script.id;
+    }
+  }
+
   const sql = `
     INSERT INTO ${RESPONSES_TABLE_NAME} (
       qig_id,
       candidate_id,
       script_url,
       manifest,
-      state
+      state,
+      script_id
     )
-    VALUES ($1, $2, $3, $4, $5)
+    VALUES ($1, $2, $3, $4, $5, $6)
     ON CONFLICT (qig_id, candidate_id)
     DO UPDATE SET
       script_url = EXCLUDED.script_url,
       manifest   = EXCLUDED.manifest,
-      state      = EXCLUDED.state
+      state      = EXCLUDED.state,
+      script_id  = EXCLUDED.script_id
     RETURNING *;
   `;
 
@@ -143,6 +508,7 @@ async function upsertResponse(
     url || null,
     manifestJson || null,
     responseState || null,
+    scriptId,
   ];
 
   const { rows } = await pool.query(sql, params);
@@ -184,10 +550,586 @@ async function getResponsesForQig(qigId) {
   return rows;
 }
 
+/**
+ * Columns of a response batch row, in CSV header order.
+ */
+const RESPONSE_BATCH_FIELDS = [
+  'series',
+  'paper',
+  'qig',
+  'candidateId',
+  'scriptUrl',
+  'manifest',
+];
+
+const RESPONSE_BATCH_REQUIRED_FIELDS = ['series', 'paper', 'qig', 'candidateId'];
+
+// Response states before marking has moved a Response on (a Response
+// without a state has not been picked up either). Batch re-ingestion only
+// refreshes the script and manifest of Responses in one of these; any
+// other Response (LOCKED, REMARK, HELD, CLOSED, ...) is skipped.
+const RESPONSE_PRE_MARKING_STATES = ['INGESTING', 'INGESTED'];
+
+function isPreMarkingResponseState(state) {
+  return state == null || RESPONSE_PRE_MARKING_STATES.includes(state);
+}
+
+/**
+ * Split CSV text into rows of string fields (RFC 4180: quoted fields may
+ * contain commas, newlines and "" escapes). Blank lines are skipped.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+      } else if (ch === '"') {
+        inQuotes = false;
+        i += 1;
+      } else {
+        field += ch;
+        i += 1;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+      i += 1;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+      i += 1;
+    } else if (ch === '\n' || ch === '\r') {
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += ch;
+      i += 1;
+    }
+  }
+
+  if (inQuotes) {
+    const err = new Error('Unterminated quoted field in CSV');
+    err.code = 'INVALID_CSV';
+    throw err;
+  }
+
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') {
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a response batch CSV upload into row objects keyed by the header
+ * line (series, paper, qig, candidateId, scriptUrl, manifest). Empty cells
+ * become null. Throws INVALID_CSV when the text is malformed or the header
+ * lacks a required column.
+ */
+function parseResponseBatchCsv(text) {
+  const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((name) => name.trim());
+  const missing = RESPONSE_BATCH_REQUIRED_FIELDS.filter(
+    (name) => !header.includes(name),
+  );
+  if (missing.length > 0) {
+    const err = new Error(`CSV header is missing: ${missing.join(', ')}`);
+    err.code = 'INVALID_CSV';
+    err.missingColumns = missing;
+    throw err;
+  }
+
+  return rows.slice(1).map((cells) => {
+    const entry = {};
+    header.forEach((name, index) => {
+      if (!RESPONSE_BATCH_FIELDS.includes(name)) {
+        return;
+      }
+      const value = cells[index] == null ? '' : cells[index].trim();
+      entry[name] = value === '' ? null : value;
+    });
+    return entry;
+  });
+}
+
+/**
+ * Normalise and validate a manifest cell: strings are parsed as JSON and
+ * empty values mean "no manifest". Returns { manifest, errors } where errors
+ * are the path-level schema errors (see validateManifest).
+ */
+function normaliseBatchManifest(value) {
+  if (value == null || value === '') {
+    return { manifest: null, errors: [] };
+  }
+
+  let manifest = value;
+  if (typeof value === 'string') {
+    try {
+      manifest = JSON.parse(value);
+    } catch (err) {
+      return {
+        manifest: null,
+        errors: [{ path: '$', message: 'is not valid JSON' }],
+      };
+    }
+  }
+
+  return { manifest, errors: validateManifest(manifest).errors };
+}
+
+/**
+ * Resolve the series/paper/qig codes of each batch row within a deployment
+ * and validate its fields. Returns one entry per row, either
+ * { ok: true, qig, candidateId, scriptUrl, manifest } or
+ * { ok: false, error, field?, manifestErrors? }.
+ */
+async function resolveResponseBatchRows(deploymentId, rows) {
+  const seriesByCode = new Map();
+  const paperByKey = new Map();
+  const qigByKey = new Map();
+  const seen = new Set();
+  const resolved = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const row of rows) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      resolved.push({ ok: false, error: 'invalid_row' });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const missingField = RESPONSE_BATCH_REQUIRED_FIELDS.find(
+      (name) => row[name] == null || String(row[name]).trim() === '',
+    );
+    if (missingField) {
+      resolved.push({ ok: false, error: 'missing_field', field: missingField });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const seriesCode = String(row.series).trim();
+    const paperCode = String(row.paper).trim();
+    const qigCode = String(row.qig).trim();
+    const candidateId = String(row.candidateId).trim();
+
+    if (!seriesByCode.has(seriesCode)) {
+      // eslint-disable-next-line no-await-in-loop
+      seriesByCode.set(seriesCode, await getSeriesByCode(deploymentId, seriesCode));
+    }
+    const series = seriesByCode.get(seriesCode);
+    if (!series) {
+      resolved.push({ ok: false, error: 'series_not_found', field: 'series' });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const paperKey = `${series.id}:${paperCode}`;
+    if (!paperByKey.has(paperKey)) {
+      // eslint-disable-next-line no-await-in-loop
+      paperByKey.set(paperKey, await getPaperByCode(series.id, paperCode));
+    }
+    const paper = paperByKey.get(paperKey);
+    if (!paper) {
+      resolved.push({ ok: false, error: 'paper_not_found', field: 'paper' });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const qigKey = `${paper.id}:${qigCode}`;
+    if (!qigByKey.has(qigKey)) {
+      // eslint-disable-next-line no-await-in-loop
+      qigByKey.set(qigKey, await getQigByCode(paper.id, qigCode));
+    }
+    const qig = qigByKey.get(qigKey);
+    if (!qig) {
+      resolved.push({ ok: false, error: 'qig_not_found', field: 'qig' });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const { manifest, errors: manifestErrors } = normaliseBatchManifest(
+      row.manifest,
+    );
+    if (manifestErrors.length > 0) {
+      resolved.push({
+        ok: false,
+        error: 'invalid_manifest',
+        field: 'manifest',
+        manifestErrors,
+      });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const scriptUrl = row.scriptUrl == null ? null : String(row.scriptUrl).trim();
+
+    const identity = `${qig.id}:${candidateId}`;
+    if (seen.has(identity)) {
+      resolved.push({ ok: false, error: 'duplicate_row' });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    seen.add(identity);
+
+    resolved.push({
+      ok: true,
+      qig,
+      candidateId,
+      scriptUrl: scriptUrl || null,
+      manifest,
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Helper: counts for a batch report (see ingestResponseBatch).
+ */
+function summariseResponseBatchReport(report) {
+  const errorCount = report.filter((r) => r.status === 'error').length;
+  return {
+    total: report.length,
+    ok: report.length - errorCount,
+    errors: errorCount,
+    created: report.filter((r) => r.action === 'create').length,
+    updated: report.filter((r) => r.action === 'update').length,
+    skipped: report.filter((r) => r.action === 'skip').length,
+  };
+}
+
+/**
+ * Ingest a batch of Responses for a deployment.
+ *
+ * Each row names its QIG by (series, paper, qig) codes. All rows are
+ * validated first; only when every row is valid (and dryRun is not set) are
+ * they upserted, together with the RESPONSES_BATCH_INGESTED audit event, in
+ * a single transaction. Re-ingesting an existing (qig, candidate) refreshes
+ * scriptUrl/manifest and keeps its state, but only while the Response is in
+ * a pre-marking state (RESPONSE_PRE_MARKING_STATES); other Responses are
+ * left untouched and reported with action 'skip' and reason
+ * 'response_in_marking'. New Responses start as INGESTED and are linked to
+ * their Script.
+ *
+ * Returns null when the deployment does not exist, otherwise
+ * { deploymentCode, dryRun, committed, summary, rows } where rows holds a
+ * per-row report ({ row, status: 'ok' | 'error', action, responseId, error,
+ * reason }).
+ */
+async function ingestResponseBatch(deploymentCode, rows, options = {}) {
+  const { dryRun = false, actor = null } = options;
+
+  const deployment = await getDeploymentByCode(deploymentCode);
+  if (!deployment) {
+    return null;
+  }
+
+  await ensureIngestionTables();
+
+  const resolved = await resolveResponseBatchRows(deployment.id, rows);
+
+  const report = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [index, entry] of resolved.entries()) {
+    const source = rows[index] && typeof rows[index] === 'object' ? rows[index] : {};
+    const base = {
+      row: index + 1,
+      series: source.series == null ? null : String(source.series),
+      paper: source.paper == null ? null : String(source.paper),
+      qig: source.qig == null ? null : String(source.qig),
+      candidateId: source.candidateId == null ? null : String(source.candidateId),
+    };
+
+    if (!entry.ok) {
+      report.push({
+        ...base,
+        status: 'error',
+        error: entry.error,
+        ...(entry.field ? { field: entry.field } : {}),
+        ...(entry.manifestErrors ? { manifestErrors: entry.manifestErrors } : {}),
+      });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await getResponseByQigAndCandidate(
+      entry.qig.id,
+      entry.candidateId,
+    );
+    if (existing && !isPreMarkingResponseState(existing.state)) {
+      report.push({
+        ...base,
+        status: 'ok',
+        action: 'skip',
+        responseId: existing.id,
+        reason: 'response_in_marking',
+      });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    report.push({
+      ...base,
+      status: 'ok',
+      action: existing ? 'update' : 'create',
+      responseId: existing ? existing.id : null,
+    });
+  }
+
+  const summary = summariseResponseBatchReport(report);
+
+  if (dryRun || summary.errors > 0 || report.length === 0) {
+    return {
+      deploymentCode: deployment.code,
+      dryRun: Boolean(dryRun),
+      committed: false,
+      summary,
+      rows: report,
+    };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [index, entry] of resolved.entries()) {
+      if (report[index].action === 'skip') {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const scriptRes = await client.query(
+        `
+          INSERT INTO ${SCRIPTS_TABLE_NAME} (paper_id, candidate_id)
+          VALUES ($1, $2)
+          ON CONFLICT (paper_id, candidate_id)
+          DO UPDATE SET candidate_id = EXCLUDED.candidate_id
+          RETURNING id
+        `,
+        [entry.qig.paper_id, entry.candidateId],
+      );
+
+      // The state check is repeated here: a Response may have moved into
+      // marking since the report was built.
+      // eslint-disable-next-line no-await-in-loop
+      const responseRes = await client.query(
+        `
+          INSERT INTO ${RESPONSES_TABLE_NAME} (
+            qig_id,
+            candidate_id,
+            script_url,
+            manifest,
+            state,
+            script_id
+          )
+          VALUES ($1, $2, $3, $4, 'INGESTED', $5)
+          ON CONFLICT (qig_id, candidate_id)
+          DO UPDATE SET
+            script_url = EXCLUDED.script_url,
+            manifest   = EXCLUDED.manifest,
+            script_id  = EXCLUDED.script_id
+          WHERE ${RESPONSES_TABLE_NAME}.state IS NULL
+            OR ${RESPONSES_TABLE_NAME}.state = ANY($6::text[])
+          RETURNING id, script_id
+        `,
+        [
+          entry.qig.id,
+          entry.candidateId,
+          entry.scriptUrl,
+          entry.manifest,
+          scriptRes.rows[0].id,
+          RESPONSE_PRE_MARKING_STATES,
+        ],
+      );
+
+      if (responseRes.rows.length === 0) {
+        report[index] = {
+          ...report[index],
+          action: 'skip',
+          reason: 'response_in_marking',
+        };
+      } else {
+        report[index].responseId = responseRes.rows[0].id;
+        report[index].scriptId = responseRes.rows[0].script_id;
+      }
+    }
+
+    Object.assign(summary, summariseResponseBatchReport(report));
+
+    await appendAuditEvent(
+      RESPONSES_BATCH_INGESTED_EVENT_TYPE,
+      {
+        meta: {
+          deploymentId: deployment.id,
+          deploymentCode: deployment.code,
+          total: summary.total,
+          created: summary.created,
+          updated: summary.updated,
+          skipped: summary.skipped,
+        },
+        actor: actor
+          ? {
+              id: actor.id,
+              externalId: actor.external_id,
+              displayName: actor.display_name,
+            }
+          : null,
+      },
+      { client },
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return {
+    deploymentCode: deployment.code,
+    dryRun: false,
+    committed: true,
+    summary,
+    rows: report,
+  };
+}
+
+/**
+ * Validate the stored manifests of every Response in a deployment (optionally
+ * narrowed to one QIG code) against the manifest schema.
+ *
+ * Returns null when the deployment does not exist, otherwise
+ * { deploymentCode, currentSchemaVersion, summary, responses } where each
+ * response entry has status 'valid', 'invalid' or 'missing' (no manifest)
+ * plus its path-level errors. `status` filters the listed responses; the
+ * summary always covers all of them.
+ */
+async function getManifestValidationReport(deploymentCode, options = {}) {
+  const { qigCode = null, status = null } = options;
+
+  const deployment = await getDeploymentByCode(deploymentCode);
+  if (!deployment) {
+    return null;
+  }
+
+  await ensureIngestionTables();
+
+  const params = [deployment.id];
+  let qigFilter = '';
+  if (qigCode) {
+    params.push(qigCode);
+    qigFilter = `AND q.code = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `
+      SELECT
+        r.id,
+        r.candidate_id,
+        r.script_id,
+        r.manifest,
+        q.code AS qig_code,
+        p.code AS paper_code,
+        s.code AS series_code
+      FROM ${RESPONSES_TABLE_NAME} r
+      JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q ON q.id = r.qig_id
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p ON p.id = q.paper_id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s ON s.id = p.series_id
+      WHERE s.deployment_id = $1
+        ${qigFilter}
+      ORDER BY r.id ASC
+    `,
+    params,
+  );
+
+  const entries = rows.map((row) => {
+    const base = {
+      responseId: row.id,
+      scriptId: row.script_id,
+      candidateId: row.candidate_id,
+      seriesCode: row.series_code,
+      paperCode: row.paper_code,
+      qigCode: row.qig_code,
+    };
+
+    if (row.manifest == null) {
+      return { ...base, status: 'missing', schemaVersion: null, errors: [] };
+    }
+
+    const result = validateManifest(row.manifest);
+    return {
+      ...base,
+      status: result.valid ? 'valid' : 'invalid',
+      schemaVersion: result.schemaVersion,
+      errors: result.errors,
+    };
+  });
+
+  const countByStatus = (value) =>
+    entries.filter((entry) => entry.status === value).length;
+
+  return {
+    deploymentCode: deployment.code,
+    currentSchemaVersion: CURRENT_MANIFEST_SCHEMA_VERSION,
+    summary: {
+      total: entries.length,
+      valid: countByStatus('valid'),
+      invalid: countByStatus('invalid'),
+      missing: countByStatus('missing'),
+    },
+    responses: status
+      ? entries.filter((entry) => entry.status === status)
+      : entries,
+  };
+}
+
 module.exports = {
   RESPONSES_TABLE_NAME,
+  SCRIPTS_TABLE_NAME,
+  BOOKLETS_TABLE_NAME,
+  PAGE_IMAGES_TABLE_NAME,
+  PAGE_IMAGE_CONTENT_TYPES,
+  SCRIPT_STATES,
+  SCRIPT_TRANSITIONS,
   ensureIngestionTables,
+  upsertScript,
+  getScriptById,
+  getResponsesForScript,
+  isValidScriptTransition,
+  transitionScript,
+  upsertBooklet,
+  storePageImage,
+  getPageImagesForScript,
+  getPageImageById,
   upsertResponse,
   getResponseByQigAndCandidate,
   getResponsesForQig,
+  parseResponseBatchCsv,
+  ingestResponseBatch,
+  getManifestValidationReport,
 };
@@ -0,0 +1,250 @@
+/**
+ * Response manifest schema.
+ *
+ * A manifest describes the scanned material behind a Response. It is
+ * versioned through `schemaVersion`; version 1 looks like:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "booklets": [{ "id": "MAIN" }],
+ *     "pages": [
+ *       {
+ *         "bookletId": "MAIN",
+ *         "pageNumber": 1,
+ *         "width": 2480,
+ *         "height": 3508,
+ *         "checksum": "sha256:<64 hex chars>"
+ *       }
+ *     ],
+ *     "itemPages": {
+ *       "Q1a": [{ "bookletId": "MAIN", "pageNumber": 1 }]
+ *     }
+ *   }
+ *
+ * Validation reports every problem with a JSONPath-style location
+ * (e.g. "$.pages[2].width") rather than stopping at the first one.
+ */
+
+const CURRENT_MANIFEST_SCHEMA_VERSION = 1;
+const MANIFEST_SCHEMA_VERSIONS = [1];
+
+const MANIFEST_CHECKSUM_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+const MANIFEST_V1_FIELDS = ['schemaVersion', 'booklets', 'pages', 'itemPages'];
+const MANIFEST_V1_BOOKLET_FIELDS = ['id'];
+const MANIFEST_V1_PAGE_FIELDS = [
+  'bookletId',
+  'pageNumber',
+  'width',
+  'height',
+  'checksum',
+];
+const MANIFEST_V1_PAGE_REF_FIELDS = ['bookletId', 'pageNumber'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveInteger(value) {
+  return typeof value === 'number' && Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function propertyPath(parent, key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)
+    ? `${parent}.${key}`
+    : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function checkUnknownFields(value, allowed, path, errors) {
+  Object.keys(value).forEach((key) => {
+    if (!allowed.includes(key)) {
+      errors.push({
+        path: propertyPath(path, key),
+        message: 'is not an allowed property',
+      });
+    }
+  });
+}
+
+function validateManifestV1(manifest, errors) {
+  checkUnknownFields(manifest, MANIFEST_V1_FIELDS, '$', errors);
+
+  // Booklets
+  const bookletIds = new Set();
+  if (!Array.isArray(manifest.booklets) || manifest.booklets.length === 0) {
+    errors.push({ path: '$.booklets', message: 'must be a non-empty array' });
+  } else {
+    manifest.booklets.forEach((booklet, index) => {
+      const path = `$.booklets[${index}]`;
+      if (!isPlainObject(booklet)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+      }
+      checkUnknownFields(booklet, MANIFEST_V1_BOOKLET_FIELDS, path, errors);
+      if (!isNonEmptyString(booklet.id)) {
+        errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+        return;
+      }
+      if (bookletIds.has(booklet.id)) {
+        errors.push({
+          path: `${path}.id`,
+          message: `duplicates booklet id "${booklet.id}"`,
+        });
+        return;
+      }
+      bookletIds.add(booklet.id);
+    });
+  }
+
+  // Pages
+  const pageKeys = new Set();
+  if (!Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+    errors.push({ path: '$.pages', message: 'must be a non-empty array' });
+  } else {
+    manifest.pages.forEach((page, index) => {
+      const path = `$.pages[${index}]`;
+      if (!isPlainObject(page)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+      }
+      checkUnknownFields(page, MANIFEST_V1_PAGE_FIELDS, path, errors);
+
+      let bookletOk = true;
+      if (!isNonEmptyString(page.bookletId)) {
+        errors.push({
+          path: `${path}.bookletId`,
+          message: 'must be a non-empty string',
+        });
+        bookletOk = false;
+      } else if (!bookletIds.has(page.bookletId)) {
+        errors.push({
+          path: `${path}.bookletId`,
+          message: `references unknown booklet "${page.bookletId}"`,
+        });
+        bookletOk = false;
+      }
+
+      if (!isPositiveInteger(page.pageNumber)) {
+        errors.push({
+          path: `${path}.pageNumber`,
+          message: 'must be a positive integer',
+        });
+      } else if (bookletOk) {
+        const key = `${page.bookletId}#${page.pageNumber}`;
+        if (pageKeys.has(key)) {
+          errors.push({
+            path: `${path}.pageNumber`,
+            message: `duplicates page ${page.pageNumber} of booklet "${page.bookletId}"`,
+          });
+        }
+        pageKeys.add(key);
+      }
+
+      ['width', 'height'].forEach((dimension) => {
+        if (!isPositiveInteger(page[dimension])) {
+          errors.push({
+            path: `${path}.${dimension}`,
+            message: 'must be a positive integer (pixels)',
+          });
+        }
+      });
+
+      if (
+        typeof page.checksum !== 'string' ||
+        !MANIFEST_CHECKSUM_PATTERN.test(page.checksum)
+      ) {
+        errors.push({
+          path: `${path}.checksum`,
+          message: 'must be "sha256:" followed by 64 lowercase hex characters',
+        });
+      }
+    });
+  }
+
+  // Item-to-page mapping (optional)
+  if (manifest.itemPages !== undefined) {
+    if (!isPlainObject(manifest.itemPages)) {
+      errors.push({ path: '$.itemPages', message: 'must be an object' });
+      return;
+    }
+
+    Object.entries(manifest.itemPages).forEach(([itemCode, refs]) => {
+      const itemPath = propertyPath('$.itemPages', itemCode);
+      if (!Array.isArray(refs) || refs.length === 0) {
+        errors.push({ path: itemPath, message: 'must be a non-empty array' });
+        return;
+      }
+
+      refs.forEach((ref, index) => {
+        const path = `${itemPath}[${index}]`;
+        if (!isPlainObject(ref)) {
+          errors.push({ path, message: 'must be an object' });
+          return;
+        }
+        checkUnknownFields(ref, MANIFEST_V1_PAGE_REF_FIELDS, path, errors);
+        if (!isNonEmptyString(ref.bookletId)) {
+          errors.push({
+            path: `${path}.bookletId`,
+            message: 'must be a non-empty string',
+          });
+          return;
+        }
+        if (!isPositiveInteger(ref.pageNumber)) {
+          errors.push({
+            path: `${path}.pageNumber`,
+            message: 'must be a positive integer',
+          });
+          return;
+        }
+        if (!pageKeys.has(`${ref.bookletId}#${ref.pageNumber}`)) {
+          errors.push({
+            path,
+            message: `references unknown page ${ref.pageNumber} of booklet "${ref.bookletId}"`,
+          });
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Validate a Response manifest against its declared schema version.
+ *
+ * Returns { valid, schemaVersion, errors } where errors is a list of
+ * { path, message } objects (empty when valid).
+ */
+function validateManifest(manifest) {
+  const errors = [];
+
+  if (!isPlainObject(manifest)) {
+    errors.push({ path: '$', message: 'must be an object' });
+    return { valid: false, schemaVersion: null, errors };
+  }
+
+  const { schemaVersion } = manifest;
+  if (schemaVersion === undefined) {
+    errors.push({ path: '$.schemaVersion', message: 'is required' });
+    return { valid: false, schemaVersion: null, errors };
+  }
+  if (!MANIFEST_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    errors.push({
+      path: '$.schemaVersion',
+      message: `must be one of: ${MANIFEST_SCHEMA_VERSIONS.join(', ')}`,
+    });
+    return { valid: false, schemaVersion: null, errors };
+  }
+
+  validateManifestV1(manifest, errors);
+
+  return { valid: errors.length === 0, schemaVersion, errors };
+}
+
+module.exports = {
+  CURRENT_MANIFEST_SCHEMA_VERSION,
+  MANIFEST_SCHEMA_VERSIONS,
+  validateManifest,
+};
@@ -1,6 +1,8 @@
 const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 const {
   RESPONSES_TABLE_NAME,
+  PAGE_IMAGES_TABLE_NAME,
   ensureIngestionTables,
 } = require('./ingestion');
 const {
@@ -8,85 +10,149 @@ const {
   ASSESSMENT_QIGS_TABLE_NAME,
   ASSESSMENT_PAPERS_TABLE_NAME,
   ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+  validateMarksAgainstItems,
 } = require('./assessment');
 const {
   ensureConfigTables,
   DEPLOYMENTS_TABLE_NAME,
 } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const { appendAuditEvent } = require('./audit');
+const { completeAllocationForMarker } = require('./allocation');
 const {
-  ensureIdentityTables,
-  USERS_TABLE_NAME,
-} = require('./identity');
+  getSeedForResponse,
+  recordSeedResult,
+  lockMarkerEligibility,
+} = require('./standardisation');
 const {
-  ensureAuditTable,
-  AUDIT_TABLE_NAME,
-} = require('./audit');
+  MARK_SCHEME_VERSIONS_TABLE_NAME,
+  validateMarksAgainstScheme,
+  getItemMarkTotal,
+  isSameItemMark,
+  getCurrentMarkSchemeVersion,
+} = require('./markscheme');
 
 const RESPONSE_MARKS_TABLE_NAME = 'response_marks';
+const MARK_RECORD_VERSIONS_TABLE_NAME = 'mark_record_versions';
+const RESPONSE_REMARKS_TABLE_NAME = 'response_remarks';
+const RESPONSE_ADJUDICATIONS_TABLE_NAME = 'response_adjudications';
+const RESPONSE_ANNOTATIONS_TABLE_NAME = 'response_annotations';
 
 const MARKING_DRAFT_SAVED_EVENT_TYPE = 'MARKING_DRAFT_SAVED';
 const MARKING_SUBMITTED_EVENT_TYPE = 'MARKING_SUBMITTED';
 const MARKING_LOCKED_EVENT_TYPE = 'MARKING_LOCKED';
+const MARKING_REMARK_OPENED_EVENT_TYPE = 'MARKING_REMARK_OPENED';
+const MARKING_REMARK_COMPLETED_EVENT_TYPE = 'MARKING_REMARK_COMPLETED';
+const MARKING_ADJUDICATION_FLAGGED_EVENT_TYPE = 'MARKING_ADJUDICATION_FLAGGED';
+const MARKING_ANNOTATION_UPDATED_EVENT_TYPE = 'MARKING_ANNOTATION_UPDATED';
 
-/**
- * Handle known-benign concurrency errors for CREATE TABLE IF NOT EXISTS,
- * mirroring the config/audit/identity/ingestion modules' behaviour.
- */
-function handleConcurrentDdlError(err) {
-  const code = err && err.code;
-  const message = (err && err.message) || '';
+// Response state while a remark cycle is open. Anything other than LOCKED
+// accepts drafts and submissions again.
+const REMARK_RESPONSE_STATE = 'REMARK';
 
-  // Duplicate table
-  if (code === '42P07') {
-    return;
-  }
+// Response states set by ExceptionCases: HELD while a case is open, CLOSED
+// once a case is resolved by taking the Response out of marking for good.
+// Neither accepts drafts or submissions.
+const HELD_RESPONSE_STATE = 'HELD';
+const CLOSED_RESPONSE_STATE = 'CLOSED';
 
-  // Unique violation on pg_type_typname_nsp_index during concurrent DDL
-  if (code === '23505' && message.includes('pg_type_typname_nsp_index')) {
-    return;
-  }
-
-  throw err;
-}
+// Annotation geometry. Coordinates are fractions (0..1) of the page width
+// and height so they do not depend on the scan resolution:
+// POINT { x, y }, RECT { x, y, width, height }.
+const ANNOTATION_SHAPES = ['POINT', 'RECT'];
 
 /**
- * Ensure all marking-related tables exist.
+ * Ensure all marking-related tables exist (see migrations/0007_marking.sql).
  */
 async function ensureMarkingTables() {
-  await ensureIngestionTables();
-  await ensureAssessmentTables();
-  await ensureConfigTables();
-  await ensureIdentityTables();
-  await ensureAuditTable();
-
-  const createResponseMarksSql = `
-    CREATE TABLE IF NOT EXISTS ${RESPONSE_MARKS_TABLE_NAME} (
-      id SERIAL PRIMARY KEY,
-      response_id INTEGER NOT NULL REFERENCES ${RESPONSES_TABLE_NAME}(id) ON DELETE CASCADE,
-      marker_user_id INTEGER NOT NULL REFERENCES ${USERS_TABLE_NAME}(id) ON DELETE CASCADE,
-      state TEXT NOT NULL,
-      payload JSONB NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (response_id, marker_user_id)
-    )
-  `;
+  await ensureSchema();
+}
 
+/**
+ * Run work(client) in one transaction and return its result. Everything
+ * work writes, including audit events written with insertMarkingAuditEvent,
+ * commits together or is rolled back together.
+ *
+ * work must only query through client: tables are ensured beforehand, and
+ * reads through the pool (such as the current MarkSchemeVersion) are done
+ * before the transaction starts.
+ */
+async function runMarkingTransaction(work) {
+  const client = await pool.connect();
   try {
-    await pool.query(createResponseMarksSql);
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
   } catch (err) {
-    handleConcurrentDdlError(err);
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors
+    }
+    throw err;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Helper: build meta information for a Response for audit events.
+ * Lock a Response row for the rest of the transaction, so concurrent
+ * writes to its marks and annotations are applied one after another.
  */
-async function buildMarkingMetaForResponse(responseId) {
-  await ensureAssessmentTables();
-  await ensureConfigTables();
-  await ensureIngestionTables();
+async function lockResponseForWrite(client, responseId) {
+  await client.query(
+    `SELECT id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1 FOR UPDATE`,
+    [responseId],
+  );
+}
 
+/**
+ * Append a snapshot of a response_marks row to mark_record_versions.
+ * The sequence number is allocated as (max existing sequence + 1) for the
+ * mark record, starting from 1.
+ */
+async function appendMarkRecordVersion(queryable, markRow) {
+  const res = await queryable.query(
+    `
+      INSERT INTO ${MARK_RECORD_VERSIONS_TABLE_NAME} (
+        response_mark_id,
+        response_id,
+        marker_user_id,
+        sequence,
+        state,
+        payload,
+        total_mark,
+        mark_scheme_version_id
+      )
+      SELECT
+        $1, $2, $3,
+        COALESCE(MAX(sequence), 0) + 1,
+        $4, $5::jsonb, $6, $7
+      FROM ${MARK_RECORD_VERSIONS_TABLE_NAME}
+      WHERE response_mark_id = $1
+      RETURNING id, response_mark_id, response_id, marker_user_id, sequence, state, payload, total_mark, mark_scheme_version_id, created_at
+    `,
+    [
+      markRow.id,
+      markRow.response_id,
+      markRow.marker_user_id,
+      markRow.state,
+      JSON.stringify(markRow.payload),
+      markRow.total_mark == null ? null : markRow.total_mark,
+      markRow.mark_scheme_version_id == null
+        ? null
+        : markRow.mark_scheme_version_id,
+    ],
+  );
+  return res.rows[0];
+}
+
+/**
+ * Helper: read meta information for a Response for audit events.
+ */
+async function getMarkingMetaForResponse(queryable, responseId) {
   const sql = `
     SELECT
       r.id AS response_id,
@@ -108,7 +174,7 @@ async function buildMarkingMetaForResponse(responseId) {
     WHERE r.id = $1
   `;
 
-  const res = await pool.query(sql, [responseId]);
+  const res = await queryable.query(sql, [responseId]);
   if (!res.rows || res.rows.length === 0) {
     return null;
   }
@@ -124,12 +190,21 @@ async function buildMarkingMetaForResponse(responseId) {
 }
 
 /**
- * Helper: fetch actor details for audit from users table.
+ * Helper: build meta information for a Response for audit events.
  */
-async function getActorForUserId(userId) {
-  await ensureIdentityTables();
+async function buildMarkingMetaForResponse(responseId) {
+  await ensureAssessmentTables();
+  await ensureConfigTables();
+  await ensureIngestionTables();
 
-  const res = await pool.query(
+  return getMarkingMetaForResponse(pool, responseId);
+}
+
+/**
+ * Helper: fetch actor details for audit from users table.
+ */
+async function getActorForUserId(queryable, userId) {
+  const res = await queryable.query(
     `SELECT id, external_id, display_name FROM ${USERS_TABLE_NAME} WHERE id = $1`,
     [userId],
   );
@@ -140,16 +215,23 @@ async function getActorForUserId(userId) {
 }
 
 /**
- * Insert a marking-related audit event.
+ * Insert a marking-related audit event in the transaction of client.
+ * extraMeta is merged into meta.
  */
-async function insertMarkingAuditEvent(eventType, responseId, markerUserId, operation) {
-  await ensureAuditTable();
-
-  const metaBase = await buildMarkingMetaForResponse(responseId);
-  const actorBase = await getActorForUserId(markerUserId);
+async function insertMarkingAuditEvent(
+  client,
+  eventType,
+  responseId,
+  markerUserId,
+  operation,
+  extraMeta,
+) {
+  const metaBase = await getMarkingMetaForResponse(client, responseId);
+  const actorBase = await getActorForUserId(client, markerUserId);
 
   const meta = {
     ...(metaBase || {}),
+    ...(extraMeta || {}),
     operation,
     path: metaBase
       ? `/marking/responses/${metaBase.responseId}`
@@ -167,25 +249,14 @@ async function insertMarkingAuditEvent(eventType, responseId, markerUserId, oper
         id: markerUserId,
       };
 
-  const payload = { meta, actor };
-
-  const insertSql = `
-    INSERT INTO ${AUDIT_TABLE_NAME} (event_type, payload)
-    VALUES ($1, $2::jsonb)
-    RETURNING id, event_type, payload, created_at
-  `;
-
-  const res = await pool.query(insertSql, [eventType, payload]);
-  return res.rows[0];
+  return appendAuditEvent(eventType, { meta, actor }, { client });
 }
 
 /**
  * Check whether a Response is locked.
  */
-async function isResponseLocked(responseId) {
-  await ensureIngestionTables();
-
-  const res = await pool.query(
+async function isResponseLocked(queryable, responseId) {
+  const res = await queryable.query(
     `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
     [responseId],
   );
@@ -197,12 +268,27 @@ async function isResponseLocked(responseId) {
 }
 
 /**
- * Lock a Response row by id.
+ * Throw with code HELD or CLOSED if an ExceptionCase has taken the Response
+ * out of marking.
  */
-async function lockResponse(responseId) {
-  await ensureIngestionTables();
+async function assertResponseNotWithheld(queryable, responseId) {
+  const res = await queryable.query(
+    `SELECT state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+    [responseId],
+  );
+  const state = res.rows[0] ? res.rows[0].state : null;
+  if (state === HELD_RESPONSE_STATE || state === CLOSED_RESPONSE_STATE) {
+    const err = new Error(`Response is ${state.toLowerCase()}`);
+    err.code = state;
+    throw err;
+  }
+}
 
-  const res = await pool.query(
+/**
+ * Lock a Response row by id.
+ */
+async function lockResponse(queryable, responseId) {
+  const res = await queryable.query(
     `
       UPDATE ${RESPONSES_TABLE_NAME}
       SET state = 'LOCKED'
@@ -219,86 +305,471 @@ async function lockResponse(responseId) {
 }
 
 /**
- * Save a draft mark for (response, marker). Overwrites existing draft/submission,
- * but enforces that locked Responses cannot be changed.
+ * Whether the marker has already submitted for this Response. Submitted
+ * records are final for independent marking; only an open remark cycle
+ * accepts further writes.
  */
-async function saveDraftMark(responseId, markerUserId, payload) {
-  await ensureMarkingTables();
+async function hasMarkerSubmitted(queryable, responseId, markerUserId) {
+  const res = await queryable.query(
+    `
+      SELECT m.state AS mark_state, r.state AS response_state
+      FROM ${RESPONSE_MARKS_TABLE_NAME} m
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON m.response_id = r.id
+      WHERE m.response_id = $1 AND m.marker_user_id = $2
+    `,
+    [responseId, markerUserId],
+  );
+  if (!res.rows || res.rows.length === 0) {
+    return false;
+  }
+  const row = res.rows[0];
+  return row.mark_state === 'SUBMITTED' && row.response_state !== REMARK_RESPONSE_STATE;
+}
 
-  if (await isResponseLocked(responseId)) {
+/**
+ * Throw unless the marker may still write marks or annotations on the
+ * Response: codes LOCKED, HELD, CLOSED or ALREADY_SUBMITTED.
+ */
+async function assertMarkWritable(queryable, responseId, markerUserId) {
+  if (await isResponseLocked(queryable, responseId)) {
     const err = new Error('Response is locked');
     err.code = 'LOCKED';
     throw err;
   }
 
+  await assertResponseNotWithheld(queryable, responseId);
+
+  if (await hasMarkerSubmitted(queryable, responseId, markerUserId)) {
+    const err = new Error('Marker has already submitted for this response');
+    err.code = 'ALREADY_SUBMITTED';
+    throw err;
+  }
+}
+
+/**
+ * Fetch the multi-marking settings of the QIG a Response belongs to.
+ * Defaults to a single mark with zero tolerance if the QIG is missing.
+ */
+async function getMarkingSettingsForResponse(queryable, responseId) {
+  const res = await queryable.query(
+    `
+      SELECT q.required_marks, q.mark_tolerance
+      FROM ${RESPONSES_TABLE_NAME} r
+      JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+        ON r.qig_id = q.id
+      WHERE r.id = $1
+    `,
+    [responseId],
+  );
+  if (!res.rows || res.rows.length === 0) {
+    return { requiredMarks: 1, markTolerance: 0 };
+  }
+  return {
+    requiredMarks: res.rows[0].required_marks,
+    markTolerance: res.rows[0].mark_tolerance,
+  };
+}
+
+/**
+ * Compare the submitted totals for a Response and, if their spread exceeds
+ * the tolerance, flag it for adjudication. Returns the new flag row, or
+ * null if the totals agree or the Response is already flagged.
+ */
+async function flagForAdjudicationIfDiscrepant(
+  queryable,
+  responseId,
+  submittedRows,
+  settings,
+) {
+  if (submittedRows.length < 2) {
+    return null;
+  }
+
+  const totals = submittedRows.map((r) => r.total_mark);
+  const minTotal = Math.min(...totals);
+  const maxTotal = Math.max(...totals);
+  if (maxTotal - minTotal <= settings.markTolerance) {
+    return null;
+  }
+
+  const res = await queryable.query(
+    `
+      INSERT INTO ${RESPONSE_ADJUDICATIONS_TABLE_NAME} (
+        response_id,
+        required_marks,
+        mark_tolerance,
+        min_total,
+        max_total,
+        totals
+      )
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+      ON CONFLICT (response_id) WHERE state = 'FLAGGED' DO NOTHING
+      RETURNING id, response_id, state, required_marks, mark_tolerance, min_total, max_total, totals, created_at, resolved_at
+    `,
+    [
+      responseId,
+      settings.requiredMarks,
+      settings.markTolerance,
+      minTotal,
+      maxTotal,
+      JSON.stringify(
+        submittedRows.map((r) => ({
+          markId: r.id,
+          markerUserId: r.marker_user_id,
+          totalMark: r.total_mark,
+        })),
+      ),
+    ],
+  );
+
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return res.rows[0];
+}
+
+/**
+ * Fetch the live Items (code, max_mark) of the QIG a Response belongs to.
+ */
+async function getItemsForResponse(responseId) {
+  await ensureAssessmentTables();
+  await ensureIngestionTables();
+
+  const res = await pool.query(
+    `
+      SELECT i.id, i.code, i.max_mark
+      FROM ${ASSESSMENT_ITEMS_TABLE_NAME} i
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON r.qig_id = i.qig_id
+      WHERE r.id = $1
+        AND i.archived_at IS NULL
+      ORDER BY i.id ASC
+    `,
+    [responseId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Fetch the MarkSchemeVersion in force for the QIG a Response belongs to
+ * (see getCurrentMarkSchemeVersion), or null if the Response is missing.
+ */
+async function getMarkSchemeVersionForResponse(responseId) {
+  const res = await pool.query(
+    `SELECT qig_id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+    [responseId],
+  );
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return getCurrentMarkSchemeVersion(res.rows[0].qig_id);
+}
+
+// The MarkSchemeVersion a mark on responseId is saved under. Marks are not
+// saved without one: throws with code MARK_SCHEME_MISSING when the QIG has
+// no recorded version.
+async function requireMarkSchemeVersionForResponse(responseId) {
+  const schemeVersion = await getMarkSchemeVersionForResponse(responseId);
+  if (!schemeVersion) {
+    const err = new Error('QIG has no mark scheme version');
+    err.code = 'MARK_SCHEME_MISSING';
+    throw err;
+  }
+  return schemeVersion;
+}
+
+/**
+ * Save a draft mark for (response, marker). Overwrites the current snapshot in
+ * response_marks (the previous one is kept in mark_record_versions), but
+ * enforces that locked Responses cannot be changed. The draft is stamped
+ * with the current MarkSchemeVersion (MARK_SCHEME_MISSING if the QIG has
+ * none).
+ *
+ * The mark, its version and the audit event are written in one transaction.
+ */
+async function saveDraftMark(responseId, markerUserId, payload) {
+  await ensureMarkingTables();
+
+  await assertMarkWritable(pool, responseId, markerUserId);
+
+  const schemeVersion = await requireMarkSchemeVersionForResponse(responseId);
+
   const sql = `
-    INSERT INTO ${RESPONSE_MARKS_TABLE_NAME} (response_id, marker_user_id, state, payload)
-    VALUES ($1, $2, 'DRAFT', $3::jsonb)
+    INSERT INTO ${RESPONSE_MARKS_TABLE_NAME} (response_id, marker_user_id, state, payload, mark_scheme_version_id)
+    VALUES ($1, $2, 'DRAFT', $3::jsonb, $4)
     ON CONFLICT (response_id, marker_user_id)
     DO UPDATE SET
       state = 'DRAFT',
       payload = EXCLUDED.payload,
+      total_mark = NULL,
+      mark_scheme_version_id = EXCLUDED.mark_scheme_version_id,
       updated_at = NOW()
-    RETURNING id, response_id, marker_user_id, state, payload, created_at, updated_at
+    RETURNING id, response_id, marker_user_id, state, payload, total_mark, mark_scheme_version_id, created_at, updated_at
   `;
 
-  const res = await pool.query(sql, [responseId, markerUserId, JSON.stringify(payload)]);
-  const row = res.rows[0];
+  return runMarkingTransaction(async (client) => {
+    // Checked again under the row lock: a submission may have landed
+    // since the check above.
+    await lockResponseForWrite(client, responseId);
+    await assertMarkWritable(client, responseId, markerUserId);
 
-  await insertMarkingAuditEvent(
-    MARKING_DRAFT_SAVED_EVENT_TYPE,
-    responseId,
-    markerUserId,
-    'DRAFT_SAVED',
-  );
+    const res = await client.query(sql, [
+      responseId,
+      markerUserId,
+      JSON.stringify(payload),
+      schemeVersion.id,
+    ]);
+    const row = res.rows[0];
+
+    await appendMarkRecordVersion(client, row);
+
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_DRAFT_SAVED_EVENT_TYPE,
+      responseId,
+      markerUserId,
+      'DRAFT_SAVED',
+    );
 
-  return row;
+    return row;
+  });
 }
 
 /**
- * Submit marks for (response, marker), lock the Response, and create audit events.
+ * Submit marks for (response, marker), create audit events, and complete the
+ * marker's IN_MARKING allocation for the Response.
+ *
+ * The Response locks once the QIG's required_marks independent submissions
+ * exist (or immediately for a remark). If the submitted totals spread by
+ * more than the QIG's mark_tolerance, the Response is flagged for
+ * adjudication. A marker who already submitted gets ALREADY_SUBMITTED.
+ * Seed Responses never lock; their submissions are scored against the
+ * definitive marks by recordSeedResult.
+ *
+ * Marks are validated against the current MarkSchemeVersion of the QIG
+ * first (MARK_SCHEME_MISSING if it has none); on failure an Error with
+ * code INVALID_MARKS and per-item itemErrors is thrown and nothing is
+ * written. The computed total is
+ * stored in total_mark and the record is stamped with the scheme version.
+ *
+ * The mark and its version, the annotation lock, the remark outcome, the
+ * adjudication flag, the Response lock, the completed allocation, the seed
+ * result (with any eligibility action it triggers) and their audit events
+ * are written in one transaction: if any of them fails, none of them is
+ * applied.
  */
 async function submitMark(responseId, markerUserId, payload) {
   await ensureMarkingTables();
 
-  if (await isResponseLocked(responseId)) {
-    const err = new Error('Response is locked');
-    err.code = 'LOCKED';
+  await assertMarkWritable(pool, responseId, markerUserId);
+
+  const schemeVersion = await requireMarkSchemeVersionForResponse(responseId);
+  const { errors, total } = validateMarksAgainstScheme(
+    payload,
+    schemeVersion.definition,
+  );
+  if (errors.length > 0) {
+    const err = new Error('Marks do not match the QIG items');
+    err.code = 'INVALID_MARKS';
+    err.itemErrors = errors;
     throw err;
   }
 
   const sql = `
-    INSERT INTO ${RESPONSE_MARKS_TABLE_NAME} (response_id, marker_user_id, state, payload)
-    VALUES ($1, $2, 'SUBMITTED', $3::jsonb)
+    INSERT INTO ${RESPONSE_MARKS_TABLE_NAME} (response_id, marker_user_id, state, payload, total_mark, mark_scheme_version_id)
+    VALUES ($1, $2, 'SUBMITTED', $3::jsonb, $4, $5)
     ON CONFLICT (response_id, marker_user_id)
     DO UPDATE SET
       state = 'SUBMITTED',
       payload = EXCLUDED.payload,
+      total_mark = EXCLUDED.total_mark,
+      mark_scheme_version_id = EXCLUDED.mark_scheme_version_id,
       updated_at = NOW()
-    RETURNING id, response_id, marker_user_id, state, payload, created_at, updated_at
+    RETURNING id, response_id, marker_user_id, state, payload, total_mark, mark_scheme_version_id, created_at, updated_at
   `;
 
-  const res = await pool.query(sql, [responseId, markerUserId, JSON.stringify(payload)]);
-  const row = res.rows[0];
+  // Seeds are marked by every live marker they are served to: they never
+  // lock or go to adjudication, and are scored against their definitive
+  // marks instead.
+  const seedResponse = await getSeedForResponse(responseId);
 
-  // Lock the underlying Response
-  await lockResponse(responseId);
+  return runMarkingTransaction(async (client) => {
+    // Checked again under the row lock: another submission may have
+    // landed since the check above.
+    await lockResponseForWrite(client, responseId);
+    await assertMarkWritable(client, responseId, markerUserId);
 
-  // Audit events for submission + lock
-  await insertMarkingAuditEvent(
-    MARKING_SUBMITTED_EVENT_TYPE,
-    responseId,
-    markerUserId,
-    'SUBMITTED',
-  );
-  await insertMarkingAuditEvent(
-    MARKING_LOCKED_EVENT_TYPE,
-    responseId,
-    markerUserId,
-    'LOCKED',
+    const res = await client.query(sql, [
+      responseId,
+      markerUserId,
+      JSON.stringify(payload),
+      total,
+      schemeVersion.id,
+    ]);
+    const markRow = res.rows[0];
+
+    const version = await appendMarkRecordVersion(client, markRow);
+
+    // The marker's annotations lock with their submission.
+    const lockedAnnotationCount = await lockAnnotationsForMark(
+      client,
+      markRow,
+    );
+
+    // A submission during an open remark cycle is the remark outcome and
+    // locks straight away. Otherwise the Response locks once the QIG's
+    // required number of independent marks has been submitted.
+    const remark = await completeOpenRemark(
+      client,
+      responseId,
+      markRow,
+      version,
+    );
+    const seedForMark = remark ? null : seedResponse;
+
+    let shouldLock = Boolean(remark);
+    let adjudication = null;
+    if (!remark && !seedForMark) {
+      const settings = await getMarkingSettingsForResponse(client, responseId);
+      const submittedRes = await client.query(
+        `
+          SELECT id, marker_user_id, total_mark
+          FROM ${RESPONSE_MARKS_TABLE_NAME}
+          WHERE response_id = $1 AND state = 'SUBMITTED'
+          ORDER BY id ASC
+        `,
+        [responseId],
+      );
+      const submittedRows = submittedRes.rows || [];
+      shouldLock = submittedRows.length >= settings.requiredMarks;
+      adjudication = await flagForAdjudicationIfDiscrepant(
+        client,
+        responseId,
+        submittedRows,
+        settings,
+      );
+    }
+
+    if (shouldLock) {
+      await lockResponse(client, responseId);
+    }
+
+    // Finish the marker's live-pool allocation for this Response, if any,
+    // and score a seed, before the submission's own audit events. Every
+    // lock is taken before the first audit event takes the audit chain
+    // lock, as the standalone writes do: the marker's eligibility lock
+    // (for the seed result) first, then the allocation row, whose
+    // completion is the first audit event.
+    if (seedForMark) {
+      await lockMarkerEligibility(client, markerUserId);
+    }
+    await completeAllocationForMarker(
+      responseId,
+      markerUserId,
+      await getActorForUserId(client, markerUserId),
+      { client },
+    );
+    if (seedForMark) {
+      await recordSeedResult(seedForMark, markerUserId, payload, { client });
+    }
+
+    // Audit events for submission (+ lock), written last: they hold the
+    // audit chain lock until the transaction commits.
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_SUBMITTED_EVENT_TYPE,
+      responseId,
+      markerUserId,
+      'SUBMITTED',
+      { lockedAnnotationCount },
+    );
+    if (shouldLock) {
+      await insertMarkingAuditEvent(
+        client,
+        MARKING_LOCKED_EVENT_TYPE,
+        responseId,
+        markerUserId,
+        'LOCKED',
+      );
+    }
+
+    if (adjudication) {
+      await insertMarkingAuditEvent(
+        client,
+        MARKING_ADJUDICATION_FLAGGED_EVENT_TYPE,
+        responseId,
+        markerUserId,
+        'ADJUDICATION_FLAGGED',
+        {
+          adjudicationId: adjudication.id,
+          minTotal: adjudication.min_total,
+          maxTotal: adjudication.max_total,
+          markTolerance: adjudication.mark_tolerance,
+        },
+      );
+    }
+
+    if (remark) {
+      const comparison = compareRemarkOutcome(remark);
+      await insertMarkingAuditEvent(
+        client,
+        MARKING_REMARK_COMPLETED_EVENT_TYPE,
+        responseId,
+        markerUserId,
+        'REMARK_COMPLETED',
+        {
+          remarkId: remark.id,
+          reasonCode: remark.reason_code,
+          originalTotalMark: remark.original_total_mark,
+          remarkTotalMark: remark.remark_total_mark,
+          totalDifference: comparison.totalDifference,
+        },
+      );
+    }
+
+    return markRow;
+  });
+}
+
+/**
+ * Apply a supervisor's ADJUST review to a submitted mark in client's open
+ * transaction. The reviewer's marks become the mark record's current
+ * snapshot, so every read of the mark sees the final mark, and are
+ * appended to its history stamped with markSchemeVersionId; the
+ * submission they replace stays in the history.
+ *
+ * Returns the updated row, or null if the mark is no longer SUBMITTED.
+ */
+async function applyReviewedMark(
+  client,
+  markRow,
+  payload,
+  totalMark,
+  markSchemeVersionId,
+) {
+  await lockResponseForWrite(client, markRow.response_id);
+
+  const res = await client.query(
+    `
+      UPDATE ${RESPONSE_MARKS_TABLE_NAME}
+      SET payload = $2::jsonb,
+          total_mark = $3,
+          mark_scheme_version_id = $4,
+          updated_at = NOW()
+      WHERE id = $1
+        AND state = 'SUBMITTED'
+      RETURNING id, response_id, marker_user_id, state, payload, total_mark, mark_scheme_version_id, created_at, updated_at
+    `,
+    [markRow.id, JSON.stringify(payload), totalMark, markSchemeVersionId],
   );
+  const updated = res.rows[0];
+  if (!updated) {
+    return null;
+  }
 
-  return row;
+  await appendMarkRecordVersion(client, updated);
+  return updated;
 }
 
 /**
@@ -309,7 +780,7 @@ async function getMarkForResponse(responseId, markerUserId) {
 
   const res = await pool.query(
     `
-      SELECT id, response_id, marker_user_id, state, payload, created_at, updated_at
+      SELECT id, response_id, marker_user_id, state, payload, total_mark, mark_scheme_version_id, created_at, updated_at
       FROM ${RESPONSE_MARKS_TABLE_NAME}
       WHERE response_id = $1 AND marker_user_id = $2
     `,
@@ -322,15 +793,798 @@ async function getMarkForResponse(responseId, markerUserId) {
   return res.rows[0];
 }
 
+/**
+ * Fetch the full mark history for a Response across all markers, in the
+ * order the versions were written.
+ */
+async function getMarkHistoryForResponse(responseId) {
+  await ensureMarkingTables();
+
+  const res = await pool.query(
+    `
+      SELECT id, response_mark_id, response_id, marker_user_id, sequence, state, payload, total_mark, mark_scheme_version_id, created_at
+      FROM ${MARK_RECORD_VERSIONS_TABLE_NAME}
+      WHERE response_id = $1
+      ORDER BY created_at ASC, id ASC
+    `,
+    [responseId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * List the marks given on a QIG's Responses by any of the given markers,
+ * newest first. Used to scope a team leader's view to their team.
+ */
+async function listMarksForMarkers(qigId, markerUserIds) {
+  await ensureMarkingTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        m.id,
+        m.response_id,
+        m.marker_user_id,
+        m.state,
+        m.payload,
+        m.total_mark,
+        m.created_at,
+        m.updated_at,
+        u.external_id AS marker_external_id,
+        r.candidate_id
+      FROM ${RESPONSE_MARKS_TABLE_NAME} m
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON m.response_id = r.id
+      JOIN ${USERS_TABLE_NAME} u
+        ON m.marker_user_id = u.id
+      WHERE r.qig_id = $1
+        AND m.marker_user_id = ANY($2::int[])
+      ORDER BY m.updated_at DESC, m.id DESC
+    `,
+    [qigId, markerUserIds],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Re-validate a QIG's marks after a mark scheme change.
+ *
+ * Returns { markSchemeVersion, marks } where marks are the mark records not
+ * saved under the current MarkSchemeVersion, each with the errors and total
+ * it would get under that version. Returns null if the QIG does not exist
+ * or has no MarkSchemeVersion.
+ */
+async function revalidateMarksForQig(qigId) {
+  await ensureMarkingTables();
+
+  const markSchemeVersion = await getCurrentMarkSchemeVersion(qigId);
+  if (!markSchemeVersion) {
+    return null;
+  }
+
+  const res = await pool.query(
+    `
+      SELECT
+        m.id,
+        m.response_id,
+        m.marker_user_id,
+        m.state,
+        m.payload,
+        m.total_mark,
+        m.mark_scheme_version_id,
+        m.created_at,
+        m.updated_at,
+        msv.version_number AS mark_scheme_version_number
+      FROM ${RESPONSE_MARKS_TABLE_NAME} m
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON m.response_id = r.id
+      LEFT JOIN ${MARK_SCHEME_VERSIONS_TABLE_NAME} msv
+        ON m.mark_scheme_version_id = msv.id
+      WHERE r.qig_id = $1
+        AND m.mark_scheme_version_id IS DISTINCT FROM $2
+      ORDER BY m.id ASC
+    `,
+    [qigId, markSchemeVersion.id],
+  );
+
+  const marks = (res.rows || []).map((row) => {
+    const { errors, total } = validateMarksAgainstScheme(
+      row.payload,
+      markSchemeVersion.definition,
+    );
+    return { ...row, errors, total };
+  });
+
+  return { markSchemeVersion, marks };
+}
+
+const REMARK_COLUMNS = `
+  id, response_id, requested_by_user_id, reason_code, state,
+  original_version_id, original_marker_user_id, original_payload, original_total_mark,
+  remark_version_id, remark_marker_user_id, remark_payload, remark_total_mark,
+  created_at, completed_at
+`;
+
+/**
+ * Open a remark cycle on a LOCKED Response.
+ *
+ * The most recent submitted mark version is snapshotted as the original,
+ * and the Response moves to REMARK so it accepts drafts and submissions
+ * again. Returns null if the Response does not exist.
+ *
+ * Throws with code REASON_CODE_REQUIRED, NOT_LOCKED (Response is not
+ * locked, including when a remark is already open) or NO_SUBMITTED_MARK.
+ */
+async function openRemark(responseId, requestedByUserId, reasonCode) {
+  await ensureMarkingTables();
+
+  if (typeof reasonCode !== 'string' || reasonCode.trim() === '') {
+    const err = new Error('A reason code is required to open a remark');
+    err.code = 'REASON_CODE_REQUIRED';
+    throw err;
+  }
+
+  const client = await pool.connect();
+  let remark;
+  try {
+    await client.query('BEGIN');
+
+    const responseRes = await client.query(
+      `SELECT id, state FROM ${RESPONSES_TABLE_NAME} WHERE id = $1 FOR UPDATE`,
+      [responseId],
+    );
+    if (!responseRes.rows || responseRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (responseRes.rows[0].state !== 'LOCKED') {
+      const err = new Error('Only locked responses can be remarked');
+      err.code = 'NOT_LOCKED';
+      err.state = responseRes.rows[0].state;
+      throw err;
+    }
+
+    const originalRes = await client.query(
+      `
+        SELECT id, marker_user_id, payload, total_mark
+        FROM ${MARK_RECORD_VERSIONS_TABLE_NAME}
+        WHERE response_id = $1 AND state = 'SUBMITTED'
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `,
+      [responseId],
+    );
+    if (!originalRes.rows || originalRes.rows.length === 0) {
+      const err = new Error('Response has no submitted mark to remark');
+      err.code = 'NO_SUBMITTED_MARK';
+      throw err;
+    }
+    const original = originalRes.rows[0];
+
+    const insertRes = await client.query(
+      `
+        INSERT INTO ${RESPONSE_REMARKS_TABLE_NAME} (
+          response_id,
+          requested_by_user_id,
+          reason_code,
+          original_version_id,
+          original_marker_user_id,
+          original_payload,
+          original_total_mark
+        )
+        VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7)
+        RETURNING ${REMARK_COLUMNS}
+      `,
+      [
+        responseId,
+        requestedByUserId,
+        reasonCode.trim(),
+        original.id,
+        original.marker_user_id,
+        JSON.stringify(original.payload),
+        original.total_mark,
+      ],
+    );
+    remark = insertRes.rows[0];
+
+    await client.query(
+      `UPDATE ${RESPONSES_TABLE_NAME} SET state = $2 WHERE id = $1`,
+      [responseId, REMARK_RESPONSE_STATE],
+    );
+
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_REMARK_OPENED_EVENT_TYPE,
+      responseId,
+      requestedByUserId,
+      'REMARK_OPENED',
+      {
+        remarkId: remark.id,
+        reasonCode: remark.reason_code,
+        originalVersionId: remark.original_version_id,
+        originalMarkerId: remark.original_marker_user_id,
+        originalTotalMark: remark.original_total_mark,
+      },
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return remark;
+}
+
+/**
+ * Close the open remark cycle for a Response (if any) with the given
+ * submitted mark row and its version. Returns the completed remark or null.
+ */
+async function completeOpenRemark(queryable, responseId, markRow, version) {
+  const res = await queryable.query(
+    `
+      UPDATE ${RESPONSE_REMARKS_TABLE_NAME}
+      SET
+        state = 'COMPLETED',
+        remark_version_id = $2,
+        remark_marker_user_id = $3,
+        remark_payload = $4::jsonb,
+        remark_total_mark = $5,
+        completed_at = NOW()
+      WHERE response_id = $1 AND state = 'OPEN'
+      RETURNING ${REMARK_COLUMNS}
+    `,
+    [
+      responseId,
+      version ? version.id : null,
+      markRow.marker_user_id,
+      JSON.stringify(markRow.payload),
+      markRow.total_mark,
+    ],
+  );
+
+  if (!res.rows || res.rows.length === 0) {
+    return null;
+  }
+  return res.rows[0];
+}
+
+/**
+ * Compare a completed remark against the original submission.
+ *
+ * Returns { totalDifference, itemDifferences } where differences are
+ * remark minus original; both are null / empty while the remark is open.
+ * Sub-part marks differ when any sub-part does, by the difference of their
+ * sums.
+ */
+function compareRemarkOutcome(remark) {
+  if (!remark || remark.state !== 'COMPLETED') {
+    return { totalDifference: null, itemDifferences: [] };
+  }
+
+  const original = remark.original_payload || {};
+  const remarked = remark.remark_payload || {};
+  const itemCodes = Array.from(
+    new Set([...Object.keys(original), ...Object.keys(remarked)]),
+  ).sort();
+
+  const itemDifferences = [];
+  for (const itemCode of itemCodes) {
+    const originalMark = Object.prototype.hasOwnProperty.call(original, itemCode)
+      ? original[itemCode]
+      : null;
+    const remarkMark = Object.prototype.hasOwnProperty.call(remarked, itemCode)
+      ? remarked[itemCode]
+      : null;
+    if (!isSameItemMark(originalMark, remarkMark)) {
+      const originalTotal = getItemMarkTotal(originalMark);
+      const remarkTotal = getItemMarkTotal(remarkMark);
+      itemDifferences.push({
+        itemCode,
+        originalMark,
+        remarkMark,
+        difference:
+          originalTotal !== null && remarkTotal !== null
+            ? remarkTotal - originalTotal
+            : null,
+      });
+    }
+  }
+
+  const totalDifference =
+    typeof remark.original_total_mark === 'number' &&
+    typeof remark.remark_total_mark === 'number'
+      ? remark.remark_total_mark - remark.original_total_mark
+      : null;
+
+  return { totalDifference, itemDifferences };
+}
+
+/**
+ * List all remark cycles for a Response, oldest first.
+ */
+async function getRemarksForResponse(responseId) {
+  await ensureMarkingTables();
+
+  const res = await pool.query(
+    `
+      SELECT ${REMARK_COLUMNS}
+      FROM ${RESPONSE_REMARKS_TABLE_NAME}
+      WHERE response_id = $1
+      ORDER BY created_at ASC, id ASC
+    `,
+    [responseId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * List Responses flagged for adjudication, oldest first, together with their
+ * QIG and deployment so callers can apply scoping.
+ *
+ * Options: { state = 'FLAGGED', deploymentCode, qigCode }.
+ */
+async function listAdjudicationFlags({ state, deploymentCode, qigCode } = {}) {
+  await ensureMarkingTables();
+  await ensureConfigTables();
+
+  const conditions = ['a.state = $1'];
+  const params = [state || 'FLAGGED'];
+  if (deploymentCode) {
+    params.push(deploymentCode);
+    conditions.push(`d.code = $${params.length}`);
+  }
+  if (qigCode) {
+    params.push(qigCode);
+    conditions.push(`q.code = $${params.length}`);
+  }
+
+  const res = await pool.query(
+    `
+      SELECT
+        a.id,
+        a.response_id,
+        a.state,
+        a.required_marks,
+        a.mark_tolerance,
+        a.min_total,
+        a.max_total,
+        a.totals,
+        a.created_at,
+        a.resolved_at,
+        r.candidate_id,
+        q.id AS qig_id,
+        q.code AS qig_code,
+        d.id AS deployment_id,
+        d.code AS deployment_code
+      FROM ${RESPONSE_ADJUDICATIONS_TABLE_NAME} a
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON a.response_id = r.id
+      JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+        ON r.qig_id = q.id
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.created_at ASC, a.id ASC
+    `,
+    params,
+  );
+  return res.rows || [];
+}
+
+/**
+ * Annotation types allowed on a Response: the annotationTypes of its QIG's
+ * current MarkSchemeVersion.
+ */
+async function getAllowedAnnotationTypesForResponse(responseId) {
+  const schemeVersion = await getMarkSchemeVersionForResponse(responseId);
+  return schemeVersion ? schemeVersion.definition.annotationTypes : [];
+}
+
+function isFraction(value) {
+  return (
+    typeof value === 'number' &&
+    Number.isFinite(value) &&
+    value >= 0 &&
+    value <= 1
+  );
+}
+
+function areCoordinatesValid(shape, coordinates) {
+  if (
+    !coordinates ||
+    typeof coordinates !== 'object' ||
+    Array.isArray(coordinates)
+  ) {
+    return false;
+  }
+  const { x, y, width, height } = coordinates;
+  if (!isFraction(x) || !isFraction(y)) {
+    return false;
+  }
+  if (shape === 'RECT') {
+    return (
+      isFraction(width) &&
+      isFraction(height) &&
+      x + width <= 1 &&
+      y + height <= 1
+    );
+  }
+  return true;
+}
+
+/**
+ * Validate annotation fields ({ pageImageId, itemCode?, annotationType,
+ * shape, coordinates, text? }) against what the Response allows: the
+ * annotation types of its mark scheme, its QIG's Items and the PageImages
+ * of its Script.
+ *
+ * Returns { errors } where errors is a list of { field, error } objects.
+ */
+function validateAnnotation(fields, { allowedTypes, items, pageImageIds }) {
+  const errors = [];
+  const value = fields || {};
+
+  if (!(pageImageIds || []).includes(value.pageImageId)) {
+    errors.push({ field: 'pageImageId', error: 'page_not_in_script' });
+  }
+  if (
+    value.itemCode != null &&
+    !(items || []).some((item) => item.code === value.itemCode)
+  ) {
+    errors.push({ field: 'itemCode', error: 'unknown_item' });
+  }
+  if (!(allowedTypes || []).includes(value.annotationType)) {
+    errors.push({ field: 'annotationType', error: 'type_not_allowed' });
+  }
+  if (!ANNOTATION_SHAPES.includes(value.shape)) {
+    errors.push({ field: 'shape', error: 'unknown_shape' });
+  } else if (!areCoordinatesValid(value.shape, value.coordinates)) {
+    errors.push({ field: 'coordinates', error: 'invalid_coordinates' });
+  }
+  if (value.text != null && typeof value.text !== 'string') {
+    errors.push({ field: 'text', error: 'not_a_string' });
+  }
+
+  return { errors };
+}
+
+const ANNOTATION_SELECT_SQL = `
+  SELECT
+    a.*,
+    i.code AS item_code,
+    r.script_id,
+    r.candidate_id
+  FROM ${RESPONSE_ANNOTATIONS_TABLE_NAME} a
+  JOIN ${RESPONSES_TABLE_NAME} r
+    ON a.response_id = r.id
+  LEFT JOIN ${ASSESSMENT_ITEMS_TABLE_NAME} i
+    ON a.item_id = i.id
+`;
+
+/**
+ * List a marker's annotations on a Response, oldest first.
+ */
+async function listAnnotationsForResponse(responseId, markerUserId) {
+  await ensureMarkingTables();
+
+  const res = await pool.query(
+    `
+      ${ANNOTATION_SELECT_SQL}
+      WHERE a.response_id = $1 AND a.marker_user_id = $2
+      ORDER BY a.id ASC
+    `,
+    [responseId, markerUserId],
+  );
+  return res.rows || [];
+}
+
+async function getAnnotationForMarker(
+  queryable,
+  responseId,
+  annotationId,
+  markerUserId,
+) {
+  const res = await queryable.query(
+    `
+      ${ANNOTATION_SELECT_SQL}
+      WHERE a.id = $1 AND a.response_id = $2 AND a.marker_user_id = $3
+    `,
+    [annotationId, responseId, markerUserId],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Validate annotation fields for a Response and resolve them to column
+ * values. Throws with code INVALID_ANNOTATION and fieldErrors.
+ */
+async function resolveAnnotationFields(responseId, fields) {
+  const responseRes = await pool.query(
+    `SELECT script_id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+    [responseId],
+  );
+  const scriptId = responseRes.rows[0] ? responseRes.rows[0].script_id : null;
+  const pagesRes = await pool.query(
+    `SELECT id FROM ${PAGE_IMAGES_TABLE_NAME} WHERE script_id = $1`,
+    [scriptId],
+  );
+
+  const items = await getItemsForResponse(responseId);
+  const { errors } = validateAnnotation(fields, {
+    allowedTypes: await getAllowedAnnotationTypesForResponse(responseId),
+    items,
+    pageImageIds: pagesRes.rows.map((row) => row.id),
+  });
+  if (errors.length > 0) {
+    const err = new Error('Annotation is not valid for this response');
+    err.code = 'INVALID_ANNOTATION';
+    err.fieldErrors = errors;
+    throw err;
+  }
+
+  const item = items.find((candidate) => candidate.code === fields.itemCode);
+  return {
+    pageImageId: fields.pageImageId,
+    itemId: item ? item.id : null,
+    annotationType: fields.annotationType,
+    shape: fields.shape,
+    coordinates: JSON.stringify(fields.coordinates),
+    text: fields.text == null ? null : fields.text,
+  };
+}
+
+function assertAnnotationUnlocked(annotation) {
+  if (annotation.locked_at) {
+    const err = new Error('Annotation was locked by a submission');
+    err.code = 'ANNOTATION_LOCKED';
+    throw err;
+  }
+}
+
+/**
+ * Add an annotation by the marker to a Response. The same rules as for
+ * drafts apply (see assertMarkWritable); the fields are validated with
+ * validateAnnotation. Writes a MARKING_ANNOTATION_UPDATED audit event in
+ * the same transaction.
+ */
+async function createAnnotation(responseId, markerUserId, fields) {
+  await ensureMarkingTables();
+
+  await assertMarkWritable(pool, responseId, markerUserId);
+  const values = await resolveAnnotationFields(responseId, fields);
+
+  return runMarkingTransaction(async (client) => {
+    await lockResponseForWrite(client, responseId);
+    await assertMarkWritable(client, responseId, markerUserId);
+
+    const res = await client.query(
+      `
+        INSERT INTO ${RESPONSE_ANNOTATIONS_TABLE_NAME} (
+          response_id,
+          marker_user_id,
+          page_image_id,
+          item_id,
+          annotation_type,
+          shape,
+          coordinates,
+          text
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8)
+        RETURNING id
+      `,
+      [
+        responseId,
+        markerUserId,
+        values.pageImageId,
+        values.itemId,
+        values.annotationType,
+        values.shape,
+        values.coordinates,
+        values.text,
+      ],
+    );
+    const annotation = await getAnnotationForMarker(
+      client,
+      responseId,
+      res.rows[0].id,
+      markerUserId,
+    );
+
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_ANNOTATION_UPDATED_EVENT_TYPE,
+      responseId,
+      markerUserId,
+      'ANNOTATION_CREATED',
+      { annotationId: annotation.id, annotationType: annotation.annotation_type },
+    );
+
+    return annotation;
+  });
+}
+
+/**
+ * Replace the fields of one of the marker's annotations. Returns null if
+ * the marker has no such annotation on the Response; throws with code
+ * ANNOTATION_LOCKED once it has been submitted.
+ */
+async function updateAnnotation(responseId, annotationId, markerUserId, fields) {
+  await ensureMarkingTables();
+
+  const existing = await getAnnotationForMarker(
+    pool,
+    responseId,
+    annotationId,
+    markerUserId,
+  );
+  if (!existing) {
+    return null;
+  }
+  assertAnnotationUnlocked(existing);
+  await assertMarkWritable(pool, responseId, markerUserId);
+  const values = await resolveAnnotationFields(responseId, fields);
+
+  return runMarkingTransaction(async (client) => {
+    await lockResponseForWrite(client, responseId);
+    await assertMarkWritable(client, responseId, markerUserId);
+
+    await client.query(
+      `
+        UPDATE ${RESPONSE_ANNOTATIONS_TABLE_NAME}
+        SET page_image_id = $2,
+            item_id = $3,
+            annotation_type = $4,
+            shape = $5,
+            coordinates = $6::jsonb,
+            text = $7,
+            updated_at = NOW()
+        WHERE id = $1 AND locked_at IS NULL
+      `,
+      [
+        annotationId,
+        values.pageImageId,
+        values.itemId,
+        values.annotationType,
+        values.shape,
+        values.coordinates,
+        values.text,
+      ],
+    );
+    const annotation = await getAnnotationForMarker(
+      client,
+      responseId,
+      annotationId,
+      markerUserId,
+    );
+
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_ANNOTATION_UPDATED_EVENT_TYPE,
+      responseId,
+      markerUserId,
+      'ANNOTATION_UPDATED',
+      { annotationId: annotation.id, annotationType: annotation.annotation_type },
+    );
+
+    return annotation;
+  });
+}
+
+/**
+ * Delete one of the marker's annotations and return it. Returns null if
+ * the marker has no such annotation on the Response; throws with code
+ * ANNOTATION_LOCKED once it has been submitted.
+ */
+async function deleteAnnotation(responseId, annotationId, markerUserId) {
+  await ensureMarkingTables();
+
+  const existing = await getAnnotationForMarker(
+    pool,
+    responseId,
+    annotationId,
+    markerUserId,
+  );
+  if (!existing) {
+    return null;
+  }
+  assertAnnotationUnlocked(existing);
+  await assertMarkWritable(pool, responseId, markerUserId);
+
+  return runMarkingTransaction(async (client) => {
+    await lockResponseForWrite(client, responseId);
+    await assertMarkWritable(client, responseId, markerUserId);
+
+    await client.query(
+      `
+        DELETE FROM ${RESPONSE_ANNOTATIONS_TABLE_NAME}
+        WHERE id = $1 AND locked_at IS NULL
+      `,
+      [annotationId],
+    );
+
+    await insertMarkingAuditEvent(
+      client,
+      MARKING_ANNOTATION_UPDATED_EVENT_TYPE,
+      responseId,
+      markerUserId,
+      'ANNOTATION_DELETED',
+      { annotationId: existing.id, annotationType: existing.annotation_type },
+    );
+
+    return existing;
+  });
+}
+
+/**
+ * Lock the marker's open annotations on a Response to the submitted mark
+ * record. Returns the number of annotations locked.
+ */
+async function lockAnnotationsForMark(queryable, markRow) {
+  const res = await queryable.query(
+    `
+      UPDATE ${RESPONSE_ANNOTATIONS_TABLE_NAME}
+      SET locked_at = NOW(),
+          response_mark_id = $3
+      WHERE response_id = $1
+        AND marker_user_id = $2
+        AND locked_at IS NULL
+    `,
+    [markRow.response_id, markRow.marker_user_id, markRow.id],
+  );
+  return res.rowCount;
+}
+
 module.exports = {
   RESPONSE_MARKS_TABLE_NAME,
+  MARK_RECORD_VERSIONS_TABLE_NAME,
+  RESPONSE_REMARKS_TABLE_NAME,
+  RESPONSE_ADJUDICATIONS_TABLE_NAME,
+  RESPONSE_ANNOTATIONS_TABLE_NAME,
   MARKING_DRAFT_SAVED_EVENT_TYPE,
   MARKING_SUBMITTED_EVENT_TYPE,
   MARKING_LOCKED_EVENT_TYPE,
+  MARKING_REMARK_OPENED_EVENT_TYPE,
+  MARKING_REMARK_COMPLETED_EVENT_TYPE,
+  MARKING_ADJUDICATION_FLAGGED_EVENT_TYPE,
+  MARKING_ANNOTATION_UPDATED_EVENT_TYPE,
+  REMARK_RESPONSE_STATE,
+  HELD_RESPONSE_STATE,
+  CLOSED_RESPONSE_STATE,
+  ANNOTATION_SHAPES,
   ensureMarkingTables,
   saveDraftMark,
   submitMark,
+  applyReviewedMark,
   getMarkForResponse,
+  getMarkHistoryForResponse,
+  listMarksForMarkers,
+  revalidateMarksForQig,
+  openRemark,
+  getRemarksForResponse,
+  compareRemarkOutcome,
+  listAdjudicationFlags,
+  validateAnnotation,
+  getAllowedAnnotationTypesForResponse,
+  listAnnotationsForResponse,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  getItemsForResponse,
+  getMarkSchemeVersionForResponse,
+  validateMarksAgainstItems,
+  buildMarkingMetaForResponse,
   isResponseLocked,
   lockResponse,
 };
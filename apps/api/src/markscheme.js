@@ -0,0 +1,557 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+  ASSESSMENT_ITEMS_TABLE_NAME,
+} = require('./assessment');
+const {
+  DEPLOYMENTS_TABLE_NAME,
+  CONFIG_VERSIONS_TABLE_NAME,
+  CONFIG_ARTIFACTS_TABLE_NAME,
+} = require('./config');
+const {
+  appendAuditEvent,
+  MARK_SCHEME_VERSION_CREATED_EVENT_TYPE,
+} = require('./audit');
+
+const MARK_SCHEME_VERSIONS_TABLE_NAME = 'mark_scheme_versions';
+
+// Config artifact holding the deployment's mark scheme:
+// {
+//   annotationTypes: [...],
+//   qigs: {
+//     [qigCode]: {
+//       annotationTypes?: [...],
+//       items: { [itemCode]: { markType?, allowedValues?, subParts? } }
+//     }
+//   }
+// }
+// Without one, every Item is an INTEGER mark up to its max_mark and the
+// default annotation types apply.
+const MARK_SCHEME_ARTIFACT_TYPE = 'mark_scheme';
+const DEFAULT_ANNOTATION_TYPES = ['TICK', 'CROSS', 'COMMENT'];
+
+/**
+ * Item mark types:
+ * - INTEGER: a whole mark from 0 to maxMark, limited to allowedValues when
+ *   given. With subParts the mark is an object of per-part integers, each
+ *   up to the part's maxMark, summing to at most maxMark.
+ * - BOOLEAN: either 0 or maxMark.
+ */
+const MARK_TYPES = ['INTEGER', 'BOOLEAN'];
+
+/**
+ * Ensure the mark_scheme_versions table exists (see
+ * migrations/0006_mark_schemes.sql).
+ *
+ * A MarkSchemeVersion is an immutable snapshot of a QIG's mark scheme,
+ * numbered per QIG, recording the config version it was taken from.
+ */
+async function ensureMarkSchemeTables() {
+  await ensureSchema();
+}
+
+function isIntegerList(value) {
+  return Array.isArray(value) && value.every((v) => Number.isInteger(v));
+}
+
+function asObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? value
+    : {};
+}
+
+/**
+ * Build a QIG's mark scheme definition from the mark_scheme artifact (or
+ * null) and the QIG's live Items ({ code, max_mark }, in order).
+ *
+ * Returns { annotationTypes, items: [{ code, maxMark, markType,
+ * allowedValues, subParts }] }. Artifact entries for codes that are not
+ * Items of the QIG are ignored, as are malformed settings.
+ */
+function buildMarkSchemeDefinition(markScheme, qigCode, items) {
+  const scheme = asObject(markScheme);
+  const qigScheme = asObject(asObject(scheme.qigs)[qigCode]);
+  const itemSchemes = asObject(qigScheme.items);
+
+  let annotationTypes = DEFAULT_ANNOTATION_TYPES;
+  if (Array.isArray(qigScheme.annotationTypes)) {
+    ({ annotationTypes } = qigScheme);
+  } else if (Array.isArray(scheme.annotationTypes)) {
+    ({ annotationTypes } = scheme);
+  }
+
+  return {
+    annotationTypes,
+    items: (items || []).map((item) => {
+      const itemScheme = asObject(itemSchemes[item.code]);
+      const markType = MARK_TYPES.includes(itemScheme.markType)
+        ? itemScheme.markType
+        : 'INTEGER';
+
+      const subParts =
+        markType === 'INTEGER' &&
+        Array.isArray(itemScheme.subParts) &&
+        itemScheme.subParts.length > 0 &&
+        itemScheme.subParts.every(
+          (part) =>
+            part &&
+            typeof part.code === 'string' &&
+            Number.isInteger(part.maxMark) &&
+            part.maxMark >= 0,
+        )
+          ? itemScheme.subParts.map((part) => ({
+              code: part.code,
+              maxMark: part.maxMark,
+            }))
+          : null;
+
+      const allowedValues =
+        markType === 'INTEGER' &&
+        !subParts &&
+        isIntegerList(itemScheme.allowedValues)
+          ? itemScheme.allowedValues
+          : null;
+
+      return {
+        code: item.code,
+        maxMark: item.max_mark,
+        markType,
+        allowedValues,
+        subParts,
+      };
+    }),
+  };
+}
+
+/**
+ * Validate a marks object ({ [itemCode]: mark }) against a mark scheme
+ * definition (see buildMarkSchemeDefinition).
+ *
+ * Every Item must be marked exactly once; codes that are not Items are
+ * rejected. Returns { errors, total } in the shape of
+ * validateMarksAgainstItems, where sub-part errors also carry subPartCode.
+ */
+function validateMarksAgainstScheme(marks, definition) {
+  const errors = [];
+  const values = marks || {};
+  const items = (definition && definition.items) || [];
+  const itemCodes = new Set(items.map((item) => item.code));
+
+  Object.keys(values).forEach((itemCode) => {
+    if (!itemCodes.has(itemCode)) {
+      errors.push({ itemCode, error: 'unknown_item' });
+    }
+  });
+
+  let total = 0;
+  items.forEach((item) => {
+    const { code: itemCode, maxMark } = item;
+
+    if (!Object.prototype.hasOwnProperty.call(values, itemCode)) {
+      errors.push({ itemCode, error: 'missing_item', maxMark });
+      return;
+    }
+
+    const value = values[itemCode];
+
+    if (item.subParts) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ itemCode, error: 'sub_parts_required', maxMark });
+        return;
+      }
+      const partErrors = [];
+      let itemTotal = 0;
+      const partCodes = new Set(item.subParts.map((part) => part.code));
+      Object.keys(value).forEach((subPartCode) => {
+        if (!partCodes.has(subPartCode)) {
+          partErrors.push({ itemCode, subPartCode, error: 'unknown_sub_part' });
+        }
+      });
+      item.subParts.forEach((part) => {
+        const partValue = value[part.code];
+        if (partValue === undefined) {
+          partErrors.push({
+            itemCode,
+            subPartCode: part.code,
+            error: 'missing_sub_part',
+            maxMark: part.maxMark,
+          });
+        } else if (!Number.isInteger(partValue)) {
+          partErrors.push({
+            itemCode,
+            subPartCode: part.code,
+            error: 'not_an_integer',
+            maxMark: part.maxMark,
+          });
+        } else if (partValue < 0 || partValue > part.maxMark) {
+          partErrors.push({
+            itemCode,
+            subPartCode: part.code,
+            error: partValue < 0 ? 'negative_mark' : 'exceeds_max_mark',
+            maxMark: part.maxMark,
+          });
+        } else {
+          itemTotal += partValue;
+        }
+      });
+      if (partErrors.length > 0) {
+        errors.push(...partErrors);
+        return;
+      }
+      if (itemTotal > maxMark) {
+        errors.push({ itemCode, error: 'exceeds_max_mark', maxMark });
+        return;
+      }
+      total += itemTotal;
+      return;
+    }
+
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push({ itemCode, error: 'not_an_integer', maxMark });
+      return;
+    }
+    if (value < 0) {
+      errors.push({ itemCode, error: 'negative_mark', maxMark });
+      return;
+    }
+    if (value > maxMark) {
+      errors.push({ itemCode, error: 'exceeds_max_mark', maxMark });
+      return;
+    }
+    if (item.markType === 'BOOLEAN' && value !== 0 && value !== maxMark) {
+      errors.push({ itemCode, error: 'not_allowed_value', maxMark });
+      return;
+    }
+    if (item.allowedValues && !item.allowedValues.includes(value)) {
+      errors.push({
+        itemCode,
+        error: 'not_allowed_value',
+        maxMark,
+        allowedValues: item.allowedValues,
+      });
+      return;
+    }
+
+    total += value;
+  });
+
+  return {
+    errors,
+    total: errors.length > 0 ? null : total,
+  };
+}
+
+function isSubPartMark(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Total of one Item's mark: the mark itself, or the sum of its sub-part
+ * marks. Null if the value is not a mark.
+ */
+function getItemMarkTotal(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (!isSubPartMark(value)) {
+    return null;
+  }
+  const parts = Object.values(value);
+  if (!parts.every((part) => typeof part === 'number')) {
+    return null;
+  }
+  return parts.reduce((sum, part) => sum + part, 0);
+}
+
+/**
+ * Whether two marks for the same Item are equal. Sub-part marks are equal
+ * when they give every sub-part the same mark.
+ */
+function isSameItemMark(a, b) {
+  if (!isSubPartMark(a) || !isSubPartMark(b)) {
+    return a === b;
+  }
+  const codes = Object.keys(a);
+  return (
+    codes.length === Object.keys(b).length &&
+    codes.every(
+      (code) =>
+        Object.prototype.hasOwnProperty.call(b, code) && a[code] === b[code],
+    )
+  );
+}
+
+async function getQigContext(queryable, qigId) {
+  const res = await queryable.query(
+    `
+      SELECT
+        q.id AS qig_id,
+        q.code AS qig_code,
+        d.id AS deployment_id,
+        d.code AS deployment_code
+      FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      WHERE q.id = $1
+    `,
+    [qigId],
+  );
+  return res.rows[0] || null;
+}
+
+const MARK_SCHEME_VERSION_SELECT_SQL = `
+  SELECT
+    msv.*,
+    cv.version_number AS config_version_number
+  FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME} msv
+  LEFT JOIN ${CONFIG_VERSIONS_TABLE_NAME} cv
+    ON msv.config_version_id = cv.id
+`;
+
+/**
+ * List a QIG's MarkSchemeVersions, newest first.
+ */
+async function listMarkSchemeVersions(qigId) {
+  await ensureMarkSchemeTables();
+
+  const res = await pool.query(
+    `
+      ${MARK_SCHEME_VERSION_SELECT_SQL}
+      WHERE msv.qig_id = $1
+      ORDER BY msv.version_number DESC
+    `,
+    [qigId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Return the MarkSchemeVersion currently in force for a QIG: its latest
+ * recorded version, or null if it has none (or the QIG does not exist).
+ * Reading never records a version; see recordMarkSchemeVersions.
+ */
+async function getCurrentMarkSchemeVersion(qigId) {
+  await ensureMarkSchemeTables();
+
+  const res = await pool.query(
+    `
+      ${MARK_SCHEME_VERSION_SELECT_SQL}
+      WHERE msv.qig_id = $1
+      ORDER BY msv.version_number DESC
+      LIMIT 1
+    `,
+    [qigId],
+  );
+  return res.rows[0] || null;
+}
+
+function buildAuditActor(actor) {
+  return actor
+    ? {
+        id: actor.id,
+        externalId: actor.external_id,
+        displayName: actor.display_name,
+      }
+    : null;
+}
+
+// The mark scheme a QIG has as client sees it: built from the mark_scheme
+// artifact of its deployment's active config and its live Items. Returns
+// { configVersion, definition }.
+async function buildCurrentMarkScheme(client, context) {
+  const configRes = await client.query(
+    `
+      SELECT cv.id, cv.version_number, a.payload AS mark_scheme
+      FROM ${CONFIG_VERSIONS_TABLE_NAME} cv
+      LEFT JOIN ${CONFIG_ARTIFACTS_TABLE_NAME} a
+        ON a.config_version_id = cv.id
+        AND a.artifact_type = $2
+      WHERE cv.deployment_id = $1 AND cv.status = 'ACTIVE'
+      ORDER BY cv.version_number DESC
+      LIMIT 1
+    `,
+    [context.deployment_id, MARK_SCHEME_ARTIFACT_TYPE],
+  );
+  const configVersion = configRes.rows[0] || null;
+
+  const itemsRes = await client.query(
+    `
+      SELECT code, max_mark
+      FROM ${ASSESSMENT_ITEMS_TABLE_NAME}
+      WHERE qig_id = $1 AND archived_at IS NULL
+      ORDER BY id ASC
+    `,
+    [context.qig_id],
+  );
+  const definition = buildMarkSchemeDefinition(
+    configVersion ? configVersion.mark_scheme : null,
+    context.qig_code,
+    itemsRes.rows,
+  );
+  return { configVersion, definition };
+}
+
+// Insert a new MarkSchemeVersion for a QIG in client's open transaction if
+// its scheme differs from the latest recorded one. Returns the
+// MARK_SCHEME_VERSION_CREATED audit meta for a new version, else null.
+async function insertMarkSchemeVersion(client, qigId) {
+  const context = await getQigContext(client, qigId);
+  if (!context) {
+    return null;
+  }
+
+  const { configVersion, definition } = await buildCurrentMarkScheme(
+    client,
+    context,
+  );
+
+  // jsonb equality ignores key order, so compare in the database.
+  const latestRes = await client.query(
+    `
+      SELECT id, version_number, definition = $2::jsonb AS unchanged
+      FROM ${MARK_SCHEME_VERSIONS_TABLE_NAME}
+      WHERE qig_id = $1
+      ORDER BY version_number DESC
+      LIMIT 1
+    `,
+    [qigId, JSON.stringify(definition)],
+  );
+  const latest = latestRes.rows[0] || null;
+  if (latest && latest.unchanged) {
+    return null;
+  }
+
+  const versionNumber = latest ? latest.version_number + 1 : 1;
+  const insertRes = await client.query(
+    `
+      INSERT INTO ${MARK_SCHEME_VERSIONS_TABLE_NAME} (
+        qig_id,
+        version_number,
+        config_version_id,
+        definition
+      )
+      VALUES ($1, $2, $3, $4::jsonb)
+      RETURNING id
+    `,
+    [
+      qigId,
+      versionNumber,
+      configVersion ? configVersion.id : null,
+      JSON.stringify(definition),
+    ],
+  );
+
+  return {
+    markSchemeVersionId: insertRes.rows[0].id,
+    versionNumber,
+    previousVersionNumber: latest ? latest.version_number : null,
+    configVersionId: configVersion ? configVersion.id : null,
+    configVersionNumber: configVersion ? configVersion.version_number : null,
+    qigId: context.qig_id,
+    qigCode: context.qig_code,
+    deploymentId: context.deployment_id,
+    deploymentCode: context.deployment_code,
+  };
+}
+
+/**
+ * Record a new MarkSchemeVersion for each of the given QIGs whose scheme
+ * has changed, in client's open transaction.
+ *
+ * The scheme is built from the mark_scheme artifact of the deployment's
+ * active config and the QIG's live Items, as the transaction sees them, so
+ * the caller records versions in the same transaction that changes the
+ * Items or the active config. A new version is recorded against the
+ * active config version and audited as MARK_SCHEME_VERSION_CREATED;
+ * options: { actor }.
+ *
+ * QIGs are locked in id order and every version is inserted before the
+ * first audit event, which holds the audit chain lock until the caller
+ * commits. Returns the audit metas of the versions recorded.
+ */
+async function recordMarkSchemeVersions(client, qigIds, options = {}) {
+  const ordered = [...new Set(qigIds)].sort((a, b) => a - b);
+
+  const created = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const qigId of ordered) {
+    // Serialise version numbering per QIG. NO KEY UPDATE does not wait on
+    // the key share a caller's Item insert already holds on the QIG.
+    // eslint-disable-next-line no-await-in-loop
+    await client.query(
+      `SELECT id FROM ${ASSESSMENT_QIGS_TABLE_NAME} WHERE id = $1 FOR NO KEY UPDATE`,
+      [qigId],
+    );
+    // eslint-disable-next-line no-await-in-loop
+    const meta = await insertMarkSchemeVersion(client, qigId);
+    if (meta) {
+      created.push(meta);
+    }
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const meta of created) {
+    // eslint-disable-next-line no-await-in-loop
+    await appendAuditEvent(
+      MARK_SCHEME_VERSION_CREATED_EVENT_TYPE,
+      { meta, actor: buildAuditActor(options.actor) },
+      { client },
+    );
+  }
+  return created;
+}
+
+/**
+ * Record new MarkSchemeVersions (see recordMarkSchemeVersions) for every
+ * live QIG of a deployment, in client's open transaction, e.g. when a
+ * config version is activated.
+ */
+async function recordMarkSchemeVersionsForDeployment(
+  client,
+  deploymentId,
+  options = {},
+) {
+  const qigsRes = await client.query(
+    `
+      SELECT q.id
+      FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      WHERE s.deployment_id = $1
+        AND q.archived_at IS NULL
+        AND p.archived_at IS NULL
+        AND s.archived_at IS NULL
+    `,
+    [deploymentId],
+  );
+  return recordMarkSchemeVersions(
+    client,
+    qigsRes.rows.map((row) => row.id),
+    options,
+  );
+}
+
+module.exports = {
+  MARK_SCHEME_VERSIONS_TABLE_NAME,
+  MARK_SCHEME_ARTIFACT_TYPE,
+  DEFAULT_ANNOTATION_TYPES,
+  MARK_TYPES,
+  ensureMarkSchemeTables,
+  buildMarkSchemeDefinition,
+  validateMarksAgainstScheme,
+  getItemMarkTotal,
+  isSameItemMark,
+  listMarkSchemeVersions,
+  getCurrentMarkSchemeVersion,
+  recordMarkSchemeVersions,
+  recordMarkSchemeVersionsForDeployment,
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+const SCHEMA_MIGRATIONS_TABLE_NAME = 'schema_migrations';
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named <4-digit version>_<name>.sql and applied in
+// version order.
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Advisory lock namespace for applying migrations, so concurrent runners
+ * (several API processes starting at once) apply each migration once.
+ */
+const MIGRATION_LOCK_NAMESPACE = 4901;
+
+function buildMigrationError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+/**
+ * SHA-256 (hex) of a migration's SQL. Line endings are normalised so a
+ * checkout with CRLF endings does not look like an edited migration.
+ */
+function computeMigrationChecksum(sql) {
+  return crypto
+    .createHash('sha256')
+    .update(sql.replace(/\r\n/g, '\n'))
+    .digest('hex');
+}
+
+/**
+ * Read the migration files of dir, in version order.
+ * Returns [{ version, name, filename, sql, checksum }].
+ *
+ * Throws INVALID_MIGRATION_FILENAME for a .sql file that does not match
+ * <version>_<name>.sql and DUPLICATE_MIGRATION_VERSION when two files
+ * share a version.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const filenames = fs
+    .readdirSync(dir)
+    .filter((filename) => filename.endsWith('.sql'))
+    .sort();
+
+  const migrations = [];
+  filenames.forEach((filename) => {
+    const match = MIGRATION_FILE_PATTERN.exec(filename);
+    if (!match) {
+      throw buildMigrationError(
+        'INVALID_MIGRATION_FILENAME',
+        `Migration file ${filename} must be named <version>_<name>.sql`,
+        { filename },
+      );
+    }
+
+    const version = match[1];
+    const previous = migrations[migrations.length - 1];
+    if (previous && previous.version === version) {
+      throw buildMigrationError(
+        'DUPLICATE_MIGRATION_VERSION',
+        `Migrations ${previous.filename} and ${filename} share version ${version}`,
+        { version },
+      );
+    }
+
+    const sql = fs.readFileSync(path.join(dir, filename), 'utf8');
+    migrations.push({
+      version,
+      name: match[2],
+      filename,
+      sql,
+      checksum: computeMigrationChecksum(sql),
+    });
+  });
+  return migrations;
+}
+
+/**
+ * Read the applied migrations as a Map of version -> row, without running
+ * DDL: a database that has never been migrated has none.
+ */
+async function getAppliedMigrations(queryable) {
+  const existsRes = await queryable.query(
+    `SELECT to_regclass($1) IS NOT NULL AS present`,
+    [SCHEMA_MIGRATIONS_TABLE_NAME],
+  );
+  if (!existsRes.rows[0].present) {
+    return new Map();
+  }
+
+  const res = await queryable.query(
+    `
+      SELECT version, name, checksum, applied_at
+      FROM ${SCHEMA_MIGRATIONS_TABLE_NAME}
+      ORDER BY version ASC
+    `,
+  );
+  return new Map(res.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Throw MIGRATION_CHECKSUM_MISMATCH if an applied migration's file has
+ * been edited since it was applied. Applied migrations are immutable;
+ * schema changes go in a new migration.
+ */
+function assertAppliedChecksums(migrations, applied) {
+  migrations.forEach((migration) => {
+    const row = applied.get(migration.version);
+    if (row && row.checksum !== migration.checksum) {
+      throw buildMigrationError(
+        'MIGRATION_CHECKSUM_MISMATCH',
+        `Migration ${migration.filename} was changed after it was applied`,
+        {
+          version: migration.version,
+          expected: row.checksum,
+          actual: migration.checksum,
+        },
+      );
+    }
+  });
+}
+
+/**
+ * Report the state of each migration file against the database.
+ *
+ * Returns { migrations: [{ version, name, checksum, state, appliedAt }],
+ * unknown: [{ version, name, appliedAt }] } where state is APPLIED,
+ * PENDING or CHANGED (applied, but the file has been edited since) and
+ * unknown lists applied versions with no file, e.g. from a newer release.
+ * Runs no DDL.
+ */
+async function getMigrationStatus({ dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await getAppliedMigrations(pool);
+
+  const versions = new Set(migrations.map((migration) => migration.version));
+  return {
+    migrations: migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      let state = 'PENDING';
+      if (row) {
+        state = row.checksum === migration.checksum ? 'APPLIED' : 'CHANGED';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        checksum: migration.checksum,
+        state,
+        appliedAt: row ? row.applied_at : null,
+      };
+    }),
+    unknown: [...applied.values()]
+      .filter((row) => !versions.has(row.version))
+      .map((row) => ({
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+      })),
+  };
+}
+
+/**
+ * Apply the pending migrations, in version order, and return
+ * { applied: [{ version, name, checksum }] }.
+ *
+ * All pending migrations run in one transaction under an advisory lock,
+ * so a failing migration leaves the schema as it was and concurrent
+ * runners wait for each other. Throws MIGRATION_CHECKSUM_MISMATCH (see
+ * assertAppliedChecksums) before applying anything.
+ */
+async function migrate({ dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  // Common case first: nothing to apply, no lock and no DDL.
+  const known = await getAppliedMigrations(pool);
+  assertAppliedChecksums(migrations, known);
+  if (migrations.every((migration) => known.has(migration.version))) {
+    return { applied: [] };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [
+      MIGRATION_LOCK_NAMESPACE,
+      0,
+    ]);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${SCHEMA_MIGRATIONS_TABLE_NAME} (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Another runner may have applied some while we waited for the lock.
+    const applied = await getAppliedMigrations(client);
+    assertAppliedChecksums(migrations, applied);
+
+    const newlyApplied = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const migration of migrations) {
+      if (!applied.has(migration.version)) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await client.query(migration.sql);
+        } catch (err) {
+          err.migration = migration.filename;
+          throw err;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await client.query(
+          `
+            INSERT INTO ${SCHEMA_MIGRATIONS_TABLE_NAME} (version, name, checksum)
+            VALUES ($1, $2, $3)
+          `,
+          [migration.version, migration.name, migration.checksum],
+        );
+        newlyApplied.push({
+          version: migration.version,
+          name: migration.name,
+          checksum: migration.checksum,
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return { applied: newlyApplied };
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+let schemaReady = null;
+
+/**
+ * Resolve once the schema is migrated. The first call in a process runs
+ * migrate() (a no-op when the server already migrated on startup); later
+ * calls reuse its result, so the module ensure*Tables() helpers that call
+ * this cost nothing on the request path. A failed run is retried on the
+ * next call.
+ */
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = migrate().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+module.exports = {
+  SCHEMA_MIGRATIONS_TABLE_NAME,
+  MIGRATIONS_DIR,
+  computeMigrationChecksum,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  ensureSchema,
+};
@@ -1,12 +1,13 @@
 'use strict';
 
 const { getPermissionsForUser, getRolesForUser } = require('./identity');
+const { getTeamMembershipsForUser } = require('./teams');
 
 /**
  * Build a basic operational profile for the given user row.
  *
  * Phase 1:
- * - Uses existing identity + roles only.
+ * - Uses existing identity + roles, plus team membership per QIG.
  * - Other sections are placeholders for future slices (assignments, standardisation, etc.).
  */
 async function getProfileForUser(user) {
@@ -14,9 +15,10 @@ async function getProfileForUser(user) {
     throw new Error('user_required');
   }
 
-  const [permissions, roles] = await Promise.all([
+  const [permissions, roles, teamMemberships] = await Promise.all([
     getPermissionsForUser(user.id),
     getRolesForUser(user.id),
+    getTeamMembershipsForUser(user.id),
   ]);
 
   const roleSummaries = (roles || []).map((role) => ({
@@ -25,6 +27,19 @@ async function getProfileForUser(user) {
     name: role.name,
   }));
 
+  // One entry per team the user leads (LEADER) or belongs to (MEMBER).
+  const teamMembership = (teamMemberships || []).map((row) => ({
+    teamId: row.team_id,
+    teamCode: row.team_code,
+    teamName: row.team_name,
+    level: row.level,
+    role: row.role,
+    leaderExternalId: row.leader_external_id || null,
+    qigId: row.qig_id,
+    qigCode: row.qig_code,
+    deploymentCode: row.deployment_code,
+  }));
+
   const profile = {
     identity: {
       userId: user.id,
@@ -49,7 +64,7 @@ async function getProfileForUser(user) {
       levels: [],
       subjects: [],
       papers: [],
-      teamMembership: [],
+      teamMembership,
     },
     securityAndCompliance: {
       twoFactorEnabled: false,
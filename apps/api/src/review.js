@@ -0,0 +1,520 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const { RESPONSES_TABLE_NAME } = require('./ingestion');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+} = require('./assessment');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const {
+  appendAuditEvent,
+  writeAuditEvent,
+  REVIEW_SAMPLE_RATE_UPDATED_EVENT_TYPE,
+  MARK_REVIEWED_EVENT_TYPE,
+} = require('./audit');
+const { SEED_RESPONSES_TABLE_NAME } = require('./standardisation');
+const {
+  applyReviewedMark,
+  RESPONSE_MARKS_TABLE_NAME,
+} = require('./marking');
+const {
+  validateMarksAgainstScheme,
+  getCurrentMarkSchemeVersion,
+} = require('./markscheme');
+
+const REVIEW_SAMPLE_RATES_TABLE_NAME = 'review_sample_rates';
+const MARK_REVIEWS_TABLE_NAME = 'mark_reviews';
+
+/**
+ * Outcomes of a supervisor review. ADJUST replaces the marker's submission
+ * with the reviewer's marks as the final mark; AGREE keeps the submission;
+ * REFER keeps it but passes the response up for further attention.
+ */
+const REVIEW_OUTCOMES = ['AGREE', 'ADJUST', 'REFER'];
+
+/**
+ * Share of a marker's submissions sampled for review when no rate has been
+ * set for them on the QIG.
+ */
+const DEFAULT_REVIEW_SAMPLE_RATE_PERCENT = 10;
+
+/**
+ * Ensure the supervisor review tables exist (see
+ * migrations/0011_review.sql).
+ *
+ * review_sample_rates holds the per-(QIG, marker) sampling rate; markers
+ * without a row use DEFAULT_REVIEW_SAMPLE_RATE_PERCENT. mark_reviews holds
+ * at most one review per submitted response_marks row, with the reviewer's
+ * own marks and a snapshot of the submission they reviewed.
+ */
+async function ensureReviewTables() {
+  await ensureSchema();
+}
+
+/**
+ * Helper: QIG + deployment context for review audit meta.
+ */
+async function getQigContext(qigId) {
+  const res = await pool.query(
+    `
+      SELECT
+        q.id,
+        q.code,
+        d.id AS deployment_id,
+        d.code AS deployment_code
+      FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      WHERE q.id = $1
+    `,
+    [qigId],
+  );
+  return res.rows[0] || null;
+}
+
+function buildAuditActor(actor) {
+  return actor
+    ? {
+        id: actor.id,
+        externalId: actor.external_id,
+        displayName: actor.display_name,
+      }
+    : null;
+}
+
+function buildReviewError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+/**
+ * Run work(client) in one transaction and return its result.
+ */
+async function runReviewTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Decide whether a marker's nth submission on a QIG (1-based, in
+ * submission order) falls in their review sample.
+ *
+ * Sampling is systematic rather than random: a submission is sampled each
+ * time the running share n * rate / 100 passes a whole number, so a 10%
+ * rate samples the 10th, 20th, ... submissions and a 25% rate the 4th,
+ * 8th, ... The sample is reproducible and tracks the rate exactly.
+ */
+function isSubmissionSampled(submissionNumber, sampleRatePercent) {
+  if (!(sampleRatePercent > 0) || !(submissionNumber > 0)) {
+    return false;
+  }
+  return (
+    Math.floor((submissionNumber * sampleRatePercent) / 100) >
+    Math.floor(((submissionNumber - 1) * sampleRatePercent) / 100)
+  );
+}
+
+/**
+ * The final mark of a submission: the reviewer's marks when the review
+ * outcome is ADJUST, otherwise the submission itself.
+ */
+function resolveFinalMark(markRow, reviewRow) {
+  if (reviewRow && reviewRow.outcome === 'ADJUST') {
+    return {
+      source: 'REVIEW',
+      payload: reviewRow.payload,
+      totalMark: reviewRow.total_mark,
+    };
+  }
+  return {
+    source: 'SUBMISSION',
+    payload: markRow.payload,
+    totalMark: markRow.total_mark,
+  };
+}
+
+/**
+ * Fetch the review sampling rate of each given marker on a QIG, falling
+ * back to DEFAULT_REVIEW_SAMPLE_RATE_PERCENT (is_default) where unset.
+ */
+async function getReviewSampleRates(qigId, markerUserIds) {
+  await ensureReviewTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        u.id AS marker_user_id,
+        u.external_id AS marker_external_id,
+        COALESCE(sr.sample_rate_percent, $3) AS sample_rate_percent,
+        sr.sample_rate_percent IS NULL AS is_default,
+        sr.updated_at
+      FROM ${USERS_TABLE_NAME} u
+      LEFT JOIN ${REVIEW_SAMPLE_RATES_TABLE_NAME} sr
+        ON sr.marker_user_id = u.id
+       AND sr.qig_id = $1
+      WHERE u.id = ANY($2::int[])
+      ORDER BY u.external_id ASC
+    `,
+    [qigId, markerUserIds, DEFAULT_REVIEW_SAMPLE_RATE_PERCENT],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Set a marker's review sampling rate on a QIG (an integer percentage,
+ * 0-100). Throws with code INVALID_SAMPLE_RATE otherwise. Writes a
+ * REVIEW_SAMPLE_RATE_UPDATED audit event and returns the rate, or null if
+ * the QIG does not exist.
+ */
+async function setReviewSampleRate(
+  qigId,
+  markerUserId,
+  sampleRatePercent,
+  options = {},
+) {
+  await ensureReviewTables();
+
+  const { actor = null } = options;
+
+  if (
+    !Number.isInteger(sampleRatePercent) ||
+    sampleRatePercent < 0 ||
+    sampleRatePercent > 100
+  ) {
+    throw buildReviewError(
+      'INVALID_SAMPLE_RATE',
+      'sampleRatePercent must be an integer between 0 and 100',
+    );
+  }
+
+  const context = await getQigContext(qigId);
+  if (!context) {
+    return null;
+  }
+
+  await pool.query(
+    `
+      INSERT INTO ${REVIEW_SAMPLE_RATES_TABLE_NAME} (
+        qig_id,
+        marker_user_id,
+        sample_rate_percent,
+        updated_by_user_id
+      )
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (qig_id, marker_user_id)
+      DO UPDATE SET
+        sample_rate_percent = EXCLUDED.sample_rate_percent,
+        updated_by_user_id = EXCLUDED.updated_by_user_id,
+        updated_at = NOW()
+    `,
+    [qigId, markerUserId, sampleRatePercent, actor ? actor.id : null],
+  );
+
+  await writeAuditEvent(REVIEW_SAMPLE_RATE_UPDATED_EVENT_TYPE, {
+    meta: {
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      markerId: markerUserId,
+      sampleRatePercent,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  const [row] = await getReviewSampleRates(qigId, [markerUserId]);
+  return row || null;
+}
+
+/**
+ * Submitted live marks of the given markers on a QIG, each numbered in
+ * its marker's submission order and carrying the marker's sampling rate
+ * and any review. Seed responses are scored separately and left out.
+ */
+async function listSubmittedMarksWithReviews(qigId, markerUserIds) {
+  const res = await pool.query(
+    `
+      SELECT
+        m.id,
+        m.response_id,
+        m.marker_user_id,
+        m.state,
+        m.payload,
+        m.total_mark,
+        m.created_at,
+        m.updated_at,
+        u.external_id AS marker_external_id,
+        r.candidate_id,
+        row_number() OVER (
+          PARTITION BY m.marker_user_id
+          ORDER BY m.id
+        )::int AS submission_number,
+        COALESCE(sr.sample_rate_percent, $3) AS sample_rate_percent,
+        CASE WHEN mr.id IS NULL THEN NULL ELSE to_jsonb(mr.*) END AS review
+      FROM ${RESPONSE_MARKS_TABLE_NAME} m
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON m.response_id = r.id
+      JOIN ${USERS_TABLE_NAME} u
+        ON m.marker_user_id = u.id
+      LEFT JOIN ${REVIEW_SAMPLE_RATES_TABLE_NAME} sr
+        ON sr.qig_id = r.qig_id
+       AND sr.marker_user_id = m.marker_user_id
+      LEFT JOIN ${MARK_REVIEWS_TABLE_NAME} mr
+        ON mr.response_mark_id = m.id
+      WHERE r.qig_id = $1
+        AND m.state = 'SUBMITTED'
+        AND m.marker_user_id = ANY($2::int[])
+        AND NOT EXISTS (
+          SELECT 1
+          FROM ${SEED_RESPONSES_TABLE_NAME} seed
+          WHERE seed.response_id = m.response_id
+        )
+      ORDER BY m.id ASC
+    `,
+    [qigId, markerUserIds, DEFAULT_REVIEW_SAMPLE_RATE_PERCENT],
+  );
+  return res.rows || [];
+}
+
+/**
+ * List the sampled submissions of the given markers on a QIG that have not
+ * been reviewed yet, oldest first.
+ */
+async function listReviewQueue(qigId, markerUserIds) {
+  await ensureReviewTables();
+
+  const rows = await listSubmittedMarksWithReviews(qigId, markerUserIds);
+  return rows.filter(
+    (row) =>
+      !row.review &&
+      isSubmissionSampled(row.submission_number, row.sample_rate_percent),
+  );
+}
+
+/**
+ * List the completed reviews of the given markers' submissions on a QIG,
+ * each with the submission and the resulting final mark.
+ */
+async function listMarkReviews(qigId, markerUserIds) {
+  await ensureReviewTables();
+
+  const rows = await listSubmittedMarksWithReviews(qigId, markerUserIds);
+  return rows.filter((row) => row.review);
+}
+
+/**
+ * Fetch a response_marks row with its QIG, marker, candidate and review
+ * (null if unreviewed), or null if none.
+ */
+async function getMarkWithReview(responseMarkId) {
+  await ensureReviewTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        m.id,
+        m.response_id,
+        m.marker_user_id,
+        m.state,
+        m.payload,
+        m.total_mark,
+        m.created_at,
+        m.updated_at,
+        r.qig_id,
+        r.candidate_id,
+        u.external_id AS marker_external_id,
+        CASE WHEN mr.id IS NULL THEN NULL ELSE to_jsonb(mr.*) END AS review
+      FROM ${RESPONSE_MARKS_TABLE_NAME} m
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON m.response_id = r.id
+      JOIN ${USERS_TABLE_NAME} u
+        ON m.marker_user_id = u.id
+      LEFT JOIN ${MARK_REVIEWS_TABLE_NAME} mr
+        ON mr.response_mark_id = m.id
+      WHERE m.id = $1
+    `,
+    [responseMarkId],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Record a supervisor's review of a submitted mark: their own marks, an
+ * outcome and an optional comment. Any submitted mark may be reviewed,
+ * sampled or not, but only once.
+ *
+ * The reviewer's marks are validated against the QIG's current mark
+ * scheme. Throws with code INVALID_REVIEW_OUTCOME, MARK_NOT_SUBMITTED,
+ * MARK_SCHEME_MISSING, INVALID_MARKS (with itemErrors) or
+ * ALREADY_REVIEWED.
+ *
+ * An ADJUST review makes the reviewer's marks the final mark: they replace
+ * the submission in response_marks (see applyReviewedMark), which stays in
+ * the mark's history and in the review's original marks. The review, any
+ * adjustment and the MARK_REVIEWED audit event commit together. Returns
+ * the review row.
+ */
+async function recordMarkReview(markRow, fields, options = {}) {
+  await ensureReviewTables();
+
+  const { outcome, marks, comment = null } = fields;
+  const { actor = null } = options;
+
+  if (!REVIEW_OUTCOMES.includes(outcome)) {
+    throw buildReviewError(
+      'INVALID_REVIEW_OUTCOME',
+      `Unknown review outcome: ${outcome}`,
+    );
+  }
+
+  if (markRow.state !== 'SUBMITTED') {
+    throw buildReviewError(
+      'MARK_NOT_SUBMITTED',
+      'Only submitted marks can be reviewed',
+    );
+  }
+
+  const schemeVersion = await getCurrentMarkSchemeVersion(markRow.qig_id);
+  if (!schemeVersion) {
+    throw buildReviewError(
+      'MARK_SCHEME_MISSING',
+      'QIG has no mark scheme version',
+    );
+  }
+  const { errors, total } = validateMarksAgainstScheme(
+    marks,
+    schemeVersion.definition,
+  );
+  if (errors.length > 0) {
+    throw buildReviewError(
+      'INVALID_MARKS',
+      'Marks do not match the mark scheme',
+      { itemErrors: errors },
+    );
+  }
+
+  const context = await getQigContext(markRow.qig_id);
+
+  return runReviewTransaction(async (client) => {
+    // An adjustment is applied first, under the Response's row lock; if
+    // the submission turns out to be reviewed already it is rolled back.
+    if (outcome === 'ADJUST') {
+      const adjusted = await applyReviewedMark(
+        client,
+        markRow,
+        marks,
+        total,
+        schemeVersion.id,
+      );
+      if (!adjusted) {
+        throw buildReviewError(
+          'MARK_NOT_SUBMITTED',
+          'Only submitted marks can be reviewed',
+        );
+      }
+    }
+
+    const insertRes = await client.query(
+      `
+        INSERT INTO ${MARK_REVIEWS_TABLE_NAME} (
+          response_mark_id,
+          response_id,
+          qig_id,
+          marker_user_id,
+          reviewer_user_id,
+          outcome,
+          payload,
+          total_mark,
+          original_payload,
+          original_total_mark,
+          comment
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9::jsonb, $10, $11)
+        ON CONFLICT (response_mark_id) DO NOTHING
+        RETURNING *
+      `,
+      [
+        markRow.id,
+        markRow.response_id,
+        markRow.qig_id,
+        markRow.marker_user_id,
+        actor ? actor.id : null,
+        outcome,
+        JSON.stringify(marks),
+        total,
+        JSON.stringify(markRow.payload),
+        markRow.total_mark,
+        comment,
+      ],
+    );
+    const review = insertRes.rows[0];
+    if (!review) {
+      throw buildReviewError(
+        'ALREADY_REVIEWED',
+        'This submission has already been reviewed',
+      );
+    }
+
+    await appendAuditEvent(
+      MARK_REVIEWED_EVENT_TYPE,
+      {
+        meta: {
+          reviewId: review.id,
+          responseMarkId: markRow.id,
+          responseId: markRow.response_id,
+          markerId: markRow.marker_user_id,
+          qigId: markRow.qig_id,
+          qigCode: context ? context.code : null,
+          deploymentId: context ? context.deployment_id : null,
+          deploymentCode: context ? context.deployment_code : null,
+          outcome,
+          originalTotalMark: markRow.total_mark,
+          reviewTotalMark: total,
+          finalTotalMark: resolveFinalMark(markRow, review).totalMark,
+        },
+        actor: buildAuditActor(actor),
+      },
+      { client },
+    );
+
+    return review;
+  });
+}
+
+module.exports = {
+  REVIEW_SAMPLE_RATES_TABLE_NAME,
+  MARK_REVIEWS_TABLE_NAME,
+  REVIEW_OUTCOMES,
+  DEFAULT_REVIEW_SAMPLE_RATE_PERCENT,
+  ensureReviewTables,
+  isSubmissionSampled,
+  resolveFinalMark,
+  getReviewSampleRates,
+  setReviewSampleRate,
+  listReviewQueue,
+  listMarkReviews,
+  getMarkWithReview,
+  recordMarkReview,
+};
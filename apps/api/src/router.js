@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const { authorizeRequest, getOrCreateUserForRequest } = require('./authz');
+
+/**
+ * A small declarative router for the HTTP server.
+ *
+ * Routes are declared with a method, a path pattern and options:
+ *
+ *   router.post('/allocation/:allocationId/transition', {
+ *     params: { allocationId: integerParam('invalid_allocation_id') },
+ *     permission: 'allocation.manage',
+ *     body: jsonBody,
+ *     errors: [writeAllocationErrorResponse],
+ *   }, async (ctx) => { ... });
+ *
+ * Path patterns match whole segments; ":name" segments become ctx.params
+ * and empty segments are ignored, so "/a//b/" matches "/a/b". Routes are
+ * tried in declaration order and the first match wins. A request no route
+ * matches gets an empty 404.
+ *
+ * Middleware has the signature async (ctx, next). Router-wide middleware
+ * (router.use) runs for every request; each route then runs, in order:
+ *
+ * - error mapping: errors the rest of the route throws are offered to the
+ *   route's `errors` writers, e.g. writeAllocationErrorResponse(res, err),
+ *   and otherwise answered with 500 internal_error;
+ * - `params`: typed path params, answering 400 with the param's error when
+ *   one does not parse;
+ * - `validate(ctx)`: returns an error body to answer 400 with, or null;
+ * - auth: `permission` enforces a permission key (401/403 plus a
+ *   PERMISSION_DENIED audit event) and `authenticate` only requires a
+ *   user (401); either sets ctx.user;
+ * - `guard(ctx)`: an async check that runs before the body is read, e.g.
+ *   that the Response in the path exists; it writes its own response and
+ *   returns false to stop the route;
+ * - `body`: a body parser such as jsonBody, which sets ctx.body;
+ * - the handler.
+ *
+ * ctx carries { req, res, requestId, path, query, params, body, user }.
+ */
+
+/**
+ * Write a JSON response.
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// Generate a requestId without relying on ESM-only uuid package
+function generateRequestId() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Middleware: tag the request with the caller's X-Request-Id (or a new
+ * one), echo it on the response and log the request.
+ */
+async function requestIdMiddleware(ctx, next) {
+  const { req, res } = ctx;
+  const startTime = Date.now();
+  const requestId = req.headers['x-request-id'] || generateRequestId();
+  res.setHeader('X-Request-Id', requestId);
+
+  // eslint-disable-next-line no-console
+  console.log({
+    method: req.method,
+    path: req.url,
+    status: res.statusCode,
+    duration: Date.now() - startTime,
+    requestId,
+  });
+
+  ctx.requestId = requestId;
+  return next();
+}
+
+// Read and parse a JSON request body.
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > 1000000) {
+        // Prevent excessively large bodies
+        reject(new Error('request_body_too_large'));
+      }
+    });
+
+    req.on('end', () => {
+      if (!data) {
+        resolve({});
+        return;
+      }
+
+      try {
+        const parsed = JSON.parse(data);
+        resolve(parsed);
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    req.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+// Read a raw (binary) request body into a Buffer, rejecting bodies larger
+// than maxBytes.
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) {
+        return;
+      }
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        reject(new Error('request_body_too_large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!tooLarge) {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+
+    req.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Body parser: parse a JSON body into ctx.body ({} when empty), answering
+ * 400 invalid_json when it does not parse.
+ */
+async function jsonBody(ctx, next) {
+  try {
+    ctx.body = await readJsonBody(ctx.req);
+  } catch (err) {
+    sendJson(ctx.res, 400, { error: 'invalid_json' });
+    return undefined;
+  }
+  return next();
+}
+
+/**
+ * Body parser factory: read the raw body into ctx.body as a Buffer,
+ * answering 413 with tooLargeError when it exceeds maxBytes.
+ */
+function rawBody(maxBytes, tooLargeError) {
+  return async function rawBodyMiddleware(ctx, next) {
+    try {
+      ctx.body = await readRawBody(ctx.req, maxBytes);
+    } catch (err) {
+      sendJson(ctx.res, 413, { error: tooLargeError });
+      return undefined;
+    }
+    return next();
+  };
+}
+
+/**
+ * Path param parser: an integer id (parseInt), answering 400 with error
+ * when the segment is not a number.
+ */
+function integerParam(error) {
+  return {
+    error,
+    parse: (raw) => {
+      const value = parseInt(raw, 10);
+      return Number.isNaN(value) ? null : value;
+    },
+  };
+}
+
+/**
+ * Path param parser: a positive integer id, answering 400 with error
+ * otherwise.
+ */
+function positiveIntegerParam(error) {
+  return {
+    error,
+    parse: (raw) => {
+      const value = Number.parseInt(raw, 10);
+      return Number.isInteger(value) && value > 0 ? value : null;
+    },
+  };
+}
+
+/**
+ * Path param parser: a number written only in digits and at least 1, e.g.
+ * a page number.
+ */
+function naturalNumberParam(error) {
+  return {
+    error,
+    parse: (raw) => {
+      const value = parseInt(raw, 10);
+      return /^\d+$/.test(raw) && value >= 1 ? value : null;
+    },
+  };
+}
+
+// Run middleware in order; each calls next() to hand on to the rest.
+function compose(middleware) {
+  return function run(ctx) {
+    const dispatch = (index) => {
+      const fn = middleware[index];
+      if (!fn) {
+        return Promise.resolve();
+      }
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(index + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    };
+    return dispatch(0);
+  };
+}
+
+function writeInternalError(ctx, err, description) {
+  // eslint-disable-next-line no-console
+  console.error(`Unhandled error in ${description}`, {
+    error: err,
+    requestId: ctx.requestId,
+  });
+  if (!ctx.res.headersSent) {
+    sendJson(ctx.res, 500, { error: 'internal_error' });
+  } else if (!ctx.res.writableEnded) {
+    // Part of the body was sent; cut the response short so it cannot be
+    // mistaken for a complete one.
+    ctx.res.destroy(err);
+  }
+}
+
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function compilePattern(path) {
+  return splitPath(path).map((segment) =>
+    segment.startsWith(':')
+      ? { param: segment.slice(1) }
+      : { literal: segment },
+  );
+}
+
+// Match request path segments against a compiled pattern. Returns the raw
+// (still encoded) params, or null.
+function matchPattern(pattern, segments) {
+  if (pattern.length !== segments.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < pattern.length; i += 1) {
+    const part = pattern[i];
+    if (part.param) {
+      params[part.param] = segments[i];
+    } else if (part.literal !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function buildRoutePipeline(method, path, options, handler) {
+  const description = `${method} ${path}`;
+  const paramSpecs = options.params || {};
+  const errorWriters = options.errors || [];
+  const middleware = [];
+
+  middleware.push(async (ctx, next) => {
+    try {
+      await next();
+    } catch (err) {
+      if (errorWriters.some((write) => write(ctx.res, err))) {
+        return;
+      }
+      writeInternalError(ctx, err, description);
+    }
+  });
+
+  middleware.push(async (ctx, next) => {
+    const params = {};
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [name, raw] of Object.entries(ctx.params)) {
+      if (!paramSpecs[name]) {
+        try {
+          params[name] = decodeURIComponent(raw);
+        } catch (err) {
+          sendJson(ctx.res, 400, { error: 'invalid_path' });
+          return undefined;
+        }
+      }
+    }
+    // Typed params are checked in the order they are declared.
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [name, spec] of Object.entries(paramSpecs)) {
+      const value = spec.parse(ctx.params[name]);
+      if (value === null) {
+        sendJson(ctx.res, 400, { error: spec.error });
+        return undefined;
+      }
+      params[name] = value;
+    }
+    ctx.params = params;
+    return next();
+  });
+
+  if (options.validate) {
+    middleware.push(async (ctx, next) => {
+      const error = options.validate(ctx);
+      if (error) {
+        sendJson(ctx.res, 400, error);
+        return undefined;
+      }
+      return next();
+    });
+  }
+
+  if (options.permission) {
+    middleware.push(async (ctx, next) => {
+      const user = await authorizeRequest(
+        ctx.req,
+        ctx.res,
+        options.permission,
+      );
+      if (!user) {
+        // 401/403 already written.
+        return undefined;
+      }
+      ctx.user = user;
+      return next();
+    });
+  } else if (options.authenticate) {
+    middleware.push(async (ctx, next) => {
+      const user = await getOrCreateUserForRequest(ctx.req);
+      if (!user) {
+        sendJson(ctx.res, 401, { error: 'unauthenticated' });
+        return undefined;
+      }
+      ctx.user = user;
+      return next();
+    });
+  }
+
+  if (options.guard) {
+    middleware.push(async (ctx, next) => {
+      if (!(await options.guard(ctx))) {
+        return undefined;
+      }
+      return next();
+    });
+  }
+
+  if (options.body) {
+    middleware.push(options.body);
+  }
+
+  middleware.push((ctx) => handler(ctx));
+
+  return compose(middleware);
+}
+
+/**
+ * Create a router. Declare routes with router.get/post(path, options,
+ * handler), add router-wide middleware with router.use(fn) and serve
+ * requests with router.handle(req, res).
+ */
+function createRouter() {
+  const middleware = [];
+  const routes = [];
+
+  function use(fn) {
+    middleware.push(fn);
+  }
+
+  function route(method, path, options, handler) {
+    routes.push({
+      method,
+      pattern: compilePattern(path),
+      run: buildRoutePipeline(method, path, options || {}, handler),
+    });
+  }
+
+  function dispatch(ctx) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const candidate of routes) {
+      if (candidate.method === ctx.req.method) {
+        const params = matchPattern(candidate.pattern, ctx.segments);
+        if (params) {
+          ctx.params = params;
+          return candidate.run(ctx);
+        }
+      }
+    }
+
+    ctx.res.statusCode = 404;
+    ctx.res.end();
+    return undefined;
+  }
+
+  function handle(req, res) {
+    const [path, search = ''] = (req.url || '/').split(/\?(.*)/s);
+    const ctx = {
+      req,
+      res,
+      requestId: null,
+      path,
+      segments: splitPath(path),
+      query: new URLSearchParams(search),
+      params: {},
+      body: undefined,
+      user: null,
+    };
+    return compose([...middleware, dispatch])(ctx).catch((err) => writeInternalError(ctx, err, 'router'));
+  }
+
+  return {
+    use,
+    route,
+    get: (path, options, handler) => route('GET', path, options, handler),
+    post: (path, options, handler) => route('POST', path, options, handler),
+    handle,
+  };
+}
+
+module.exports = {
+  createRouter,
+  requestIdMiddleware,
+  jsonBody,
+  rawBody,
+  integerParam,
+  positiveIntegerParam,
+  naturalNumberParam,
+  sendJson,
+};
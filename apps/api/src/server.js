@@ -1,15 +1,18 @@
 const http = require('http');
-const crypto = require('crypto');
 const { healthHandler } = require('./health');
 const { checkDbHealth, pool } = require('./db');
+const { ensureSchema } = require('./migrations');
 const { versionHandler } = require('./version');
 const {
   HELLO_AUDIT_EVENT_TYPE,
   getLatestAuditEventByType,
+  listAuditEvents,
+  verifyAuditChain,
   ASSESSMENT_TREE_VIEWED_EVENT_TYPE,
   ASSESSMENT_STRUCTURE_UPDATED_EVENT_TYPE,
   CONFIG_DRAFT_CREATED_EVENT_TYPE,
   CONFIG_ACTIVATED_EVENT_TYPE,
+  PERMISSION_DENIED_EVENT_TYPE,
   writeAuditEvent,
 } = require('./audit');
 const {
@@ -21,10 +24,20 @@ const {
   upsertConfigArtifact,
   createDeployment,
 } = require('./config');
-const { enforcePermission, getOrCreateUserForRequest } = require('./authz');
+const {
+  createRouter,
+  requestIdMiddleware,
+  jsonBody,
+  rawBody,
+  integerParam,
+  positiveIntegerParam,
+  naturalNumberParam,
+  sendJson,
+} = require('./router');
 const {
   getPermissionsForUser,
   getRolesForUser,
+  getUserByExternalId,
 } = require('./identity');
 const { getProfileForUser } = require('./profile');
 const {
@@ -35,76 +48,144 @@ const {
   getPaperByCode,
   createQig,
   getQigByCode,
+  getQigsWithDeploymentByCode,
+  updateQigMarkingSettings,
   createItem,
 } = require('./assessment');
 const {
   ensureIngestionTables,
   RESPONSES_TABLE_NAME,
+  getScriptById,
+  getResponsesForScript,
+  transitionScript,
+  upsertBooklet,
+  storePageImage,
+  getPageImagesForScript,
+  getPageImageById,
+  parseResponseBatchCsv,
+  ingestResponseBatch,
+  getManifestValidationReport,
 } = require('./ingestion');
+const { getBlobStore } = require('./blobstore');
+const {
+  isMarkerLiveApproved,
+  filterLiveApprovedQigIds,
+  getEligibilityForQig,
+  transitionMarkerEligibility,
+  getStandardisationTolerances,
+  updateStandardisationTolerances,
+  listStandardisationSets,
+  getStandardisationSetByCode,
+  createStandardisationSet,
+  setDefinitiveMarks,
+  submitStandardisationMarks,
+  evaluateStandardisationMarks,
+  getSeedSettings,
+  updateSeedSettings,
+  addSeedResponse,
+  listSeedResponses,
+  listSeedResults,
+} = require('./standardisation');
 const {
-  ensureMarkingTables,
   saveDraftMark,
   submitMark,
   getMarkForResponse,
+  getMarkHistoryForResponse,
+  listMarksForMarkers,
+  revalidateMarksForQig,
+  openRemark,
+  getRemarksForResponse,
+  compareRemarkOutcome,
+  listAdjudicationFlags,
+  getAllowedAnnotationTypesForResponse,
+  listAnnotationsForResponse,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  buildMarkingMetaForResponse,
 } = require('./marking');
+const {
+  getAllocationById,
+  getAllocationsForResponse,
+  listAllocationsForMarkers,
+  createAllocation,
+  transitionAllocation,
+  reassignAllocation,
+  claimNextResponseForQigs,
+} = require('./allocation');
+const {
+  listTeamsForQig,
+  getTeamByCode,
+  createTeam,
+  setTeamLeader,
+  addTeamMember,
+  removeTeamMember,
+  getSupervisionScope,
+} = require('./teams');
+const {
+  DEFAULT_REVIEW_SAMPLE_RATE_PERCENT,
+  resolveFinalMark,
+  getReviewSampleRates,
+  setReviewSampleRate,
+  listReviewQueue,
+  listMarkReviews,
+  getMarkWithReview,
+  recordMarkReview,
+} = require('./review');
+const {
+  getExceptionCase,
+  listExceptionCases,
+  raiseException,
+  transitionExceptionCase,
+  resolveExceptionCase,
+} = require('./exceptions');
+const { planAuditExport, writeAuditExport } = require('./auditexport');
+const {
+  listMarkSchemeVersions,
+  getCurrentMarkSchemeVersion,
+} = require('./markscheme');
 
-// Generate a requestId without relying on ESM-only uuid package
-function generateRequestId() {
-  if (typeof crypto.randomUUID === 'function') {
-    return crypto.randomUUID();
-  }
-  return crypto.randomBytes(16).toString('hex');
-}
-
-// Function to log events
-function logRequest(req, res, startTime) {
-  const duration = Date.now() - startTime;
-  const requestId = req.headers['x-request-id'] || generateRequestId();
-  res.setHeader('X-Request-Id', requestId);
-
-  // eslint-disable-next-line no-console
-  console.log({
-    method: req.method,
-    path: req.url,
-    status: res.statusCode,
-    duration,
-    requestId,
-  });
 
-  return requestId;
-}
+// Largest page image accepted by the upload endpoint.
+const MAX_PAGE_IMAGE_BYTES = 20 * 1024 * 1024;
 
-// Read and parse a JSON request body.
-function readJsonBody(req) {
-  return new Promise((resolve, reject) => {
-    let data = '';
+// Limits for POST /ingestion/:deploymentCode/responses:batch.
+const MAX_RESPONSE_BATCH_BYTES = 10 * 1024 * 1024;
+const MAX_RESPONSE_BATCH_ROWS = 5000;
 
-    req.on('data', (chunk) => {
-      data += chunk;
-      if (data.length > 1000000) {
-        // Prevent excessively large bodies
-        reject(new Error('request_body_too_large'));
-      }
-    });
+// Parse a single-range "Range: bytes=..." header against a blob of the given
+// size. Returns null when the header is absent or not a single byte range
+// (serve the whole blob), { start, end } (inclusive) for a satisfiable range,
+// or { unsatisfiable: true }.
+function parseByteRange(rangeHeader, size) {
+  if (!rangeHeader || typeof rangeHeader !== 'string') {
+    return null;
+  }
 
-    req.on('end', () => {
-      if (!data) {
-        resolve({});
-        return;
-      }
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
 
-      try {
-        const parsed = JSON.parse(data);
-        resolve(parsed);
-      } catch (err) {
-        reject(err);
-      }
-    });
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes.
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
 
-    req.on('error', (err) => {
-      reject(err);
-    });
-  });
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
 }
 
 // Extract AE QIG scope from roles for a given deploymentCode.
@@ -209,2347 +290,3920 @@ function normaliseMarkRow(row) {
     markerUserId: row.marker_user_id,
     state: row.state,
     payload: row.payload,
+    totalMark: row.total_mark,
+    markSchemeVersionId: row.mark_scheme_version_id,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
 }
 
-function normaliseResponseRow(row) {
+function normaliseMarkVersionRow(row) {
   if (!row) {
     return null;
   }
   return {
     id: row.id,
-    qigId: row.qig_id,
-    candidateId: row.candidate_id,
-    scriptUrl: row.script_url,
-    manifest: row.manifest,
+    markId: row.response_mark_id,
+    responseId: row.response_id,
+    markerUserId: row.marker_user_id,
+    sequence: row.sequence,
     state: row.state,
+    payload: row.payload,
+    totalMark: row.total_mark,
+    markSchemeVersionId: row.mark_scheme_version_id,
     createdAt: row.created_at,
-    archivedAt: row.archived_at,
   };
 }
 
-async function writeAssessmentStructureUpdatedAudit(
-  req,
-  deployment,
-  structureType,
-  structureCode,
-  user,
-  requestId,
-) {
-  if (!deployment || !deployment.id || !deployment.code) {
-    return;
+function normaliseMarkSchemeVersionRow(row) {
+  if (!row) {
+    return null;
   }
+  return {
+    id: row.id,
+    qigId: row.qig_id,
+    versionNumber: row.version_number,
+    configVersionId: row.config_version_id,
+    configVersionNumber: row.config_version_number,
+    definition: row.definition,
+    createdAt: row.created_at,
+  };
+}
 
-  try {
-    await writeAuditEvent(ASSESSMENT_STRUCTURE_UPDATED_EVENT_TYPE, {
-      meta: {
-        deploymentId: deployment.id,
-        deploymentCode: deployment.code,
-        structureType,
-        structureCode,
-        path: req && req.url ? req.url : null,
-        method: req && req.method ? req.method : null,
-      },
-      actor: user
+function normaliseRemarkRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    requestedByUserId: row.requested_by_user_id,
+    reasonCode: row.reason_code,
+    state: row.state,
+    original: {
+      versionId: row.original_version_id,
+      markerUserId: row.original_marker_user_id,
+      payload: row.original_payload,
+      totalMark: row.original_total_mark,
+    },
+    remark:
+      row.state === 'COMPLETED'
         ? {
-            id: user.id,
-            externalId: user.external_id,
-            displayName: user.display_name,
+            versionId: row.remark_version_id,
+            markerUserId: row.remark_marker_user_id,
+            payload: row.remark_payload,
+            totalMark: row.remark_total_mark,
           }
         : null,
-    });
-  } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('Failed to write assessment structure updated audit event', {
-      error: err,
-      requestId,
-      deploymentId: deployment.id,
-      deploymentCode: deployment.code,
-      structureType,
-      structureCode,
-    });
-  }
+    comparison: compareRemarkOutcome(row),
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+  };
 }
 
-function createServer() {
-  return http.createServer((req, res) => {
-    const startTime = Date.now();
-
-    // Basic CORS support so the web dev server (different port) and
-    // Playwright-run browsers can call the API directly.
-    const origin = req.headers.origin || '*';
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-    res.setHeader(
-      'Access-Control-Allow-Headers',
-      'Content-Type, x-user-external-id, x-user-display-name',
-    );
-    res.setHeader(
-      'Access-Control-Allow-Methods',
-      'GET,POST,OPTIONS',
-    );
+function normaliseAdjudicationRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    candidateId: row.candidate_id,
+    deploymentCode: row.deployment_code,
+    qigCode: row.qig_code,
+    state: row.state,
+    requiredMarks: row.required_marks,
+    markTolerance: row.mark_tolerance,
+    minTotal: row.min_total,
+    maxTotal: row.max_total,
+    totals: row.totals,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+  };
+}
 
-    if (req.method === 'OPTIONS') {
-      res.statusCode = 204;
-      res.end();
-      return;
-    }
+function normaliseAnnotationRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    scriptId: row.script_id,
+    candidateId: row.candidate_id,
+    markerUserId: row.marker_user_id,
+    pageImageId: row.page_image_id,
+    itemCode: row.item_code,
+    annotationType: row.annotation_type,
+    shape: row.shape,
+    coordinates: row.coordinates,
+    text: row.text,
+    locked: Boolean(row.locked_at),
+    responseMarkId: row.response_mark_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lockedAt: row.locked_at,
+  };
+}
 
-    const requestId = logRequest(req, res, startTime);
+// Map annotation write errors onto HTTP responses. Marking write guards
+// (locked, held, closed, already submitted) map as for drafts.
+// Returns true when a response was written.
+function writeAnnotationErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let body = null;
+
+  if (code === 'INVALID_ANNOTATION') {
+    statusCode = 400;
+    body = { error: 'invalid_annotation', fieldErrors: err.fieldErrors || [] };
+  } else if (code === 'ANNOTATION_LOCKED') {
+    statusCode = 409;
+    body = { error: 'annotation_locked' };
+  } else if (code === 'LOCKED') {
+    statusCode = 409;
+    body = { error: 'response_locked', reason: 'LOCKED' };
+  } else if (code === 'HELD') {
+    statusCode = 409;
+    body = { error: 'response_held' };
+  } else if (code === 'CLOSED') {
+    statusCode = 409;
+    body = { error: 'response_closed' };
+  } else if (code === 'ALREADY_SUBMITTED') {
+    statusCode = 409;
+    body = { error: 'mark_already_submitted' };
+  }
 
-    // /version
-    if (req.method === 'GET' && req.url === '/version') {
-      return versionHandler(req, res);
-    }
+  if (!statusCode) {
+    return false;
+  }
 
-    // /health (with optional DB-backed mode)
-    if (req.method === 'GET' && req.url === '/health') {
-      const useDb = process.env.API_USE_DB_HEALTH === 'true';
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
 
-      if (!useDb) {
-        return healthHandler(req, res);
-      }
+function normaliseAllocationRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    markerUserId: row.marker_user_id,
+    state: row.state,
+    reasonCode: row.reason_code,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
 
-      checkDbHealth()
-        .then((ok) => {
-          if (ok) {
-            healthHandler(req, res, { db: 'up' });
-          } else {
-            res.statusCode = 500;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(
-              JSON.stringify({ status: 'error', db: 'down' }),
-            );
-          }
-        })
-        .catch((err) => {
-          // eslint-disable-next-line no-console
-          console.error('DB health check failed', { error: err, requestId });
-          res.statusCode = 500;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ status: 'error', db: 'down' }),
-          );
-        });
+// Map allocation state-machine errors onto HTTP responses.
+// Returns true when a response was written.
+function writeAllocationErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let error = null;
+
+  if (code === 'INVALID_ALLOCATION_TRANSITION') {
+    statusCode = 409;
+    error = 'invalid_allocation_transition';
+  } else if (code === 'INVALID_ALLOCATION_STATE') {
+    statusCode = 400;
+    error = 'invalid_allocation_state';
+  } else if (code === 'REASON_CODE_REQUIRED') {
+    statusCode = 400;
+    error = 'reason_code_required';
+  } else if (code === 'MARKER_NOT_ELIGIBLE') {
+    statusCode = 409;
+    error = 'marker_not_eligible';
+  }
 
-      return;
-    }
+  if (!statusCode) {
+    return false;
+  }
 
-    // /audit/hello/latest (feature-flagged)
-    if (req.method === 'GET' && req.url === '/audit/hello/latest') {
-      const enabled =
-        process.env.ENABLE_HELLO_AUDIT_ENDPOINT === 'true';
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(
+    JSON.stringify({
+      error,
+      fromState: err.fromState || null,
+      toState: err.toState || null,
+    }),
+  );
+  return true;
+}
 
-      if (!enabled) {
-        res.statusCode = 404;
-        res.end();
-        return;
-      }
+function writeScriptErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let error = null;
+
+  if (code === 'INVALID_STATE_TRANSITION') {
+    statusCode = 409;
+    error = 'invalid_state_transition';
+  } else if (code === 'INVALID_SCRIPT_STATE') {
+    statusCode = 400;
+    error = 'invalid_script_state';
+  } else if (code === 'REASON_CODE_REQUIRED') {
+    statusCode = 400;
+    error = 'reason_code_required';
+  }
 
-      getLatestAuditEventByType(HELLO_AUDIT_EVENT_TYPE)
-        .then((event) => {
-          res.setHeader('Content-Type', 'application/json');
-          if (!event) {
-            res.statusCode = 404;
-            res.end(JSON.stringify({ error: 'not_found' }));
-            return;
-          }
-          res.statusCode = 200;
-          res.end(JSON.stringify({ event }));
-        })
-        .catch((err) => {
-          // eslint-disable-next-line no-console
-          console.error('Failed to fetch hello audit event', {
-            error: err,
-            requestId,
-          });
-          res.statusCode = 500;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(JSON.stringify({ error: 'internal_error' }));
-        });
+  if (!statusCode) {
+    return false;
+  }
 
-      return;
-    }
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(
+    JSON.stringify({
+      error,
+      fromState: err.fromState || null,
+      toState: err.toState || null,
+    }),
+  );
+  return true;
+}
 
-    // /identity/me
-    if (req.method === 'GET' && req.url === '/identity/me') {
-      getOrCreateUserForRequest(req)
-        .then((user) => {
-          if (!user) {
-            res.statusCode = 401;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({ error: 'unauthenticated' }));
-            return;
-          }
+function writeEligibilityErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let error = null;
+
+  if (code === 'INVALID_STATE_TRANSITION') {
+    statusCode = 409;
+    error = 'invalid_state_transition';
+  } else if (code === 'INVALID_ELIGIBILITY_STATE') {
+    statusCode = 400;
+    error = 'invalid_eligibility_state';
+  } else if (code === 'REASON_CODE_REQUIRED') {
+    statusCode = 400;
+    error = 'reason_code_required';
+  }
 
-          return Promise.all([
-            getPermissionsForUser(user.id),
-            getRolesForUser(user.id),
-          ]).then(([permissions, roles]) => {
-            const roleSummaries = (roles || []).map((role) => ({
-              id: role.id,
-              key: role.key,
-              name: role.name,
-            }));
-
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(
-              JSON.stringify({
-                user: {
-                  id: user.id,
-                  externalId: user.external_id,
-                  displayName: user.display_name,
-                },
-                permissions,
-                roles: roleSummaries,
-              }),
-            );
-          });
-        })
-        .catch((err) => {
-          // eslint-disable-next-line no-console
-          console.error('Failed to resolve identity for /identity/me', {
-            error: err,
-            requestId,
-          });
-          if (!res.headersSent) {
-            res.statusCode = 500;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({ error: 'internal_error' }));
-          }
-        });
+  if (!statusCode) {
+    return false;
+  }
 
-      return;
-    }
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(
+    JSON.stringify({
+      error,
+      fromState: err.fromState || null,
+      toState: err.toState || null,
+    }),
+  );
+  return true;
+}
 
-    // /me/profile
-    if (req.method === 'GET' && req.url === '/me/profile') {
-      getOrCreateUserForRequest(req)
-        .then((user) => {
-          if (!user) {
-            res.statusCode = 401;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({ error: 'unauthenticated' }));
-            return;
-          }
+function normaliseEligibilityRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    markerUserId: row.marker_user_id,
+    markerExternalId: row.marker_external_id,
+    markerDisplayName: row.marker_display_name,
+    qigId: row.qig_id,
+    state: row.state,
+    reasonCode: row.reason_code,
+    updatedByUserId: row.updated_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
 
-          return getProfileForUser(user).then((profile) => {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({ profile }));
-          });
-        })
-        .catch((err) => {
-          // eslint-disable-next-line no-console
-          console.error('Failed to resolve profile for /me/profile', {
-            error: err,
-            requestId,
-          });
-          if (!res.headersSent) {
-            res.statusCode = 500;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({ error: 'internal_error' }));
-          }
-        });
+function writeStandardisationErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let body = null;
+
+  if (code === 'INVALID_SET_KIND') {
+    statusCode = 400;
+    body = { error: 'invalid_set_kind' };
+  } else if (code === 'SET_ALREADY_EXISTS') {
+    statusCode = 409;
+    body = { error: 'set_already_exists' };
+  } else if (code === 'RESPONSE_NOT_IN_QIG') {
+    statusCode = 400;
+    body = { error: 'response_not_in_qig', responseIds: err.responseIds };
+  } else if (code === 'INVALID_MARKS') {
+    statusCode = 400;
+    body = { error: 'invalid_marks', itemErrors: err.itemErrors || [] };
+  } else if (code === 'RESPONSE_NOT_IN_SET') {
+    statusCode = 404;
+    body = { error: 'response_not_in_set' };
+  } else if (code === 'ALREADY_SUBMITTED') {
+    statusCode = 409;
+    body = { error: 'mark_already_submitted' };
+  } else if (code === 'MARKER_NOT_ELIGIBLE') {
+    statusCode = 403;
+    body = { error: 'forbidden', reason: 'marker_not_eligible' };
+  } else if (code === 'SET_NOT_EVALUABLE') {
+    statusCode = 409;
+    body = { error: 'set_not_evaluable' };
+  } else if (code === 'DEFINITIVE_MARKS_MISSING') {
+    statusCode = 409;
+    body = { error: 'definitive_marks_missing', responseIds: err.responseIds };
+  } else if (code === 'SEED_ALREADY_EXISTS') {
+    statusCode = 409;
+    body = { error: 'seed_already_exists' };
+  } else if (code === 'INVALID_SEED_FAILURE_ACTION') {
+    statusCode = 400;
+    body = { error: 'invalid_failure_action' };
+  } else if (code === 'MARK_SCHEME_MISSING') {
+    statusCode = 409;
+    body = { error: 'mark_scheme_missing' };
+  }
 
-      return;
-    }
+  if (!statusCode) {
+    return false;
+  }
 
-    // Assessment-related endpoints
-    if (req.url && req.url.startsWith('/assessment/')) {
-      const [path] = req.url.split('?');
-      const segments = path.split('/').filter(Boolean); // e.g. ["assessment", "D1", "tree"]
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
 
-      // GET /assessment/:deploymentCode/tree
-      if (
-        req.method === 'GET' &&
-        segments.length === 3 &&
-        segments[0] === 'assessment' &&
-        segments[2] === 'tree'
-      ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const permissionKey = 'assessment.view';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              // Response already written (401/403).
-              return;
-            }
-
-            (async () => {
-              let user = null;
-              let roles = [];
-              try {
-                user = await getOrCreateUserForRequest(req);
-                if (user) {
-                  roles = await getRolesForUser(user.id);
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to resolve user/roles for assessment tree',
-                  { error: err, requestId },
-                );
-              }
-
-              try {
-                const deployment = await getDeploymentByCode(
-                  deploymentCode,
-                );
-
-                if (!deployment || deployment.archived_at) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const seriesTree =
-                  await getAssessmentTreeForDeployment(
-                    deployment.id,
-                  );
-
-                const aeQigCodes = extractAeQigCodesForDeployment(
-                  roles,
-                  deploymentCode,
-                );
-                const filteredSeries = filterAssessmentTreeForAeRoles(
-                  seriesTree,
-                  aeQigCodes,
-                );
-
-                // Audit: ASSESSMENT_TREE_VIEWED
-                try {
-                  if (user) {
-                    await writeAuditEvent(
-                      ASSESSMENT_TREE_VIEWED_EVENT_TYPE,
-                      {
-                        meta: {
-                          deploymentId: deployment.id,
-                          deploymentCode: deployment.code,
-                          path: req && req.url ? req.url : null,
-                          method:
-                            req && req.method ? req.method : null,
-                        },
-                        actor: {
-                          id: user.id,
-                          externalId: user.external_id,
-                          displayName: user.display_name,
-                        },
-                      },
-                    );
-                  }
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to write assessment tree viewed audit event',
-                    { error: err, requestId },
-                  );
-                }
-
-                res.statusCode = 200;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({
-                    deployment: {
-                      id: deployment.id,
-                      code: deployment.code,
-                      name: deployment.name,
-                    },
-                    series: filteredSeries,
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to fetch assessment tree',
-                  {
-                    error: err,
-                    requestId,
-                  },
-                );
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'internal_error',
-                    }),
-                  );
-                }
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in assessment tree endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for assessment endpoint',
-              {
-                error: err,
-                requestId,
-              },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+function normaliseStandardisationSetRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    qigId: row.qig_id,
+    code: row.code,
+    name: row.name,
+    kind: row.kind,
+    responseIds: row.response_ids || [],
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+  };
+}
 
-        return;
-      }
+function normaliseDefinitiveMarksRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    responseId: row.response_id,
+    marks: row.payload,
+    totalMark: row.total_mark,
+    setByUserId: row.set_by_user_id,
+    updatedAt: row.updated_at,
+  };
+}
 
-      // POST /assessment/:deploymentCode/series
-      if (
-        req.method === 'POST' &&
-        segments.length === 3 &&
-        segments[0] === 'assessment' &&
-        segments[2] === 'series'
-      ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const permissionKey = 'assessment.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              // 401/403 already written.
-              return;
-            }
-
-            (async () => {
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for series endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const code =
-                body && typeof body.code === 'string'
-                  ? body.code
-                  : null;
-              const name =
-                body && typeof body.name === 'string'
-                  ? body.name
-                  : null;
-
-              if (!code || !name) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_payload' }),
-                );
-                return;
-              }
-
-              try {
-                const deployment = await getDeploymentByCode(
-                  deploymentCode,
-                );
-                if (!deployment || deployment.archived_at) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const seriesRow = await createSeries(
-                  deployment.id,
-                  code,
-                  name,
-                );
-
-                let user = null;
-                try {
-                  user = await getOrCreateUserForRequest(req);
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to resolve user for series audit',
-                    { error: err, requestId },
-                  );
-                }
-
-                await writeAssessmentStructureUpdatedAudit(
-                  req,
-                  deployment,
-                  'series',
-                  seriesRow.code,
-                  user,
-                  requestId,
-                );
-
-                res.statusCode = 201;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({
-                    series: {
-                      id: seriesRow.id,
-                      deploymentId: seriesRow.deployment_id,
-                      code: seriesRow.code,
-                      name: seriesRow.name,
-                    },
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to create series via HTTP endpoint',
-                  { error: err, requestId },
-                );
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'internal_error',
-                    }),
-                  );
-                }
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in series creation endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for series endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+function normaliseStandardisationEvaluation(row) {
+  return {
+    id: row.id,
+    setId: row.set_id,
+    setCode: row.set_code,
+    markerUserId: row.marker_user_id,
+    passed: row.passed,
+    itemTolerance: row.item_tolerance,
+    totalTolerance: row.total_tolerance,
+    responses: row.result,
+    eligibility: row.eligibility,
+    evaluatedByUserId: row.evaluated_by_user_id,
+    createdAt: row.created_at,
+  };
+}
 
-        return;
-      }
+function normaliseSeedRow(row) {
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    candidateId: row.candidate_id,
+    addedByUserId: row.added_by_user_id,
+    createdAt: row.created_at,
+  };
+}
 
-      // POST /assessment/:deploymentCode/series/:seriesCode/papers
-      if (
-        req.method === 'POST' &&
-        segments.length === 5 &&
-        segments[0] === 'assessment' &&
-        segments[2] === 'series' &&
-        segments[4] === 'papers'
-      ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const seriesCode = decodeURIComponent(segments[3]);
-        const permissionKey = 'assessment.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for paper endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const code =
-                body && typeof body.code === 'string'
-                  ? body.code
-                  : null;
-              const name =
-                body && typeof body.name === 'string'
-                  ? body.name
-                  : null;
-
-              if (!code || !name) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_payload' }),
-                );
-                return;
-              }
-
-              try {
-                const deployment = await getDeploymentByCode(
-                  deploymentCode,
-                );
-                if (!deployment || deployment.archived_at) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const seriesRow = await getSeriesByCode(
-                  deployment.id,
-                  seriesCode,
-                );
-                if (!seriesRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'series_not_found' }),
-                  );
-                  return;
-                }
-
-                const paperRow = await createPaper(
-                  seriesRow.id,
-                  code,
-                  name,
-                );
-
-                let user = null;
-                try {
-                  user = await getOrCreateUserForRequest(req);
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to resolve user for paper audit',
-                    { error: err, requestId },
-                  );
-                }
-
-                await writeAssessmentStructureUpdatedAudit(
-                  req,
-                  deployment,
-                  'paper',
-                  paperRow.code,
-                  user,
-                  requestId,
-                );
-
-                res.statusCode = 201;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({
-                    paper: {
-                      id: paperRow.id,
-                      seriesId: paperRow.series_id,
-                      code: paperRow.code,
-                      name: paperRow.name,
-                    },
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to create paper via HTTP endpoint',
-                  { error: err, requestId },
-                );
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'internal_error',
-                    }),
-                  );
-                }
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in paper creation endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for paper endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+function normaliseSeedResultRow(row) {
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    markerUserId: row.marker_user_id,
+    markerExternalId: row.marker_external_id,
+    withinTolerance: row.within_tolerance,
+    comparison: row.result,
+    actionTaken: row.action_taken,
+    createdAt: row.created_at,
+  };
+}
 
-        return;
-      }
+function normaliseTeamRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    qigId: row.qig_id,
+    code: row.code,
+    name: row.name,
+    level: row.level,
+    parentTeamCode: row.parent_team_code || null,
+    leader: row.leader_user_id
+      ? {
+          userId: row.leader_user_id,
+          externalId: row.leader_external_id,
+          displayName: row.leader_display_name,
+        }
+      : null,
+    members: row.members || [],
+    createdAt: row.created_at,
+  };
+}
+
+function writeTeamErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let body = null;
+
+  if (code === 'TEAM_ALREADY_EXISTS') {
+    statusCode = 409;
+    body = { error: 'team_already_exists' };
+  } else if (code === 'PARENT_TEAM_NOT_FOUND') {
+    statusCode = 404;
+    body = { error: 'parent_team_not_found' };
+  } else if (code === 'TEAM_HIERARCHY_TOO_DEEP') {
+    statusCode = 409;
+    body = { error: 'team_hierarchy_too_deep' };
+  } else if (code === 'MEMBER_ALREADY_ASSIGNED') {
+    statusCode = 409;
+    body = { error: 'member_already_assigned', teamCode: err.teamCode };
+  }
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
+
+function normaliseReviewSampleRateRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    markerUserId: row.marker_user_id,
+    markerExternalId: row.marker_external_id,
+    sampleRatePercent: row.sample_rate_percent,
+    isDefault: row.is_default,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function normaliseReviewRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    reviewerUserId: row.reviewer_user_id,
+    outcome: row.outcome,
+    marks: row.payload,
+    totalMark: row.total_mark,
+    originalMarks: row.original_payload,
+    originalTotalMark: row.original_total_mark,
+    comment: row.comment,
+    createdAt: row.created_at,
+  };
+}
+
+// A submitted mark as seen by its reviewer: the submission, its review (if
+// any) and the final mark that results.
+function normaliseReviewedMarkRow(row) {
+  return {
+    ...normaliseMarkRow(row),
+    markerExternalId: row.marker_external_id,
+    candidateId: row.candidate_id,
+    review: normaliseReviewRow(row.review),
+    finalMark: resolveFinalMark(row, row.review),
+  };
+}
+
+function writeReviewErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let body = null;
+
+  if (code === 'INVALID_SAMPLE_RATE') {
+    statusCode = 400;
+    body = { error: 'invalid_sample_rate' };
+  } else if (code === 'INVALID_REVIEW_OUTCOME') {
+    statusCode = 400;
+    body = { error: 'invalid_outcome' };
+  } else if (code === 'INVALID_MARKS') {
+    statusCode = 400;
+    body = { error: 'invalid_marks', itemErrors: err.itemErrors || [] };
+  } else if (code === 'MARK_NOT_SUBMITTED') {
+    statusCode = 409;
+    body = { error: 'mark_not_submitted' };
+  } else if (code === 'ALREADY_REVIEWED') {
+    statusCode = 409;
+    body = { error: 'already_reviewed' };
+  } else if (code === 'MARK_SCHEME_MISSING') {
+    statusCode = 409;
+    body = { error: 'mark_scheme_missing' };
+  }
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
+
+function normaliseExceptionRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    responseId: row.response_id,
+    scriptId: row.script_id,
+    candidateId: row.candidate_id,
+    deploymentCode: row.deployment_code,
+    qigCode: row.qig_code,
+    category: row.category,
+    state: row.state,
+    description: row.description,
+    raisedByExternalId: row.raised_by_external_id,
+    responseState: row.response_state,
+    previousResponseState: row.previous_response_state,
+    heldAllocationIds: row.held_allocation_ids,
+    reasonCode: row.reason_code,
+    resolution: row.resolution,
+    resolutionNote: row.resolution_note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    resolvedAt: row.resolved_at,
+  };
+}
+
+// Map exception-case errors onto HTTP responses.
+// Returns true when a response was written.
+function writeExceptionErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = null;
+  let body = null;
+
+  if (code === 'INVALID_EXCEPTION_CATEGORY') {
+    statusCode = 400;
+    body = { error: 'invalid_category' };
+  } else if (code === 'INVALID_EXCEPTION_STATE') {
+    statusCode = 400;
+    body = { error: 'invalid_state' };
+  } else if (code === 'INVALID_RESOLUTION') {
+    statusCode = 400;
+    body = { error: 'invalid_resolution' };
+  } else if (code === 'RESOLUTION_REQUIRED') {
+    statusCode = 400;
+    body = { error: 'resolution_required' };
+  } else if (code === 'INVALID_EXCEPTION_TRANSITION') {
+    statusCode = 409;
+    body = {
+      error: 'invalid_transition',
+      fromState: err.fromState || null,
+      toState: err.toState || null,
+    };
+  } else if (code === 'EXCEPTION_ALREADY_OPEN') {
+    statusCode = 409;
+    body = { error: 'exception_already_open', exceptionId: err.exceptionId };
+  } else if (code === 'RESPONSE_CLOSED') {
+    statusCode = 409;
+    body = { error: 'response_closed' };
+  }
+
+  if (!statusCode) {
+    return false;
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
+
+function normaliseAuditEventRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    eventType: row.event_type,
+    payload: row.payload,
+    createdAt: row.created_at,
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+function writeAuditQueryErrorResponse(res, err) {
+  const code = err && err.code;
+  let statusCode = 400;
+  let body = null;
+
+  if (code === 'INVALID_CURSOR') {
+    body = { error: 'invalid_cursor' };
+  } else if (code === 'INVALID_LIMIT') {
+    body = { error: 'invalid_limit' };
+  } else if (code === 'INVALID_TIME_RANGE') {
+    body = { error: 'invalid_time_range' };
+  } else if (code === 'INVALID_FORMAT') {
+    body = { error: 'invalid_format' };
+  } else if (code === 'DEPLOYMENT_REQUIRED') {
+    body = { error: 'deployment_required' };
+  } else if (code === 'DEPLOYMENT_NOT_FOUND') {
+    statusCode = 404;
+    body = { error: 'deployment_not_found' };
+  } else if (code === 'SERIES_NOT_FOUND') {
+    statusCode = 404;
+    body = { error: 'series_not_found' };
+  }
+
+  if (!body) {
+    return false;
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return true;
+}
+
+/**
+ * Resolve the markers the caller supervises on a QIG. Writes a 403
+ * (not_team_leader) and returns null when the caller leads no team there.
+ */
+async function resolveSupervisionScope(res, user, qigId) {
+  const scope = await getSupervisionScope(user.id, qigId);
+  if (!scope) {
+    sendJson(res, 403, { error: 'forbidden', reason: 'not_team_leader' });
+    return null;
+  }
+  return scope;
+}
+
+/**
+ * Resolve a QIG by code within a deployment (QIG codes are only unique per
+ * Paper, so the first match in the deployment wins).
+ */
+async function findQigInDeployment(deploymentCode, qigCode) {
+  const qigs = await getQigsWithDeploymentByCode(qigCode);
+  return qigs.find((q) => q.deployment_code === deploymentCode) || null;
+}
+
+function normaliseScriptRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    componentId: row.paper_id,
+    candidateId: row.candidate_id,
+    state: row.state,
+    reasonCode: row.reason_code,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function normalisePageImageRow(row, responseId) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    scriptId: row.script_id,
+    bookletId: row.booklet_id,
+    bookletCode: row.booklet_code,
+    pageNumber: row.page_number,
+    contentType: row.content_type,
+    byteSize: row.byte_size,
+    url:
+      responseId != null
+        ? `/responses/${responseId}/pages/${row.id}`
+        : undefined,
+  };
+}
+
+function normaliseResponseRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    qigId: row.qig_id,
+    scriptId: row.script_id,
+    candidateId: row.candidate_id,
+    scriptUrl: row.script_url,
+    manifest: row.manifest,
+    state: row.state,
+    createdAt: row.created_at,
+    archivedAt: row.archived_at,
+  };
+}
+
+async function writeAssessmentStructureUpdatedAudit(
+  req,
+  deployment,
+  structureType,
+  structureCode,
+  user,
+  requestId,
+) {
+  if (!deployment || !deployment.id || !deployment.code) {
+    return;
+  }
+
+  try {
+    await writeAuditEvent(ASSESSMENT_STRUCTURE_UPDATED_EVENT_TYPE, {
+      meta: {
+        deploymentId: deployment.id,
+        deploymentCode: deployment.code,
+        structureType,
+        structureCode,
+        path: req && req.url ? req.url : null,
+        method: req && req.method ? req.method : null,
+      },
+      actor: user
+        ? {
+            id: user.id,
+            externalId: user.external_id,
+            displayName: user.display_name,
+          }
+        : null,
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to write assessment structure updated audit event', {
+      error: err,
+      requestId,
+      deploymentId: deployment.id,
+      deploymentCode: deployment.code,
+      structureType,
+      structureCode,
+    });
+  }
+}
+
+// Enforce AE QIG scoping for a single Response.
+//
+// Resolves the Response's deployment and QIG and checks them against the
+// caller's AE_<deployment>_<qig> roles. Users without AE roles for the
+// deployment are not QIG-scoped (same rule as the assessment tree filter).
+//
+// - On success: returns true and does NOT write to the response.
+// - On failure: writes a 403 JSON response plus a PERMISSION_DENIED audit
+//   event and returns false.
+async function enforceResponseQigScope(req, res, user, responseId, requestId) {
+  const meta = await buildMarkingMetaForResponse(responseId);
+  if (!meta) {
+    // Unknown Response: the caller reports 404.
+    return true;
+  }
+
+  const roles = await getRolesForUser(user.id);
+  const aeQigCodes = extractAeQigCodesForDeployment(
+    roles,
+    meta.deploymentCode,
+  );
+  if (aeQigCodes.size === 0 || aeQigCodes.has(meta.qigCode)) {
+    return true;
+  }
+
+  try {
+    await writeAuditEvent(PERMISSION_DENIED_EVENT_TYPE, {
+      meta: {
+        reason: 'qig_out_of_scope',
+        deploymentId: meta.deploymentId,
+        deploymentCode: meta.deploymentCode,
+        qigId: meta.qigId,
+        qigCode: meta.qigCode,
+        responseId: meta.responseId,
+        path: req && req.url ? req.url : null,
+        method: req && req.method ? req.method : null,
+      },
+      subject: {
+        id: user.id,
+        externalId: user.external_id,
+        displayName: user.display_name,
+      },
+    });
+  } catch (err) {
+    // Best-effort: the denial itself must still be returned.
+    // eslint-disable-next-line no-console
+    console.error('Failed to write QIG scope denied audit event', {
+      error: err,
+      requestId,
+      responseId,
+    });
+  }
+
+  res.statusCode = 403;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(
+    JSON.stringify({
+      error: 'forbidden',
+      reason: 'qig_out_of_scope',
+    }),
+  );
+  return false;
+}
+
+// Live marking is only open to markers who are LIVE_APPROVED on the
+// Response's QIG (MOD-06). Writes a PERMISSION_DENIED audit event and a 403
+// when they are not; returns true when the caller may proceed.
+async function enforceMarkerLiveApproved(req, res, user, responseId, requestId) {
+  const meta = await buildMarkingMetaForResponse(responseId);
+  if (!meta) {
+    // Unknown Response: the caller reports 404.
+    return true;
+  }
+
+  if (await isMarkerLiveApproved(user.id, meta.qigId)) {
+    return true;
+  }
+
+  try {
+    await writeAuditEvent(PERMISSION_DENIED_EVENT_TYPE, {
+      meta: {
+        reason: 'marker_not_eligible',
+        deploymentId: meta.deploymentId,
+        deploymentCode: meta.deploymentCode,
+        qigId: meta.qigId,
+        qigCode: meta.qigCode,
+        responseId: meta.responseId,
+        path: req && req.url ? req.url : null,
+        method: req && req.method ? req.method : null,
+      },
+      subject: {
+        id: user.id,
+        externalId: user.external_id,
+        displayName: user.display_name,
+      },
+    });
+  } catch (err) {
+    // Best-effort: the denial itself must still be returned.
+    // eslint-disable-next-line no-console
+    console.error('Failed to write marker eligibility denied audit event', {
+      error: err,
+      requestId,
+      responseId,
+    });
+  }
+
+  res.statusCode = 403;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(
+    JSON.stringify({
+      error: 'forbidden',
+      reason: 'marker_not_eligible',
+    }),
+  );
+  return false;
+}
+
+/**
+ * Resolve a deployment and, when their codes are given, its series, paper
+ * and QIG. Writes a 404 naming the first level not found (an archived
+ * deployment counts as not found) and returns null; otherwise returns
+ * { deployment, series, paper, qig }.
+ */
+async function resolveAssessmentPath(
+  res,
+  { deploymentCode, seriesCode, paperCode, qigCode },
+) {
+  const deployment = await getDeploymentByCode(deploymentCode);
+  if (!deployment || deployment.archived_at) {
+    sendJson(res, 404, { error: 'deployment_not_found' });
+    return null;
+  }
+  const found = { deployment, series: null, paper: null, qig: null };
+  if (seriesCode === undefined) {
+    return found;
+  }
+
+  found.series = await getSeriesByCode(deployment.id, seriesCode);
+  if (!found.series) {
+    sendJson(res, 404, { error: 'series_not_found' });
+    return null;
+  }
+  if (paperCode === undefined) {
+    return found;
+  }
+
+  found.paper = await getPaperByCode(found.series.id, paperCode);
+  if (!found.paper) {
+    sendJson(res, 404, { error: 'paper_not_found' });
+    return null;
+  }
+  if (qigCode === undefined) {
+    return found;
+  }
+
+  found.qig = await getQigByCode(found.paper.id, qigCode);
+  if (!found.qig) {
+    sendJson(res, 404, { error: 'qig_not_found' });
+    return null;
+  }
+  return found;
+}
+
+// Basic CORS support so the web dev server (different port) and
+// Playwright-run browsers can call the API directly. Preflight requests are
+// answered here.
+async function corsMiddleware(ctx, next) {
+  const { req, res } = ctx;
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Range, x-user-external-id, x-user-display-name',
+  );
+  res.setHeader(
+    'Access-Control-Expose-Headers',
+    'Accept-Ranges, Content-Range, Content-Length',
+  );
+  res.setHeader(
+    'Access-Control-Allow-Methods',
+    'GET,POST,OPTIONS',
+  );
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return undefined;
+  }
+  return next();
+}
+
+/**
+ * Look up a Response by id. Returns { id, qig_id, script_id } or null.
+ */
+async function findResponseRow(responseId) {
+  await ensureIngestionTables();
+  const result = await pool.query(
+    `SELECT id, qig_id, script_id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
+    [responseId],
+  );
+  return result.rows[0] || null;
+}
+
+// Route guard: 404 response_not_found unless the :responseId Response
+// exists, checked before the request body is read.
+async function requireResponse(ctx) {
+  if (!(await findResponseRow(ctx.params.responseId))) {
+    sendJson(ctx.res, 404, { error: 'response_not_found' });
+    return false;
+  }
+  return true;
+}
+
+// Optional non-empty reasonCode of a transition body, else null.
+function readReasonCode(body) {
+  return body && typeof body.reasonCode === 'string' && body.reasonCode
+    ? body.reasonCode
+    : null;
+}
+
+// The media type of a request's Content-Type header, lower-cased and
+// without parameters ('' when absent).
+function requestContentType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+function writePageImageErrorResponse(res, err) {
+  const code = err && err.code;
+  if (code === 'UNSUPPORTED_CONTENT_TYPE') {
+    sendJson(res, 415, { error: 'unsupported_media_type' });
+    return true;
+  }
+  if (code === 'EMPTY_PAGE_IMAGE') {
+    sendJson(res, 400, { error: 'empty_page_image' });
+    return true;
+  }
+  return false;
+}
+
+function writeResponseBatchErrorResponse(res, err) {
+  if (err && err.code === 'INVALID_CSV') {
+    sendJson(res, 400, { error: 'invalid_csv', message: err.message });
+    return true;
+  }
+  return false;
+}
+
+// findQigInDeployment, writing a 404 (qig_not_found) and returning null
+// when there is no such QIG.
+async function resolveQigInDeployment(res, deploymentCode, qigCode) {
+  const qig = await findQigInDeployment(deploymentCode, qigCode);
+  if (!qig) {
+    sendJson(res, 404, { error: 'qig_not_found' });
+  }
+  return qig;
+}
+
+// The { marks: { [itemCode]: mark } } map of a marking body, or null.
+function readMarksBody(body) {
+  return body &&
+    typeof body === 'object' &&
+    body.marks &&
+    typeof body.marks === 'object'
+    ? body.marks
+    : null;
+}
+
+/**
+ * Resolve the team and (unless userExternalId is null) the user a team
+ * update names. Writes a 404 (qig_not_found, team_not_found or
+ * user_not_found) and returns null when one is missing.
+ */
+async function resolveTeamUpdateTarget(res, params, userExternalId) {
+  const { deploymentCode, qigCode, teamCode } = params;
+  const qig = await resolveQigInDeployment(res, deploymentCode, qigCode);
+  if (!qig) {
+    return null;
+  }
+
+  const team = await getTeamByCode(qig.id, teamCode);
+  if (!team) {
+    sendJson(res, 404, { error: 'team_not_found' });
+    return null;
+  }
+
+  let user = null;
+  if (userExternalId !== null) {
+    user = await getUserByExternalId(userExternalId);
+    if (!user || user.archived_at) {
+      sendJson(res, 404, { error: 'user_not_found' });
+      return null;
+    }
+  }
+  return { team, user };
+}
+
+// Write the result of a team update: the team, or 404 member_not_found
+// when the user was not on it.
+function sendTeamUpdate(res, row) {
+  if (!row) {
+    sendJson(res, 404, { error: 'member_not_found' });
+    return;
+  }
+  sendJson(res, 200, { team: normaliseTeamRow(row) });
+}
+
+/**
+ * Resolve an allocation the caller may act on as a team leader, with their
+ * supervision scope. Writes a 404 (allocation_not_found) or 403 (not a
+ * team leader on the QIG, or the allocation's marker is not in their team)
+ * and returns null otherwise.
+ */
+async function resolveSupervisedAllocation(res, user, allocationId) {
+  const allocation = await getAllocationById(allocationId);
+  if (!allocation) {
+    sendJson(res, 404, { error: 'allocation_not_found' });
+    return null;
+  }
+
+  const response = await findResponseRow(allocation.response_id);
+  const scope = await resolveSupervisionScope(res, user, response.qig_id);
+  if (!scope) {
+    return null;
+  }
+  if (!scope.userIds.includes(allocation.marker_user_id)) {
+    sendJson(res, 403, {
+      error: 'forbidden',
+      reason: 'allocation_not_in_team',
+    });
+    return null;
+  }
+  return { allocation, scope };
+}
+
+/**
+ * Resolve a QIG and the markers the caller supervises on it. Writes a 404
+ * (qig_not_found) or 403 (not_team_leader) and returns null otherwise.
+ */
+async function resolveSupervisedQig(ctx) {
+  const { deploymentCode, qigCode } = ctx.params;
+  const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+  if (!qig) {
+    return null;
+  }
+  const scope = await resolveSupervisionScope(ctx.res, ctx.user, qig.id);
+  if (!scope) {
+    return null;
+  }
+  return { qig, scope };
+}
+
+/**
+ * Resolve a submitted mark the caller may review: one by a marker they
+ * supervise. Writes a 404 (mark_not_found) or 403 and returns null
+ * otherwise.
+ */
+async function resolveReviewableMark(res, user, responseMarkId) {
+  const markRow = await getMarkWithReview(responseMarkId);
+  if (!markRow) {
+    sendJson(res, 404, { error: 'mark_not_found' });
+    return null;
+  }
+
+  const scope = await resolveSupervisionScope(res, user, markRow.qig_id);
+  if (!scope) {
+    return null;
+  }
+  if (!scope.userIds.includes(markRow.marker_user_id)) {
+    sendJson(res, 403, { error: 'forbidden', reason: 'marker_not_in_team' });
+    return null;
+  }
+  return markRow;
+}
+
+// Write an exception case, or 404 exception_not_found.
+function sendException(res, exceptionCase) {
+  if (!exceptionCase) {
+    sendJson(res, 404, { error: 'exception_not_found' });
+    return;
+  }
+  sendJson(res, 200, { exception: normaliseExceptionRow(exceptionCase) });
+}
+
+// Map the errors saveDraftMark and submitMark throw for a response that
+// cannot take the mark.
+function writeMarkingErrorResponse(res, err) {
+  const code = err && err.code;
+  if (code === 'LOCKED') {
+    sendJson(res, 409, { error: 'response_locked', reason: code });
+    return true;
+  }
+  if (code === 'HELD' || code === 'CLOSED') {
+    sendJson(res, 409, {
+      error: code === 'HELD' ? 'response_held' : 'response_closed',
+    });
+    return true;
+  }
+  if (code === 'ALREADY_SUBMITTED') {
+    sendJson(res, 409, { error: 'mark_already_submitted' });
+    return true;
+  }
+  if (code === 'MARK_SCHEME_MISSING') {
+    sendJson(res, 409, { error: 'mark_scheme_missing' });
+    return true;
+  }
+  if (code === 'INVALID_MARKS') {
+    sendJson(res, 400, {
+      error: 'invalid_marks',
+      itemErrors: err.itemErrors || [],
+    });
+    return true;
+  }
+  return false;
+}
+
+// Live marking on a Response needs both QIG scope (enforceResponseQigScope)
+// and LIVE_APPROVED eligibility (enforceMarkerLiveApproved).
+async function enforceLiveMarkingAccess(ctx, responseId) {
+  const { req, res, user, requestId } = ctx;
+  return (
+    (await enforceResponseQigScope(req, res, user, responseId, requestId)) &&
+    (await enforceMarkerLiveApproved(req, res, user, responseId, requestId))
+  );
+}
+
+// Check a Response exists (404 response_not_found) and is within the
+// caller's QIG scope (enforceResponseQigScope). Returns true when the
+// caller may proceed.
+async function enforceResponseAccess(ctx, responseId) {
+  const { req, res, user, requestId } = ctx;
+  if (!(await findResponseRow(responseId))) {
+    sendJson(res, 404, { error: 'response_not_found' });
+    return false;
+  }
+  return enforceResponseQigScope(req, res, user, responseId, requestId);
+}
+
+// Permissions that let a supervisor or administrator raise an exception on
+// any Response in their QIG scope, whoever it is allocated to.
+const EXCEPTION_RAISE_OVERRIDE_PERMISSIONS = [
+  'exceptions.manage',
+  'supervision.manage',
+];
+
+// Raising an exception needs an existing Response in the caller's QIG
+// scope (enforceResponseAccess). Without an override permission the caller
+// must also be LIVE_APPROVED on its QIG and hold a READY or IN_MARKING
+// allocation on it; otherwise writes a PERMISSION_DENIED audit event and a
+// 403 response_not_allocated. Returns true when the caller may proceed.
+async function enforceExceptionRaiseAccess(ctx, responseId) {
+  const { req, res, user, requestId } = ctx;
+  if (!(await enforceResponseAccess(ctx, responseId))) {
+    return false;
+  }
+
+  const permissions = await getPermissionsForUser(user.id);
+  if (
+    EXCEPTION_RAISE_OVERRIDE_PERMISSIONS.some((key) => permissions.includes(key))
+  ) {
+    return true;
+  }
+
+  if (
+    !(await enforceMarkerLiveApproved(req, res, user, responseId, requestId))
+  ) {
+    return false;
+  }
+
+  const allocations = await getAllocationsForResponse(responseId);
+  const allocated = allocations.some(
+    (allocation) =>
+      allocation.marker_user_id === user.id &&
+      (allocation.state === 'READY' || allocation.state === 'IN_MARKING'),
+  );
+  if (allocated) {
+    return true;
+  }
+
+  try {
+    const meta = await buildMarkingMetaForResponse(responseId);
+    await writeAuditEvent(PERMISSION_DENIED_EVENT_TYPE, {
+      meta: {
+        reason: 'response_not_allocated',
+        deploymentId: meta.deploymentId,
+        deploymentCode: meta.deploymentCode,
+        qigId: meta.qigId,
+        qigCode: meta.qigCode,
+        responseId: meta.responseId,
+        path: req && req.url ? req.url : null,
+        method: req && req.method ? req.method : null,
+      },
+      subject: {
+        id: user.id,
+        externalId: user.external_id,
+        displayName: user.display_name,
+      },
+    });
+  } catch (err) {
+    // Best-effort: the denial itself must still be returned.
+    // eslint-disable-next-line no-console
+    console.error('Failed to write exception raise denied audit event', {
+      error: err,
+      requestId,
+      responseId,
+    });
+  }
+
+  sendJson(res, 403, { error: 'forbidden', reason: 'response_not_allocated' });
+  return false;
+}
+
+// The annotation fields of a create/update body.
+function readAnnotationFields(body) {
+  return {
+    pageImageId: body.pageImageId,
+    itemCode: body.itemCode,
+    annotationType: body.annotationType,
+    shape: body.shape,
+    coordinates: body.coordinates,
+    text: body.text,
+  };
+}
+
+/**
+ * Run an annotation create, update or delete for the caller on a Response
+ * they may mark live, writing the annotation with statusCode or 404
+ * annotation_not_found.
+ */
+async function runAnnotationWrite(ctx, statusCode, write) {
+  const { req, res, user, requestId } = ctx;
+  const { responseId } = ctx.params;
+  if (!(await enforceResponseAccess(ctx, responseId))) {
+    return;
+  }
+  if (
+    !(await enforceMarkerLiveApproved(req, res, user, responseId, requestId))
+  ) {
+    return;
+  }
+
+  const annotation = await write();
+  if (!annotation) {
+    sendJson(res, 404, { error: 'annotation_not_found' });
+    return;
+  }
+  sendJson(res, statusCode, { annotation: normaliseAnnotationRow(annotation) });
+}
+
+// Validate a create/update annotation body: a JSON object.
+function validateAnnotationBody(body) {
+  return body && typeof body === 'object' && !Array.isArray(body);
+}
+
+function writeRemarkErrorResponse(res, err) {
+  const code = err && err.code;
+  if (code === 'NOT_LOCKED') {
+    sendJson(res, 409, {
+      error: 'response_not_locked',
+      state: err.state || null,
+    });
+    return true;
+  }
+  if (code === 'NO_SUBMITTED_MARK') {
+    sendJson(res, 409, { error: 'no_submitted_mark' });
+    return true;
+  }
+  return false;
+}
+
+function createServer() {
+  const router = createRouter();
+  router.use(corsMiddleware);
+  router.use(requestIdMiddleware);
+
+  // /version
+  router.get('/version', {}, (ctx) => versionHandler(ctx.req, ctx.res));
+
+  // /health (with optional DB-backed mode)
+  router.get('/health', {}, async (ctx) => {
+    const { req, res } = ctx;
+    if (process.env.API_USE_DB_HEALTH !== 'true') {
+      healthHandler(req, res);
+      return;
+    }
+
+    let ok = false;
+    try {
+      ok = await checkDbHealth();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('DB health check failed', {
+        error: err,
+        requestId: ctx.requestId,
+      });
+    }
+    if (ok) {
+      healthHandler(req, res, { db: 'up' });
+    } else {
+      sendJson(res, 500, { status: 'error', db: 'down' });
+    }
+  });
+
+  // /audit/hello/latest (feature-flagged)
+  router.get('/audit/hello/latest', {}, async (ctx) => {
+    if (process.env.ENABLE_HELLO_AUDIT_ENDPOINT !== 'true') {
+      ctx.res.statusCode = 404;
+      ctx.res.end();
+      return;
+    }
+
+    const event = await getLatestAuditEventByType(HELLO_AUDIT_EVENT_TYPE);
+    if (!event) {
+      sendJson(ctx.res, 404, { error: 'not_found' });
+      return;
+    }
+    sendJson(ctx.res, 200, { event });
+  });
+
+  // GET /audit/events?eventType=&actorExternalId=&deploymentCode=&responseId=&from=&to=&cursor=&limit=
+  router.get(
+    '/audit/events',
+    { permission: 'audit.view', errors: [writeAuditQueryErrorResponse] },
+    async (ctx) => {
+      const { query } = ctx;
+      const result = await listAuditEvents(
+        {
+          eventType: query.get('eventType') || null,
+          actorExternalId: query.get('actorExternalId') || null,
+          deploymentCode: query.get('deploymentCode') || null,
+          responseId: query.get('responseId') || null,
+          from: query.get('from') || null,
+          to: query.get('to') || null,
+        },
+        {
+          cursor: query.get('cursor') || null,
+          limit: query.get('limit'),
+        },
+      );
+
+      sendJson(ctx.res, 200, {
+        events: result.events.map(normaliseAuditEventRow),
+        nextCursor: result.nextCursor,
+      });
+    },
+  );
+
+  // GET /audit/export?format=ndjson|csv&eventType=&actorExternalId=&deploymentCode=&seriesCode=&responseId=&from=&to=
+  router.get(
+    '/audit/export',
+    { permission: 'audit.view', errors: [writeAuditQueryErrorResponse] },
+    async (ctx) => {
+      const { res, query } = ctx;
+      const plan = await planAuditExport(
+        {
+          eventType: query.get('eventType') || null,
+          actorExternalId: query.get('actorExternalId') || null,
+          deploymentCode: query.get('deploymentCode') || null,
+          seriesCode: query.get('seriesCode') || null,
+          responseId: query.get('responseId') || null,
+          from: query.get('from') || null,
+          to: query.get('to') || null,
+        },
+        query.get('format') || 'ndjson',
+      );
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', plan.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="audit-events.${plan.format}"`,
+      );
+
+      // Wait for 'drain' when the client reads slower than we query.
+      const write = (chunk) =>
+        new Promise((resolve, reject) => {
+          if (res.destroyed) {
+            reject(new Error('Client closed the audit export'));
+            return;
+          }
+          if (res.write(chunk)) {
+            resolve();
+          } else {
+            res.once('drain', resolve);
+          }
+        });
+
+      // A failure after the first chunk cuts the response short (see the
+      // router's error handling) so it cannot pass for a complete export.
+      await writeAuditExport(plan, write, { actor: ctx.user });
+      res.end();
+    },
+  );
+
+  // GET /audit/verify
+  router.get('/audit/verify', { permission: 'audit.view' }, async (ctx) => {
+    sendJson(ctx.res, 200, await verifyAuditChain());
+  });
+
+  // /identity/me
+  router.get('/identity/me', { authenticate: true }, async (ctx) => {
+    const { user } = ctx;
+    const [permissions, roles] = await Promise.all([
+      getPermissionsForUser(user.id),
+      getRolesForUser(user.id),
+    ]);
+
+    sendJson(ctx.res, 200, {
+      user: {
+        id: user.id,
+        externalId: user.external_id,
+        displayName: user.display_name,
+      },
+      permissions,
+      roles: (roles || []).map((role) => ({
+        id: role.id,
+        key: role.key,
+        name: role.name,
+      })),
+    });
+  });
+
+  // /me/profile
+  router.get('/me/profile', { authenticate: true }, async (ctx) => {
+    const profile = await getProfileForUser(ctx.user);
+    sendJson(ctx.res, 200, { profile });
+  });
+
+  // GET /assessment/:deploymentCode/tree
+  router.get(
+    '/assessment/:deploymentCode/tree',
+    { permission: 'assessment.view' },
+    async (ctx) => {
+      const { req, user, requestId } = ctx;
+      const { deploymentCode } = ctx.params;
+
+      let roles = [];
+      try {
+        roles = await getRolesForUser(user.id);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to resolve roles for assessment tree', {
+          error: err,
+          requestId,
+        });
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, { deploymentCode });
+      if (!found) {
+        return;
+      }
+      const { deployment } = found;
+
+      const seriesTree = await getAssessmentTreeForDeployment(deployment.id);
+      const filteredSeries = filterAssessmentTreeForAeRoles(
+        seriesTree,
+        extractAeQigCodesForDeployment(roles, deploymentCode),
+      );
+
+      // Audit: ASSESSMENT_TREE_VIEWED
+      try {
+        await writeAuditEvent(ASSESSMENT_TREE_VIEWED_EVENT_TYPE, {
+          meta: {
+            deploymentId: deployment.id,
+            deploymentCode: deployment.code,
+            path: req.url,
+            method: req.method,
+          },
+          actor: {
+            id: user.id,
+            externalId: user.external_id,
+            displayName: user.display_name,
+          },
+        });
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to write assessment tree viewed audit event', {
+          error: err,
+          requestId,
+        });
+      }
+
+      sendJson(ctx.res, 200, {
+        deployment: {
+          id: deployment.id,
+          code: deployment.code,
+          name: deployment.name,
+        },
+        series: filteredSeries,
+      });
+    },
+  );
+
+  // POST /assessment/:deploymentCode/series
+  router.post(
+    '/assessment/:deploymentCode/series',
+    { permission: 'assessment.edit', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const code = body && typeof body.code === 'string' ? body.code : null;
+      const name = body && typeof body.name === 'string' ? body.name : null;
+      if (!code || !name) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, ctx.params);
+      if (!found) {
+        return;
+      }
+
+      const seriesRow = await createSeries(found.deployment.id, code, name);
+
+      await writeAssessmentStructureUpdatedAudit(
+        ctx.req,
+        found.deployment,
+        'series',
+        seriesRow.code,
+        ctx.user,
+        ctx.requestId,
+      );
+
+      sendJson(ctx.res, 201, {
+        series: {
+          id: seriesRow.id,
+          deploymentId: seriesRow.deployment_id,
+          code: seriesRow.code,
+          name: seriesRow.name,
+        },
+      });
+    },
+  );
+
+  // POST /assessment/:deploymentCode/series/:seriesCode/papers
+  router.post(
+    '/assessment/:deploymentCode/series/:seriesCode/papers',
+    { permission: 'assessment.edit', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const code = body && typeof body.code === 'string' ? body.code : null;
+      const name = body && typeof body.name === 'string' ? body.name : null;
+      if (!code || !name) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, ctx.params);
+      if (!found) {
+        return;
+      }
+
+      const paperRow = await createPaper(found.series.id, code, name);
+
+      await writeAssessmentStructureUpdatedAudit(
+        ctx.req,
+        found.deployment,
+        'paper',
+        paperRow.code,
+        ctx.user,
+        ctx.requestId,
+      );
+
+      sendJson(ctx.res, 201, {
+        paper: {
+          id: paperRow.id,
+          seriesId: paperRow.series_id,
+          code: paperRow.code,
+          name: paperRow.name,
+        },
+      });
+    },
+  );
+
+  // POST /assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs
+  router.post(
+    '/assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs',
+    { permission: 'assessment.edit', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const code = body && typeof body.code === 'string' ? body.code : null;
+      const name = body && typeof body.name === 'string' ? body.name : null;
+      if (!code || !name) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, ctx.params);
+      if (!found) {
+        return;
+      }
+
+      const qigRow = await createQig(found.paper.id, code, name);
+
+      await writeAssessmentStructureUpdatedAudit(
+        ctx.req,
+        found.deployment,
+        'qig',
+        qigRow.code,
+        ctx.user,
+        ctx.requestId,
+      );
+
+      sendJson(ctx.res, 201, {
+        qig: {
+          id: qigRow.id,
+          paperId: qigRow.paper_id,
+          code: qigRow.code,
+          name: qigRow.name,
+        },
+      });
+    },
+  );
+
+  // POST /assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs/:qigCode/items
+  router.post(
+    '/assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs/:qigCode/items',
+    { permission: 'assessment.edit', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const code = body && typeof body.code === 'string' ? body.code : null;
+      const maxMark =
+        body && Number.isInteger(body.maxMark) ? body.maxMark : null;
+      if (!code || maxMark == null) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, ctx.params);
+      if (!found) {
+        return;
+      }
+
+      const itemRow = await createItem(found.qig.id, code, maxMark, {
+        actor: ctx.user,
+      });
+
+      await writeAssessmentStructureUpdatedAudit(
+        ctx.req,
+        found.deployment,
+        'item',
+        itemRow.code,
+        ctx.user,
+        ctx.requestId,
+      );
+
+      sendJson(ctx.res, 201, {
+        item: {
+          id: itemRow.id,
+          qigId: itemRow.qig_id,
+          code: itemRow.code,
+          maxMark: itemRow.max_mark,
+        },
+      });
+    },
+  );
+
+  // POST /assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs/:qigCode/marking-settings
+  router.post(
+    '/assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs/:qigCode/marking-settings',
+    { permission: 'assessment.edit', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const hasRequiredMarks = body && body.requiredMarks !== undefined;
+      const hasMarkTolerance = body && body.markTolerance !== undefined;
+      const requiredMarks = hasRequiredMarks ? body.requiredMarks : null;
+      const markTolerance = hasMarkTolerance ? body.markTolerance : null;
+
+      if (
+        (!hasRequiredMarks && !hasMarkTolerance) ||
+        (hasRequiredMarks &&
+          !(Number.isInteger(requiredMarks) && requiredMarks >= 1)) ||
+        (hasMarkTolerance &&
+          !(Number.isInteger(markTolerance) && markTolerance >= 0))
+      ) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const found = await resolveAssessmentPath(ctx.res, ctx.params);
+      if (!found) {
+        return;
+      }
+
+      const updated = await updateQigMarkingSettings(found.qig.id, {
+        requiredMarks,
+        markTolerance,
+      });
+
+      await writeAssessmentStructureUpdatedAudit(
+        ctx.req,
+        found.deployment,
+        'qig',
+        updated.code,
+        ctx.user,
+        ctx.requestId,
+      );
+
+      sendJson(ctx.res, 200, {
+        qig: {
+          id: updated.id,
+          paperId: updated.paper_id,
+          code: updated.code,
+          name: updated.name,
+          requiredMarks: updated.required_marks,
+          markTolerance: updated.mark_tolerance,
+        },
+      });
+    },
+  );
+
+  // GET /config/:deploymentCode/active
+  router.get(
+    '/config/:deploymentCode/active',
+    { permission: 'config.view' },
+    async (ctx) => {
+      const result = await getActiveConfigForDeploymentCode(
+        ctx.params.deploymentCode,
+      );
+
+      if (result.notFound === 'deployment') {
+        sendJson(ctx.res, 404, { error: 'deployment_not_found' });
+        return;
+      }
+      if (result.notFound === 'active_config') {
+        sendJson(ctx.res, 404, { error: 'active_config_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 200, {
+        deployment: result.deployment,
+        configVersion: result.configVersion,
+        artifacts: result.artifacts,
+      });
+    },
+  );
+
+  // POST /config/:deploymentCode/versions/:versionNumber/activate
+  router.post(
+    '/config/:deploymentCode/versions/:versionNumber/activate',
+    {
+      params: { versionNumber: integerParam('invalid_version_number') },
+      permission: 'config.activate',
+    },
+    async (ctx) => {
+      const { req, user } = ctx;
+      const { deploymentCode, versionNumber } = ctx.params;
+
+      const result = await activateConfigVersionForDeploymentCode(
+        deploymentCode,
+        versionNumber,
+        { actor: user },
+      );
+
+      if (result.notFound === 'deployment') {
+        sendJson(ctx.res, 404, { error: 'deployment_not_found' });
+        return;
+      }
+      if (result.notFound === 'config_version') {
+        sendJson(ctx.res, 404, { error: 'config_version_not_found' });
+        return;
+      }
+
+      // Audit: CONFIG_ACTIVATED
+      try {
+        await writeAuditEvent(CONFIG_ACTIVATED_EVENT_TYPE, {
+          meta: {
+            deploymentId: result.deployment.id,
+            deploymentCode: result.deployment.code,
+            configVersionId: result.configVersion.id,
+            versionNumber,
+            path: req.url,
+            method: req.method,
+          },
+          actor: {
+            id: user.id,
+            externalId: user.external_id,
+            displayName: user.display_name,
+          },
+        });
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to write config activated audit event', {
+          error: err,
+          requestId: ctx.requestId,
+        });
+      }
+
+      sendJson(ctx.res, 200, {
+        deployment: result.deployment,
+        configVersion: result.configVersion,
+      });
+    },
+  );
+
+  // POST /config/:deploymentCode/drafts  (authoring endpoint)
+  router.post(
+    '/config/:deploymentCode/drafts',
+    { permission: 'config.edit', body: jsonBody },
+    async (ctx) => {
+      const { req, user, body } = ctx;
+      const { deploymentCode } = ctx.params;
+
+      const artifacts =
+        body &&
+        typeof body === 'object' &&
+        body.artifacts &&
+        typeof body.artifacts === 'object'
+          ? body.artifacts
+          : {};
+
+      const createdBy = user.external_id || user.display_name || null;
+
+      let draftResult = await createDraftConfigVersionForDeploymentCode(
+        deploymentCode,
+        createdBy,
+      );
+
+      // If helper reports deployment not found, auto-create it and retry.
+      if (draftResult && draftResult.notFound === 'deployment') {
+        const deploymentName =
+          body &&
+          typeof body.deploymentName === 'string' &&
+          body.deploymentName.trim()
+            ? body.deploymentName.trim()
+            : deploymentCode;
+
+        await createDeployment(deploymentCode, deploymentName);
+
+        draftResult = await createDraftConfigVersionForDeploymentCode(
+          deploymentCode,
+          createdBy,
+        );
+      }
+
+      if (!draftResult || !draftResult.deployment || !draftResult.configVersion) {
+        throw new Error('Draft config helper returned unexpected result');
+      }
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const [artifactType, artifactPayload] of Object.entries(artifacts)) {
+        // eslint-disable-next-line no-await-in-loop
+        await upsertConfigArtifact(
+          draftResult.configVersion.id,
+          artifactType,
+          artifactPayload,
+        );
+      }
+
+      // Audit: CONFIG_DRAFT_CREATED
+      try {
+        await writeAuditEvent(CONFIG_DRAFT_CREATED_EVENT_TYPE, {
+          meta: {
+            deploymentId: draftResult.deployment.id,
+            deploymentCode: draftResult.deployment.code,
+            configVersionId: draftResult.configVersion.id,
+            path: req.url,
+            method: req.method,
+          },
+          actor: {
+            id: user.id,
+            externalId: user.external_id,
+            displayName: user.display_name,
+          },
+        });
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to write config draft created audit event', {
+          error: err,
+          requestId: ctx.requestId,
+        });
+      }
+
+      sendJson(ctx.res, 201, {
+        deployment: draftResult.deployment,
+        configVersion: draftResult.configVersion,
+        artifacts,
+      });
+    },
+  );
+
+  // GET /allocation/responses/:responseId
+  router.get(
+    '/allocation/responses/:responseId',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'allocation.view',
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      if (!(await findResponseRow(responseId))) {
+        sendJson(ctx.res, 404, { error: 'response_not_found' });
+        return;
+      }
+
+      const rows = await getAllocationsForResponse(responseId);
+      sendJson(ctx.res, 200, {
+        allocations: rows.map(normaliseAllocationRow),
+      });
+    },
+  );
+
+  // POST /allocation/responses/:responseId
+  router.post(
+    '/allocation/responses/:responseId',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'allocation.manage',
+      body: jsonBody,
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { responseId } = ctx.params;
+      const response = await findResponseRow(responseId);
+      if (!response) {
+        sendJson(ctx.res, 404, { error: 'response_not_found' });
+        return;
+      }
+
+      let markerUserId = null;
+      if (body && body.markerExternalId != null) {
+        if (typeof body.markerExternalId !== 'string') {
+          sendJson(ctx.res, 400, { error: 'invalid_payload' });
+          return;
+        }
+        const marker = await getUserByExternalId(body.markerExternalId);
+        if (!marker || marker.archived_at) {
+          sendJson(ctx.res, 404, { error: 'marker_not_found' });
+          return;
+        }
+        if (!(await isMarkerLiveApproved(marker.id, response.qig_id))) {
+          sendJson(ctx.res, 409, { error: 'marker_not_eligible' });
+          return;
+        }
+        markerUserId = marker.id;
+      }
+
+      const row = await createAllocation(responseId, markerUserId, ctx.user);
+      sendJson(ctx.res, 201, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // GET /allocation/:allocationId
+  router.get(
+    '/allocation/:allocationId',
+    {
+      params: { allocationId: integerParam('invalid_allocation_id') },
+      permission: 'allocation.view',
+    },
+    async (ctx) => {
+      const row = await getAllocationById(ctx.params.allocationId);
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'allocation_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 200, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // POST /allocation/:allocationId/transition
+  router.post(
+    '/allocation/:allocationId/transition',
+    {
+      params: { allocationId: integerParam('invalid_allocation_id') },
+      permission: 'allocation.manage',
+      body: jsonBody,
+      errors: [writeAllocationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const toState =
+        body && typeof body.toState === 'string' ? body.toState : null;
+      if (!toState) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const row = await transitionAllocation(ctx.params.allocationId, toState, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'allocation_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 200, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // POST /allocation/:allocationId/reassign
+  router.post(
+    '/allocation/:allocationId/reassign',
+    {
+      params: { allocationId: integerParam('invalid_allocation_id') },
+      permission: 'allocation.manage',
+      body: jsonBody,
+      errors: [writeAllocationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const markerExternalId =
+        body && typeof body.markerExternalId === 'string'
+          ? body.markerExternalId
+          : null;
+      if (!markerExternalId) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const marker = await getUserByExternalId(markerExternalId);
+      if (!marker || marker.archived_at) {
+        sendJson(ctx.res, 404, { error: 'marker_not_found' });
+        return;
+      }
+
+      const row = await reassignAllocation(ctx.params.allocationId, marker.id, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'allocation_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 200, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // GET /ingestion/scripts/:scriptId
+  router.get(
+    '/ingestion/scripts/:scriptId',
+    {
+      params: { scriptId: integerParam('invalid_script_id') },
+      permission: 'ingestion.view',
+    },
+    async (ctx) => {
+      const { scriptId } = ctx.params;
+      const script = await getScriptById(scriptId);
+      if (!script) {
+        sendJson(ctx.res, 404, { error: 'script_not_found' });
+        return;
+      }
+
+      const responses = await getResponsesForScript(scriptId);
+      const pages = await getPageImagesForScript(scriptId);
+      sendJson(ctx.res, 200, {
+        script: normaliseScriptRow(script),
+        responses: responses.map(normaliseResponseRow),
+        pages: pages.map((page) => normalisePageImageRow(page)),
+      });
+    },
+  );
+
+  // POST /ingestion/scripts/:scriptId/transition
+  router.post(
+    '/ingestion/scripts/:scriptId/transition',
+    {
+      params: { scriptId: integerParam('invalid_script_id') },
+      permission: 'ingestion.manage',
+      body: jsonBody,
+      errors: [writeScriptErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const toState =
+        body && typeof body.toState === 'string' ? body.toState : null;
+      if (!toState) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const row = await transitionScript(ctx.params.scriptId, toState, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'script_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 200, { script: normaliseScriptRow(row) });
+    },
+  );
+
+  // POST /ingestion/scripts/:scriptId/booklets/:bookletCode/pages/:pageNumber
+  // Body: raw page image bytes; Content-Type: image/png | image/jpeg | ...
+  router.post(
+    '/ingestion/scripts/:scriptId/booklets/:bookletCode/pages/:pageNumber',
+    {
+      params: {
+        scriptId: integerParam('invalid_script_id'),
+        pageNumber: naturalNumberParam('invalid_page_number'),
+      },
+      permission: 'ingestion.manage',
+      body: rawBody(MAX_PAGE_IMAGE_BYTES, 'page_image_too_large'),
+      errors: [writePageImageErrorResponse],
+    },
+    async (ctx) => {
+      const { scriptId, bookletCode, pageNumber } = ctx.params;
+      const script = await getScriptById(scriptId);
+      if (!script) {
+        sendJson(ctx.res, 404, { error: 'script_not_found' });
+        return;
+      }
+
+      const booklet = await upsertBooklet(script.id, bookletCode);
+      const page = await storePageImage(
+        booklet,
+        pageNumber,
+        requestContentType(ctx.req),
+        ctx.body,
+      );
+
+      sendJson(ctx.res, 201, {
+        page: normalisePageImageRow({ ...page, booklet_code: booklet.code }),
+      });
+    },
+  );
+
+  // GET /ingestion/:deploymentCode/manifest-report[?qigCode=&status=]
+  router.get(
+    '/ingestion/:deploymentCode/manifest-report',
+    {
+      validate: (ctx) => {
+        const status = ctx.query.get('status');
+        return status && !['valid', 'invalid', 'missing'].includes(status)
+          ? { error: 'invalid_status' }
+          : null;
+      },
+      permission: 'ingestion.view',
+    },
+    async (ctx) => {
+      const report = await getManifestValidationReport(
+        ctx.params.deploymentCode,
+        {
+          qigCode: ctx.query.get('qigCode') || null,
+          status: ctx.query.get('status') || null,
+        },
+      );
+      if (!report) {
+        sendJson(ctx.res, 404, { error: 'deployment_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 200, report);
+    },
+  );
+
+  // POST /ingestion/:deploymentCode/responses:batch[?dryRun=true]
+  // Body: JSON array of rows, or text/csv with a header line of
+  // series,paper,qig,candidateId,scriptUrl,manifest
+  router.post(
+    '/ingestion/:deploymentCode/responses:batch',
+    {
+      permission: 'ingestion.manage',
+      body: rawBody(MAX_RESPONSE_BATCH_BYTES, 'batch_too_large'),
+      errors: [writeResponseBatchErrorResponse],
+    },
+    async (ctx) => {
+      const raw = ctx.body;
+      const dryRunParam = (ctx.query.get('dryRun') || '').toLowerCase();
+      const dryRun = dryRunParam === 'true' || dryRunParam === '1';
+
+      let rows;
+      if (requestContentType(ctx.req) === 'text/csv') {
+        rows = parseResponseBatchCsv(raw.toString('utf8'));
+      } else {
+        try {
+          rows = raw.length ? JSON.parse(raw.toString('utf8')) : null;
+        } catch (err) {
+          rows = null;
+        }
+      }
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+      if (rows.length > MAX_RESPONSE_BATCH_ROWS) {
+        sendJson(ctx.res, 413, { error: 'batch_too_large' });
+        return;
+      }
+
+      const result = await ingestResponseBatch(
+        ctx.params.deploymentCode,
+        rows,
+        { dryRun, actor: ctx.user },
+      );
+      if (!result) {
+        sendJson(ctx.res, 404, { error: 'deployment_not_found' });
+        return;
+      }
+      if (result.summary.errors > 0) {
+        sendJson(ctx.res, 400, { error: 'invalid_rows', ...result });
+        return;
+      }
+      sendJson(ctx.res, 200, result);
+    },
+  );
+
+  // GET /mark-schemes/:deploymentCode/qigs/:qigCode
+  router.get(
+    '/mark-schemes/:deploymentCode/qigs/:qigCode',
+    { permission: 'assessment.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const current = await getCurrentMarkSchemeVersion(qig.id);
+      const versions = await listMarkSchemeVersions(qig.id);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        current: normaliseMarkSchemeVersionRow(current),
+        versions: versions.map(normaliseMarkSchemeVersionRow),
+      });
+    },
+  );
+
+  // GET /mark-schemes/:deploymentCode/qigs/:qigCode/revalidation
+  router.get(
+    '/mark-schemes/:deploymentCode/qigs/:qigCode/revalidation',
+    { permission: 'assessment.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const revalidation = await revalidateMarksForQig(qig.id);
+      if (!revalidation) {
+        sendJson(ctx.res, 404, { error: 'mark_scheme_not_found' });
+        return;
+      }
+      const { markSchemeVersion, marks } = revalidation;
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        current: normaliseMarkSchemeVersionRow(markSchemeVersion),
+        marks: marks.map((row) => ({
+          ...normaliseMarkRow(row),
+          markSchemeVersionNumber: row.mark_scheme_version_number,
+          valid: row.errors.length === 0,
+          itemErrors: row.errors,
+          revalidatedTotalMark: row.total,
+        })),
+      });
+    },
+  );
+
+  // GET /standardisation/:deploymentCode/qigs/:qigCode/eligibility
+  router.get(
+    '/standardisation/:deploymentCode/qigs/:qigCode/eligibility',
+    { permission: 'standardisation.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const rows = await getEligibilityForQig(qig.id);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        eligibility: rows.map(normaliseEligibilityRow),
+      });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/eligibility/:markerExternalId/transition
+  // Body: { toState, reasonCode }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/eligibility/:markerExternalId/transition',
+    {
+      permission: 'standardisation.manage',
+      body: jsonBody,
+      errors: [writeEligibilityErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { deploymentCode, qigCode, markerExternalId } = ctx.params;
+      const toState =
+        body && typeof body.toState === 'string' ? body.toState : null;
+      if (!toState) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const marker = await getUserByExternalId(markerExternalId);
+      if (!marker || marker.archived_at) {
+        sendJson(ctx.res, 404, { error: 'marker_not_found' });
+        return;
+      }
+
+      const row = await transitionMarkerEligibility(marker.id, qig.id, toState, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 200, {
+        eligibility: normaliseEligibilityRow({
+          ...row,
+          marker_external_id: marker.external_id,
+          marker_display_name: marker.display_name,
+        }),
+      });
+    },
+  );
+
+  // GET /standardisation/:deploymentCode/qigs/:qigCode/sets
+  router.get(
+    '/standardisation/:deploymentCode/qigs/:qigCode/sets',
+    { permission: 'standardisation.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const tolerances = await getStandardisationTolerances(qig.id);
+      const rows = await listStandardisationSets(qig.id);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        tolerances,
+        sets: rows.map(normaliseStandardisationSetRow),
+      });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/tolerances
+  // Body: { itemTolerance?, totalTolerance? }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/tolerances',
+    { permission: 'standardisation.manage', body: jsonBody },
+    async (ctx) => {
+      const { body } = ctx;
+      const { deploymentCode, qigCode } = ctx.params;
+      const hasItemTolerance = body && body.itemTolerance !== undefined;
+      const hasTotalTolerance = body && body.totalTolerance !== undefined;
+      const itemTolerance = hasItemTolerance ? body.itemTolerance : null;
+      const totalTolerance = hasTotalTolerance ? body.totalTolerance : null;
+
+      if (
+        (!hasItemTolerance && !hasTotalTolerance) ||
+        (hasItemTolerance &&
+          !(Number.isInteger(itemTolerance) && itemTolerance >= 0)) ||
+        (hasTotalTolerance &&
+          !(Number.isInteger(totalTolerance) && totalTolerance >= 0))
+      ) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const tolerances = await updateStandardisationTolerances(
+        qig.id,
+        { itemTolerance, totalTolerance },
+        { actor: ctx.user },
+      );
+      if (!tolerances) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 200, { deploymentCode, qigCode, tolerances });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/sets
+  // Body: { code, name, kind: "PRACTICE" | "STANDARDISATION", responseIds: [...] }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/sets',
+    {
+      permission: 'standardisation.manage',
+      body: jsonBody,
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { deploymentCode, qigCode } = ctx.params;
+      const code =
+        body && typeof body.code === 'string' ? body.code.trim() : '';
+      const name =
+        body && typeof body.name === 'string' ? body.name.trim() : '';
+      const kind = body && typeof body.kind === 'string' ? body.kind : null;
+      const responseIds =
+        body && Array.isArray(body.responseIds) ? body.responseIds : null;
 
-      // POST /assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs
       if (
-        req.method === 'POST' &&
-        segments.length === 7 &&
-        segments[0] === 'assessment' &&
-        segments[2] === 'series' &&
-        segments[4] === 'papers' &&
-        segments[6] === 'qigs'
+        !code ||
+        !name ||
+        !kind ||
+        !responseIds ||
+        responseIds.length === 0 ||
+        !responseIds.every((id) => Number.isInteger(id) && id > 0) ||
+        new Set(responseIds).size !== responseIds.length
       ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const seriesCode = decodeURIComponent(segments[3]);
-        const paperCode = decodeURIComponent(segments[5]);
-        const permissionKey = 'assessment.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for qig endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const code =
-                body && typeof body.code === 'string'
-                  ? body.code
-                  : null;
-              const name =
-                body && typeof body.name === 'string'
-                  ? body.name
-                  : null;
-
-              if (!code || !name) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_payload' }),
-                );
-                return;
-              }
-
-              try {
-                const deployment = await getDeploymentByCode(
-                  deploymentCode,
-                );
-                if (!deployment || deployment.archived_at) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const seriesRow = await getSeriesByCode(
-                  deployment.id,
-                  seriesCode,
-                );
-                if (!seriesRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'series_not_found' }),
-                  );
-                  return;
-                }
-
-                const paperRow = await getPaperByCode(
-                  seriesRow.id,
-                  paperCode,
-                );
-                if (!paperRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'paper_not_found' }),
-                  );
-                  return;
-                }
-
-                const qigRow = await createQig(
-                  paperRow.id,
-                  code,
-                  name,
-                );
-
-                let user = null;
-                try {
-                  user = await getOrCreateUserForRequest(req);
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to resolve user for qig audit',
-                    { error: err, requestId },
-                  );
-                }
-
-                await writeAssessmentStructureUpdatedAudit(
-                  req,
-                  deployment,
-                  'qig',
-                  qigRow.code,
-                  user,
-                  requestId,
-                );
-
-                res.statusCode = 201;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({
-                    qig: {
-                      id: qigRow.id,
-                      paperId: qigRow.paper_id,
-                      code: qigRow.code,
-                      name: qigRow.name,
-                    },
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to create qig via HTTP endpoint',
-                  { error: err, requestId },
-                );
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'internal_error',
-                    }),
-                  );
-                }
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in qig creation endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for qig endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
 
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
         return;
       }
 
-      // POST /assessment/:deploymentCode/series/:seriesCode/papers/:paperCode/qigs/:qigCode/items
-      if (
-        req.method === 'POST' &&
-        segments.length === 9 &&
-        segments[0] === 'assessment' &&
-        segments[2] === 'series' &&
-        segments[4] === 'papers' &&
-        segments[6] === 'qigs' &&
-        segments[8] === 'items'
-      ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const seriesCode = decodeURIComponent(segments[3]);
-        const paperCode = decodeURIComponent(segments[5]);
-        const qigCode = decodeURIComponent(segments[7]);
-        const permissionKey = 'assessment.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for item endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const code =
-                body && typeof body.code === 'string'
-                  ? body.code
-                  : null;
-              const maxMark =
-                body && Number.isInteger(body.maxMark)
-                  ? body.maxMark
-                  : null;
-
-              if (!code || maxMark == null) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_payload' }),
-                );
-                return;
-              }
-
-              try {
-                const deployment = await getDeploymentByCode(
-                  deploymentCode,
-                );
-                if (!deployment || deployment.archived_at) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const seriesRow = await getSeriesByCode(
-                  deployment.id,
-                  seriesCode,
-                );
-                if (!seriesRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'series_not_found' }),
-                  );
-                  return;
-                }
-
-                const paperRow = await getPaperByCode(
-                  seriesRow.id,
-                  paperCode,
-                );
-                if (!paperRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'paper_not_found' }),
-                  );
-                  return;
-                }
-
-                const qigRow = await getQigByCode(
-                  paperRow.id,
-                  qigCode,
-                );
-                if (!qigRow) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'qig_not_found' }),
-                  );
-                  return;
-                }
-
-                const itemRow = await createItem(
-                  qigRow.id,
-                  code,
-                  maxMark,
-                );
-
-                let user = null;
-                try {
-                  user = await getOrCreateUserForRequest(req);
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to resolve user for item audit',
-                    { error: err, requestId },
-                  );
-                }
-
-                await writeAssessmentStructureUpdatedAudit(
-                  req,
-                  deployment,
-                  'item',
-                  itemRow.code,
-                  user,
-                  requestId,
-                );
-
-                res.statusCode = 201;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({
-                    item: {
-                      id: itemRow.id,
-                      qigId: itemRow.qig_id,
-                      code: itemRow.code,
-                      maxMark: itemRow.max_mark,
-                    },
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to create item via HTTP endpoint',
-                  { error: err, requestId },
-                );
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'internal_error',
-                    }),
-                  );
-                }
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in item creation endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for item endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const setRow = await createStandardisationSet(
+        qig.id,
+        { code, name, kind, responseIds },
+        { actor: ctx.user },
+      );
+      if (!setRow) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
 
+      sendJson(ctx.res, 201, { set: normaliseStandardisationSetRow(setRow) });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/responses/:responseId/definitive-marks
+  // Body: { marks: { [itemCode]: mark } }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/responses/:responseId/definitive-marks',
+    {
+      params: { responseId: positiveIntegerParam('invalid_response_id') },
+      permission: 'standardisation.manage',
+      body: jsonBody,
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { deploymentCode, qigCode, responseId } = ctx.params;
+      const marks = readMarksBody(ctx.body);
+      if (!marks) {
+        sendJson(ctx.res, 400, { error: 'invalid_marks' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const row = await setDefinitiveMarks(qig.id, responseId, marks, {
+        actor: ctx.user,
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'response_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 200, {
+        definitiveMarks: normaliseDefinitiveMarksRow(row),
+      });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/sets/:setCode/responses/:responseId/marks
+  // Body: { marks: { [itemCode]: mark } }, submitted by the calling marker
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/sets/:setCode/responses/:responseId/marks',
+    {
+      params: { responseId: positiveIntegerParam('invalid_response_id') },
+      permission: 'marking.edit',
+      body: jsonBody,
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { user } = ctx;
+      const { deploymentCode, qigCode, setCode, responseId } = ctx.params;
+      const marks = readMarksBody(ctx.body);
+      if (!marks) {
+        sendJson(ctx.res, 400, { error: 'invalid_marks' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const setRow = await getStandardisationSetByCode(qig.id, setCode);
+      if (!setRow) {
+        sendJson(ctx.res, 404, { error: 'set_not_found' });
+        return;
+      }
+
+      const result = await submitStandardisationMarks(
+        setRow,
+        responseId,
+        user.id,
+        marks,
+        { actor: user },
+      );
+
+      sendJson(ctx.res, 201, {
+        setCode: setRow.code,
+        kind: setRow.kind,
+        mark: {
+          id: result.mark.id,
+          responseId: result.mark.response_id,
+          markerUserId: result.mark.marker_user_id,
+          marks: result.mark.payload,
+          totalMark: result.mark.total_mark,
+          createdAt: result.mark.created_at,
+        },
+        definitiveMarks: normaliseDefinitiveMarksRow(result.definitive),
+        comparison: result.comparison,
+      });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/sets/:setCode/evaluations/:markerExternalId
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/sets/:setCode/evaluations/:markerExternalId',
+    {
+      permission: 'standardisation.manage',
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { deploymentCode, qigCode, setCode, markerExternalId } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
         return;
       }
-    }
 
-    // Config-related endpoints
-    if (req.url && req.url.startsWith('/config/')) {
-      const [path] = req.url.split('?');
-      const segments = path.split('/').filter(Boolean); // e.g. ["config", "D1", "active"]
+      const setRow = await getStandardisationSetByCode(qig.id, setCode);
+      if (!setRow) {
+        sendJson(ctx.res, 404, { error: 'set_not_found' });
+        return;
+      }
+
+      const marker = await getUserByExternalId(markerExternalId);
+      if (!marker || marker.archived_at) {
+        sendJson(ctx.res, 404, { error: 'marker_not_found' });
+        return;
+      }
+
+      const evaluation = await evaluateStandardisationMarks(setRow, marker.id, {
+        actor: ctx.user,
+      });
+
+      sendJson(ctx.res, 200, {
+        evaluation: {
+          ...normaliseStandardisationEvaluation(evaluation),
+          markerExternalId: marker.external_id,
+        },
+      });
+    },
+  );
+
+  // GET /standardisation/:deploymentCode/qigs/:qigCode/seeds
+  router.get(
+    '/standardisation/:deploymentCode/qigs/:qigCode/seeds',
+    { permission: 'standardisation.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const settings = await getSeedSettings(qig.id);
+      const rows = await listSeedResponses(qig.id);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        settings,
+        seeds: rows.map(normaliseSeedRow),
+      });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/seeds
+  // Body: { responseId }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/seeds',
+    {
+      permission: 'standardisation.manage',
+      body: jsonBody,
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const responseId = ctx.body ? ctx.body.responseId : null;
+      if (!Number.isInteger(responseId) || responseId <= 0) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const row = await addSeedResponse(qig.id, responseId, {
+        actor: ctx.user,
+      });
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'response_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 201, { seed: normaliseSeedRow(row) });
+    },
+  );
+
+  // POST /standardisation/:deploymentCode/qigs/:qigCode/seed-settings
+  // Body: { seedRatePercent?, failureLimit?, failureAction? }
+  router.post(
+    '/standardisation/:deploymentCode/qigs/:qigCode/seed-settings',
+    {
+      permission: 'standardisation.manage',
+      body: jsonBody,
+      errors: [writeStandardisationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { deploymentCode, qigCode } = ctx.params;
+      const hasSeedRate = body && body.seedRatePercent !== undefined;
+      const hasFailureLimit = body && body.failureLimit !== undefined;
+      const hasFailureAction = body && body.failureAction !== undefined;
+      const seedRatePercent = hasSeedRate ? body.seedRatePercent : null;
+      const failureLimit = hasFailureLimit ? body.failureLimit : null;
+      const failureAction = hasFailureAction ? body.failureAction : null;
 
-      // GET /config/:deploymentCode/active
       if (
-        req.method === 'GET' &&
-        segments.length === 3 &&
-        segments[0] === 'config' &&
-        segments[2] === 'active'
+        (!hasSeedRate && !hasFailureLimit && !hasFailureAction) ||
+        (hasSeedRate &&
+          !(
+            Number.isInteger(seedRatePercent) &&
+            seedRatePercent >= 0 &&
+            seedRatePercent <= 100
+          )) ||
+        (hasFailureLimit &&
+          !(Number.isInteger(failureLimit) && failureLimit >= 1)) ||
+        (hasFailureAction && typeof failureAction !== 'string')
       ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const permissionKey = 'config.view';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              // Response already written by enforcePermission (401/403).
-              return;
-            }
-
-            return getActiveConfigForDeploymentCode(deploymentCode)
-              .then((result) => {
-                res.setHeader('Content-Type', 'application/json');
-
-                if (result.notFound === 'deployment') {
-                  res.statusCode = 404;
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                if (result.notFound === 'active_config') {
-                  res.statusCode = 404;
-                  res.end(
-                    JSON.stringify({
-                      error: 'active_config_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                res.statusCode = 200;
-                res.end(
-                  JSON.stringify({
-                    deployment: result.deployment,
-                    configVersion: result.configVersion,
-                    artifacts: result.artifacts,
-                  }),
-                );
-              })
-              .catch((err) => {
-                // eslint-disable-next-line no-console
-                console.error('Failed to fetch active config', {
-                  error: err,
-                  requestId,
-                });
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error('Failed to enforce permission for config endpoint', {
-              error: err,
-              requestId,
-            });
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const settings = await updateSeedSettings(
+        qig.id,
+        { seedRatePercent, failureLimit, failureAction },
+        { actor: ctx.user },
+      );
+      if (!settings) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
+
+      sendJson(ctx.res, 200, { deploymentCode, qigCode, settings });
+    },
+  );
+
+  // GET /standardisation/:deploymentCode/qigs/:qigCode/seed-results[?markerExternalId=]
+  router.get(
+    '/standardisation/:deploymentCode/qigs/:qigCode/seed-results',
+    { permission: 'standardisation.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const markerExternalId = ctx.query.get('markerExternalId');
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
 
+      let markerUserId = null;
+      if (markerExternalId) {
+        const marker = await getUserByExternalId(markerExternalId);
+        if (!marker) {
+          sendJson(ctx.res, 404, { error: 'marker_not_found' });
+          return;
+        }
+        markerUserId = marker.id;
+      }
+
+      const rows = await listSeedResults(qig.id, { markerUserId });
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        results: rows.map(normaliseSeedResultRow),
+      });
+    },
+  );
+
+  // GET /teams/:deploymentCode/qigs/:qigCode
+  router.get(
+    '/teams/:deploymentCode/qigs/:qigCode',
+    { permission: 'teams.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
         return;
       }
 
-      // POST /config/:deploymentCode/versions/:versionNumber/activate
+      const rows = await listTeamsForQig(qig.id);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        teams: rows.map(normaliseTeamRow),
+      });
+    },
+  );
+
+  // POST /teams/:deploymentCode/qigs/:qigCode
+  // Body: { code, name, leaderExternalId?, parentTeamCode? }
+  router.post(
+    '/teams/:deploymentCode/qigs/:qigCode',
+    {
+      permission: 'teams.manage',
+      body: jsonBody,
+      errors: [writeTeamErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { deploymentCode, qigCode } = ctx.params;
+      const isOptionalString = (value) =>
+        value == null || (typeof value === 'string' && value !== '');
       if (
-        req.method === 'POST' &&
-        segments.length === 5 &&
-        segments[0] === 'config' &&
-        segments[2] === 'versions' &&
-        segments[4] === 'activate'
+        !body ||
+        typeof body.code !== 'string' ||
+        !body.code.trim() ||
+        typeof body.name !== 'string' ||
+        !body.name.trim() ||
+        !isOptionalString(body.leaderExternalId) ||
+        !isOptionalString(body.parentTeamCode)
       ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        const versionNumber = parseInt(segments[3], 10);
-
-        if (Number.isNaN(versionNumber)) {
-          res.statusCode = 400;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ error: 'invalid_version_number' }),
-          );
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      let leaderUserId = null;
+      if (body.leaderExternalId != null) {
+        const leader = await getUserByExternalId(body.leaderExternalId);
+        if (!leader || leader.archived_at) {
+          sendJson(ctx.res, 404, { error: 'user_not_found' });
           return;
         }
+        leaderUserId = leader.id;
+      }
 
-        const permissionKey = 'config.activate';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              // Response already written (401/403).
-              return;
-            }
-
-            (async () => {
-              try {
-                const result =
-                  await activateConfigVersionForDeploymentCode(
-                    deploymentCode,
-                    versionNumber,
-                  );
-
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-
-                if (result.notFound === 'deployment') {
-                  res.statusCode = 404;
-                  res.end(
-                    JSON.stringify({
-                      error: 'deployment_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                if (result.notFound === 'config_version') {
-                  res.statusCode = 404;
-                  res.end(
-                    JSON.stringify({
-                      error: 'config_version_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                // Audit: CONFIG_ACTIVATED
-                try {
-                  const user = await getOrCreateUserForRequest(
-                    req,
-                  );
-                  if (user) {
-                    await writeAuditEvent(
-                      CONFIG_ACTIVATED_EVENT_TYPE,
-                      {
-                        meta: {
-                          deploymentId: result.deployment.id,
-                          deploymentCode: result.deployment.code,
-                          configVersionId:
-                            result.configVersion.id,
-                          versionNumber,
-                          path: req && req.url ? req.url : null,
-                          method:
-                            req && req.method ? req.method : null,
-                        },
-                        actor: {
-                          id: user.id,
-                          externalId: user.external_id,
-                          displayName: user.display_name,
-                        },
-                      },
-                    );
-                  }
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to write config activated audit event',
-                    { error: err, requestId },
-                  );
-                }
-
-                res.statusCode = 200;
-                res.end(
-                  JSON.stringify({
-                    deployment: result.deployment,
-                    configVersion: result.configVersion,
-                  }),
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error('Failed to activate config version', {
-                  error: err,
-                  requestId,
-                });
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in config activation endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for config activation endpoint',
-              {
-                error: err,
-                requestId,
-              },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const row = await createTeam(
+        qig.id,
+        {
+          code: body.code.trim(),
+          name: body.name.trim(),
+          leaderUserId,
+          parentTeamCode: body.parentTeamCode || null,
+        },
+        { actor: ctx.user },
+      );
+      if (!row) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
 
+      sendJson(ctx.res, 201, { team: normaliseTeamRow(row) });
+    },
+  );
+
+  // POST /teams/:deploymentCode/qigs/:qigCode/:teamCode/leader
+  // Body: { leaderExternalId } (null clears the leader)
+  router.post(
+    '/teams/:deploymentCode/qigs/:qigCode/:teamCode/leader',
+    {
+      permission: 'teams.manage',
+      body: jsonBody,
+      errors: [writeTeamErrorResponse],
+    },
+    async (ctx) => {
+      const value = ctx.body ? ctx.body.leaderExternalId : undefined;
+      if (value !== null && (typeof value !== 'string' || value === '')) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
         return;
       }
 
-      // POST /config/:deploymentCode/drafts  (authoring endpoint)
-      if (
-        req.method === 'POST' &&
-        segments.length === 3 &&
-        segments[0] === 'config' &&
-        segments[2] === 'drafts'
-      ) {
-        const deploymentCode = decodeURIComponent(segments[1]);
-        // Permission key must match tests: "config.edit"
-        const permissionKey = 'config.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              // Response already written (401/403).
-              return;
-            }
-
-            (async () => {
-              let parsedBody;
-              try {
-                parsedBody = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for config draft endpoint',
-                  { error: err, requestId },
-                );
-
-                if (!res.headersSent) {
-                  res.statusCode = 400;
-                  res.setHeader('Content-Type', 'application/json');
-                  res.end(
-                    JSON.stringify({ error: 'invalid_json' }),
-                  );
-                }
-                return;
-              }
-
-              const artifacts =
-                parsedBody &&
-                typeof parsedBody === 'object' &&
-                parsedBody.artifacts &&
-                typeof parsedBody.artifacts === 'object' &&
-                parsedBody.artifacts !== null
-                  ? parsedBody.artifacts
-                  : {};
-
-              let createdBy = null;
-              try {
-                const user = await getOrCreateUserForRequest(req);
-                if (user && user.external_id) {
-                  createdBy = user.external_id;
-                } else if (user && user.display_name) {
-                  createdBy = user.display_name;
-                }
-              } catch (_err) {
-                // If we fail to resolve the user here, continue with null createdBy.
-              }
-
-              let draftResult;
-              try {
-                draftResult = await createDraftConfigVersionForDeploymentCode(
-                  deploymentCode,
-                  createdBy,
-                );
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error('Failed to create draft config version', {
-                  error: err,
-                  requestId,
-                });
-
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader('Content-Type', 'application/json');
-                  res.end(
-                    JSON.stringify({ error: 'internal_error' }),
-                  );
-                }
-                return;
-              }
-
-              // If helper reports deployment not found, auto-create it and retry.
-              if (draftResult && draftResult.notFound === 'deployment') {
-                try {
-                  const deploymentName =
-                    parsedBody &&
-                    typeof parsedBody.deploymentName === 'string' &&
-                    parsedBody.deploymentName.trim()
-                      ? parsedBody.deploymentName.trim()
-                      : deploymentCode;
-
-                  await createDeployment(deploymentCode, deploymentName);
-
-                  draftResult =
-                    await createDraftConfigVersionForDeploymentCode(
-                      deploymentCode,
-                      createdBy,
-                    );
-                } catch (err) {
-                  // eslint-disable-next-line no-console
-                  console.error(
-                    'Failed to create deployment for draft endpoint',
-                    { error: err, requestId },
-                  );
-
-                  if (!res.headersSent) {
-                    res.statusCode = 500;
-                    res.setHeader('Content-Type', 'application/json');
-                    res.end(
-                      JSON.stringify({ error: 'internal_error' }),
-                    );
-                  }
-                  return;
-                }
-              }
-
-              if (
-                !draftResult ||
-                !draftResult.deployment ||
-                !draftResult.configVersion
-              ) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Draft config helper returned unexpected result',
-                  {
-                    deploymentCode,
-                    result: draftResult,
-                    requestId,
-                  },
-                );
-
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader('Content-Type', 'application/json');
-                  res.end(
-                    JSON.stringify({ error: 'internal_error' }),
-                  );
-                }
-                return;
-              }
-
-              const upsertEntries = Object.entries(artifacts || {});
-              try {
-                for (const [artifactType, artifactPayload] of upsertEntries) {
-                  // eslint-disable-next-line no-await-in-loop
-                  await upsertConfigArtifact(
-                    draftResult.configVersion.id,
-                    artifactType,
-                    artifactPayload,
-                  );
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to upsert config artifacts for draft',
-                  {
-                    error: err,
-                    requestId,
-                  },
-                );
-
-                if (!res.headersSent) {
-                  res.statusCode = 500;
-                  res.setHeader('Content-Type', 'application/json');
-                  res.end(
-                    JSON.stringify({ error: 'internal_error' }),
-                  );
-                }
-                return;
-              }
-
-              // Audit: CONFIG_DRAFT_CREATED
-              try {
-                const user = await getOrCreateUserForRequest(req);
-                if (user) {
-                  await writeAuditEvent(
-                    CONFIG_DRAFT_CREATED_EVENT_TYPE,
-                    {
-                      meta: {
-                        deploymentId: draftResult.deployment.id,
-                        deploymentCode: draftResult.deployment.code,
-                        configVersionId:
-                          draftResult.configVersion.id,
-                        path: req && req.url ? req.url : null,
-                        method:
-                          req && req.method ? req.method : null,
-                      },
-                      actor: {
-                        id: user.id,
-                        externalId: user.external_id,
-                        displayName: user.display_name,
-                      },
-                    },
-                  );
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to write config draft created audit event',
-                  { error: err, requestId },
-                );
-              }
-
-              if (!res.headersSent) {
-                res.statusCode = 201;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({
-                    deployment: draftResult.deployment,
-                    configVersion: draftResult.configVersion,
-                    artifacts,
-                  }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error('Unhandled error in config draft endpoint', {
-                error: err,
-                requestId,
-              });
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for config draft endpoint',
-              {
-                error: err,
-                requestId,
-              },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const target = await resolveTeamUpdateTarget(ctx.res, ctx.params, value);
+      if (!target) {
+        return;
+      }
 
+      const row = await setTeamLeader(
+        target.team,
+        target.user ? target.user.id : null,
+        { actor: ctx.user },
+      );
+      sendTeamUpdate(ctx.res, row);
+    },
+  );
+
+  // POST /teams/:deploymentCode/qigs/:qigCode/:teamCode/members
+  // Body: { userExternalId }
+  router.post(
+    '/teams/:deploymentCode/qigs/:qigCode/:teamCode/members',
+    {
+      permission: 'teams.manage',
+      body: jsonBody,
+      errors: [writeTeamErrorResponse],
+    },
+    async (ctx) => {
+      const value = ctx.body ? ctx.body.userExternalId : undefined;
+      if (typeof value !== 'string' || value === '') {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const target = await resolveTeamUpdateTarget(ctx.res, ctx.params, value);
+      if (!target) {
+        return;
+      }
+
+      const row = await addTeamMember(target.team, target.user.id, {
+        actor: ctx.user,
+      });
+      sendTeamUpdate(ctx.res, row);
+    },
+  );
+
+  // POST /teams/:deploymentCode/qigs/:qigCode/:teamCode/members/:userExternalId/remove
+  router.post(
+    '/teams/:deploymentCode/qigs/:qigCode/:teamCode/members/:userExternalId/remove',
+    { permission: 'teams.manage', errors: [writeTeamErrorResponse] },
+    async (ctx) => {
+      const target = await resolveTeamUpdateTarget(
+        ctx.res,
+        ctx.params,
+        ctx.params.userExternalId,
+      );
+      if (!target) {
+        return;
+      }
+
+      const row = await removeTeamMember(target.team, target.user.id, {
+        actor: ctx.user,
+      });
+      sendTeamUpdate(ctx.res, row);
+    },
+  );
+
+  // GET /supervision/:deploymentCode/qigs/:qigCode/marks
+  router.get(
+    '/supervision/:deploymentCode/qigs/:qigCode/marks',
+    { permission: 'supervision.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const supervised = await resolveSupervisedQig(ctx);
+      if (!supervised) {
+        return;
+      }
+      const { qig, scope } = supervised;
+
+      const rows = await listMarksForMarkers(qig.id, scope.userIds);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        marks: rows.map((row) => ({
+          ...normaliseMarkRow(row),
+          markerExternalId: row.marker_external_id,
+          candidateId: row.candidate_id,
+        })),
+      });
+    },
+  );
+
+  // GET /supervision/:deploymentCode/qigs/:qigCode/allocations
+  router.get(
+    '/supervision/:deploymentCode/qigs/:qigCode/allocations',
+    { permission: 'supervision.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const supervised = await resolveSupervisedQig(ctx);
+      if (!supervised) {
+        return;
+      }
+      const { qig, scope } = supervised;
+
+      const rows = await listAllocationsForMarkers(qig.id, scope.userIds);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        allocations: rows.map((row) => ({
+          ...normaliseAllocationRow(row),
+          markerExternalId: row.marker_external_id,
+        })),
+      });
+    },
+  );
+
+  // POST /supervision/allocations/:allocationId/transition
+  // Same body as /allocation/:allocationId/transition, but only for
+  // allocations held by a supervised marker.
+  router.post(
+    '/supervision/allocations/:allocationId/transition',
+    {
+      params: { allocationId: integerParam('invalid_allocation_id') },
+      permission: 'supervision.manage',
+      body: jsonBody,
+      errors: [writeAllocationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { allocationId } = ctx.params;
+      const toState =
+        body && typeof body.toState === 'string' ? body.toState : null;
+      if (!toState) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const supervised = await resolveSupervisedAllocation(
+        ctx.res,
+        ctx.user,
+        allocationId,
+      );
+      if (!supervised) {
+        return;
+      }
+
+      const row = await transitionAllocation(allocationId, toState, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      sendJson(ctx.res, 200, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // POST /supervision/allocations/:allocationId/reassign
+  // Same body as /allocation/:allocationId/reassign, but only for
+  // allocations held by, and handed to, a supervised marker.
+  router.post(
+    '/supervision/allocations/:allocationId/reassign',
+    {
+      params: { allocationId: integerParam('invalid_allocation_id') },
+      permission: 'supervision.manage',
+      body: jsonBody,
+      errors: [writeAllocationErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { allocationId } = ctx.params;
+      const markerExternalId =
+        body && typeof body.markerExternalId === 'string'
+          ? body.markerExternalId
+          : null;
+      if (!markerExternalId) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const supervised = await resolveSupervisedAllocation(
+        ctx.res,
+        ctx.user,
+        allocationId,
+      );
+      if (!supervised) {
+        return;
+      }
+
+      const marker = await getUserByExternalId(markerExternalId);
+      if (!marker || marker.archived_at) {
+        sendJson(ctx.res, 404, { error: 'marker_not_found' });
+        return;
+      }
+      if (!supervised.scope.userIds.includes(marker.id)) {
+        sendJson(ctx.res, 403, {
+          error: 'forbidden',
+          reason: 'marker_not_in_team',
+        });
+        return;
+      }
+
+      const row = await reassignAllocation(allocationId, marker.id, {
+        actor: ctx.user,
+        reasonCode: readReasonCode(body),
+      });
+      sendJson(ctx.res, 200, { allocation: normaliseAllocationRow(row) });
+    },
+  );
+
+  // GET /review/:deploymentCode/qigs/:qigCode/sampling
+  router.get(
+    '/review/:deploymentCode/qigs/:qigCode/sampling',
+    { permission: 'review.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const supervised = await resolveSupervisedQig(ctx);
+      if (!supervised) {
+        return;
+      }
+      const { qig, scope } = supervised;
+
+      const rows = await getReviewSampleRates(qig.id, scope.userIds);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        defaultSampleRatePercent: DEFAULT_REVIEW_SAMPLE_RATE_PERCENT,
+        markers: rows.map(normaliseReviewSampleRateRow),
+      });
+    },
+  );
+
+  // GET /review/:deploymentCode/qigs/:qigCode/queue
+  router.get(
+    '/review/:deploymentCode/qigs/:qigCode/queue',
+    { permission: 'review.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const supervised = await resolveSupervisedQig(ctx);
+      if (!supervised) {
+        return;
+      }
+      const { qig, scope } = supervised;
+
+      const rows = await listReviewQueue(qig.id, scope.userIds);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        marks: rows.map(normaliseReviewedMarkRow),
+      });
+    },
+  );
+
+  // GET /review/:deploymentCode/qigs/:qigCode/reviews
+  router.get(
+    '/review/:deploymentCode/qigs/:qigCode/reviews',
+    { permission: 'review.view' },
+    async (ctx) => {
+      const { deploymentCode, qigCode } = ctx.params;
+      const supervised = await resolveSupervisedQig(ctx);
+      if (!supervised) {
+        return;
+      }
+      const { qig, scope } = supervised;
+
+      const rows = await listMarkReviews(qig.id, scope.userIds);
+      sendJson(ctx.res, 200, {
+        deploymentCode,
+        qigCode,
+        marks: rows.map(normaliseReviewedMarkRow),
+      });
+    },
+  );
+
+  // POST /review/:deploymentCode/qigs/:qigCode/sampling/:markerExternalId
+  // Body: { sampleRatePercent }
+  router.post(
+    '/review/:deploymentCode/qigs/:qigCode/sampling/:markerExternalId',
+    {
+      permission: 'review.manage',
+      body: jsonBody,
+      errors: [writeReviewErrorResponse],
+    },
+    async (ctx) => {
+      const { body, user } = ctx;
+      const { deploymentCode, qigCode, markerExternalId } = ctx.params;
+      if (!body || body.sampleRatePercent === undefined) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const qig = await resolveQigInDeployment(ctx.res, deploymentCode, qigCode);
+      if (!qig) {
+        return;
+      }
+
+      const marker = await getUserByExternalId(markerExternalId);
+      if (!marker || marker.archived_at) {
+        sendJson(ctx.res, 404, { error: 'marker_not_found' });
         return;
       }
-    }
 
-    // Marking-related endpoints
-    if (req.url && req.url.startsWith('/marking/')) {
-      const [path] = req.url.split('?');
-      const segments = path.split('/').filter(Boolean); // e.g. ["marking", "responses", "1", "draft"]
+      const scope = await resolveSupervisionScope(ctx.res, user, qig.id);
+      if (!scope) {
+        return;
+      }
+      if (!scope.userIds.includes(marker.id)) {
+        sendJson(ctx.res, 403, {
+          error: 'forbidden',
+          reason: 'marker_not_in_team',
+        });
+        return;
+      }
 
-      // POST /marking/responses/:id/draft
+      const row = await setReviewSampleRate(
+        qig.id,
+        marker.id,
+        body.sampleRatePercent,
+        { actor: user },
+      );
+      sendJson(ctx.res, 200, { sampling: normaliseReviewSampleRateRow(row) });
+    },
+  );
+
+  // GET /review/marks/:responseMarkId
+  router.get(
+    '/review/marks/:responseMarkId',
+    {
+      params: { responseMarkId: integerParam('invalid_mark_id') },
+      permission: 'review.view',
+    },
+    async (ctx) => {
+      const markRow = await resolveReviewableMark(
+        ctx.res,
+        ctx.user,
+        ctx.params.responseMarkId,
+      );
+      if (!markRow) {
+        return;
+      }
+      sendJson(ctx.res, 200, { mark: normaliseReviewedMarkRow(markRow) });
+    },
+  );
+
+  // POST /review/marks/:responseMarkId
+  // Body: { outcome: AGREE | ADJUST | REFER, marks, comment? }
+  router.post(
+    '/review/marks/:responseMarkId',
+    {
+      params: { responseMarkId: integerParam('invalid_mark_id') },
+      permission: 'review.manage',
+      body: jsonBody,
+      errors: [writeReviewErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
       if (
-        req.method === 'POST' &&
-        segments.length === 4 &&
-        segments[0] === 'marking' &&
-        segments[1] === 'responses' &&
-        segments[3] === 'draft'
+        !body ||
+        typeof body.outcome !== 'string' ||
+        !body.marks ||
+        typeof body.marks !== 'object' ||
+        Array.isArray(body.marks) ||
+        (body.comment != null && typeof body.comment !== 'string')
       ) {
-        const responseId = parseInt(segments[2], 10);
-        if (Number.isNaN(responseId)) {
-          res.statusCode = 400;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ error: 'invalid_response_id' }),
-          );
-          return;
-        }
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
 
-        const permissionKey = 'marking.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              await ensureMarkingTables();
-              await ensureIngestionTables();
-
-              try {
-                const existing = await pool.query(
-                  `SELECT id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
-                  [responseId],
-                );
-                if (!existing.rows || existing.rows.length === 0) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_not_found',
-                    }),
-                  );
-                  return;
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to check response existence for draft endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for marking draft endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const marks =
-                body &&
-                typeof body === 'object' &&
-                body.marks &&
-                typeof body.marks === 'object'
-                  ? body.marks
-                  : null;
-
-              if (!marks) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_marks' }),
-                );
-                return;
-              }
-
-              let user;
-              try {
-                user = await getOrCreateUserForRequest(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to resolve user for marking draft',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              if (!user) {
-                res.statusCode = 401;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'unauthenticated' }),
-                );
-                return;
-              }
-
-              try {
-                const row = await saveDraftMark(
-                  responseId,
-                  user.id,
-                  marks,
-                );
-                const mark = normaliseMarkRow(row);
-
-                res.statusCode = 200;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(JSON.stringify({ mark }));
-              } catch (err) {
-                if (err && err.code === 'LOCKED') {
-                  res.statusCode = 409;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_locked',
-                      reason: err.code || 'LOCKED',
-                    }),
-                  );
-                  return;
-                }
-
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to save marking draft',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in marking draft endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for marking draft endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const markRow = await resolveReviewableMark(
+        ctx.res,
+        ctx.user,
+        ctx.params.responseMarkId,
+      );
+      if (!markRow) {
+        return;
+      }
+
+      await recordMarkReview(
+        markRow,
+        {
+          outcome: body.outcome,
+          marks: body.marks,
+          comment: body.comment || null,
+        },
+        { actor: ctx.user },
+      );
+      // Re-read: an adjustment has replaced the submitted marks.
+      const reviewed = await getMarkWithReview(markRow.id);
+      sendJson(ctx.res, 201, { mark: normaliseReviewedMarkRow(reviewed) });
+    },
+  );
+
+  // GET /exceptions?state=&category=&deploymentCode=&qigCode=
+  router.get('/exceptions', { permission: 'exceptions.view' }, async (ctx) => {
+    const { query } = ctx;
+    const rows = await listExceptionCases({
+      state: query.get('state') || null,
+      category: query.get('category') || null,
+      deploymentCode: query.get('deploymentCode') || null,
+      qigCode: query.get('qigCode') || null,
+    });
+    sendJson(ctx.res, 200, { exceptions: rows.map(normaliseExceptionRow) });
+  });
 
+  // GET /exceptions/:id
+  router.get(
+    '/exceptions/:exceptionId',
+    {
+      params: { exceptionId: integerParam('invalid_exception_id') },
+      permission: 'exceptions.view',
+    },
+    async (ctx) => {
+      sendException(
+        ctx.res,
+        await getExceptionCase(ctx.params.exceptionId),
+      );
+    },
+  );
+
+  // POST /exceptions/:id/transition  Body: { toState, reasonCode? }
+  router.post(
+    '/exceptions/:exceptionId/transition',
+    {
+      params: { exceptionId: integerParam('invalid_exception_id') },
+      permission: 'exceptions.manage',
+      body: jsonBody,
+      errors: [writeExceptionErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      if (
+        !body ||
+        typeof body.toState !== 'string' ||
+        (body.reasonCode != null && typeof body.reasonCode !== 'string')
+      ) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
         return;
       }
 
-      // POST /marking/responses/:id/submit
+      const exceptionCase = await transitionExceptionCase(
+        ctx.params.exceptionId,
+        body.toState,
+        { actor: ctx.user, reasonCode: body.reasonCode || null },
+      );
+      sendException(ctx.res, exceptionCase);
+    },
+  );
+
+  // POST /exceptions/:id/resolve     Body: { resolution, note? }
+  router.post(
+    '/exceptions/:exceptionId/resolve',
+    {
+      params: { exceptionId: integerParam('invalid_exception_id') },
+      permission: 'exceptions.manage',
+      body: jsonBody,
+      errors: [writeExceptionErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
       if (
-        req.method === 'POST' &&
-        segments.length === 4 &&
-        segments[0] === 'marking' &&
-        segments[1] === 'responses' &&
-        segments[3] === 'submit'
+        !body ||
+        typeof body.resolution !== 'string' ||
+        (body.note != null && typeof body.note !== 'string')
       ) {
-        const responseId = parseInt(segments[2], 10);
-        if (Number.isNaN(responseId)) {
-          res.statusCode = 400;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ error: 'invalid_response_id' }),
-          );
-          return;
-        }
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+
+      const exceptionCase = await resolveExceptionCase(
+        ctx.params.exceptionId,
+        { resolution: body.resolution, note: body.note || null },
+        { actor: ctx.user },
+      );
+      sendException(ctx.res, exceptionCase);
+    },
+  );
+
+  // POST /marking/qigs/:qigCode/next
+  router.post(
+    '/marking/qigs/:qigCode/next',
+    { permission: 'marking.edit', body: jsonBody },
+    async (ctx) => {
+      const { req, user, body } = ctx;
+      const { qigCode } = ctx.params;
+      const deploymentCode =
+        body && typeof body.deploymentCode === 'string'
+          ? body.deploymentCode
+          : null;
+
+      const roles = await getRolesForUser(user.id);
+
+      const qigs = (await getQigsWithDeploymentByCode(qigCode)).filter(
+        (q) => !deploymentCode || q.deployment_code === deploymentCode,
+      );
+      if (qigs.length === 0) {
+        sendJson(ctx.res, 404, { error: 'qig_not_found' });
+        return;
+      }
 
-        const permissionKey = 'marking.edit';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              await ensureMarkingTables();
-              await ensureIngestionTables();
-
-              try {
-                const existing = await pool.query(
-                  `SELECT id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
-                  [responseId],
-                );
-                if (!existing.rows || existing.rows.length === 0) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_not_found',
-                    }),
-                  );
-                  return;
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to check response existence for submit endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              let body;
-              try {
-                body = await readJsonBody(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to parse JSON body for marking submit endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_json' }),
-                );
-                return;
-              }
-
-              const marks =
-                body &&
-                typeof body === 'object' &&
-                body.marks &&
-                typeof body.marks === 'object'
-                  ? body.marks
-                  : null;
-
-              if (!marks) {
-                res.statusCode = 400;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'invalid_marks' }),
-                );
-                return;
-              }
-
-              let user;
-              try {
-                user = await getOrCreateUserForRequest(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to resolve user for marking submit',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              if (!user) {
-                res.statusCode = 401;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'unauthenticated' }),
-                );
-                return;
-              }
-
-              try {
-                const row = await submitMark(
-                  responseId,
-                  user.id,
-                  marks,
-                );
-                const mark = normaliseMarkRow(row);
-
-                res.statusCode = 200;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(JSON.stringify({ mark }));
-              } catch (err) {
-                if (err && err.code === 'LOCKED') {
-                  res.statusCode = 409;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_locked',
-                      reason: err.code || 'LOCKED',
-                    }),
-                  );
-                  return;
-                }
-
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to submit marks',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in marking submit endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for marking submit endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
+      // AE_<deployment>_<qig> roles restrict which QIGs a marker
+      // may pull from; markers without AE roles for a deployment
+      // are not QIG-scoped there (same rule as the tree filter).
+      const scopedQigs = qigs.filter((q) => {
+        const aeQigCodes = extractAeQigCodesForDeployment(
+          roles,
+          q.deployment_code,
+        );
+        return aeQigCodes.size === 0 || aeQigCodes.has(q.code);
+      });
+
+      if (scopedQigs.length === 0) {
+        try {
+          await writeAuditEvent(PERMISSION_DENIED_EVENT_TYPE, {
+            meta: {
+              reason: 'qig_out_of_scope',
+              qigCode,
+              deploymentCode,
+              path: req.url,
+              method: req.method,
+            },
+            subject: {
+              id: user.id,
+              externalId: user.external_id,
+              displayName: user.display_name,
+            },
+          });
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.error('Failed to write QIG scope denied audit event', {
+            error: err,
+            requestId: ctx.requestId,
           });
+        }
+
+        sendJson(ctx.res, 403, {
+          error: 'forbidden',
+          reason: 'qig_out_of_scope',
+        });
+        return;
+      }
+
+      // Only QIGs the marker is LIVE_APPROVED on feed live work.
+      const eligibleQigIds = await filterLiveApprovedQigIds(
+        user.id,
+        scopedQigs.map((q) => q.id),
+      );
+      if (eligibleQigIds.length === 0) {
+        sendJson(ctx.res, 403, {
+          error: 'forbidden',
+          reason: 'marker_not_eligible',
+        });
+        return;
+      }
+
+      const claim = await claimNextResponseForQigs(
+        eligibleQigIds,
+        user.id,
+        user,
+      );
+      if (!claim) {
+        sendJson(ctx.res, 404, { error: 'no_responses_available' });
+        return;
+      }
+
+      const responseResult = await pool.query(
+        `
+          SELECT id, qig_id, script_id, candidate_id, script_url, manifest, state, created_at, archived_at
+          FROM ${RESPONSES_TABLE_NAME}
+          WHERE id = $1
+        `,
+        [claim.allocation.response_id],
+      );
+
+      sendJson(ctx.res, 200, {
+        allocation: normaliseAllocationRow(claim.allocation),
+        response: normaliseResponseRow(responseResult.rows[0]),
+        resumed: claim.resumed,
+      });
+    },
+  );
+
+  // POST /marking/responses/:id/draft
+  router.post(
+    '/marking/responses/:responseId/draft',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.edit',
+      guard: requireResponse,
+      body: jsonBody,
+      errors: [writeMarkingErrorResponse],
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      const marks = readMarksBody(ctx.body);
+      if (!marks) {
+        sendJson(ctx.res, 400, { error: 'invalid_marks' });
+        return;
+      }
+
+      if (!(await enforceLiveMarkingAccess(ctx, responseId))) {
+        return;
+      }
+
+      const row = await saveDraftMark(responseId, ctx.user.id, marks);
+      sendJson(ctx.res, 200, { mark: normaliseMarkRow(row) });
+    },
+  );
+
+  // POST /marking/responses/:id/submit
+  router.post(
+    '/marking/responses/:responseId/submit',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.edit',
+      guard: requireResponse,
+      body: jsonBody,
+      errors: [writeMarkingErrorResponse],
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      const marks = readMarksBody(ctx.body);
+      if (!marks) {
+        sendJson(ctx.res, 400, { error: 'invalid_marks' });
+        return;
+      }
+
+      if (!(await enforceLiveMarkingAccess(ctx, responseId))) {
+        return;
+      }
+
+      const row = await submitMark(responseId, ctx.user.id, marks);
+      sendJson(ctx.res, 200, { mark: normaliseMarkRow(row) });
+    },
+  );
+
+  // GET /marking/responses/:id
+  router.get(
+    '/marking/responses/:responseId',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.view',
+    },
+    async (ctx) => {
+      const { res, user } = ctx;
+      const { responseId } = ctx.params;
+      if (!(await enforceResponseAccess(ctx, responseId))) {
+        return;
+      }
+
+      const row = await getMarkForResponse(responseId, user.id);
+      if (!row) {
+        sendJson(res, 404, { error: 'mark_not_found' });
+        return;
+      }
+      sendJson(res, 200, { mark: normaliseMarkRow(row) });
+    },
+  );
+
+  // GET /marking/responses/:id/history
+  router.get(
+    '/marking/responses/:responseId/history',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.view',
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      if (!(await enforceResponseAccess(ctx, responseId))) {
+        return;
+      }
 
+      const rows = await getMarkHistoryForResponse(responseId);
+      sendJson(ctx.res, 200, {
+        responseId,
+        history: rows.map(normaliseMarkVersionRow),
+      });
+    },
+  );
+
+  // GET /marking/responses/:id/annotations
+  router.get(
+    '/marking/responses/:responseId/annotations',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.view',
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      if (!(await enforceResponseAccess(ctx, responseId))) {
         return;
       }
 
-      // GET /marking/responses/:id
+      const rows = await listAnnotationsForResponse(responseId, ctx.user.id);
+      const annotationTypes =
+        await getAllowedAnnotationTypesForResponse(responseId);
+      sendJson(ctx.res, 200, {
+        responseId,
+        annotationTypes,
+        annotations: rows.map(normaliseAnnotationRow),
+      });
+    },
+  );
+
+  // POST /marking/responses/:id/annotations
+  // Body: { pageImageId, itemCode?, annotationType, shape, coordinates, text? }
+  router.post(
+    '/marking/responses/:responseId/annotations',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.edit',
+      guard: requireResponse,
+      body: jsonBody,
+      errors: [writeAnnotationErrorResponse],
+    },
+    async (ctx) => {
+      if (!validateAnnotationBody(ctx.body)) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+      await runAnnotationWrite(ctx, 201, () =>
+        createAnnotation(
+          ctx.params.responseId,
+          ctx.user.id,
+          readAnnotationFields(ctx.body),
+        ),
+      );
+    },
+  );
+
+  // POST /marking/responses/:id/annotations/:annotationId
+  // Body: as for create
+  router.post(
+    '/marking/responses/:responseId/annotations/:annotationId',
+    {
+      params: {
+        responseId: integerParam('invalid_response_id'),
+        annotationId: integerParam('invalid_annotation_id'),
+      },
+      permission: 'marking.edit',
+      guard: requireResponse,
+      body: jsonBody,
+      errors: [writeAnnotationErrorResponse],
+    },
+    async (ctx) => {
+      if (!validateAnnotationBody(ctx.body)) {
+        sendJson(ctx.res, 400, { error: 'invalid_payload' });
+        return;
+      }
+      await runAnnotationWrite(ctx, 200, () =>
+        updateAnnotation(
+          ctx.params.responseId,
+          ctx.params.annotationId,
+          ctx.user.id,
+          readAnnotationFields(ctx.body),
+        ),
+      );
+    },
+  );
+
+  // POST /marking/responses/:id/annotations/:annotationId/delete
+  router.post(
+    '/marking/responses/:responseId/annotations/:annotationId/delete',
+    {
+      params: {
+        responseId: integerParam('invalid_response_id'),
+        annotationId: integerParam('invalid_annotation_id'),
+      },
+      permission: 'marking.edit',
+      errors: [writeAnnotationErrorResponse],
+    },
+    async (ctx) => {
+      await runAnnotationWrite(ctx, 200, () =>
+        deleteAnnotation(
+          ctx.params.responseId,
+          ctx.params.annotationId,
+          ctx.user.id,
+        ),
+      );
+    },
+  );
+
+  // POST /marking/responses/:id/exceptions
+  // Body: { category, description? }
+  router.post(
+    '/marking/responses/:responseId/exceptions',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.edit',
+      guard: (ctx) => enforceExceptionRaiseAccess(ctx, ctx.params.responseId),
+      body: jsonBody,
+      errors: [writeExceptionErrorResponse],
+    },
+    async (ctx) => {
+      const { res, user, body } = ctx;
+      const { responseId } = ctx.params;
       if (
-        req.method === 'GET' &&
-        segments.length === 3 &&
-        segments[0] === 'marking' &&
-        segments[1] === 'responses'
+        !body ||
+        typeof body.category !== 'string' ||
+        (body.description != null && typeof body.description !== 'string')
       ) {
-        const responseId = parseInt(segments[2], 10);
-        if (Number.isNaN(responseId)) {
-          res.statusCode = 400;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ error: 'invalid_response_id' }),
-          );
-          return;
-        }
+        sendJson(res, 400, { error: 'invalid_payload' });
+        return;
+      }
 
-        const permissionKey = 'marking.view';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              await ensureMarkingTables();
-              await ensureIngestionTables();
-
-              try {
-                const existing = await pool.query(
-                  `SELECT id FROM ${RESPONSES_TABLE_NAME} WHERE id = $1`,
-                  [responseId],
-                );
-                if (!existing.rows || existing.rows.length === 0) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_not_found',
-                    }),
-                  );
-                  return;
-                }
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to check response existence for get mark endpoint',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              let user;
-              try {
-                user = await getOrCreateUserForRequest(req);
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to resolve user for get mark',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-                return;
-              }
-
-              if (!user) {
-                res.statusCode = 401;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(
-                  JSON.stringify({ error: 'unauthenticated' }),
-                );
-                return;
-              }
-
-              try {
-                const row = await getMarkForResponse(
-                  responseId,
-                  user.id,
-                );
-                if (!row) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({ error: 'mark_not_found' }),
-                  );
-                  return;
-                }
-
-                const mark = normaliseMarkRow(row);
-                res.statusCode = 200;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(JSON.stringify({ mark }));
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to fetch mark for response',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in get marking endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for get marking endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const exceptionCase = await raiseException(
+        responseId,
+        {
+          category: body.category,
+          description: body.description || null,
+        },
+        { actor: user },
+      );
+      if (!exceptionCase) {
+        sendJson(res, 404, { error: 'response_not_found' });
+        return;
+      }
 
+      sendJson(res, 201, { exception: normaliseExceptionRow(exceptionCase) });
+    },
+  );
+
+  // POST /marking/responses/:id/remark
+  router.post(
+    '/marking/responses/:responseId/remark',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.remark',
+      body: jsonBody,
+      errors: [writeRemarkErrorResponse],
+    },
+    async (ctx) => {
+      const { body } = ctx;
+      const { responseId } = ctx.params;
+      const reasonCode =
+        body && typeof body.reasonCode === 'string'
+          ? body.reasonCode.trim()
+          : '';
+      if (!reasonCode) {
+        sendJson(ctx.res, 400, { error: 'reason_code_required' });
+        return;
+      }
+
+      if (!(await enforceResponseAccess(ctx, responseId))) {
+        return;
+      }
+
+      const remark = await openRemark(responseId, ctx.user.id, reasonCode);
+      if (!remark) {
+        sendJson(ctx.res, 404, { error: 'response_not_found' });
+        return;
+      }
+      sendJson(ctx.res, 201, { remark: normaliseRemarkRow(remark) });
+    },
+  );
+
+  // GET /marking/responses/:id/remarks
+  router.get(
+    '/marking/responses/:responseId/remarks',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'marking.view',
+    },
+    async (ctx) => {
+      const { responseId } = ctx.params;
+      if (!(await enforceResponseAccess(ctx, responseId))) {
         return;
       }
-    }
 
-    // Response media endpoint: /responses/:id/media
-    if (req.url && req.url.startsWith('/responses/')) {
-      const [path] = req.url.split('?');
-      const segments = path.split('/').filter(Boolean); // e.g. ["responses", "1", "media"]
+      const rows = await getRemarksForResponse(responseId);
+      sendJson(ctx.res, 200, { remarks: rows.map(normaliseRemarkRow) });
+    },
+  );
+
+  // GET /marking/adjudications?deploymentCode=&qigCode=
+  router.get(
+    '/marking/adjudications',
+    { permission: 'marking.adjudicate' },
+    async (ctx) => {
+      const rows = await listAdjudicationFlags({
+        deploymentCode: ctx.query.get('deploymentCode') || null,
+        qigCode: ctx.query.get('qigCode') || null,
+      });
+
+      // AE-scoped users only see flags in their own QIGs.
+      const roles = await getRolesForUser(ctx.user.id);
+      const visible = rows.filter((row) => {
+        const aeQigCodes = extractAeQigCodesForDeployment(
+          roles,
+          row.deployment_code,
+        );
+        return aeQigCodes.size === 0 || aeQigCodes.has(row.qig_code);
+      });
+
+      sendJson(ctx.res, 200, {
+        adjudications: visible.map(normaliseAdjudicationRow),
+      });
+    },
+  );
+
+  // GET /responses/:id/media
+  router.get(
+    '/responses/:responseId/media',
+    {
+      params: { responseId: integerParam('invalid_response_id') },
+      permission: 'assessment.view',
+    },
+    async (ctx) => {
+      const { req, res, user, requestId } = ctx;
+      const { responseId } = ctx.params;
+      await ensureIngestionTables();
+
+      const result = await pool.query(
+        `
+          SELECT id, qig_id, script_id, candidate_id, script_url, manifest, state, created_at, archived_at
+          FROM ${RESPONSES_TABLE_NAME}
+          WHERE id = $1
+        `,
+        [responseId],
+      );
+      if (result.rows.length === 0) {
+        sendJson(res, 404, { error: 'response_not_found' });
+        return;
+      }
 
       if (
-        req.method === 'GET' &&
-        segments.length === 3 &&
-        segments[0] === 'responses' &&
-        segments[2] === 'media'
+        !(await enforceResponseQigScope(req, res, user, responseId, requestId))
       ) {
-        const responseId = parseInt(segments[1], 10);
-        if (Number.isNaN(responseId)) {
-          res.statusCode = 400;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(
-            JSON.stringify({ error: 'invalid_response_id' }),
-          );
-          return;
-        }
+        return;
+      }
 
-        const permissionKey = 'assessment.view';
-
-        enforcePermission(req, res, permissionKey)
-          .then((allowed) => {
-            if (!allowed) {
-              return;
-            }
-
-            (async () => {
-              await ensureIngestionTables();
-
-              try {
-                const result = await pool.query(
-                  `
-                    SELECT id, qig_id, candidate_id, script_url, manifest, state, created_at, archived_at
-                    FROM ${RESPONSES_TABLE_NAME}
-                    WHERE id = $1
-                  `,
-                  [responseId],
-                );
-
-                if (!result.rows || result.rows.length === 0) {
-                  res.statusCode = 404;
-                  res.setHeader(
-                    'Content-Type',
-                    'application/json',
-                  );
-                  res.end(
-                    JSON.stringify({
-                      error: 'response_not_found',
-                    }),
-                  );
-                  return;
-                }
-
-                const responseRow = normaliseResponseRow(
-                  result.rows[0],
-                );
-                res.statusCode = 200;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(JSON.stringify({ response: responseRow }));
-              } catch (err) {
-                // eslint-disable-next-line no-console
-                console.error(
-                  'Failed to fetch response media pointer',
-                  { error: err, requestId },
-                );
-                res.statusCode = 500;
-                res.setHeader(
-                  'Content-Type',
-                  'application/json',
-                );
-                res.end(
-                  JSON.stringify({ error: 'internal_error' }),
-                );
-              }
-            })().catch((err) => {
-              // eslint-disable-next-line no-console
-              console.error(
-                'Unhandled error in response media endpoint',
-                { error: err, requestId },
-              );
-              if (!res.headersSent) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ error: 'internal_error' }));
-              }
-            });
-          })
-          .catch((err) => {
-            // eslint-disable-next-line no-console
-            console.error(
-              'Failed to enforce permission for response media endpoint',
-              { error: err, requestId },
-            );
-            if (!res.headersSent) {
-              res.statusCode = 500;
-              res.setHeader('Content-Type', 'application/json');
-              res.end(JSON.stringify({ error: 'internal_error' }));
-            }
-          });
+      const responseRow = normaliseResponseRow(result.rows[0]);
+      const pages = responseRow.scriptId
+        ? await getPageImagesForScript(responseRow.scriptId)
+        : [];
+      sendJson(res, 200, {
+        response: responseRow,
+        pages: pages.map((page) => normalisePageImageRow(page, responseRow.id)),
+      });
+    },
+  );
+
+  // GET /responses/:id/pages/:pageImageId
+  // Streams one page image of the Response's Script, honouring Range.
+  router.get(
+    '/responses/:responseId/pages/:pageImageId',
+    {
+      params: {
+        responseId: integerParam('invalid_response_id'),
+        pageImageId: integerParam('invalid_page_id'),
+      },
+      permission: 'assessment.view',
+    },
+    async (ctx) => {
+      const { req, res, user, requestId } = ctx;
+      const { responseId, pageImageId } = ctx.params;
+
+      const response = await findResponseRow(responseId);
+      if (!response) {
+        sendJson(res, 404, { error: 'response_not_found' });
+        return;
+      }
 
+      if (
+        !(await enforceResponseQigScope(req, res, user, responseId, requestId))
+      ) {
         return;
       }
-    }
 
-    // Fallback 404
-    res.statusCode = 404;
-    res.end();
-  });
+      // Only pages of the Response's own Script are reachable here.
+      const page = await getPageImageById(pageImageId);
+      if (!page || page.script_id !== response.script_id) {
+        sendJson(res, 404, { error: 'page_not_found' });
+        return;
+      }
+
+      const blobStore = getBlobStore();
+      const stat = await blobStore.stat(page.blob_key);
+      if (!stat) {
+        sendJson(res, 404, { error: 'page_not_found' });
+        return;
+      }
+
+      const range = parseByteRange(req.headers.range, stat.size);
+      if (range && range.unsatisfiable) {
+        res.statusCode = 416;
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        res.end();
+        return;
+      }
+
+      const start = range ? range.start : 0;
+      const end = range ? range.end : stat.size - 1;
+
+      res.statusCode = range ? 206 : 200;
+      res.setHeader('Content-Type', page.content_type);
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Content-Length', String(end - start + 1));
+      if (range) {
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+      }
+
+      if (stat.size === 0) {
+        res.end();
+        return;
+      }
+
+      const stream = blobStore.createReadStream(page.blob_key, { start, end });
+      stream.on('error', (err) => {
+        // eslint-disable-next-line no-console
+        console.error('Failed to stream page image', {
+          error: err,
+          requestId,
+          pageImageId,
+        });
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    },
+  );
+
+  return http.createServer((req, res) => router.handle(req, res));
 }
 
 if (require.main === module) {
   const port = process.env.PORT || 4000;
-  const server = createServer();
-  // eslint-disable-next-line no-console
-  server.listen(port, () => {
-    // eslint-disable-next-line no-console
-    console.log(`API server listening on http://localhost:${port}`);
-  });
+  // Apply pending migrations before serving, so requests never run DDL.
+  ensureSchema()
+    .then(({ applied }) => {
+      if (applied.length > 0) {
+        // eslint-disable-next-line no-console
+        console.log(`Applied ${applied.length} database migration(s)`);
+      }
+      const server = createServer();
+      server.listen(port, () => {
+        // eslint-disable-next-line no-console
+        console.log(`API server listening on http://localhost:${port}`);
+      });
+    })
+    .catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Database migration failed on startup', err);
+      process.exitCode = 1;
+    });
 }
 
 module.exports = { createServer, healthHandler };
@@ -0,0 +1,1593 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+} = require('./assessment');
+const { RESPONSES_TABLE_NAME } = require('./ingestion');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const {
+  validateMarksAgainstScheme,
+  getItemMarkTotal,
+  getCurrentMarkSchemeVersion,
+} = require('./markscheme');
+const {
+  appendAuditEvent,
+  writeAuditEvent,
+  MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+  STANDARDISATION_TOLERANCES_UPDATED_EVENT_TYPE,
+  STANDARDISATION_SET_CREATED_EVENT_TYPE,
+  DEFINITIVE_MARKS_SET_EVENT_TYPE,
+  STANDARDISATION_MARK_SUBMITTED_EVENT_TYPE,
+  STANDARDISATION_EVALUATED_EVENT_TYPE,
+  SEED_SETTINGS_UPDATED_EVENT_TYPE,
+  SEED_RESPONSE_ADDED_EVENT_TYPE,
+  SEED_RESULT_RECORDED_EVENT_TYPE,
+  SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE,
+} = require('./audit');
+
+const MARKER_ELIGIBILITY_TABLE_NAME = 'marker_eligibility';
+const STANDARDISATION_TOLERANCES_TABLE_NAME = 'standardisation_tolerances';
+const STANDARDISATION_SETS_TABLE_NAME = 'standardisation_sets';
+const STANDARDISATION_SET_RESPONSES_TABLE_NAME = 'standardisation_set_responses';
+const DEFINITIVE_MARKS_TABLE_NAME = 'definitive_marks';
+const STANDARDISATION_MARKS_TABLE_NAME = 'standardisation_marks';
+const STANDARDISATION_EVALUATIONS_TABLE_NAME = 'standardisation_evaluations';
+const SEED_SETTINGS_TABLE_NAME = 'seed_settings';
+const SEED_RESPONSES_TABLE_NAME = 'seed_responses';
+const SEED_RESULTS_TABLE_NAME = 'seed_results';
+
+/**
+ * Marker eligibility states (MOD-06), tracked per (marker, QIG).
+ *
+ * A marker with no eligibility row for a QIG is not enrolled there. Only
+ * LIVE_APPROVED markers may receive or mark live work.
+ */
+const ELIGIBILITY_STATES = [
+  'PRACTICE',
+  'STANDARDISATION',
+  'AWAITING_APPROVAL',
+  'LIVE_APPROVED',
+  'SUSPENDED',
+];
+
+const LIVE_APPROVED_ELIGIBILITY_STATE = 'LIVE_APPROVED';
+
+/**
+ * States a marker may be enrolled into (no row yet -> toState).
+ */
+const ELIGIBILITY_INITIAL_STATES = ['PRACTICE', 'STANDARDISATION'];
+
+/**
+ * Valid eligibility transitions: fromState -> allowed toStates.
+ *
+ * - PRACTICE -> STANDARDISATION once practice is done.
+ * - STANDARDISATION -> AWAITING_APPROVAL when the standardisation set is
+ *   passed, or back to PRACTICE when it is failed.
+ * - AWAITING_APPROVAL -> LIVE_APPROVED on TL approval, or back to
+ *   STANDARDISATION when approval is refused.
+ * - LIVE_APPROVED -> STANDARDISATION for re-standardisation.
+ * - Any state -> SUSPENDED; SUSPENDED -> LIVE_APPROVED reinstates, or the
+ *   marker is sent back through PRACTICE / STANDARDISATION.
+ */
+const ELIGIBILITY_TRANSITIONS = {
+  PRACTICE: ['STANDARDISATION', 'SUSPENDED'],
+  STANDARDISATION: ['PRACTICE', 'AWAITING_APPROVAL', 'SUSPENDED'],
+  AWAITING_APPROVAL: ['STANDARDISATION', 'LIVE_APPROVED', 'SUSPENDED'],
+  LIVE_APPROVED: ['STANDARDISATION', 'SUSPENDED'],
+  SUSPENDED: ['PRACTICE', 'STANDARDISATION', 'LIVE_APPROVED'],
+};
+
+/**
+ * Kinds of standardisation set. PRACTICE sets reveal the definitive marks
+ * to the marker as soon as they submit; STANDARDISATION sets are scored
+ * against the definitive marks by evaluateStandardisationMarks.
+ */
+const STANDARDISATION_SET_KINDS = ['PRACTICE', 'STANDARDISATION'];
+
+/**
+ * Eligibility states in which a marker may submit marks for each set kind.
+ */
+const SET_KIND_ELIGIBILITY_STATES = {
+  PRACTICE: ['PRACTICE', 'STANDARDISATION'],
+  STANDARDISATION: ['STANDARDISATION'],
+};
+
+/**
+ * What happens when a live marker's consecutive out-of-tolerance seeds
+ * reach the QIG's failure limit, and the eligibility state each action
+ * moves the marker to (NONE only records the audit event).
+ */
+const SEED_FAILURE_ACTIONS = ['SUSPEND', 'RESTANDARDISE', 'NONE'];
+const SEED_FAILURE_ACTION_STATES = {
+  SUSPEND: 'SUSPENDED',
+  RESTANDARDISE: 'STANDARDISATION',
+  NONE: null,
+};
+const DEFAULT_SEED_FAILURE_LIMIT = 3;
+const DEFAULT_SEED_FAILURE_ACTION = 'SUSPEND';
+const SEED_FAILURE_REASON_CODE = 'SEED_FAILURES';
+
+/**
+ * Advisory lock namespace for eligibility changes, combined with the
+ * marker id so that enrolment (insert) and transitions serialise.
+ */
+const ELIGIBILITY_LOCK_NAMESPACE = 4601;
+
+/**
+ * Take a marker's eligibility lock in client's open transaction, held
+ * until it ends. Eligibility changes and seed results take it before any
+ * audit event is appended; a caller that goes on to record a seed result
+ * (see recordSeedResult) after other audited writes must take it first.
+ */
+async function lockMarkerEligibility(client, markerUserId) {
+  await client.query('SELECT pg_advisory_xact_lock($1, $2)', [
+    ELIGIBILITY_LOCK_NAMESPACE,
+    markerUserId,
+  ]);
+}
+
+/**
+ * Ensure the standardisation tables exist (see
+ * migrations/0009_standardisation.sql).
+ *
+ * marker_eligibility holds the current eligibility state per
+ * (marker, QIG); every change is recorded as a MARKER_ELIGIBILITY_CHANGED
+ * audit event with actor and reasonCode.
+ *
+ * Practice and standardisation sets group Responses of a QIG whose
+ * definitive marks are known; markers' marks on them are kept apart from
+ * live marking in standardisation_marks and scored against the QIG's
+ * tolerances.
+ *
+ * Seeds are definitive-marked Responses served to live markers in place
+ * of live work at the QIG's seed rate; each submitted seed is scored into
+ * seed_results.
+ */
+async function ensureStandardisationTables() {
+  await ensureSchema();
+}
+
+function isValidEligibilityTransition(fromState, toState) {
+  if (fromState == null) {
+    return ELIGIBILITY_INITIAL_STATES.includes(toState);
+  }
+  const allowed = ELIGIBILITY_TRANSITIONS[fromState];
+  return Array.isArray(allowed) && allowed.includes(toState);
+}
+
+/**
+ * Read a marker's current eligibility state for a QIG without running DDL,
+ * so it can be used inside another module's transaction. Returns null when
+ * the marker is not enrolled on the QIG.
+ */
+async function getMarkerEligibilityState(queryable, markerUserId, qigId) {
+  const res = await queryable.query(
+    `
+      SELECT state
+      FROM ${MARKER_ELIGIBILITY_TABLE_NAME}
+      WHERE marker_user_id = $1
+        AND qig_id = $2
+    `,
+    [markerUserId, qigId],
+  );
+  return res.rows && res.rows.length > 0 ? res.rows[0].state : null;
+}
+
+/**
+ * Fetch a marker's eligibility row for a QIG, or null if not enrolled.
+ */
+async function getMarkerEligibility(markerUserId, qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT *
+      FROM ${MARKER_ELIGIBILITY_TABLE_NAME}
+      WHERE marker_user_id = $1
+        AND qig_id = $2
+    `,
+    [markerUserId, qigId],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * True when the marker is LIVE_APPROVED on the QIG.
+ */
+async function isMarkerLiveApproved(markerUserId, qigId) {
+  await ensureStandardisationTables();
+
+  const state = await getMarkerEligibilityState(pool, markerUserId, qigId);
+  return state === LIVE_APPROVED_ELIGIBILITY_STATE;
+}
+
+/**
+ * Narrow a list of QIG ids to those the marker is LIVE_APPROVED on,
+ * preserving the input order.
+ */
+async function filterLiveApprovedQigIds(markerUserId, qigIds) {
+  await ensureStandardisationTables();
+
+  if (!Array.isArray(qigIds) || qigIds.length === 0) {
+    return [];
+  }
+
+  const res = await pool.query(
+    `
+      SELECT qig_id
+      FROM ${MARKER_ELIGIBILITY_TABLE_NAME}
+      WHERE marker_user_id = $1
+        AND qig_id = ANY($2::int[])
+        AND state = $3
+    `,
+    [markerUserId, qigIds, LIVE_APPROVED_ELIGIBILITY_STATE],
+  );
+  const approved = new Set(res.rows.map((row) => row.qig_id));
+  return qigIds.filter((qigId) => approved.has(qigId));
+}
+
+/**
+ * List the eligibility of every marker enrolled on a QIG, with the
+ * marker's identity.
+ */
+async function getEligibilityForQig(qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        e.*,
+        u.external_id AS marker_external_id,
+        u.display_name AS marker_display_name
+      FROM ${MARKER_ELIGIBILITY_TABLE_NAME} e
+      JOIN ${USERS_TABLE_NAME} u
+        ON e.marker_user_id = u.id
+      WHERE e.qig_id = $1
+      ORDER BY e.id ASC
+    `,
+    [qigId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Helper: QIG + deployment context for eligibility audit meta.
+ */
+async function getQigContext(queryable, qigId) {
+  const res = await queryable.query(
+    `
+      SELECT
+        q.id,
+        q.code,
+        d.id AS deployment_id,
+        d.code AS deployment_code
+      FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      WHERE q.id = $1
+    `,
+    [qigId],
+  );
+  return res.rows[0] || null;
+}
+
+function buildAuditActor(actor) {
+  return actor
+    ? {
+        id: actor.id,
+        externalId: actor.external_id,
+        displayName: actor.display_name,
+      }
+    : null;
+}
+
+function buildStandardisationError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+/**
+ * Run work(client) in one transaction and return its result.
+ */
+async function runStandardisationTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function buildEligibilityAuditPayload(outcome, markerUserId, toState, options) {
+  const { context, fromState, rejection } = outcome;
+  return {
+    meta: {
+      markerId: markerUserId,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      fromState,
+      toState,
+      result: rejection ? 'REJECTED' : 'SUCCESS',
+      reasonCode: options.reasonCode || null,
+      errorCode: rejection ? rejection.code : null,
+    },
+    actor: buildAuditActor(options.actor),
+  };
+}
+
+/**
+ * Check and apply an eligibility change in client's open transaction. A
+ * successful change is written together with its audit event; a rejected
+ * one writes nothing.
+ *
+ * Returns null when the QIG does not exist, otherwise
+ * { context, fromState, updated, rejection }.
+ */
+async function applyEligibilityTransition(
+  client,
+  markerUserId,
+  qigId,
+  toState,
+  options,
+) {
+  const { actor = null, reasonCode = null } = options;
+
+  const context = await getQigContext(client, qigId);
+  if (!context) {
+    return null;
+  }
+
+  await lockMarkerEligibility(client, markerUserId);
+
+  const fromState = await getMarkerEligibilityState(client, markerUserId, qigId);
+  let rejection = null;
+
+  if (!ELIGIBILITY_STATES.includes(toState)) {
+    rejection = buildStandardisationError(
+      'INVALID_ELIGIBILITY_STATE',
+      `Unknown eligibility state: ${toState}`,
+      { fromState, toState },
+    );
+  } else if (!isValidEligibilityTransition(fromState, toState)) {
+    rejection = buildStandardisationError(
+      'INVALID_STATE_TRANSITION',
+      `Invalid eligibility transition ${fromState || 'NONE'} -> ${toState}`,
+      { fromState, toState },
+    );
+  } else if (!reasonCode) {
+    rejection = buildStandardisationError(
+      'REASON_CODE_REQUIRED',
+      `reasonCode is required for ${fromState || 'NONE'} -> ${toState}`,
+      { fromState, toState },
+    );
+  }
+
+  if (rejection) {
+    return { context, fromState, updated: null, rejection };
+  }
+
+  const upsertRes = await client.query(
+    `
+      INSERT INTO ${MARKER_ELIGIBILITY_TABLE_NAME} (
+        marker_user_id,
+        qig_id,
+        state,
+        reason_code,
+        updated_by_user_id
+      )
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (marker_user_id, qig_id)
+      DO UPDATE SET
+        state = EXCLUDED.state,
+        reason_code = EXCLUDED.reason_code,
+        updated_by_user_id = EXCLUDED.updated_by_user_id,
+        updated_at = NOW()
+      RETURNING *
+    `,
+    [markerUserId, qigId, toState, reasonCode, actor ? actor.id : null],
+  );
+  const outcome = {
+    context,
+    fromState,
+    updated: upsertRes.rows[0],
+    rejection: null,
+  };
+
+  await appendAuditEvent(
+    MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+    buildEligibilityAuditPayload(outcome, markerUserId, toState, options),
+    { client },
+  );
+
+  return outcome;
+}
+
+/**
+ * Move a marker's eligibility on a QIG to toState.
+ *
+ * A reasonCode is required for every change. Every attempt writes a
+ * MARKER_ELIGIBILITY_CHANGED audit event with markerId, qigId, qigCode,
+ * deployment, fromState, toState, result and reasonCode (plus errorCode
+ * when rejected). A change and its event commit together.
+ *
+ * Returns the eligibility row, or null if the QIG does not exist.
+ * Rejections throw with code INVALID_ELIGIBILITY_STATE,
+ * INVALID_STATE_TRANSITION or REASON_CODE_REQUIRED, carrying
+ * fromState / toState.
+ */
+async function transitionMarkerEligibility(
+  markerUserId,
+  qigId,
+  toState,
+  options = {},
+) {
+  await ensureStandardisationTables();
+
+  // A rejected attempt has written nothing, so committing it is harmless.
+  const outcome = await runStandardisationTransaction((client) =>
+    applyEligibilityTransition(client, markerUserId, qigId, toState, options),
+  );
+  if (!outcome) {
+    return null;
+  }
+
+  if (outcome.rejection) {
+    await writeAuditEvent(
+      MARKER_ELIGIBILITY_CHANGED_EVENT_TYPE,
+      buildEligibilityAuditPayload(outcome, markerUserId, toState, options),
+    );
+    throw outcome.rejection;
+  }
+
+  return outcome.updated;
+}
+
+/**
+ * Fetch the standardisation tolerances of a QIG. QIGs without configured
+ * tolerances use zero for both.
+ */
+async function getStandardisationTolerances(qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT item_tolerance, total_tolerance
+      FROM ${STANDARDISATION_TOLERANCES_TABLE_NAME}
+      WHERE qig_id = $1
+    `,
+    [qigId],
+  );
+  const row = res.rows[0];
+  return {
+    itemTolerance: row ? row.item_tolerance : 0,
+    totalTolerance: row ? row.total_tolerance : 0,
+  };
+}
+
+/**
+ * Set a QIG's standardisation tolerances. Either value may be omitted to
+ * keep the current one. Writes a STANDARDISATION_TOLERANCES_UPDATED audit
+ * event and returns the tolerances, or null if the QIG does not exist.
+ */
+async function updateStandardisationTolerances(
+  qigId,
+  { itemTolerance, totalTolerance },
+  options = {},
+) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  const context = await getQigContext(pool, qigId);
+  if (!context) {
+    return null;
+  }
+
+  const res = await pool.query(
+    `
+      INSERT INTO ${STANDARDISATION_TOLERANCES_TABLE_NAME} AS t (
+        qig_id,
+        item_tolerance,
+        total_tolerance,
+        updated_by_user_id
+      )
+      VALUES ($1, COALESCE($2, 0), COALESCE($3, 0), $4)
+      ON CONFLICT (qig_id)
+      DO UPDATE SET
+        item_tolerance = COALESCE($2, t.item_tolerance),
+        total_tolerance = COALESCE($3, t.total_tolerance),
+        updated_by_user_id = EXCLUDED.updated_by_user_id,
+        updated_at = NOW()
+      RETURNING item_tolerance, total_tolerance
+    `,
+    [
+      qigId,
+      itemTolerance == null ? null : itemTolerance,
+      totalTolerance == null ? null : totalTolerance,
+      actor ? actor.id : null,
+    ],
+  );
+  const row = res.rows[0];
+
+  await writeAuditEvent(STANDARDISATION_TOLERANCES_UPDATED_EVENT_TYPE, {
+    meta: {
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      itemTolerance: row.item_tolerance,
+      totalTolerance: row.total_tolerance,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  return {
+    itemTolerance: row.item_tolerance,
+    totalTolerance: row.total_tolerance,
+  };
+}
+
+const SET_SELECT_SQL = `
+  SELECT
+    s.*,
+    COALESCE(
+      array_agg(sr.response_id ORDER BY sr.position)
+        FILTER (WHERE sr.response_id IS NOT NULL),
+      '{}'
+    ) AS response_ids
+  FROM ${STANDARDISATION_SETS_TABLE_NAME} s
+  LEFT JOIN ${STANDARDISATION_SET_RESPONSES_TABLE_NAME} sr
+    ON sr.set_id = s.id
+`;
+
+/**
+ * List the practice and standardisation sets of a QIG, each with its
+ * ordered response_ids.
+ */
+async function listStandardisationSets(qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      ${SET_SELECT_SQL}
+      WHERE s.qig_id = $1
+      GROUP BY s.id
+      ORDER BY s.id ASC
+    `,
+    [qigId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Fetch a set of a QIG by code (with response_ids), or null.
+ */
+async function getStandardisationSetByCode(qigId, code) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      ${SET_SELECT_SQL}
+      WHERE s.qig_id = $1
+        AND s.code = $2
+      GROUP BY s.id
+    `,
+    [qigId, code],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Create a practice or standardisation set of Responses on a QIG.
+ *
+ * Every Response must belong to the QIG. Throws INVALID_SET_KIND,
+ * RESPONSE_NOT_IN_QIG (with responseIds) or SET_ALREADY_EXISTS. Writes a
+ * STANDARDISATION_SET_CREATED audit event and returns the set, or null
+ * if the QIG does not exist.
+ */
+async function createStandardisationSet(qigId, fields, options = {}) {
+  await ensureStandardisationTables();
+
+  const { code, name, kind, responseIds } = fields;
+  const { actor = null } = options;
+
+  if (!STANDARDISATION_SET_KINDS.includes(kind)) {
+    throw buildStandardisationError(
+      'INVALID_SET_KIND',
+      `Unknown standardisation set kind: ${kind}`,
+    );
+  }
+
+  const client = await pool.connect();
+  let context;
+  let setRow;
+
+  try {
+    await client.query('BEGIN');
+
+    context = await getQigContext(client, qigId);
+    if (!context) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const responsesRes = await client.query(
+      `
+        SELECT id
+        FROM ${RESPONSES_TABLE_NAME}
+        WHERE id = ANY($1::int[])
+          AND qig_id = $2
+          AND archived_at IS NULL
+      `,
+      [responseIds, qigId],
+    );
+    const found = new Set(responsesRes.rows.map((row) => row.id));
+    const missing = responseIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      throw buildStandardisationError(
+        'RESPONSE_NOT_IN_QIG',
+        `Responses do not belong to QIG ${context.code}`,
+        { responseIds: missing },
+      );
+    }
+
+    try {
+      const insertRes = await client.query(
+        `
+          INSERT INTO ${STANDARDISATION_SETS_TABLE_NAME} (
+            qig_id,
+            code,
+            name,
+            kind,
+            created_by_user_id
+          )
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `,
+        [qigId, code, name, kind, actor ? actor.id : null],
+      );
+      setRow = insertRes.rows[0];
+    } catch (err) {
+      if (err && err.code === '23505') {
+        throw buildStandardisationError(
+          'SET_ALREADY_EXISTS',
+          `Standardisation set ${code} already exists`,
+        );
+      }
+      throw err;
+    }
+
+    await client.query(
+      `
+        INSERT INTO ${STANDARDISATION_SET_RESPONSES_TABLE_NAME} (set_id, response_id, position)
+        SELECT $1, r.response_id, r.position
+        FROM unnest($2::int[]) WITH ORDINALITY AS r(response_id, position)
+      `,
+      [setRow.id, responseIds],
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      // ignore rollback errors, surface the original failure
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await writeAuditEvent(STANDARDISATION_SET_CREATED_EVENT_TYPE, {
+    meta: {
+      setId: setRow.id,
+      setCode: setRow.code,
+      kind: setRow.kind,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      responseIds,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  return { ...setRow, response_ids: responseIds };
+}
+
+/**
+ * Helper: validate marks against the QIG's current MarkSchemeVersion and
+ * return their total. Throws MARK_SCHEME_MISSING when the QIG has no
+ * version, or INVALID_MARKS with itemErrors.
+ */
+async function validateMarksForQig(qigId, marks) {
+  const schemeVersion = await getCurrentMarkSchemeVersion(qigId);
+  if (!schemeVersion) {
+    throw buildStandardisationError(
+      'MARK_SCHEME_MISSING',
+      'QIG has no mark scheme version',
+    );
+  }
+  const { errors, total } = validateMarksAgainstScheme(
+    marks,
+    schemeVersion.definition,
+  );
+  if (errors.length > 0) {
+    throw buildStandardisationError(
+      'INVALID_MARKS',
+      'Marks do not match the mark scheme',
+      { itemErrors: errors },
+    );
+  }
+  return total;
+}
+
+/**
+ * Fetch the definitive marks of a Response, or null if none are set.
+ */
+async function getDefinitiveMarks(responseId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT *
+      FROM ${DEFINITIVE_MARKS_TABLE_NAME}
+      WHERE response_id = $1
+    `,
+    [responseId],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Store (or replace) the definitive marks of a Response on a QIG.
+ *
+ * Marks are validated against the QIG's current mark scheme like a live
+ * submission; failures throw MARK_SCHEME_MISSING or INVALID_MARKS with
+ * itemErrors. Writes a DEFINITIVE_MARKS_SET audit event and returns the
+ * row, or null if the Response is not on the QIG.
+ */
+async function setDefinitiveMarks(qigId, responseId, marks, options = {}) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  const responseRes = await pool.query(
+    `
+      SELECT id
+      FROM ${RESPONSES_TABLE_NAME}
+      WHERE id = $1
+        AND qig_id = $2
+        AND archived_at IS NULL
+    `,
+    [responseId, qigId],
+  );
+  const context = await getQigContext(pool, qigId);
+  if (!context || responseRes.rows.length === 0) {
+    return null;
+  }
+
+  const total = await validateMarksForQig(qigId, marks);
+
+  const res = await pool.query(
+    `
+      INSERT INTO ${DEFINITIVE_MARKS_TABLE_NAME} (
+        response_id,
+        payload,
+        total_mark,
+        set_by_user_id
+      )
+      VALUES ($1, $2::jsonb, $3, $4)
+      ON CONFLICT (response_id)
+      DO UPDATE SET
+        payload = EXCLUDED.payload,
+        total_mark = EXCLUDED.total_mark,
+        set_by_user_id = EXCLUDED.set_by_user_id,
+        updated_at = NOW()
+      RETURNING *
+    `,
+    [responseId, JSON.stringify(marks), total, actor ? actor.id : null],
+  );
+  const row = res.rows[0];
+
+  await writeAuditEvent(DEFINITIVE_MARKS_SET_EVENT_TYPE, {
+    meta: {
+      responseId,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      totalMark: row.total_mark,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  return row;
+}
+
+/**
+ * Compare a marker's marks with the definitive marks of a Response.
+ *
+ * Each item's deviation is (mark - definitiveMark) on the item totals, so
+ * sub-part marks count by their sum, and must be within itemTolerance
+ * either way; the total deviation must be within totalTolerance. Items the
+ * marker left out count as outside tolerance.
+ *
+ * Returns { totalMark, definitiveTotal, totalDeviation, withinTolerance,
+ * items: [{ itemCode, mark, definitiveMark, deviation, withinTolerance }] }
+ * with mark and definitiveMark as given.
+ */
+function compareWithDefinitiveMarks(marks, definitiveMarks, tolerances) {
+  const { itemTolerance, totalTolerance } = tolerances;
+  let totalMark = 0;
+  let definitiveTotal = 0;
+  let itemsWithin = true;
+
+  const items = Object.keys(definitiveMarks).map((itemCode) => {
+    const definitiveMark = definitiveMarks[itemCode];
+    const mark = Object.prototype.hasOwnProperty.call(marks, itemCode)
+      ? marks[itemCode]
+      : null;
+    const definitiveItemTotal = getItemMarkTotal(definitiveMark) || 0;
+    const itemTotal = getItemMarkTotal(mark);
+    definitiveTotal += definitiveItemTotal;
+
+    if (itemTotal === null) {
+      itemsWithin = false;
+      return {
+        itemCode,
+        mark: null,
+        definitiveMark,
+        deviation: null,
+        withinTolerance: false,
+      };
+    }
+
+    totalMark += itemTotal;
+    const deviation = itemTotal - definitiveItemTotal;
+    const withinTolerance = Math.abs(deviation) <= itemTolerance;
+    if (!withinTolerance) {
+      itemsWithin = false;
+    }
+    return { itemCode, mark, definitiveMark, deviation, withinTolerance };
+  });
+
+  const totalDeviation = totalMark - definitiveTotal;
+  return {
+    totalMark,
+    definitiveTotal,
+    totalDeviation,
+    withinTolerance: itemsWithin && Math.abs(totalDeviation) <= totalTolerance,
+    items,
+  };
+}
+
+/**
+ * Submit a marker's marks for a Response of a practice or standardisation
+ * set. Submissions are final.
+ *
+ * The marker must be in PRACTICE or STANDARDISATION on the QIG for a
+ * PRACTICE set, and in STANDARDISATION for a STANDARDISATION set.
+ * Throws RESPONSE_NOT_IN_SET, MARKER_NOT_ELIGIBLE, MARK_SCHEME_MISSING,
+ * INVALID_MARKS or ALREADY_SUBMITTED.
+ *
+ * Returns { mark, definitive, comparison }. For PRACTICE sets the
+ * definitive marks (if set) and the comparison against them are revealed;
+ * for STANDARDISATION sets both are null.
+ */
+async function submitStandardisationMarks(
+  setRow,
+  responseId,
+  markerUserId,
+  marks,
+  options = {},
+) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  if (!setRow.response_ids.includes(responseId)) {
+    throw buildStandardisationError(
+      'RESPONSE_NOT_IN_SET',
+      `Response ${responseId} is not in set ${setRow.code}`,
+    );
+  }
+
+  const state = await getMarkerEligibilityState(
+    pool,
+    markerUserId,
+    setRow.qig_id,
+  );
+  if (!SET_KIND_ELIGIBILITY_STATES[setRow.kind].includes(state)) {
+    throw buildStandardisationError(
+      'MARKER_NOT_ELIGIBLE',
+      `Marker cannot mark ${setRow.kind} sets in state ${state || 'NONE'}`,
+      { state },
+    );
+  }
+
+  const total = await validateMarksForQig(setRow.qig_id, marks);
+
+  const res = await pool.query(
+    `
+      INSERT INTO ${STANDARDISATION_MARKS_TABLE_NAME} (
+        set_id,
+        response_id,
+        marker_user_id,
+        payload,
+        total_mark
+      )
+      VALUES ($1, $2, $3, $4::jsonb, $5)
+      ON CONFLICT (set_id, response_id, marker_user_id) DO NOTHING
+      RETURNING *
+    `,
+    [setRow.id, responseId, markerUserId, JSON.stringify(marks), total],
+  );
+  if (res.rows.length === 0) {
+    throw buildStandardisationError(
+      'ALREADY_SUBMITTED',
+      'Marker has already submitted for this response',
+    );
+  }
+  const markRow = res.rows[0];
+
+  const context = await getQigContext(pool, setRow.qig_id);
+  await writeAuditEvent(STANDARDISATION_MARK_SUBMITTED_EVENT_TYPE, {
+    meta: {
+      setId: setRow.id,
+      setCode: setRow.code,
+      kind: setRow.kind,
+      responseId,
+      markerId: markerUserId,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      totalMark: total,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  if (setRow.kind !== 'PRACTICE') {
+    return { mark: markRow, definitive: null, comparison: null };
+  }
+
+  const definitive = await getDefinitiveMarks(responseId);
+  const comparison = definitive
+    ? compareWithDefinitiveMarks(
+        marks,
+        definitive.payload,
+        await getStandardisationTolerances(setRow.qig_id),
+      )
+    : null;
+
+  return { mark: markRow, definitive, comparison };
+}
+
+/**
+ * Score a marker's submitted marks on a STANDARDISATION set against the
+ * definitive marks and the QIG's tolerances.
+ *
+ * The marker passes when they have submitted every Response of the set
+ * and each is within tolerance. The evaluation is stored and audited as
+ * STANDARDISATION_EVALUATED, and feeds eligibility: a marker currently in
+ * STANDARDISATION moves to AWAITING_APPROVAL on a pass
+ * (STANDARDISATION_PASSED) or back to PRACTICE on a fail
+ * (STANDARDISATION_FAILED). Markers in any other state are left as they
+ * are.
+ *
+ * Throws SET_NOT_EVALUABLE for PRACTICE sets and DEFINITIVE_MARKS_MISSING
+ * (with responseIds) when a Response has no definitive marks.
+ */
+async function evaluateStandardisationMarks(setRow, markerUserId, options = {}) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  if (setRow.kind !== 'STANDARDISATION') {
+    throw buildStandardisationError(
+      'SET_NOT_EVALUABLE',
+      `Set ${setRow.code} is a ${setRow.kind} set`,
+    );
+  }
+
+  const res = await pool.query(
+    `
+      SELECT
+        sr.response_id,
+        r.candidate_id,
+        d.payload AS definitive_payload,
+        m.payload AS marker_payload
+      FROM ${STANDARDISATION_SET_RESPONSES_TABLE_NAME} sr
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON sr.response_id = r.id
+      LEFT JOIN ${DEFINITIVE_MARKS_TABLE_NAME} d
+        ON d.response_id = sr.response_id
+      LEFT JOIN ${STANDARDISATION_MARKS_TABLE_NAME} m
+        ON m.set_id = sr.set_id
+        AND m.response_id = sr.response_id
+        AND m.marker_user_id = $2
+      WHERE sr.set_id = $1
+      ORDER BY sr.position ASC
+    `,
+    [setRow.id, markerUserId],
+  );
+  const rows = res.rows || [];
+
+  const missingDefinitive = rows
+    .filter((row) => !row.definitive_payload)
+    .map((row) => row.response_id);
+  if (missingDefinitive.length > 0) {
+    throw buildStandardisationError(
+      'DEFINITIVE_MARKS_MISSING',
+      `Set ${setRow.code} has responses without definitive marks`,
+      { responseIds: missingDefinitive },
+    );
+  }
+
+  const tolerances = await getStandardisationTolerances(setRow.qig_id);
+
+  const responses = rows.map((row) => {
+    if (!row.marker_payload) {
+      return {
+        responseId: row.response_id,
+        candidateId: row.candidate_id,
+        submitted: false,
+        withinTolerance: false,
+      };
+    }
+    return {
+      responseId: row.response_id,
+      candidateId: row.candidate_id,
+      submitted: true,
+      ...compareWithDefinitiveMarks(
+        row.marker_payload,
+        row.definitive_payload,
+        tolerances,
+      ),
+    };
+  });
+
+  const passed =
+    responses.length > 0 && responses.every((r) => r.withinTolerance);
+
+  const evaluationRes = await pool.query(
+    `
+      INSERT INTO ${STANDARDISATION_EVALUATIONS_TABLE_NAME} (
+        set_id,
+        marker_user_id,
+        passed,
+        item_tolerance,
+        total_tolerance,
+        result,
+        evaluated_by_user_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7)
+      RETURNING *
+    `,
+    [
+      setRow.id,
+      markerUserId,
+      passed,
+      tolerances.itemTolerance,
+      tolerances.totalTolerance,
+      JSON.stringify(responses),
+      actor ? actor.id : null,
+    ],
+  );
+  const evaluation = evaluationRes.rows[0];
+
+  const context = await getQigContext(pool, setRow.qig_id);
+  await writeAuditEvent(STANDARDISATION_EVALUATED_EVENT_TYPE, {
+    meta: {
+      evaluationId: evaluation.id,
+      setId: setRow.id,
+      setCode: setRow.code,
+      markerId: markerUserId,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      passed,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  const fromState = await getMarkerEligibilityState(
+    pool,
+    markerUserId,
+    setRow.qig_id,
+  );
+  let state = fromState;
+  if (fromState === 'STANDARDISATION') {
+    const updated = await transitionMarkerEligibility(
+      markerUserId,
+      setRow.qig_id,
+      passed ? 'AWAITING_APPROVAL' : 'PRACTICE',
+      {
+        actor,
+        reasonCode: passed ? 'STANDARDISATION_PASSED' : 'STANDARDISATION_FAILED',
+      },
+    );
+    state = updated.state;
+  }
+
+  return {
+    ...evaluation,
+    set_code: setRow.code,
+    eligibility: { fromState, state, changed: state !== fromState },
+  };
+}
+
+/**
+ * Fetch the seed settings of a QIG. QIGs without configured settings do
+ * not receive seeds (rate 0).
+ */
+async function getSeedSettings(qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT seed_rate_percent, failure_limit, failure_action
+      FROM ${SEED_SETTINGS_TABLE_NAME}
+      WHERE qig_id = $1
+    `,
+    [qigId],
+  );
+  const row = res.rows[0];
+  return {
+    seedRatePercent: row ? row.seed_rate_percent : 0,
+    failureLimit: row ? row.failure_limit : DEFAULT_SEED_FAILURE_LIMIT,
+    failureAction: row ? row.failure_action : DEFAULT_SEED_FAILURE_ACTION,
+  };
+}
+
+/**
+ * Update a QIG's seed settings. Any value may be omitted to keep the
+ * current one. Throws INVALID_SEED_FAILURE_ACTION for unknown actions.
+ * Writes a SEED_SETTINGS_UPDATED audit event and returns the settings, or
+ * null if the QIG does not exist.
+ */
+async function updateSeedSettings(
+  qigId,
+  { seedRatePercent, failureLimit, failureAction },
+  options = {},
+) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  if (failureAction != null && !SEED_FAILURE_ACTIONS.includes(failureAction)) {
+    throw buildStandardisationError(
+      'INVALID_SEED_FAILURE_ACTION',
+      `Unknown seed failure action: ${failureAction}`,
+    );
+  }
+
+  const context = await getQigContext(pool, qigId);
+  if (!context) {
+    return null;
+  }
+
+  const res = await pool.query(
+    `
+      INSERT INTO ${SEED_SETTINGS_TABLE_NAME} AS s (
+        qig_id,
+        seed_rate_percent,
+        failure_limit,
+        failure_action,
+        updated_by_user_id
+      )
+      VALUES ($1, COALESCE($2, 0), COALESCE($3::int, $6::int), COALESCE($4::text, $7::text), $5)
+      ON CONFLICT (qig_id)
+      DO UPDATE SET
+        seed_rate_percent = COALESCE($2, s.seed_rate_percent),
+        failure_limit = COALESCE($3, s.failure_limit),
+        failure_action = COALESCE($4, s.failure_action),
+        updated_by_user_id = EXCLUDED.updated_by_user_id,
+        updated_at = NOW()
+      RETURNING seed_rate_percent, failure_limit, failure_action
+    `,
+    [
+      qigId,
+      seedRatePercent == null ? null : seedRatePercent,
+      failureLimit == null ? null : failureLimit,
+      failureAction == null ? null : failureAction,
+      actor ? actor.id : null,
+      DEFAULT_SEED_FAILURE_LIMIT,
+      DEFAULT_SEED_FAILURE_ACTION,
+    ],
+  );
+  const row = res.rows[0];
+  const settings = {
+    seedRatePercent: row.seed_rate_percent,
+    failureLimit: row.failure_limit,
+    failureAction: row.failure_action,
+  };
+
+  await writeAuditEvent(SEED_SETTINGS_UPDATED_EVENT_TYPE, {
+    meta: {
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+      ...settings,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  return settings;
+}
+
+/**
+ * Mark a Response of a QIG as a seed. The Response must already have
+ * definitive marks (DEFINITIVE_MARKS_MISSING otherwise); adding it twice
+ * throws SEED_ALREADY_EXISTS. Writes a SEED_RESPONSE_ADDED audit event and
+ * returns the seed row, or null if the Response is not on the QIG.
+ */
+async function addSeedResponse(qigId, responseId, options = {}) {
+  await ensureStandardisationTables();
+
+  const { actor = null } = options;
+
+  const responseRes = await pool.query(
+    `
+      SELECT r.id, r.candidate_id, d.id AS definitive_id
+      FROM ${RESPONSES_TABLE_NAME} r
+      LEFT JOIN ${DEFINITIVE_MARKS_TABLE_NAME} d
+        ON d.response_id = r.id
+      WHERE r.id = $1
+        AND r.qig_id = $2
+        AND r.archived_at IS NULL
+    `,
+    [responseId, qigId],
+  );
+  const context = await getQigContext(pool, qigId);
+  if (!context || responseRes.rows.length === 0) {
+    return null;
+  }
+
+  if (!responseRes.rows[0].definitive_id) {
+    throw buildStandardisationError(
+      'DEFINITIVE_MARKS_MISSING',
+      `Response ${responseId} has no definitive marks`,
+      { responseIds: [responseId] },
+    );
+  }
+
+  const res = await pool.query(
+    `
+      INSERT INTO ${SEED_RESPONSES_TABLE_NAME} (response_id, added_by_user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (response_id) DO NOTHING
+      RETURNING *
+    `,
+    [responseId, actor ? actor.id : null],
+  );
+  if (res.rows.length === 0) {
+    throw buildStandardisationError(
+      'SEED_ALREADY_EXISTS',
+      `Response ${responseId} is already a seed`,
+    );
+  }
+
+  await writeAuditEvent(SEED_RESPONSE_ADDED_EVENT_TYPE, {
+    meta: {
+      responseId,
+      qigId: context.id,
+      qigCode: context.code,
+      deploymentId: context.deployment_id,
+      deploymentCode: context.deployment_code,
+    },
+    actor: buildAuditActor(actor),
+  });
+
+  return { ...res.rows[0], candidate_id: responseRes.rows[0].candidate_id };
+}
+
+/**
+ * List the seed Responses of a QIG with their candidate ids.
+ */
+async function listSeedResponses(qigId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT s.*, r.candidate_id
+      FROM ${SEED_RESPONSES_TABLE_NAME} s
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON s.response_id = r.id
+      WHERE r.qig_id = $1
+      ORDER BY s.id ASC
+    `,
+    [qigId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Fetch the seed row (with qig_id and the definitive marks) for a
+ * Response, or null when the Response is not a seed.
+ */
+async function getSeedForResponse(responseId) {
+  await ensureStandardisationTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        s.*,
+        r.qig_id,
+        d.payload AS definitive_payload
+      FROM ${SEED_RESPONSES_TABLE_NAME} s
+      JOIN ${RESPONSES_TABLE_NAME} r
+        ON s.response_id = r.id
+      JOIN ${DEFINITIVE_MARKS_TABLE_NAME} d
+        ON d.response_id = s.response_id
+      WHERE s.response_id = $1
+    `,
+    [responseId],
+  );
+  return res.rows[0] || null;
+}
+
+// Store a seed result and apply the failure action in client's open
+// transaction; see recordSeedResult.
+async function writeSeedResult(client, seed, markerUserId, comparison, settings) {
+  // Serialise a marker's seed results (and eligibility changes) so the run
+  // of consecutive failures is counted against every earlier result.
+  await lockMarkerEligibility(client, markerUserId);
+
+  const historyRes = await client.query(
+    `
+      SELECT within_tolerance, action_taken
+      FROM ${SEED_RESULTS_TABLE_NAME}
+      WHERE marker_user_id = $1
+        AND qig_id = $2
+      ORDER BY id DESC
+    `,
+    [markerUserId, seed.qig_id],
+  );
+  let consecutiveFailures = 0;
+  if (!comparison.withinTolerance) {
+    consecutiveFailures = 1;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const row of historyRes.rows) {
+      if (row.within_tolerance || row.action_taken) {
+        break;
+      }
+      consecutiveFailures += 1;
+    }
+  }
+
+  const thresholdReached = consecutiveFailures >= settings.failureLimit;
+  const actionTaken = thresholdReached ? settings.failureAction : null;
+
+  const insertRes = await client.query(
+    `
+      INSERT INTO ${SEED_RESULTS_TABLE_NAME} (
+        response_id,
+        marker_user_id,
+        qig_id,
+        within_tolerance,
+        result,
+        action_taken
+      )
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+      RETURNING *
+    `,
+    [
+      seed.response_id,
+      markerUserId,
+      seed.qig_id,
+      comparison.withinTolerance,
+      JSON.stringify(comparison),
+      actionTaken,
+    ],
+  );
+  const result = insertRes.rows[0];
+
+  const context = await getQigContext(client, seed.qig_id);
+  const baseMeta = {
+    markerId: markerUserId,
+    qigId: context.id,
+    qigCode: context.code,
+    deploymentId: context.deployment_id,
+    deploymentCode: context.deployment_code,
+  };
+
+  await appendAuditEvent(
+    SEED_RESULT_RECORDED_EVENT_TYPE,
+    {
+      meta: {
+        ...baseMeta,
+        seedResultId: result.id,
+        responseId: seed.response_id,
+        withinTolerance: comparison.withinTolerance,
+        totalDeviation: comparison.totalDeviation,
+        consecutiveFailures,
+      },
+      actor: null,
+    },
+    { client },
+  );
+
+  if (!thresholdReached) {
+    return { result, consecutiveFailures, action: null };
+  }
+
+  const fromState = await getMarkerEligibilityState(
+    client,
+    markerUserId,
+    seed.qig_id,
+  );
+  let toState = fromState;
+  const targetState = SEED_FAILURE_ACTION_STATES[actionTaken];
+  if (targetState && isValidEligibilityTransition(fromState, targetState)) {
+    const outcome = await applyEligibilityTransition(
+      client,
+      markerUserId,
+      seed.qig_id,
+      targetState,
+      { reasonCode: SEED_FAILURE_REASON_CODE },
+    );
+    if (outcome.rejection) {
+      throw outcome.rejection;
+    }
+    toState = outcome.updated.state;
+  }
+
+  await appendAuditEvent(
+    SEED_FAILURE_THRESHOLD_REACHED_EVENT_TYPE,
+    {
+      meta: {
+        ...baseMeta,
+        seedResultId: result.id,
+        consecutiveFailures,
+        failureLimit: settings.failureLimit,
+        action: actionTaken,
+        fromState,
+        toState,
+      },
+      actor: null,
+    },
+    { client },
+  );
+
+  return {
+    result,
+    consecutiveFailures,
+    action: { action: actionTaken, fromState, toState },
+  };
+}
+
+/**
+ * Compare a marker's submitted marks on a seed with its definitive marks
+ * (using the QIG's standardisation tolerances) and store the result.
+ *
+ * Results are audited as SEED_RESULT_RECORDED. When a marker's run of
+ * consecutive out-of-tolerance seeds on the QIG reaches the configured
+ * failureLimit, the failureAction is applied (SUSPEND -> SUSPENDED,
+ * RESTANDARDISE -> STANDARDISATION, NONE -> audit only) and
+ * SEED_FAILURE_THRESHOLD_REACHED is audited. The run restarts after a
+ * seed within tolerance or after an action.
+ *
+ * The result, any eligibility change and their audit events are written
+ * in one transaction, under the marker's eligibility lock. Pass
+ * { client } to write them in the caller's open transaction instead.
+ *
+ * Returns { result, consecutiveFailures, action } where action is null
+ * unless the threshold was reached.
+ */
+async function recordSeedResult(seed, markerUserId, marks, options = {}) {
+  await ensureStandardisationTables();
+
+  const tolerances = await getStandardisationTolerances(seed.qig_id);
+  const settings = await getSeedSettings(seed.qig_id);
+  const comparison = compareWithDefinitiveMarks(
+    marks,
+    seed.definitive_payload,
+    tolerances,
+  );
+
+  const write = (client) =>
+    writeSeedResult(client, seed, markerUserId, comparison, settings);
+  return options.client
+    ? write(options.client)
+    : runStandardisationTransaction(write);
+}
+
+/**
+ * List seed results on a QIG, newest first, optionally for one marker.
+ */
+async function listSeedResults(qigId, { markerUserId } = {}) {
+  await ensureStandardisationTables();
+
+  const params = [qigId];
+  let markerClause = '';
+  if (markerUserId != null) {
+    params.push(markerUserId);
+    markerClause = `AND sr.marker_user_id = $${params.length}`;
+  }
+
+  const res = await pool.query(
+    `
+      SELECT
+        sr.*,
+        u.external_id AS marker_external_id
+      FROM ${SEED_RESULTS_TABLE_NAME} sr
+      JOIN ${USERS_TABLE_NAME} u
+        ON sr.marker_user_id = u.id
+      WHERE sr.qig_id = $1
+        ${markerClause}
+      ORDER BY sr.id DESC
+    `,
+    params,
+  );
+  return res.rows || [];
+}
+
+module.exports = {
+  MARKER_ELIGIBILITY_TABLE_NAME,
+  STANDARDISATION_TOLERANCES_TABLE_NAME,
+  STANDARDISATION_SETS_TABLE_NAME,
+  STANDARDISATION_SET_RESPONSES_TABLE_NAME,
+  DEFINITIVE_MARKS_TABLE_NAME,
+  STANDARDISATION_MARKS_TABLE_NAME,
+  STANDARDISATION_EVALUATIONS_TABLE_NAME,
+  SEED_SETTINGS_TABLE_NAME,
+  SEED_RESPONSES_TABLE_NAME,
+  SEED_RESULTS_TABLE_NAME,
+  ELIGIBILITY_STATES,
+  ELIGIBILITY_INITIAL_STATES,
+  ELIGIBILITY_TRANSITIONS,
+  LIVE_APPROVED_ELIGIBILITY_STATE,
+  STANDARDISATION_SET_KINDS,
+  SEED_FAILURE_ACTIONS,
+  ensureStandardisationTables,
+  lockMarkerEligibility,
+  isValidEligibilityTransition,
+  getMarkerEligibilityState,
+  getMarkerEligibility,
+  isMarkerLiveApproved,
+  filterLiveApprovedQigIds,
+  getEligibilityForQig,
+  transitionMarkerEligibility,
+  getStandardisationTolerances,
+  updateStandardisationTolerances,
+  listStandardisationSets,
+  getStandardisationSetByCode,
+  createStandardisationSet,
+  getDefinitiveMarks,
+  setDefinitiveMarks,
+  compareWithDefinitiveMarks,
+  submitStandardisationMarks,
+  evaluateStandardisationMarks,
+  getSeedSettings,
+  updateSeedSettings,
+  addSeedResponse,
+  listSeedResponses,
+  getSeedForResponse,
+  recordSeedResult,
+  listSeedResults,
+};
@@ -0,0 +1,442 @@
+const { pool } = require('./db');
+const { ensureSchema } = require('./migrations');
+const {
+  ASSESSMENT_QIGS_TABLE_NAME,
+  ASSESSMENT_PAPERS_TABLE_NAME,
+  ASSESSMENT_SERIES_TABLE_NAME,
+} = require('./assessment');
+const { DEPLOYMENTS_TABLE_NAME } = require('./config');
+const { USERS_TABLE_NAME } = require('./identity');
+const { writeAuditEvent, TEAM_UPDATED_EVENT_TYPE } = require('./audit');
+
+const TEAMS_TABLE_NAME = 'teams';
+const TEAM_MEMBERS_TABLE_NAME = 'team_members';
+
+/**
+ * Team levels of the marking hierarchy. A top-level team is led by the
+ * Principal Examiner (PE) and its members are Team Leaders; a child team
+ * is led by a Team Leader (TL) and its members are Assistant Examiners.
+ * Teams nest at most one level deep.
+ */
+const TEAM_LEVELS = ['PE', 'TL'];
+
+/**
+ * Ensure the team tables exist (see migrations/0010_teams.sql).
+ *
+ * Teams belong to a QIG and are identified by a code unique within it.
+ * A user is a member of at most one team per QIG; leading a team does not
+ * count as membership, so a TL leads their own team while being a member
+ * of the PE's team.
+ */
+async function ensureTeamTables() {
+  await ensureSchema();
+}
+
+/**
+ * Helper: QIG + deployment context for team audit meta.
+ */
+async function getQigContext(qigId) {
+  const res = await pool.query(
+    `
+      SELECT
+        q.id,
+        q.code,
+        d.id AS deployment_id,
+        d.code AS deployment_code
+      FROM ${ASSESSMENT_QIGS_TABLE_NAME} q
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      WHERE q.id = $1
+    `,
+    [qigId],
+  );
+  return res.rows[0] || null;
+}
+
+function buildAuditActor(actor) {
+  return actor
+    ? {
+        id: actor.id,
+        externalId: actor.external_id,
+        displayName: actor.display_name,
+      }
+    : null;
+}
+
+function buildTeamError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra || {});
+  return err;
+}
+
+async function writeTeamAudit(operation, team, details, actor) {
+  const context = await getQigContext(team.qig_id);
+  await writeAuditEvent(TEAM_UPDATED_EVENT_TYPE, {
+    meta: {
+      operation,
+      teamId: team.id,
+      teamCode: team.code,
+      qigId: team.qig_id,
+      qigCode: context ? context.code : null,
+      deploymentId: context ? context.deployment_id : null,
+      deploymentCode: context ? context.deployment_code : null,
+      ...details,
+    },
+    actor: buildAuditActor(actor),
+  });
+}
+
+const TEAM_SELECT_SQL = `
+  SELECT
+    t.*,
+    CASE WHEN t.parent_team_id IS NULL THEN 'PE' ELSE 'TL' END AS level,
+    pt.code AS parent_team_code,
+    lu.external_id AS leader_external_id,
+    lu.display_name AS leader_display_name,
+    COALESCE(
+      (
+        SELECT json_agg(
+          json_build_object(
+            'userId', mu.id,
+            'externalId', mu.external_id,
+            'displayName', mu.display_name
+          )
+          ORDER BY m.id
+        )
+        FROM ${TEAM_MEMBERS_TABLE_NAME} m
+        JOIN ${USERS_TABLE_NAME} mu
+          ON m.user_id = mu.id
+        WHERE m.team_id = t.id
+      ),
+      '[]'::json
+    ) AS members
+  FROM ${TEAMS_TABLE_NAME} t
+  LEFT JOIN ${TEAMS_TABLE_NAME} pt
+    ON t.parent_team_id = pt.id
+  LEFT JOIN ${USERS_TABLE_NAME} lu
+    ON t.leader_user_id = lu.id
+`;
+
+/**
+ * List the teams of a QIG with their level, leader and members, parents
+ * before their children.
+ */
+async function listTeamsForQig(qigId) {
+  await ensureTeamTables();
+
+  const res = await pool.query(
+    `
+      ${TEAM_SELECT_SQL}
+      WHERE t.qig_id = $1
+      ORDER BY t.parent_team_id IS NOT NULL, t.id ASC
+    `,
+    [qigId],
+  );
+  return res.rows || [];
+}
+
+/**
+ * Fetch a team of a QIG by code, or null if none.
+ */
+async function getTeamByCode(qigId, code) {
+  await ensureTeamTables();
+
+  const res = await pool.query(
+    `
+      ${TEAM_SELECT_SQL}
+      WHERE t.qig_id = $1 AND t.code = $2
+    `,
+    [qigId, code],
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Create a team on a QIG, optionally under a parent team (by code) and
+ * with a leader.
+ *
+ * Throws with code PARENT_TEAM_NOT_FOUND, TEAM_HIERARCHY_TOO_DEEP (the
+ * parent is itself a child team) or TEAM_ALREADY_EXISTS. Writes a
+ * TEAM_UPDATED audit event (operation CREATE) and returns the team, or
+ * null if the QIG does not exist.
+ */
+async function createTeam(qigId, fields, options = {}) {
+  await ensureTeamTables();
+
+  const { code, name, leaderUserId = null, parentTeamCode = null } = fields;
+  const { actor = null } = options;
+
+  const context = await getQigContext(qigId);
+  if (!context) {
+    return null;
+  }
+
+  let parentTeamId = null;
+  if (parentTeamCode) {
+    const parent = await getTeamByCode(qigId, parentTeamCode);
+    if (!parent) {
+      throw buildTeamError(
+        'PARENT_TEAM_NOT_FOUND',
+        `Parent team ${parentTeamCode} does not exist`,
+      );
+    }
+    if (parent.parent_team_id != null) {
+      throw buildTeamError(
+        'TEAM_HIERARCHY_TOO_DEEP',
+        `Team ${parentTeamCode} is already a child team`,
+      );
+    }
+    parentTeamId = parent.id;
+  }
+
+  let inserted;
+  try {
+    const insertRes = await pool.query(
+      `
+        INSERT INTO ${TEAMS_TABLE_NAME} (
+          qig_id,
+          code,
+          name,
+          leader_user_id,
+          parent_team_id
+        )
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `,
+      [qigId, code, name, leaderUserId, parentTeamId],
+    );
+    inserted = insertRes.rows[0];
+  } catch (err) {
+    if (err && err.code === '23505') {
+      throw buildTeamError(
+        'TEAM_ALREADY_EXISTS',
+        `Team ${code} already exists`,
+      );
+    }
+    throw err;
+  }
+
+  await writeTeamAudit(
+    'CREATE',
+    inserted,
+    { parentTeamCode, leaderUserId },
+    actor,
+  );
+
+  return getTeamByCode(qigId, code);
+}
+
+/**
+ * Make a user the leader of a team (or clear the leader with null).
+ * Writes a TEAM_UPDATED audit event (operation SET_LEADER) and returns the
+ * updated team.
+ */
+async function setTeamLeader(team, leaderUserId, options = {}) {
+  await ensureTeamTables();
+
+  const { actor = null } = options;
+
+  await pool.query(
+    `
+      UPDATE ${TEAMS_TABLE_NAME}
+      SET leader_user_id = $2
+      WHERE id = $1
+    `,
+    [team.id, leaderUserId],
+  );
+
+  await writeTeamAudit(
+    'SET_LEADER',
+    team,
+    { fromLeaderUserId: team.leader_user_id, leaderUserId },
+    actor,
+  );
+
+  return getTeamByCode(team.qig_id, team.code);
+}
+
+/**
+ * Add a user to a team. A user may only belong to one team per QIG;
+ * otherwise throws with code MEMBER_ALREADY_ASSIGNED (carrying teamCode
+ * of the existing team). Writes a TEAM_UPDATED audit event (operation
+ * ADD_MEMBER) and returns the updated team.
+ */
+async function addTeamMember(team, userId, options = {}) {
+  await ensureTeamTables();
+
+  const { actor = null } = options;
+
+  const insertRes = await pool.query(
+    `
+      INSERT INTO ${TEAM_MEMBERS_TABLE_NAME} (team_id, qig_id, user_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (qig_id, user_id) DO NOTHING
+      RETURNING id
+    `,
+    [team.id, team.qig_id, userId],
+  );
+
+  if (insertRes.rows.length === 0) {
+    const existingRes = await pool.query(
+      `
+        SELECT t.code
+        FROM ${TEAM_MEMBERS_TABLE_NAME} m
+        JOIN ${TEAMS_TABLE_NAME} t
+          ON m.team_id = t.id
+        WHERE m.qig_id = $1 AND m.user_id = $2
+      `,
+      [team.qig_id, userId],
+    );
+    throw buildTeamError(
+      'MEMBER_ALREADY_ASSIGNED',
+      `User ${userId} already belongs to a team on this QIG`,
+      { teamCode: existingRes.rows[0] ? existingRes.rows[0].code : null },
+    );
+  }
+
+  await writeTeamAudit('ADD_MEMBER', team, { memberUserId: userId }, actor);
+
+  return getTeamByCode(team.qig_id, team.code);
+}
+
+/**
+ * Remove a user from a team. Writes a TEAM_UPDATED audit event (operation
+ * REMOVE_MEMBER) and returns the updated team, or null if the user was
+ * not a member.
+ */
+async function removeTeamMember(team, userId, options = {}) {
+  await ensureTeamTables();
+
+  const { actor = null } = options;
+
+  const res = await pool.query(
+    `
+      DELETE FROM ${TEAM_MEMBERS_TABLE_NAME}
+      WHERE team_id = $1 AND user_id = $2
+    `,
+    [team.id, userId],
+  );
+  if (res.rowCount === 0) {
+    return null;
+  }
+
+  await writeTeamAudit('REMOVE_MEMBER', team, { memberUserId: userId }, actor);
+
+  return getTeamByCode(team.qig_id, team.code);
+}
+
+/**
+ * Resolve the markers a user supervises on a QIG: the members of every
+ * team they lead there, plus the leaders and members of those teams'
+ * child teams. The supervisor themselves is never included.
+ *
+ * Returns null when the user leads no team on the QIG, otherwise
+ * { teamIds, userIds }.
+ */
+async function getSupervisionScope(leaderUserId, qigId) {
+  await ensureTeamTables();
+
+  const res = await pool.query(
+    `
+      WITH RECURSIVE scope AS (
+        SELECT id, leader_user_id
+        FROM ${TEAMS_TABLE_NAME}
+        WHERE qig_id = $2 AND leader_user_id = $1
+        UNION
+        SELECT t.id, t.leader_user_id
+        FROM ${TEAMS_TABLE_NAME} t
+        JOIN scope s
+          ON t.parent_team_id = s.id
+      )
+      SELECT
+        (SELECT array_agg(id ORDER BY id) FROM scope) AS team_ids,
+        (
+          SELECT array_agg(DISTINCT user_id)
+          FROM (
+            SELECT m.user_id
+            FROM ${TEAM_MEMBERS_TABLE_NAME} m
+            WHERE m.team_id IN (SELECT id FROM scope)
+            UNION
+            SELECT leader_user_id
+            FROM scope
+            WHERE leader_user_id IS NOT NULL
+          ) supervised
+          WHERE user_id <> $1
+        ) AS user_ids
+    `,
+    [leaderUserId, qigId],
+  );
+
+  const row = res.rows[0];
+  if (!row || !row.team_ids) {
+    return null;
+  }
+  return { teamIds: row.team_ids, userIds: row.user_ids || [] };
+}
+
+/**
+ * List the teams a user leads or belongs to, across all QIGs, with the
+ * QIG and deployment they sit in.
+ */
+async function getTeamMembershipsForUser(userId) {
+  await ensureTeamTables();
+
+  const res = await pool.query(
+    `
+      SELECT
+        t.id AS team_id,
+        t.code AS team_code,
+        t.name AS team_name,
+        CASE WHEN t.parent_team_id IS NULL THEN 'PE' ELSE 'TL' END AS level,
+        memberships.role,
+        lu.external_id AS leader_external_id,
+        q.id AS qig_id,
+        q.code AS qig_code,
+        d.code AS deployment_code
+      FROM (
+        SELECT id AS team_id, 'LEADER' AS role
+        FROM ${TEAMS_TABLE_NAME}
+        WHERE leader_user_id = $1
+        UNION ALL
+        SELECT team_id, 'MEMBER' AS role
+        FROM ${TEAM_MEMBERS_TABLE_NAME}
+        WHERE user_id = $1
+      ) memberships
+      JOIN ${TEAMS_TABLE_NAME} t
+        ON memberships.team_id = t.id
+      LEFT JOIN ${USERS_TABLE_NAME} lu
+        ON t.leader_user_id = lu.id
+      JOIN ${ASSESSMENT_QIGS_TABLE_NAME} q
+        ON t.qig_id = q.id
+      JOIN ${ASSESSMENT_PAPERS_TABLE_NAME} p
+        ON q.paper_id = p.id
+      JOIN ${ASSESSMENT_SERIES_TABLE_NAME} s
+        ON p.series_id = s.id
+      JOIN ${DEPLOYMENTS_TABLE_NAME} d
+        ON s.deployment_id = d.id
+      ORDER BY t.id ASC, memberships.role ASC
+    `,
+    [userId],
+  );
+  return res.rows || [];
+}
+
+module.exports = {
+  TEAMS_TABLE_NAME,
+  TEAM_MEMBERS_TABLE_NAME,
+  TEAM_LEVELS,
+  ensureTeamTables,
+  listTeamsForQig,
+  getTeamByCode,
+  createTeam,
+  setTeamLeader,
+  addTeamMember,
+  removeTeamMember,
+  getSupervisionScope,
+  getTeamMembershipsForUser,
+};